@@ -0,0 +1,233 @@
+/**
+ * Storage adapters for Pure note-taking app
+ * Each adapter hides one browser storage API behind the same small interface
+ *
+ * Responsibilities:
+ * - localStorage adapter (whole envelope as JSON under a single key)
+ * - IndexedDB adapter (one record per note, only changed notes are written)
+ * - Change notifications from other tabs for each backend
+ *
+ * Adapter interface:
+ * - name: string identifying the backend
+ * - load(): Promise resolving to the stored data, either a `{ version, notes, notebooks, meta }`
+ *   envelope or a bare notes array written before versioning
+ * - save(envelope): Promise that rejects if the data could not be written
+ * - clear(): Promise that rejects if the data could not be removed
+ * - watch(callback): subscribe to writes from other tabs, returns unsubscribe
+ *
+ * Adapters store data as given; schema upgrades happen in store.js.
+ *
+ * Dependencies: None (browser storage APIs only)
+ */
+
+const DB_NAME = 'pure-note-taking-app';
+const DB_VERSION = 2;
+const NOTES_STORE = 'notes';
+const META_STORE = 'meta';
+const SCHEMA_KEY = 'schema';
+
+/**
+ * Create an adapter that keeps all data as one JSON string in localStorage
+ * @param {string} key - localStorage key holding the notes
+ * @returns {Object} Storage adapter
+ */
+export function createLocalStorageAdapter(key) {
+  return {
+    name: 'localStorage',
+
+    async load() {
+      const data = localStorage.getItem(key);
+      return data ? JSON.parse(data) : [];
+    },
+
+    async save(envelope) {
+      localStorage.setItem(key, JSON.stringify(envelope));
+    },
+
+    async clear() {
+      localStorage.removeItem(key);
+    },
+
+    watch(callback) {
+      // The storage event only fires in documents other than the one that wrote
+      const handleStorage = (event) => {
+        // key is null when another tab calls localStorage.clear()
+        if (event.key !== key && event.key !== null) return;
+
+        try {
+          callback(event.newValue ? JSON.parse(event.newValue) : []);
+        } catch (error) {
+          console.warn('Ignoring unreadable notes from another tab:', error);
+        }
+      };
+
+      window.addEventListener('storage', handleStorage);
+      return () => window.removeEventListener('storage', handleStorage);
+    }
+  };
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise} Resolves with the request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for an IndexedDB transaction to finish
+ * @param {IDBTransaction} transaction - Pending transaction
+ * @returns {Promise} Resolves when the transaction commits
+ */
+function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+/**
+ * Open the notes database, creating missing object stores
+ * @param {IDBFactory} indexedDB - IndexedDB implementation
+ * @param {string} dbName - Database name
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase(indexedDB, dbName) {
+  const request = indexedDB.open(dbName, DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(NOTES_STORE)) {
+      db.createObjectStore(NOTES_STORE, { keyPath: 'id' });
+    }
+    // Added in v2 to hold the envelope's version and meta
+    if (!db.objectStoreNames.contains(META_STORE)) {
+      db.createObjectStore(META_STORE);
+    }
+  };
+
+  return requestToPromise(request).then(db => {
+    // Let a newer version of the app upgrade the database in another tab
+    db.onversionchange = () => db.close();
+    return db;
+  });
+}
+
+/**
+ * Create an adapter that stores one IndexedDB record per note
+ * The envelope's version, notebooks and meta live in a separate record
+ * @param {Object} options - Adapter options
+ * @param {IDBFactory} options.indexedDB - IndexedDB implementation (default: the browser's)
+ * @param {string} options.dbName - Database name, also used for the change channel
+ * @returns {Object} Storage adapter
+ */
+export function createIndexedDBAdapter({ indexedDB = globalThis.indexedDB, dbName = DB_NAME } = {}) {
+  let dbPromise = null;
+  let channel = null;
+
+  // Notes as last read from or written to the database. Notes are replaced,
+  // never mutated, so a changed object reference means a changed note.
+  // null means unknown, and the next save rewrites the whole store.
+  let storedById = null;
+
+  const getDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(indexedDB, dbName);
+      dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+  };
+
+  // IndexedDB has no storage event, so tabs tell each other over a channel
+  const getChannel = () => {
+    if (!channel && typeof BroadcastChannel !== 'undefined') {
+      channel = new BroadcastChannel(dbName);
+    }
+    return channel;
+  };
+
+  const load = async () => {
+    const db = await getDatabase();
+    const transaction = db.transaction([NOTES_STORE, META_STORE], 'readonly');
+    const [notes, schema] = await Promise.all([
+      requestToPromise(transaction.objectStore(NOTES_STORE).getAll()),
+      requestToPromise(transaction.objectStore(META_STORE).get(SCHEMA_KEY))
+    ]);
+
+    storedById = new Map(notes.map(note => [note.id, note]));
+
+    // Records come back in key order; show the newest notes first as before
+    notes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    // Notes written before versioning have no schema record
+    return schema ? { version: schema.version, notes, notebooks: schema.notebooks, meta: schema.meta } : notes;
+  };
+
+  return {
+    name: 'indexedDB',
+
+    load,
+
+    async save({ version, notes, notebooks, meta }) {
+      const db = await getDatabase();
+      const transaction = db.transaction([NOTES_STORE, META_STORE], 'readwrite');
+      const store = transaction.objectStore(NOTES_STORE);
+      const nextById = new Map(notes.map(note => [note.id, note]));
+
+      if (storedById) {
+        notes.forEach(note => {
+          if (storedById.get(note.id) !== note) store.put(note);
+        });
+        storedById.forEach((note, id) => {
+          if (!nextById.has(id)) store.delete(id);
+        });
+      } else {
+        store.clear();
+        notes.forEach(note => store.put(note));
+      }
+
+      transaction.objectStore(META_STORE).put({ version, notebooks, meta }, SCHEMA_KEY);
+      storedById = nextById;
+
+      try {
+        await transactionToPromise(transaction);
+      } catch (error) {
+        storedById = null;
+        throw error;
+      }
+
+      getChannel()?.postMessage('change');
+    },
+
+    async clear() {
+      const db = await getDatabase();
+      const transaction = db.transaction([NOTES_STORE, META_STORE], 'readwrite');
+      transaction.objectStore(NOTES_STORE).clear();
+      transaction.objectStore(META_STORE).clear();
+      await transactionToPromise(transaction);
+
+      storedById = new Map();
+      getChannel()?.postMessage('change');
+    },
+
+    watch(callback) {
+      const changes = getChannel();
+      if (!changes) return () => {};
+
+      const handleMessage = () => {
+        load().then(callback).catch(error => {
+          console.warn('Failed to read notes changed in another tab:', error);
+        });
+      };
+
+      changes.addEventListener('message', handleMessage);
+      return () => changes.removeEventListener('message', handleMessage);
+    }
+  };
+}
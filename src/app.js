@@ -5,235 +5,2694 @@
  * Responsibilities:
  * - Application state (notes array, currentNote, searchQuery)
  * - Note CRUD operations (create, update, delete)
+ * - Pinned notes in a custom order at the top of the list, and favorites
+ * - Note templates with placeholders, picked when creating a note
+ * - Daily notes from a template, and a calendar that filters the list to a day
+ * - Sort and group modes for the notes list, saved in the user's settings
+ * - Nested notebooks: tree view, create/rename/delete/move, notebook-scoped search
+ * - Wiki links between notes: title suggestions, following links, backlinks, relinking on rename
+ * - Graph view of links and shared tags, with orphan and depth filters and a list fallback
+ * - Undo/redo of note operations, and a per-note editing history for the editor
+ * - Revision history per note with a diff view and restore
+ * - Trash with undo, restore, delete forever and automatic purge
  * - Event handling and user interactions
  * - Keyboard shortcuts and navigation
- * - Auto-save functionality with debouncing
+ * - Auto-save functionality with debouncing, and a draft journal that survives crashes
+ * - Honest save results: a storage usage meter with warnings, and a recovery dialog when saving fails
+ * - Cross-tab sync with conflict prompts for the open note
+ * - Export/import of note backups (replace or merge, with an optional preview), optionally encrypted
+ * - Optional encryption at rest: lock screen, auto-lock when idle, passphrase changes
+ * - Locked notes: content encrypted with a password of its own, unlocked for the session
+ * - Markdown export (single note or zip of all notes) and import
+ * - Edit, preview and split views of the note body
+ * - Note tags from the tag input and #hashtags, with a tag filter sidebar
+ * - Search with a query language and inline hints for malformed queries
+ * - Ranked, typo-tolerant full-text search over an incrementally updated index
+ * - Offline use through the service worker, with an update prompt and an install button
  * - Business logic functions (filterNotes, createNoteObject, updateNoteObject)
  * 
- * Dependencies: store.js (persistence), utils.js (utilities), ui.js (rendering)
+ * Dependencies: store.js (persistence), sync.js (cross-tab merge), tags.js (tag parsing), trash.js (soft delete), pins.js (pinned order), templates.js (note templates), notelock.js (locked notes), quota.js (storage usage), drafts.js (draft journal), pwa.js (offline and installation), daily.js (daily notes and calendar), sorting.js and settings.js (list view), notebooks.js (notebook tree), links.js (wiki links), graph.js (note graph), history.js (revisions), commands.js (undo/redo), query.js and search.js (search), utils.js (utilities), ui.js (rendering)
  */
 
-import { loadNotes, saveNotes, clearNotes } from './store.js';
-import { debounce } from './utils.js';
+import {
+  initStorage,
+  loadData,
+  saveNotes,
+  clearNotes,
+  watchNotes,
+  exportNotes,
+  importNotes,
+  previewImport,
+  getEncryptionState,
+  unlockNotes,
+  lockNotes,
+  enableEncryption,
+  changePassphrase,
+  disableEncryption,
+  isEncryptedBackup,
+  decryptBackup,
+  getSaveError,
+  getStorageUsage,
+  moveToIndexedDB,
+  sealDraft,
+  openDraft
+} from './store.js';
+import { mergeNotes } from './sync.js';
+import { noteToMarkdown, parseMarkdownFile, markdownFilename } from './frontmatter.js';
+import { createZip } from './zip.js';
+import { parseTagInput, collectTags, countTags, filterByTag } from './tags.js';
+import { recordRevision, getVersions, diffLines } from './history.js';
+import { createCommandHistory, createEditHistory } from './commands.js';
+import { setPinned, setFavorite, movePinned, orderNotes } from './pins.js';
+import { setTemplate, getTemplates, applyTemplate } from './templates.js';
+import { findDailyNote, dailyNoteDraft, getDayActivity, addDays, addMonths } from './daily.js';
+import {
+  isLockedNote,
+  createNoteLock,
+  openNoteLock,
+  readNoteLock,
+  sealNoteContent,
+  lockNote,
+  removeNoteLock
+} from './notelock.js';
+import { normalizeWarnings, usagePercent, warningLevel, DEFAULT_STORAGE_WARNINGS } from './quota.js';
+import {
+  NEW_NOTE_DRAFT,
+  isDraft,
+  loadDrafts,
+  saveDraft,
+  clearDraft,
+  clearDrafts,
+  findOrphanedDrafts
+} from './drafts.js';
+import { registerServiceWorker, applyUpdate, watchInstallPrompt } from './pwa.js';
+import { normalizeListView, DEFAULT_LIST_VIEW } from './sorting.js';
+import { loadSettings, saveSettings } from './settings.js';
+import {
+  createNotebook,
+  renameNotebook,
+  moveNotebook,
+  deleteNotebook,
+  moveNotes,
+  notesInNotebook,
+  normalizeNotebooks,
+  notebookPath
+} from './notebooks.js';
+import {
+  normalizeTitle,
+  linkAt,
+  linkQueryAt,
+  findNoteByTitle,
+  getBacklinks,
+  renameLinks,
+  suggestTitles,
+  completeLink
+} from './links.js';
+import { buildGraph, filterGraph, layoutGraph } from './graph.js';
+import { isTrashed, trashNote, restoreNote, getTrashedNotes, purgeTrash, DEFAULT_RETENTION_DAYS } from './trash.js';
+import { parseQuery } from './query.js';
+import { createSearchIndex, getQueryTerms } from './search.js';
+import { debounce, formatDate, formatISODate } from './utils.js';
 import {
   renderNotesList,
+  renderListControls,
+  renderTrashList,
+  renderTrashButton,
+  renderTagList,
+  renderCalendar,
+  renderNotebookTree,
+  renderNotebookSelect,
+  showNotebookForm,
+  hideNotebookForm,
+  renderNoteFlags,
+  renderTemplatePicker,
   renderNoteInEditor,
-  showStatus
+  renderMarkdownPreview,
+  renderLinkSuggestions,
+  hideLinkSuggestions,
+  renderBacklinks,
+  renderGraph,
+  renderGraphList,
+  setEditorView,
+  showStatus,
+  showSearchHint,
+  hideSearchHint,
+  showConflictPrompt,
+  hideConflictPrompt,
+  renderHistoryPanel,
+  hideHistoryPanel,
+  downloadFile,
+  renderImportSummary,
+  hideImportSummary,
+  showLockScreen,
+  hideLockScreen,
+  showFormError,
+  showPassphrasePrompt,
+  hidePassphrasePrompt,
+  renderEncryptionPanel,
+  renderNoteLock,
+  renderStorageUsage,
+  showSaveFailure,
+  hideSaveFailure,
+  showDraftRecovery,
+  hideDraftRecovery
 } from './ui.js';
 
 // Application state
 let notes = [];
 let currentNote = null;
 let searchQuery = '';
+let syncedNotes = []; // Notes as last read from or written to storage
+let hasPendingConflict = false;
+let pendingImport = null; // { text, mode } of a previewed import waiting for confirmation
+let editorView = 'edit'; // edit, preview or split
+let activeTag = null; // Tag selected in the sidebar filter
+let activeDay = null; // Day selected in the calendar: notes created or updated then
+let calendarMonth = formatISODate(new Date()).slice(0, 7); // Month shown in the calendar
+let calendarFocusDay = null; // Day the calendar's arrow keys last moved to
+let dailyTemplateId = ''; // Template for new daily notes, from settings
+let locked = false; // Encrypted notes wait for the passphrase behind the lock screen
+let autoLockMinutes = 0; // Idle minutes before encrypted notes lock, 0 for never, from settings
+let idleTimer = null;
+let passphraseRequest = null; // Resolves the open backup passphrase prompt
+const AUTO_LOCK_CHOICES = [0, 1, 5, 15, 30, 60];
+const MIN_PASSPHRASE_LENGTH = 8;
+let storageBackend = 'localStorage'; // Backend picked by initStorage()
+let saveFailed = false; // The notes in memory hold changes storage refused
+let storageWarnings = [...DEFAULT_STORAGE_WARNINGS]; // Usage percentages to warn at, from settings
+let warnedLevel = 0; // Highest warning threshold already announced
+let draftRecoveries = []; // Drafts an earlier session left unsaved, oldest first, waiting for restore or discard
+let draftSequence = 0; // Counts draft writes, so a slow encryption cannot overwrite a newer draft
+let installApp = null; // Shows the browser's install prompt, once it offers one
+let waitingUpdate = null; // Service worker of a newer app version, waiting for the user to reload
+const UPDATE_DURATION = 60000; // How long the update prompt stays in the status area
+let showingTrash = false; // Sidebar lists trashed notes instead of live ones
+let listView = DEFAULT_LIST_VIEW; // Sort and grouping of the notes list, from settings
+let notebooks = [];
+let currentNotebookId = null; // Notebook listed in the sidebar, null for all notes
+let newNoteNotebookId = null; // Notebook a new note will be saved in
+let searchAllNotebooks = false; // Search ignores the current notebook
+let collapsedNotebooks = new Set(); // Ids of notebooks collapsed in the tree, from settings
+let notebookFormMode = null; // 'create' or 'rename' while the notebook name form is open
+let draggedNotebookId = null; // Notebook being dragged in the tree
+let trashRetentionDays = DEFAULT_RETENTION_DAYS; // Trashed notes older than this are purged on start, from settings
+const TRASH_RETENTION_CHOICES = [7, 30, 90, 365];
+const UNDO_DURATION = 8000; // How long the undo action stays in the status area
+let historySelection = null; // { from, to } version keys compared in the open history panel
+let draggedNoteId = null; // Note being dragged onto a notebook or within the pinned section
+let renderedHistory = null; // Note and keys last diffed, so keystrokes do not diff again
+let renderedBacklinks = null; // Notes and note last searched for backlinks
+let linkCompletion = null; // { start, titles, index } while titles are suggested for a [[link]]
+let showingGraph = false; // Editor area shows the note graph above the note
+let graphFilters = { sharedTags: true, hideOrphans: false, depth: 'all' };
+let renderedGraph = null; // Notes, open note and filters last drawn, so keystrokes do not lay out again
+// Graph drawing size (the SVG viewBox); a tag on more notes than maxTagNotes would tie them all together, so it adds no edges
+const GRAPH_OPTIONS = { width: 600, height: 400, maxTagNotes: 25 };
+// Revisions: every big edit, small edits at most every 5 minutes, 100 revisions or 100k characters per note
+const HISTORY_OPTIONS = { minInterval: 5 * 60000, minChange: 100, maxRevisions: 100, maxChars: 100000 };
+const commandHistory = createCommandHistory(); // Undo/redo of note operations
+const editHistories = new Map(); // Note id ('' for a new note) -> editor history
+// Locked notes opened with their password, until locked again or the tab closes:
+// note id -> { key, content, data }, where data is the sealed content that was decrypted
+const unlockedNotes = new Map();
+const pendingSeals = new Set(); // Edits to locked notes being encrypted again, saved once they are
+// Typo tolerance: up to one edit per four letters of a search word, at most two
+const SEARCH_OPTIONS = { maxEdits: 2, minFuzzyLength: 4 };
+const searchIndex = createSearchIndex([], SEARCH_OPTIONS); // Kept in step with the notes outside the trash
 
 /**
- * Filter notes based on search query
+ * Filter notes based on search query, best matches first
+ * Supports the query language in query.js: phrases, -exclusions, OR,
+ * title:/body:/tag: scopes and created:/updated: date ranges.
+ * Matching runs against the search index, which must hold the same notes.
  * @param {Array} notes - Array of notes to filter
- * @param {string} query - Search query
- * @returns {Array} - Filtered notes
+ * @param {string} query - Search query, e.g. 'budget -draft tag:work updated:<7d'
+ * @returns {Array} - Filtered notes, ranked by relevance
+ * @throws {Error} If the query is malformed
  */
 function filterNotes(notes, query) {
   if (!query) return notes;
 
-  const searchTerm = query.toLowerCase().trim();
+  const notesById = new Map(notes.map(note => [note.id, note]));
+  return searchIndex.search(parseQuery(query))
+    .map(result => notesById.get(result.id))
+    .filter(Boolean);
+}
+
+/**
+ * Create new note object
+ * @param {string} title - Note title
+ * @param {string} content - Note content
+ * @param {Array} tags - Tags from the tag input (hashtags in content are added)
+ * @param {string|null} notebookId - Notebook to put the note in, null for none
+ * @returns {Object} - New note object
+ */
+function createNoteObject(title = '', content = '', tags = [], notebookId = null) {
+  const now = new Date().toISOString();
+
+  return {
+    id: `note_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    title: title.trim(),
+    content: content.trim(),
+    tags: collectTags(tags, content),
+    notebookId,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Create note object from a Markdown file
+ * Keeps the file's own timestamps when its front matter has them
+ * @param {string} text - Markdown file contents
+ * @param {string} filename - File name (fallback title)
+ * @returns {Object} - New note object
+ */
+function createNoteFromMarkdown(text, filename) {
+  const parsed = parseMarkdownFile(text, filename);
+  const note = createNoteObject(parsed.title, parsed.content, parsed.tags);
+
+  return {
+    ...note,
+    createdAt: parsed.createdAt || note.createdAt,
+    updatedAt: parsed.updatedAt || parsed.createdAt || note.updatedAt
+  };
+}
+
+/**
+ * Update existing note object
+ * The version being replaced goes into the note's revisions when the change is meaningful.
+ * @param {Object} note - Existing note 
+ * @param {string} title - New title
+ * @param {string} content - New content
+ * @param {Array} tags - Tags from the tag input (hashtags in content are added)
+ * @returns {Object} - Updated note object
+ */
+function updateNoteObject(note, title, content, tags = note.tags) {
+  const updated = {
+    ...note,
+    title: title.trim(),
+    content: content.trim(),
+    tags: collectTags(tags, content),
+    updatedAt: new Date().toISOString()
+  };
+
+  return { ...updated, revisions: recordRevision(note, updated, HISTORY_OPTIONS) };
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  console.log('App ready - Pure Notes');
+
+  // Get DOM elements with error checking
+  const elements = {
+    newNoteBtn: document.getElementById('newNote'),
+    noteTitle: document.getElementById('noteTitle'),
+    noteTags: document.getElementById('noteTags'),
+    noteBody: document.getElementById('noteBody'),
+    notePreview: document.getElementById('notePreview'),
+    linkSuggestions: document.getElementById('linkSuggestions'),
+    backlinksPanel: document.getElementById('backlinksPanel'),
+    graphBtn: document.getElementById('graphBtn'),
+    graphPanel: document.getElementById('graphPanel'),
+    closeGraphBtn: document.getElementById('closeGraphBtn'),
+    graphSharedTags: document.getElementById('graphSharedTags'),
+    graphHideOrphans: document.getElementById('graphHideOrphans'),
+    graphDepth: document.getElementById('graphDepth'),
+    graphCanvas: document.getElementById('graphCanvas'),
+    graphSummary: document.getElementById('graph-summary'),
+    graphList: document.getElementById('graphList'),
+    pinBtn: document.getElementById('pinBtn'),
+    favoriteBtn: document.getElementById('favoriteBtn'),
+    templateBtn: document.getElementById('templateBtn'),
+    templatePicker: document.getElementById('templatePicker'),
+    historyBtn: document.getElementById('historyBtn'),
+    historyPanel: document.getElementById('historyPanel'),
+    historyFrom: document.getElementById('historyFrom'),
+    historyTo: document.getElementById('historyTo'),
+    restoreRevisionBtn: document.getElementById('restoreRevisionBtn'),
+    closeHistoryBtn: document.getElementById('closeHistoryBtn'),
+    editorPanes: document.getElementById('editorPanes'),
+    viewToggle: document.getElementById('viewToggle'),
+    noteList: document.getElementById('noteList'),
+    tagList: document.getElementById('tagList'),
+    calendarGrid: document.getElementById('calendarGrid'),
+    calendarTitle: document.getElementById('calendar-title'),
+    prevMonthBtn: document.getElementById('prevMonthBtn'),
+    nextMonthBtn: document.getElementById('nextMonthBtn'),
+    todayBtn: document.getElementById('todayBtn'),
+    dailyTemplate: document.getElementById('dailyTemplate'),
+    trashBtn: document.getElementById('trashBtn'),
+    trashOptions: document.getElementById('trashOptions'),
+    trashRetention: document.getElementById('trashRetention'),
+    notebookTree: document.getElementById('notebookTree'),
+    notebookForm: document.getElementById('notebookForm'),
+    notebookName: document.getElementById('notebookName'),
+    newNotebookBtn: document.getElementById('newNotebookBtn'),
+    renameNotebookBtn: document.getElementById('renameNotebookBtn'),
+    deleteNotebookBtn: document.getElementById('deleteNotebookBtn'),
+    cancelNotebookBtn: document.getElementById('cancelNotebookBtn'),
+    noteNotebook: document.getElementById('noteNotebook'),
+    searchAllNotebooks: document.getElementById('searchAllNotebooks'),
+    sortMode: document.getElementById('sortMode'),
+    sortDirection: document.getElementById('sortDirection'),
+    groupMode: document.getElementById('groupMode'),
+    editorForm: document.getElementById('editorForm'),
+    saveBtn: document.getElementById('saveBtn'),
+    deleteBtn: document.getElementById('deleteBtn'),
+    searchInput: document.getElementById('searchInput'),
+    searchHint: document.getElementById('search-hint'),
+    status: document.getElementById('status'),
+    conflictPrompt: document.getElementById('conflictPrompt'),
+    keepMineBtn: document.getElementById('keepMineBtn'),
+    loadTheirsBtn: document.getElementById('loadTheirsBtn'),
+    exportBtn: document.getElementById('exportBtn'),
+    exportFormat: document.getElementById('exportFormat'),
+    importBtn: document.getElementById('importBtn'),
+    importMode: document.getElementById('importMode'),
+    importPreview: document.getElementById('importPreview'),
+    importFile: document.getElementById('importFile'),
+    importSummary: document.getElementById('importSummary'),
+    applyImportBtn: document.getElementById('applyImportBtn'),
+    cancelImportBtn: document.getElementById('cancelImportBtn'),
+    appHeader: document.querySelector('header[role="banner"]'),
+    appMain: document.getElementById('app'),
+    lockScreen: document.getElementById('lockScreen'),
+    unlockForm: document.getElementById('unlockForm'),
+    unlockPassphrase: document.getElementById('unlockPassphrase'),
+    unlockBtn: document.getElementById('unlockBtn'),
+    passphrasePrompt: document.getElementById('passphrasePrompt'),
+    backupPassphrase: document.getElementById('backupPassphrase'),
+    backupPassphraseRepeat: document.getElementById('backupPassphraseRepeat'),
+    cancelPassphraseBtn: document.getElementById('cancelPassphraseBtn'),
+    securityBtn: document.getElementById('securityBtn'),
+    securityPanel: document.getElementById('securityPanel'),
+    encryptionForm: document.getElementById('encryptionForm'),
+    currentPassphrase: document.getElementById('currentPassphrase'),
+    newPassphrase: document.getElementById('newPassphrase'),
+    repeatPassphrase: document.getElementById('repeatPassphrase'),
+    disableEncryptionBtn: document.getElementById('disableEncryptionBtn'),
+    autoLock: document.getElementById('autoLock'),
+    lockNowBtn: document.getElementById('lockNowBtn'),
+    storageMeter: document.getElementById('storageMeter'),
+    storageText: document.getElementById('storage-text'),
+    storageWarnings: document.getElementById('storageWarnings'),
+    saveFailure: document.getElementById('saveFailure'),
+    saveBackupBtn: document.getElementById('saveBackupBtn'),
+    emptyTrashBtn: document.getElementById('emptyTrashBtn'),
+    moveStorageBtn: document.getElementById('moveStorageBtn'),
+    retrySaveBtn: document.getElementById('retrySaveBtn'),
+    draftRecovery: document.getElementById('draftRecovery'),
+    restoreDraftBtn: document.getElementById('restoreDraftBtn'),
+    discardDraftBtn: document.getElementById('discardDraftBtn'),
+    installBtn: document.getElementById('installBtn'),
+    noteLockPanel: document.getElementById('noteLockPanel'),
+    notePassword: document.getElementById('notePassword'),
+    unlockNoteBtn: document.getElementById('unlockNoteBtn'),
+    lockNoteBtn: document.getElementById('lockNoteBtn'),
+    removeLockBtn: document.getElementById('removeLockBtn'),
+  }
+
+  // Initialize app
+  async function init() {
+    const settings = loadSettings();
+    listView = normalizeListView(settings.listView);
+    collapsedNotebooks = new Set(Array.isArray(settings.collapsedNotebooks) ? settings.collapsedNotebooks : []);
+    dailyTemplateId = typeof settings.dailyTemplateId === 'string' ? settings.dailyTemplateId : '';
+    autoLockMinutes = AUTO_LOCK_CHOICES.includes(settings.autoLockMinutes) ? settings.autoLockMinutes : 0;
+    trashRetentionDays = TRASH_RETENTION_CHOICES.includes(settings.trashRetentionDays)
+      ? settings.trashRetentionDays
+      : DEFAULT_RETENTION_DAYS;
+    elements.trashRetention.value = String(trashRetentionDays);
+    storageWarnings = normalizeWarnings(settings.storageWarnings);
+    elements.storageWarnings.value = storageWarnings.join(',');
+    storageBackend = await initStorage();
+    updateStorageUsage();
+    watchNotes(handleExternalChange);
+    const data = await loadData();
+
+    if (data.locked) {
+      renderApp();
+      lockApp('Enter your passphrase to decrypt your notes.');
+      return;
+    }
+
+    await openNotes(data);
+    showStatus(elements.status, 'App ready!', 'success');
+  }
+
+  // Take in loaded notes: purge old trash, then index and show them
+  async function openNotes(data) {
+    notes = data.notes;
+    adoptNotebooks(data.notebooks);
+    syncedNotes = [...notes];
+
+    const purge = purgeTrash(notes, { retentionDays: trashRetentionDays });
+    if (purge.purged.length > 0) {
+      notes = purge.notes;
+      await persistNotes();
+    }
+
+    syncSearchIndex();
+    showInEditor(null, { focus: false });
+    renderApp();
+    resetIdleTimer();
+    await offerDrafts();
+  }
+
+  // Lock encrypted notes: save pending edits, then drop every decrypted note from memory
+  async function lockApp(message) {
+    if (getEncryptionState() === 'unlocked' && hasUnsavedChanges() && !hasPendingConflict) {
+      saveCurrentNote();
+    }
+    // An edit to a locked note is saved once sealed, which needs the notes still in memory
+    if (pendingSeals.size > 0) {
+      await Promise.allSettled(pendingSeals);
+      if (locked) return; // Locked meanwhile, by another tab or a second request
+    }
+
+    lockNotes();
+    locked = true;
+    clearTimeout(idleTimer);
+    notes = [];
+    syncedNotes = [];
+    adoptNotebooks([]);
+    currentNote = null;
+    activeTag = null;
+    activeDay = null;
+    pendingImport = null;
+    commandHistory.clear();
+    editHistories.clear();
+    unlockedNotes.clear();
+    draftRecoveries = []; // Opened drafts hold text in the clear; they are offered again after unlocking
+    hideDraftRecovery(elements.draftRecovery);
+    resolveConflict();
+    hideImportSummary(elements.importSummary);
+    answerPassphrase(null);
+    syncSearchIndex();
+    showInEditor(null, { focus: false });
+    renderApp();
+    showLockScreen(elements.lockScreen, [elements.appHeader, elements.appMain], message);
+  }
+
+  // Decrypt the notes with the passphrase typed on the lock screen
+  async function unlockApp() {
+    elements.unlockBtn.disabled = true;
+    showFormError(elements.lockScreen, '');
+    const unlocked = await unlockNotes(elements.unlockPassphrase.value);
+    elements.unlockBtn.disabled = false;
+
+    if (!unlocked) {
+      showFormError(elements.lockScreen, 'Wrong passphrase. Try again.');
+      elements.unlockPassphrase.select();
+      return;
+    }
+
+    const data = await loadData();
+    locked = false;
+    hideLockScreen(elements.lockScreen, [elements.appHeader, elements.appMain]);
+    await openNotes(data);
+    elements.noteTitle.focus();
+    showStatus(elements.status, 'Notes unlocked', 'success');
+    offerUpdate();
+  }
+
+  // Restart the countdown to auto-lock, which only runs while encrypted notes are open
+  function resetIdleTimer() {
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    if (locked || autoLockMinutes === 0 || getEncryptionState() !== 'unlocked') return;
+
+    idleTimer = setTimeout(() => {
+      lockApp(`Locked after ${autoLockMinutes} ${autoLockMinutes === 1 ? 'minute' : 'minutes'} without activity. Enter your passphrase to continue.`);
+    }, autoLockMinutes * 60000);
+  }
+
+  // Ask for the passphrase of a backup; resolves to it, or to null when cancelled
+  function askPassphrase(title, { repeat = false } = {}) {
+    answerPassphrase(null);
+    showPassphrasePrompt(elements.passphrasePrompt, title, { repeat });
+    return new Promise(resolve => {
+      passphraseRequest = { resolve, repeat };
+    });
+  }
+
+  // Close the passphrase prompt with an answer
+  function answerPassphrase(passphrase) {
+    const request = passphraseRequest;
+    passphraseRequest = null;
+    hidePassphrasePrompt(elements.passphrasePrompt);
+    request?.resolve(passphrase);
+  }
+
+  // Check a new passphrase and its repetition, explaining any problem
+  function passphraseProblem(passphrase, repeated) {
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      return `Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`;
+    }
+    return passphrase === repeated ? null : 'The passphrases do not match';
+  }
+
+  // Turn on encryption, or change the passphrase of encrypted notes
+  async function submitEncryptionForm() {
+    const state = getEncryptionState();
+    const problem = passphraseProblem(elements.newPassphrase.value, elements.repeatPassphrase.value);
+    if (problem) {
+      showStatus(elements.status, problem, 'error');
+      elements.newPassphrase.focus();
+      return;
+    }
+
+    // Storage must hold every note before it is rewritten
+    if (hasUnsavedChanges() && !hasPendingConflict) {
+      saveCurrentNote();
+    }
+    await persistNotes();
+
+    const done = state === 'off'
+      ? await enableEncryption(elements.newPassphrase.value)
+      : await changePassphrase(elements.currentPassphrase.value, elements.newPassphrase.value);
+    elements.encryptionForm.reset();
+    if (done) rewriteDrafts();
+    renderApp();
+    resetIdleTimer();
+
+    if (state === 'off') {
+      showStatus(elements.status, done
+        ? 'Notes encrypted. Keep your passphrase safe: it cannot be recovered'
+        : 'Could not encrypt the notes', done ? 'success' : 'error');
+    } else {
+      showStatus(elements.status, done
+        ? 'Passphrase changed'
+        : 'Passphrase not changed: check the current passphrase', done ? 'success' : 'error');
+    }
+  }
+
+  // Store the notes unencrypted again
+  async function turnOffEncryption() {
+    if (!elements.currentPassphrase.value) {
+      showStatus(elements.status, 'Enter the current passphrase to turn off encryption', 'error');
+      elements.currentPassphrase.focus();
+      return;
+    }
+
+    if (hasUnsavedChanges() && !hasPendingConflict) {
+      saveCurrentNote();
+    }
+    await persistNotes();
+
+    const done = await disableEncryption(elements.currentPassphrase.value);
+    elements.encryptionForm.reset();
+    if (done) rewriteDrafts();
+    renderApp();
+    resetIdleTimer();
+    showStatus(elements.status, done
+      ? 'Notes are no longer encrypted'
+      : 'Encryption not turned off: check the current passphrase', done ? 'success' : 'error');
+  }
+
+  // Persist notes and remember them as the last synced state. A failed save
+  // leaves the changes in memory and opens the recovery dialog.
+  async function persistNotes() {
+    const snapshot = [...notes];
+    const saved = await saveNotes(snapshot, notebooks);
+    // A save still running when the notes locked must not bring their decrypted copy back
+    if (saved && !locked) {
+      syncedNotes = snapshot;
+    }
+    reportSave(saved);
+    return saved;
+  }
+
+  // Tell the user when saving starts failing, and when it works again
+  function reportSave(saved) {
+    // Locked notes are never written, so nothing is at risk
+    if (!saved && getSaveError() !== 'locked') {
+      saveFailed = true;
+      showSaveFailure(elements.saveFailure, getSaveError() === 'quota'
+        ? 'Storage is full, so your latest changes are only kept in this tab. Download a backup, free some space, then try again.'
+        : 'Your latest changes could not be saved and are only kept in this tab. Download a backup, then try again.', {
+        trashCount: getTrashedNotes(notes).length,
+        canMove: storageBackend === 'localStorage' && Boolean(globalThis.indexedDB)
+      });
+      showStatus(elements.status, getSaveError() === 'quota'
+        ? 'Not saved: storage is full'
+        : 'Not saved: storage refused the changes', 'error', 8000);
+    } else if (saved && saveFailed) {
+      saveFailed = false;
+      hideSaveFailure(elements.saveFailure);
+      showStatus(elements.status, 'All changes saved', 'success');
+    }
+    updateStorageUsage();
+  }
+
+  // Refresh the usage meter, warning once each time usage climbs past a threshold
+  async function updateStorageUsage() {
+    const usage = await getStorageUsage();
+    renderStorageUsage(elements.storageMeter, elements.storageText, usage, storageWarnings);
+
+    const percent = usagePercent(usage);
+    const level = warningLevel(percent, storageWarnings);
+    if (level > warnedLevel && !saveFailed) {
+      showStatus(elements.status,
+        `Storage is ${percent}% full. Empty the trash or download a backup and remove old notes`, 'error', 8000);
+    }
+    warnedLevel = level;
+  }
+
+  // Save failure dialog: ways to keep the changes or make room for them
+  async function downloadUnsavedBackup() {
+    const today = formatISODate(new Date());
+    downloadFile(`pure-notes-${today}-unsaved.json`, await exportNotes({ data: { notes, notebooks } }));
+    showStatus(elements.status, 'Backup downloaded, including the unsaved changes', 'success');
+  }
+
+  function emptyTrash() {
+    const purge = purgeTrash(notes, { retentionDays: 0 });
+    if (purge.purged.length === 0) return;
+
+    const before = notes;
+    notes = purge.notes;
+    commandHistory.record(`Empty trash (${purge.purged.length} ${purge.purged.length === 1 ? 'note' : 'notes'})`, before, notes);
+    renderApp();
+    persistNotes();
+  }
+
+  async function moveStorage() {
+    elements.moveStorageBtn.disabled = true;
+    const moved = await moveToIndexedDB();
+    elements.moveStorageBtn.disabled = false;
+    if (!moved) {
+      showStatus(elements.status, 'Could not move the notes: IndexedDB is not available', 'error');
+      return;
+    }
+
+    storageBackend = 'indexedDB';
+    if (await persistNotes()) {
+      showStatus(elements.status, 'Notes moved to IndexedDB and saved', 'success');
+    }
+  }
+
+  // A new version of the app was downloaded: switch to it when the user is ready
+  function offerUpdate() {
+    if (!waitingUpdate || locked) return; // Offered again once unlocked
+    const worker = waitingUpdate;
+    showStatus(elements.status, 'A new version of Pure Notes is available', 'info', UPDATE_DURATION, {
+      label: 'Reload',
+      onClick: async () => {
+        // The reload must not take unsaved changes with it
+        if (!locked && hasUnsavedChanges() && !hasPendingConflict) {
+          saveCurrentNote();
+          await persistNotes();
+        }
+        applyUpdate(worker);
+      }
+    });
+  }
+
+  // Key of the open note in the draft journal
+  function draftKey() {
+    return currentNote ? currentNote.id : NEW_NOTE_DRAFT;
+  }
+
+  // Journal what the editor holds that storage does not, so a crash cannot take it.
+  // Locked notes get no draft, and drafts of encrypted notes are encrypted too.
+  async function journalDraft() {
+    const key = draftKey();
+    const sequence = ++draftSequence;
+    if (locked || isLockedNote(currentNote) || !hasUnsavedChanges()) {
+      clearDraft(key);
+      return;
+    }
+
+    const fields = {
+      title: elements.noteTitle.value,
+      content: elements.noteBody.value,
+      tags: parseTagInput(elements.noteTags.value)
+    };
+    const draft = {
+      savedAt: new Date().toISOString(),
+      base: currentNote ? currentNote.updatedAt : null,
+      notebookId: currentNote ? null : newNoteNotebookId
+    };
+    if (getEncryptionState() === 'off') {
+      saveDraft(key, { ...draft, ...fields });
+      return;
+    }
+
+    const sealed = await sealDraft(fields);
+    if (sealed && sequence === draftSequence) {
+      saveDraft(key, { ...draft, sealed });
+    }
+  }
+
+  // Drafts were sealed with the old key, or are in the clear: keep only the open one, written anew
+  function rewriteDrafts() {
+    clearDrafts();
+    journalDraft();
+  }
+
+  // Look for drafts an earlier session left unsaved, and offer them one at a time
+  async function offerDrafts() {
+    const opened = {};
+    for (const [key, draft] of Object.entries(loadDrafts())) {
+      const { sealed, ...fields } = draft.sealed ? { ...draft, ...(await openDraft(draft.sealed)) } : draft;
+      if (isDraft(fields)) {
+        opened[key] = fields;
+      } else {
+        clearDraft(key); // Sealed with a passphrase that is gone
+      }
+    }
+
+    const { orphaned, stale } = findOrphanedDrafts(opened, notes);
+    stale.forEach(key => clearDraft(key));
+    draftRecoveries = orphaned;
+    showNextDraft();
+  }
+
+  // The note a draft belongs to, unless it was deleted since
+  function draftNote(recovery) {
+    return recovery.note && !isTrashed(recovery.note) ? recovery.note : null;
+  }
+
+  function showNextDraft() {
+    const recovery = draftRecoveries[0];
+    if (!recovery) {
+      const hadFocus = elements.draftRecovery.contains(document.activeElement);
+      hideDraftRecovery(elements.draftRecovery);
+      if (hadFocus) elements.noteTitle.focus();
+      return;
+    }
+
+    const { key, draft } = recovery;
+    const note = draftNote(recovery);
+    const when = formatDate(draft.savedAt).toLowerCase();
+    let message;
+    if (note) {
+      message = `Changes to ${noteLabel(note)} from ${when} were never saved.`;
+      if (draft.base && draft.base !== note.updatedAt) {
+        message += ' The note was saved again since, so restoring replaces that newer version.';
+      }
+    } else if (key === NEW_NOTE_DRAFT) {
+      message = `A new note from ${when} was never saved.`;
+    } else {
+      message = `Changes to ${noteLabel(draft)} from ${when} were never saved, and the note was deleted since. Restoring makes it a new note.`;
+    }
+
+    showDraftRecovery(elements.draftRecovery, message, {
+      saved: note ? { title: note.title, tags: note.tags || [] } : null,
+      draft: { title: draft.title.trim(), tags: collectTags(draft.tags, draft.content.trim()) },
+      diff: diffLines(note ? note.content : '', draft.content.trim())
+    });
+  }
+
+  // Put the offered draft back in the editor and save it
+  function restoreDraft() {
+    const recovery = draftRecoveries.shift();
+    if (!recovery) return;
+
+    const { key, draft } = recovery;
+    const note = draftNote(recovery);
+    resolveConflict();
+    currentNote = note;
+    showInEditor(note, { focus: false });
+    if (!note && notebooks.some(notebook => notebook.id === draft.notebookId)) {
+      newNoteNotebookId = draft.notebookId;
+    }
+    renderNoteInEditor(draft, elements.noteTitle, elements.noteBody, { focus: false, tagsInput: elements.noteTags });
+    editHistories.get(note ? note.id : '').record(editorState());
+
+    clearDraft(key, { savedBy: draft.savedAt }); // A deleted note's draft now belongs to the new note
+    if (hasUnsavedChanges()) saveCurrentNote();
+    if (hasUnsavedChanges()) journalDraft(); // Not saved, as when the draft empties the note
+    renderApp();
+    showNextDraft();
+  }
+
+  function discardDraft() {
+    const recovery = draftRecoveries.shift();
+    if (!recovery) return;
+
+    // A draft written since, by typing in this session, stays
+    clearDraft(recovery.key, { savedBy: recovery.draft.savedAt });
+    showStatus(elements.status, 'Unsaved changes discarded', 'info');
+    showNextDraft();
+  }
+
+  // Index the notes outside the trash, which are the only searchable ones
+  function syncSearchIndex() {
+    searchIndex.sync(notes.filter(note => !isTrashed(note)));
+  }
+
+  // Quote a note's title for status messages and undo labels
+  function noteLabel(note) {
+    return `"${note.title || 'Untitled'}"`;
+  }
+
+  // Tell whether a note is locked, and if so whether its password was given this session
+  function lockState(note) {
+    if (!isLockedNote(note)) return 'none';
+    return unlockedNotes.get(note.id)?.data === note.lock.data ? 'unlocked' : 'locked';
+  }
+
+  // The note as the editor shows it: an unlocked note with its decrypted content
+  function editorNote(note) {
+    return lockState(note) === 'unlocked' ? { ...note, content: unlockedNotes.get(note.id).content } : note;
+  }
+
+  // Show the unlock panel or the content of the open note, and the lock buttons to match
+  function renderNoteLockState(note = currentNote) {
+    renderNoteLock(elements.noteLockPanel, {
+      title: elements.noteTitle,
+      tags: elements.noteTags,
+      panes: elements.editorPanes,
+      lockButton: elements.lockNoteBtn,
+      removeButton: elements.removeLockBtn
+    }, lockState(note));
+  }
+
+  // Current contents of the editor fields, with the caret of the focused one
+  function editorState() {
+    const fields = [elements.noteTitle, elements.noteTags, elements.noteBody];
+    const focused = fields.find(field => field === document.activeElement) || elements.noteBody;
+    return {
+      title: elements.noteTitle.value,
+      tags: elements.noteTags.value,
+      body: elements.noteBody.value,
+      field: focused.id,
+      selectionStart: focused.selectionStart,
+      selectionEnd: focused.selectionEnd
+    };
+  }
+
+  // Show a note in the editor and keep its editing history in step
+  function showInEditor(note, { focus = true } = {}) {
+    const state = lockState(note);
+    renderNoteInEditor(editorNote(note), elements.noteTitle, elements.noteBody,
+      { focus: focus && state !== 'locked', tagsInput: elements.noteTags });
+    renderNoteLockState(note);
+    if (focus && state === 'locked') elements.notePassword.focus();
+    closeLinkCompletion();
+    if (!note) newNoteNotebookId = currentNotebookId;
+
+    const key = note ? note.id : '';
+    const history = editHistories.get(key);
+    if (!note || !history) {
+      editHistories.set(key, createEditHistory(editorState()));
+    } else {
+      history.record(editorState()); // Changed by an undo, a restore or another tab
+    }
+  }
+
+  // Step through the open note's editing history
+  function stepEditor(direction) {
+    const history = editHistories.get(currentNote ? currentNote.id : '');
+    const state = history && history[direction]();
+    if (!state) return;
+
+    elements.noteTitle.value = state.title;
+    elements.noteTags.value = state.tags;
+    elements.noteBody.value = state.body;
+
+    const field = document.getElementById(state.field);
+    field.focus();
+    field.setSelectionRange(state.selectionStart, state.selectionEnd);
+
+    journalDraft();
+    renderApp();
+    autoSave();
+  }
+
+  // Undo or redo the latest note operation and say what it was
+  function stepCommand(direction) {
+    // Pending edits count as the latest operation
+    if (hasUnsavedChanges() && !hasPendingConflict) {
+      saveCurrentNote();
+    }
+
+    const result = commandHistory[direction](notes, notebooks);
+    if (!result) {
+      showStatus(elements.status, `Nothing to ${direction}`, 'info');
+      return;
+    }
+    if (result.conflict) {
+      showStatus(elements.status, `Cannot ${direction} ${result.label}: the notes or notebooks changed since`, 'error');
+      return;
+    }
+
+    notes = result.notes;
+    if (result.notebooks) adoptNotebooks(result.notebooks);
+    syncSearchIndex();
+    persistNotes();
+    resolveConflict();
+
+    // Open the note the operation was about, or keep the open one up to date
+    const isLive = note => note && !isTrashed(note);
+    const touched = result.ids.length === 1 ? notes.find(n => n.id === result.ids[0]) : null;
+    const latest = isLive(touched) ? touched
+      : notes.find(n => n.id === currentNote?.id && isLive(n)) || null;
+    if (latest !== currentNote) {
+      currentNote = latest;
+      showInEditor(latest, { focus: false });
+    }
+
+    renderApp();
+    refreshUnlockedNote();
+    showStatus(elements.status, `${direction === 'undo' ? 'Undone' : 'Redone'}: ${result.label}`, 'info');
+  }
+
+  // Merge notes saved by another tab into this one
+  function handleExternalChange(remoteNotes, remoteNotebooks, { locked: remoteLocked = false } = {}) {
+    // Another tab turned on encryption or changed the passphrase
+    if (remoteLocked) {
+      if (!locked) lockApp('Your notes were locked from another tab. Enter your passphrase to continue.');
+      return;
+    }
+
+    // Another tab turned off encryption while this one was locked
+    if (locked) {
+      locked = false;
+      hideLockScreen(elements.lockScreen, [elements.appHeader, elements.appMain]);
+      openNotes({ notes: remoteNotes, notebooks: remoteNotebooks });
+      return;
+    }
+
+    const merge = mergeNotes(notes, remoteNotes, syncedNotes);
+    notes = merge.notes;
+    syncedNotes = remoteNotes;
+    syncSearchIndex();
+    // Notebook changes are saved at once, so the other tab's list is the latest
+    adoptNotebooks(remoteNotebooks);
+
+    // This tab holds changes the other tab did not have yet
+    if (merge.unsynced.length > 0) {
+      persistNotes();
+    }
+
+    syncEditor(merge);
+    renderApp();
+    refreshUnlockedNote();
+  }
+
+  // Bring the open note in line with changes from another tab
+  function syncEditor(merge) {
+    if (!currentNote) return;
+
+    // A note moved to the trash elsewhere closes like a deleted one
+    const latest = notes.find(n => n.id === currentNote.id && !isTrashed(n)) || null;
+    const changedElsewhere = merge.updated.includes(currentNote.id) ||
+      merge.removed.includes(currentNote.id);
+
+    if (!changedElsewhere) {
+      currentNote = latest;
+      return;
+    }
+
+    if (!hasUnsavedChanges()) {
+      currentNote = latest;
+      showInEditor(currentNote, { focus: false });
+      showStatus(elements.status, latest ? 'Note updated in another tab' : 'Note deleted in another tab', 'info');
+      return;
+    }
+
+    // Unsaved edits would be lost either way: let the user choose.
+    // Saving from here keeps the editor text on top of the other version.
+    currentNote = latest;
+    hasPendingConflict = true;
+    showConflictPrompt(elements.conflictPrompt, latest
+      ? 'This note was changed in another tab while you were editing it.'
+      : 'This note was deleted in another tab while you were editing it.');
+  }
+
+  // Close the conflict prompt once the user has made a choice
+  function resolveConflict() {
+    hasPendingConflict = false;
+    hideConflictPrompt(elements.conflictPrompt);
+  }
+  
+  // Render the entire app
+  function renderApp() {
+    // Group the typed query so its OR cannot swallow the day filter
+    const sidebarFilter = activeDay ? `(created:${activeDay} OR updated:${activeDay})` : '';
+    const query = searchQuery && sidebarFilter ? `(${searchQuery}) ${sidebarFilter}` : searchQuery || sidebarFilter;
+    const liveNotes = notes.filter(note => !isTrashed(note));
+    const trashedNotes = getTrashedNotes(notes);
+
+    // Notes of the current notebook and those inside it, unless searching all notebooks
+    const scopedNotes = searchQuery && searchAllNotebooks
+      ? liveNotes
+      : notesInNotebook(liveNotes, notebooks, currentNotebookId);
+
+    if (showingTrash) {
+      renderTrashList(elements.noteList, trashedNotes, trashRetentionDays);
+    } else {
+      // Tags may hold query syntax such as ) or ", so the tag filter is not part of the query
+      const taggedNotes = activeTag ? filterByTag(scopedNotes, activeTag) : scopedNotes;
+      const filteredNotes = filterNotes(taggedNotes, query);
+      renderNotesList(elements.noteList, filteredNotes, currentNote?.id, {
+        terms: searchQuery ? getQueryTerms(parseQuery(searchQuery)) : [],
+        view: listView,
+        keepOrder: Boolean(searchQuery), // Search results are already ranked
+        searching: Boolean(query || activeTag),
+        suggestion: searchQuery && filteredNotes.length === 0 ? searchIndex.suggest(searchQuery) : null
+      });
+    }
+    renderTagList(elements.tagList, showingTrash ? [] : countTags(scopedNotes), activeTag);
+    renderCalendar(elements.calendarGrid, elements.calendarTitle, calendarMonth, {
+      activity: getDayActivity(scopedNotes, calendarMonth),
+      selectedDay: activeDay,
+      today: formatISODate(new Date()),
+      focusDay: calendarFocusDay
+    });
+    renderNotebookTree(elements.notebookTree, notebooks, {
+      selectedId: currentNotebookId,
+      collapsed: collapsedNotebooks,
+      counts: new Map(notebooks.map(nb => [nb.id, notesInNotebook(liveNotes, notebooks, nb.id).length])),
+      total: liveNotes.length
+    });
+    renderNotebookSelect(elements.noteNotebook, notebooks,
+      currentNote ? currentNote.notebookId ?? null : newNoteNotebookId);
+    elements.renameNotebookBtn.disabled = !currentNotebookId;
+    elements.deleteNotebookBtn.disabled = !currentNotebookId;
+    renderTrashButton(elements.trashBtn, trashedNotes.length, showingTrash);
+    elements.trashOptions.hidden = !showingTrash;
+    renderListControls({
+      sort: elements.sortMode,
+      direction: elements.sortDirection,
+      group: elements.groupMode
+    }, listView, showingTrash);
+
+    // Update button states
+    elements.deleteBtn.disabled = !currentNote;
+    elements.historyBtn.disabled = !currentNote || isLockedNote(currentNote);
+    renderNoteFlags(elements.pinBtn, elements.favoriteBtn, currentNote, elements.templateBtn);
+    elements.templateBtn.disabled = !currentNote || isLockedNote(currentNote);
+    elements.lockNoteBtn.disabled = !currentNote;
+    renderNoteLockState();
+    renderTemplatePicker(elements.templatePicker, getTemplates(notes));
+    renderTemplatePicker(elements.dailyTemplate, getTemplates(notes), dailyTemplateId);
+    elements.saveBtn.disabled = !hasUnsavedChanges();
+
+    if (editorView !== 'edit') {
+      renderMarkdownPreview(elements.notePreview, elements.noteBody.value,
+        title => Boolean(findNoteByTitle(liveNotes, title)));
+    }
+
+    renderHistory();
+    showBacklinks();
+    renderGraphView();
+
+    elements.securityBtn.setAttribute('aria-expanded', String(!elements.securityPanel.hidden));
+    renderEncryptionPanel(elements.securityPanel, getEncryptionState(), autoLockMinutes);
+  }
+
+  // Draw the note graph while it is open, laying it out again only when something in it changed
+  function renderGraphView() {
+    elements.graphBtn.setAttribute('aria-expanded', String(showingGraph));
+    elements.graphPanel.hidden = !showingGraph;
+    elements.graphDepth.disabled = !currentNote;
+    if (!showingGraph) {
+      renderedGraph = null;
+      return;
+    }
+
+    const currentId = currentNote?.id ?? null;
+    if (renderedGraph?.notes === notes && renderedGraph.currentId === currentId &&
+      renderedGraph.filters === graphFilters) return;
+    renderedGraph = { notes, currentId, filters: graphFilters };
+
+    // Without an open note there is nothing to count steps from
+    const centerId = graphFilters.depth === 'all' ? null : currentId;
+    const graph = filterGraph(
+      buildGraph(notes.filter(n => !isTrashed(n)), { sharedTags: graphFilters.sharedTags, maxTagNotes: GRAPH_OPTIONS.maxTagNotes }),
+      { hideOrphans: graphFilters.hideOrphans, centerId, depth: centerId ? Number(graphFilters.depth) : Infinity }
+    );
+    renderGraph(elements.graphCanvas, graph,
+      layoutGraph(graph, { width: GRAPH_OPTIONS.width, height: GRAPH_OPTIONS.height }), currentId);
+    renderGraphList(elements.graphList, elements.graphSummary, graph, currentId);
+  }
+
+  // List the notes linking to the open note, searching again only when the notes change
+  function showBacklinks() {
+    if (renderedBacklinks?.notes === notes && renderedBacklinks.note === currentNote) return;
+    renderedBacklinks = { notes, note: currentNote };
+    renderBacklinks(elements.backlinksPanel,
+      currentNote ? getBacklinks(notes.filter(n => !isTrashed(n)), currentNote) : null);
+  }
+
+  // Show the open note's history, comparing the selected versions
+  function renderHistory() {
+    if (!historySelection || !currentNote) {
+      historySelection = null;
+      renderedHistory = null;
+      elements.historyBtn.setAttribute('aria-expanded', 'false');
+      hideHistoryPanel(elements.historyPanel);
+      return;
+    }
+
+    const versions = getVersions(currentNote);
+    const keys = versions.map(version => version.key);
+    // Versions thinned away since they were picked fall back to the latest change
+    const from = keys.includes(historySelection.from) ? historySelection.from : keys[1] || 'current';
+    const to = keys.includes(historySelection.to) ? historySelection.to : 'current';
+    historySelection = { from, to };
+
+    if (renderedHistory?.note === currentNote && renderedHistory.from === from && renderedHistory.to === to) return;
+    renderedHistory = { note: currentNote, from, to };
+
+    const diff = diffLines(
+      versions.find(version => version.key === from).content,
+      versions.find(version => version.key === to).content
+    );
+    renderHistoryPanel(elements.historyPanel, versions, { from, to, diff });
+    elements.historyBtn.setAttribute('aria-expanded', 'true');
+  }
+
+  // Replace the open note with the version picked under Compare
+  function restoreRevision() {
+    if (!currentNote || !historySelection) return;
+
+    // Edits not saved yet become a revision too, so nothing is lost
+    if (hasUnsavedChanges()) saveCurrentNote();
+
+    const version = getVersions(currentNote).find(v => v.key === historySelection.from);
+    if (!version || version.current) return;
+
+    const before = notes;
+    currentNote = updateNoteObject(currentNote, version.title, version.content, version.tags);
+    notes = notes.map(n => n.id === currentNote.id ? currentNote : n);
+    commandHistory.record(`Restore earlier version of ${noteLabel(currentNote)}`, before, notes);
+    searchIndex.add(currentNote);
+    persistNotes();
+
+    showInEditor(currentNote, { focus: false });
+    historySelection = { from: null, to: 'current' }; // Show what the restore changed
+    renderApp();
+    showStatus(elements.status, 'Earlier version restored', 'success');
+  }
+
+  function hasUnsavedChanges() {
+    const title = elements.noteTitle.value.trim();
+    const content = elements.noteBody.value.trim();
+    const tags = parseTagInput(elements.noteTags.value);
+
+    if (!currentNote) {
+      return title || content || tags.length > 0; // New note with content
+    }
+
+    return title !== currentNote.title ||
+      content !== editorNote(currentNote).content ||
+      collectTags(tags, content).join(' ') !== (currentNote.tags || []).join(' ');
+  }
+
+  // Save current note 
+  function saveCurrentNote() {
+    const title = elements.noteTitle.value.trim();
+    const content = elements.noteBody.value.trim();
+    const tags = parseTagInput(elements.noteTags.value);
+
+    if (!title && !content) {
+      showStatus(elements.status, 'Cannot save empty note', 'error');
+      return;
+    }
+
+    if (isLockedNote(currentNote)) {
+      saveLockedNote(title, content, tags);
+      return;
+    }
+
+    const key = draftKey();
+    const savedBy = new Date().toISOString();
+    const before = notes;
+    let label;
+    let relinked = 0;
+    if (currentNote) {
+      // Update existing note
+      const oldTitle = currentNote.title;
+      currentNote = updateNoteObject(currentNote, title, content, tags);
+      notes = notes.map(n => n.id === currentNote.id ? currentNote : n);
+      relinked = relinkRenamedNote(oldTitle, title);
+      label = `Edit ${noteLabel(currentNote)}`;
+    } else {
+      // Create new note, taking over the editing history of the blank editor
+      currentNote = createNoteObject(title, content, tags, newNoteNotebookId);
+      notes = [currentNote, ...notes];
+      editHistories.set(currentNote.id, editHistories.get(''));
+      editHistories.delete('');
+      label = `Create ${noteLabel(currentNote)}`;
+    }
+    searchIndex.add(currentNote);
+    // Autosaves of one note in a row undo together
+    commandHistory.record(label, before, notes, { mergeKey: `edit:${currentNote.id}` });
+
+    resolveConflict();
+    renderApp();
+    const saving = persistNotes();
+    saving.then(saved => {
+      if (saved) clearDraft(key, { savedBy }); // Typing since the save keeps its draft
+    });
+    reportSaved(saving, relinked);
+  }
+
+  // Confirm a note save once storage took it, unless another message came meanwhile
+  function reportSaved(saving, relinked) {
+    showStatus(elements.status, 'Saving…', 'info');
+    saving.then(saved => {
+      if (!saved || elements.status.textContent !== 'Saving…') return;
+      showStatus(elements.status, relinked > 0
+        ? `Note saved; links updated in ${relinked} ${relinked === 1 ? 'note' : 'notes'}`
+        : 'Note saved!', 'success');
+    });
+  }
+
+  // Save the open locked note: title and tags at once, the content once it is encrypted again.
+  // Locked notes keep no revisions, which would hold their text in the clear.
+  function saveLockedNote(title, content, tags) {
+    const session = lockState(currentNote) === 'unlocked' && unlockedNotes.get(currentNote.id);
+    if (!session) {
+      showStatus(elements.status, 'Unlock the note to save changes to it', 'error');
+      return;
+    }
+
+    const before = notes;
+    const oldTitle = currentNote.title;
+    const { key } = session;
+    session.content = content;
+    currentNote = {
+      ...currentNote,
+      title,
+      tags: collectTags(tags, content),
+      updatedAt: new Date().toISOString()
+    };
+    notes = notes.map(n => n.id === currentNote.id ? currentNote : n);
+    const relinked = relinkRenamedNote(oldTitle, title);
+    searchIndex.add(currentNote);
+    resolveConflict();
+    renderApp();
+
+    const saved = currentNote;
+    const sealing = sealNoteContent(saved.lock, key, content).then(lock => {
+      // Flags may have changed meanwhile; a newer edit seals its own content
+      const latest = notes.find(n => n.id === saved.id);
+      if (!latest || latest.updatedAt !== saved.updatedAt || !isLockedNote(latest)) return;
+
+      const sealed = { ...latest, lock };
+      notes = notes.map(n => n === latest ? sealed : n);
+      if (currentNote === latest) currentNote = sealed;
+      if (unlockedNotes.get(sealed.id) === session) session.data = lock.data;
+      commandHistory.record(`Edit ${noteLabel(sealed)}`, before, notes, { mergeKey: `edit:${sealed.id}` });
+      reportSaved(persistNotes(), relinked);
+    });
+    const settle = () => pendingSeals.delete(sealing);
+    pendingSeals.add(sealing);
+    sealing.then(settle, settle);
+  }
+
+  // Decrypt the open note again when its sealed content changed under it, by an undo or another tab
+  async function refreshUnlockedNote() {
+    const note = currentNote;
+    const session = note && unlockedNotes.get(note.id);
+    if (!session || !isLockedNote(note) || note.lock.data === session.data) return;
+
+    const content = await readNoteLock(note.lock, session.key);
+    if (currentNote !== note) return;
+    if (content === null) {
+      unlockedNotes.delete(note.id); // Locked with another password elsewhere
+    } else {
+      session.content = content;
+      session.data = note.lock.data;
+    }
+    editHistories.delete(note.id);
+    showInEditor(note, { focus: false });
+    renderApp();
+  }
+
+  // Lock the open note with a new password, or lock it again after unlocking it
+  async function lockCurrentNote() {
+    if (!currentNote) return;
+
+    if (hasUnsavedChanges() && !hasPendingConflict) {
+      saveCurrentNote();
+    }
+
+    if (lockState(currentNote) === 'unlocked') {
+      unlockedNotes.delete(currentNote.id);
+      editHistories.delete(currentNote.id); // Its states hold the content in the clear
+      showInEditor(currentNote);
+      renderApp();
+      showStatus(elements.status, 'Note locked again', 'success');
+      return;
+    }
+
+    const note = currentNote;
+    const password = await askPassphrase(`Password for ${noteLabel(note)}`, { repeat: true });
+    if (!password) {
+      elements.lockNoteBtn.focus();
+      return;
+    }
+
+    const { lock } = await createNoteLock(note.content, password);
+    const latest = notes.find(n => n.id === note.id);
+    if (!latest || latest.updatedAt !== note.updatedAt || isLockedNote(latest)) {
+      showStatus(elements.status, `${noteLabel(note)} changed while it was being locked; nothing was locked`, 'error');
+      return;
+    }
+
+    editHistories.delete(note.id);
+    clearDraft(note.id);
+    applyNoteFlags(notes.map(n => n === latest ? lockNote(latest, lock) : n),
+      `Lock ${noteLabel(latest)}`, 'Note locked. Keep the password safe: it cannot be recovered');
+
+    // The editor still holds the text in the clear
+    if (currentNote?.id === note.id) {
+      showInEditor(currentNote);
+      renderApp();
+    }
+  }
+
+  // Open the locked note with the password typed in the unlock panel, for this session
+  async function unlockCurrentNote() {
+    const note = currentNote;
+    if (lockState(note) !== 'locked') return;
+
+    elements.unlockNoteBtn.disabled = true;
+    showFormError(elements.noteLockPanel, '');
+    const opened = await openNoteLock(note.lock, elements.notePassword.value);
+    elements.unlockNoteBtn.disabled = false;
+    if (currentNote?.id !== note.id || currentNote.lock?.data !== note.lock.data) return;
+
+    if (!opened) {
+      showFormError(elements.noteLockPanel, 'Wrong password. Try again.');
+      elements.notePassword.select();
+      return;
+    }
+
+    unlockedNotes.set(note.id, { key: opened.key, content: opened.content, data: note.lock.data });
+    editHistories.delete(note.id);
+    showInEditor(currentNote);
+    renderApp();
+    showStatus(elements.status, 'Note unlocked until you lock it again or close the tab', 'success');
+  }
+
+  // Store the open note's content unencrypted again
+  function removeCurrentLock() {
+    if (lockState(currentNote) !== 'unlocked') return;
+
+    if (hasUnsavedChanges() && !hasPendingConflict) {
+      saveCurrentNote();
+    }
+
+    const note = currentNote;
+    const { content } = unlockedNotes.get(note.id);
+    unlockedNotes.delete(note.id);
+    applyNoteFlags(notes.map(n => n.id === note.id ? removeNoteLock(n, content) : n),
+      `Remove lock from ${noteLabel(note)}`, 'Lock removed');
+    elements.lockNoteBtn.focus();
+  }
+
+  // Point links to the open note at its new title. Links are left alone while
+  // another note still has the old title, or already has the new one.
+  function relinkRenamedNote(oldTitle, newTitle) {
+    if (!oldTitle || !newTitle || normalizeTitle(oldTitle) === normalizeTitle(newTitle)) return 0;
+
+    const others = notes.filter(n => n.id !== currentNote.id && !isTrashed(n));
+    if (findNoteByTitle(others, oldTitle) || findNoteByTitle(others, newTitle)) return 0;
+
+    let count = 0;
+    notes = notes.map(note => {
+      const content = note.id === currentNote.id ? note.content : renameLinks(note.content, oldTitle, newTitle);
+      if (content === note.content) return note;
+
+      count++;
+      const updated = updateNoteObject(note, note.title, content);
+      if (!isTrashed(updated)) searchIndex.add(updated);
+      return updated;
+    });
+    return count;
+  }
+
+  // Open a note reached through a link, saving the edits of the note left behind
+  function openLinkedNote(note) {
+    if (hasUnsavedChanges() && !hasPendingConflict) {
+      saveCurrentNote();
+    }
+
+    resolveConflict();
+    currentNote = note;
+    showInEditor(note);
+    renderApp();
+    showStatus(elements.status, `Opened ${noteLabel(note)}`, 'info');
+  }
+
+  // Follow a wiki link, offering to create the note when none has the title
+  function followLink(title) {
+    const target = findNoteByTitle(notes.filter(n => !isTrashed(n)), title);
+    if (target) {
+      openLinkedNote(target);
+      return;
+    }
+
+    showStatus(elements.status, `No note called "${title}" yet`, 'info', UNDO_DURATION, {
+      label: 'Create it',
+      onClick: () => createLinkedNote(title)
+    });
+  }
+
+  // Create the note a link points to, in the notebook of the note linking to it
+  function createLinkedNote(title) {
+    if (hasUnsavedChanges() && !hasPendingConflict) {
+      saveCurrentNote();
+    }
+
+    const existing = findNoteByTitle(notes.filter(n => !isTrashed(n)), title);
+    if (existing) {
+      openLinkedNote(existing);
+      return;
+    }
+
+    const note = createNoteObject(title, '', [], currentNote ? currentNote.notebookId ?? null : newNoteNotebookId);
+    const before = notes;
+    notes = [note, ...notes];
+    commandHistory.record(`Create ${noteLabel(note)}`, before, notes);
+    searchIndex.add(note);
+    persistNotes();
+
+    resolveConflict();
+    currentNote = note;
+    showInEditor(note);
+    renderApp();
+    showStatus(elements.status, `Created ${noteLabel(note)}`, 'success');
+  }
+
+  // Suggest titles while a [[link]] is typed before the caret
+  function updateLinkCompletion() {
+    const body = elements.noteBody;
+    const query = body.selectionStart === body.selectionEnd ? linkQueryAt(body.value, body.selectionStart) : null;
+    const titles = query
+      ? suggestTitles(notes.filter(n => !isTrashed(n)), query.query, { excludeId: currentNote?.id })
+      : [];
+
+    if (titles.length === 0) {
+      closeLinkCompletion();
+      return;
+    }
+
+    linkCompletion = { start: query.start, titles, index: 0 };
+    renderLinkSuggestions(elements.linkSuggestions, body, titles, 0);
+  }
+
+  function closeLinkCompletion() {
+    if (!linkCompletion) return;
+    linkCompletion = null;
+    hideLinkSuggestions(elements.linkSuggestions, elements.noteBody);
+  }
+
+  // Finish the link being typed with a suggested title
+  function acceptLinkCompletion(index) {
+    const body = elements.noteBody;
+    const result = completeLink(body.value, linkCompletion.start, body.selectionStart, linkCompletion.titles[index]);
+    closeLinkCompletion();
+
+    body.value = result.content;
+    body.focus();
+    body.setSelectionRange(result.caret, result.caret);
+    handleEditorInput({ target: body, inputType: 'insertReplacementText' });
+  }
+
+  // Move the current note to the trash, offering an undo instead of a confirm()
+  function deleteCurrentNote() {
+    if (!currentNote) return;
+
+    // Unsaved edits go to the trash with the note, so undo brings them back
+    const note = hasUnsavedChanges()
+      ? updateNoteObject(currentNote, elements.noteTitle.value, elements.noteBody.value, parseTagInput(elements.noteTags.value))
+      : currentNote;
+    const trashed = trashNote(note);
+
+    const before = notes.map(n => n.id === note.id ? note : n);
+    notes = notes.map(n => n.id === trashed.id ? trashed : n);
+    commandHistory.record(`Delete ${noteLabel(note)}`, before, notes);
+    searchIndex.remove(trashed.id);
+    persistNotes();
+    resolveConflict();
+
+    // Clear editor and reset current note
+    currentNote = null;
+    showInEditor(null);
+    renderApp();
+
+    showStatus(elements.status, 'Note moved to trash', 'success', UNDO_DURATION, {
+      label: 'Undo',
+      onClick: () => restoreFromTrash(trashed.id, { reopen: true })
+    });
+  }
+
+  // Bring a note back from the trash
+  function restoreFromTrash(noteId, { reopen = false } = {}) {
+    const note = notes.find(n => n.id === noteId);
+    if (!note || !isTrashed(note)) return;
+
+    const restored = restoreNote(note);
+    const before = notes;
+    notes = notes.map(n => n.id === noteId ? restored : n);
+    commandHistory.record(`Restore ${noteLabel(note)}`, before, notes);
+    searchIndex.add(restored);
+    persistNotes();
+
+    // Undo puts the note back in the editor unless something else is being written
+    if (reopen && !hasUnsavedChanges()) {
+      currentNote = restored;
+      showInEditor(restored);
+    }
+
+    renderApp();
+    showStatus(elements.status, 'Note restored', 'success');
+  }
+
+  // Remove a trashed note for good
+  function purgeFromTrash(noteId) {
+    const before = notes;
+    const note = notes.find(n => n.id === noteId);
+    if (!note) return;
+
+    notes = notes.filter(n => n.id !== noteId);
+    commandHistory.record(`Delete forever ${noteLabel(note)}`, before, notes);
+    persistNotes();
+    renderApp();
+    showStatus(elements.status, 'Note deleted forever', 'success');
+  }
+
+  // Replace the notes with a version where only flags or pin order changed
+  function applyNoteFlags(nextNotes, label, message) {
+    if (nextNotes === notes) return;
+
+    commandHistory.record(label, notes, nextNotes);
+    notes = nextNotes;
+    currentNote = currentNote && notes.find(n => n.id === currentNote.id);
+    syncSearchIndex(); // is:pinned and is:favorite read the flags
+    persistNotes();
+    renderApp();
+    showStatus(elements.status, message, 'success');
+  }
+
+  // Pin or unpin the open note
+  function togglePinned() {
+    if (!currentNote) return;
+    const pinned = !currentNote.pinned;
+    applyNoteFlags(setPinned(notes, currentNote.id, pinned),
+      `${pinned ? 'Pin' : 'Unpin'} ${noteLabel(currentNote)}`,
+      pinned ? 'Note pinned' : 'Note unpinned');
+  }
+
+  // Mark or unmark the open note as a favorite
+  function toggleFavorite() {
+    if (!currentNote) return;
+    const favorite = !currentNote.favorite;
+    applyNoteFlags(setFavorite(notes, currentNote.id, favorite),
+      `${favorite ? 'Favorite' : 'Unfavorite'} ${noteLabel(currentNote)}`,
+      favorite ? 'Added to favorites' : 'Removed from favorites');
+  }
+
+  // Offer the open note as a template for new notes, or stop offering it
+  function toggleTemplate() {
+    if (!currentNote) return;
+    const template = !currentNote.template;
+    applyNoteFlags(setTemplate(notes, currentNote.id, template),
+      `${template ? 'Make template' : 'Stop template'} ${noteLabel(currentNote)}`,
+      template ? 'Note is now a template' : 'Note is no longer a template');
+  }
+
+  // Move a pinned note within the pinned section, keeping focus on it
+  function movePinnedNote(noteId, toIndex) {
+    // Positions are those on screen, which leave out trashed notes and other notebooks
+    const shown = [...elements.noteList.querySelectorAll('.note-item.pinned')].map(li => li.dataset.noteId);
+    const position = Math.max(0, Math.min(toIndex, shown.length - 1));
+    const liveNotes = notes.filter(n => !isTrashed(n));
+    const moved = movePinned(liveNotes, noteId,
+      orderNotes(liveNotes).pinned.findIndex(n => n.id === shown[position]));
+    if (moved === liveNotes) return;
+
+    const movedById = new Map(moved.map(n => [n.id, n]));
+    const nextNotes = notes.map(n => movedById.get(n.id) || n);
+    const note = movedById.get(noteId);
+    applyNoteFlags(nextNotes, `Move ${noteLabel(note)}`, `Moved to position ${position + 1} of ${shown.length}`);
+    [...elements.noteList.querySelectorAll('.note-item')].find(li => li.dataset.noteId === noteId)?.focus();
+  }
+
+  // Name a notebook for status messages
+  function notebookLabel(notebookId) {
+    return notebookId ? `"${notebookPath(notebooks, notebookId)}"` : 'no notebook';
+  }
+
+  // Take notebooks loaded from storage, letting go of a current notebook that is gone
+  function adoptNotebooks(nextNotebooks) {
+    notebooks = normalizeNotebooks(nextNotebooks);
+    if (currentNotebookId && !notebooks.some(nb => nb.id === currentNotebookId)) {
+      currentNotebookId = null;
+    }
+  }
+
+  // Show the notes of a notebook, or all notes for null
+  function selectNotebook(notebookId) {
+    currentNotebookId = notebookId;
+    if (!currentNote) newNoteNotebookId = notebookId;
+    renderApp();
+    showStatus(elements.status,
+      notebookId ? `Showing notebook ${notebookLabel(notebookId)}` : 'Showing all notes', 'info');
+  }
+
+  // Save a change to the notebooks and say what it was
+  function commitNotebooks(nextNotebooks, message) {
+    notebooks = nextNotebooks;
+    persistNotes();
+    renderApp();
+    showStatus(elements.status, message, 'success');
+  }
+
+  // Collapse or expand a notebook in the tree, remembered in the settings
+  function toggleNotebook(notebookId) {
+    if (collapsedNotebooks.has(notebookId)) {
+      collapsedNotebooks.delete(notebookId);
+    } else {
+      collapsedNotebooks.add(notebookId);
+    }
+    saveSettings({ collapsedNotebooks: [...collapsedNotebooks] });
+    renderApp();
+  }
+
+  // Open the name form to create a notebook inside the current one, or rename it
+  function openNotebookForm(mode) {
+    const notebook = notebooks.find(nb => nb.id === currentNotebookId);
+    if (mode === 'rename' && !notebook) return;
+
+    notebookFormMode = mode;
+    showNotebookForm(elements.notebookForm,
+      mode === 'rename' ? `Rename ${notebookLabel(notebook.id)}` : notebook ? `New notebook in ${notebookLabel(notebook.id)}` : 'New notebook',
+      mode === 'rename' ? notebook.name : '');
+  }
+
+  function closeNotebookForm() {
+    notebookFormMode = null;
+    hideNotebookForm(elements.notebookForm);
+  }
+
+  // Create or rename a notebook with the name typed in the form
+  function submitNotebookForm() {
+    const name = elements.notebookName.value.trim();
+    if (!name) {
+      showStatus(elements.status, 'Notebook name cannot be empty', 'error');
+      return;
+    }
+
+    const mode = notebookFormMode;
+    closeNotebookForm();
+
+    if (mode === 'rename') {
+      commitNotebooks(renameNotebook(notebooks, currentNotebookId, name), 'Notebook renamed');
+    } else {
+      const notebook = createNotebook(name, currentNotebookId);
+      collapsedNotebooks.delete(currentNotebookId); // Show the new notebook in its parent
+      currentNotebookId = notebook.id;
+      if (!currentNote) newNoteNotebookId = notebook.id;
+      const next = [...notebooks, notebook];
+      commitNotebooks(next, `Notebook "${notebookPath(next, notebook.id)}" created`);
+    }
+    elements.notebookTree.querySelector('[aria-selected="true"]')?.focus();
+  }
+
+  // Delete the current notebook; its notes and notebooks move up a level, so nothing is lost
+  function deleteCurrentNotebook() {
+    const notebook = notebooks.find(nb => nb.id === currentNotebookId);
+    if (!notebook) return;
+
+    const label = notebookLabel(notebook.id);
+    const parentId = notebook.parentId ?? null;
+    const parentLabel = notebookLabel(parentId);
+    const result = deleteNotebook(notebooks, notes, notebook.id);
+
+    notes = result.notes;
+    currentNote = currentNote && notes.find(n => n.id === currentNote.id);
+    currentNotebookId = parentId;
+    if (!currentNote) newNoteNotebookId = parentId;
+    commitNotebooks(result.notebooks, result.moved.length > 0
+      ? `Notebook ${label} deleted; ${result.moved.length} ${result.moved.length === 1 ? 'note' : 'notes'} moved to ${parentLabel}`
+      : `Notebook ${label} deleted`);
+    elements.notebookTree.querySelector('[aria-selected="true"]')?.focus();
+  }
+
+  // Move a notebook into another one, or to the top level for null
+  function moveNotebookTo(notebookId, parentId) {
+    const notebook = notebooks.find(nb => nb.id === notebookId);
+    if (!notebook || (notebook.parentId ?? null) === parentId) return;
+
+    const next = moveNotebook(notebooks, notebookId, parentId);
+    if (next === notebooks) {
+      showStatus(elements.status, 'A notebook cannot move into itself or a notebook inside it', 'error');
+      return;
+    }
+
+    collapsedNotebooks.delete(parentId);
+    const moved = next.find(nb => nb.id === notebookId);
+    commitNotebooks(next, parentId
+      ? `Moved "${moved.name}" into ${notebookLabel(parentId)}`
+      : `Moved "${moved.name}" to the top level`);
+    [...elements.notebookTree.querySelectorAll('.notebook-item')]
+      .find(li => li.dataset.notebookId === notebookId)?.focus();
+  }
+
+  // Put a note into a notebook, or take it out of notebooks for null
+  function moveNoteToNotebook(noteId, notebookId) {
+    const note = notes.find(n => n.id === noteId);
+    if (!note || (note.notebookId ?? null) === notebookId) return;
+
+    const nextNotes = moveNotes(notes, [noteId], notebookId);
+    commandHistory.record(`Move ${noteLabel(note)} to ${notebookLabel(notebookId)}`, notes, nextNotes);
+    notes = nextNotes;
+    currentNote = currentNote && notes.find(n => n.id === currentNote.id);
+    persistNotes();
+    renderApp();
+    showStatus(elements.status, `Moved ${noteLabel(note)} to ${notebookLabel(notebookId)}`, 'success');
+  }
+
+  // Open a note picked from the notes list or the graph
+  function selectNote(noteId) {
+    const note = notes.find(n => n.id === noteId);
+    if (!note) return;
+
+    resolveConflict();
+    currentNote = note;
+    showInEditor(note);
+    renderApp();
+  }
+
+  // Create new note, blank or from a template
+  function createNewNote(templateId = '') {
+    resolveConflict();
+    currentNote = null;
+    showInEditor(null);
+
+    const template = getTemplates(notes).find(note => note.id === templateId);
+    if (template) {
+      // The filled-in template is an unsaved new note, like typed text
+      const draft = applyTemplate(template);
+      renderNoteInEditor(draft, elements.noteTitle, elements.noteBody,
+        { tagsInput: elements.noteTags, caret: draft.caret });
+      editHistories.get('').record(editorState());
+      journalDraft();
+      renderApp();
+      autoSave();
+      showStatus(elements.status, `New note from template ${noteLabel(template)}`, 'info');
+      return;
+    }
+
+    renderApp();
+
+    // Focus management
+    elements.noteTitle.focus();
+    
+    showStatus(elements.status, 'Ready to create new note', 'info');
+  }
+
+  // Open today's daily note, creating it from the daily template the first time
+  function openTodaysNote() {
+    if (hasUnsavedChanges() && !hasPendingConflict) {
+      saveCurrentNote();
+    }
+
+    const now = new Date();
+    calendarMonth = formatISODate(now).slice(0, 7);
+    const existing = findDailyNote(notes, formatISODate(now));
+    if (existing) {
+      openLinkedNote(existing);
+      return;
+    }
+
+    const template = getTemplates(notes).find(note => note.id === dailyTemplateId) || null;
+    const draft = dailyNoteDraft(template, now);
+    const note = { ...createNoteObject(draft.title, draft.content, draft.tags, currentNotebookId), daily: draft.daily };
+    const before = notes;
+    notes = [note, ...notes];
+    commandHistory.record(`Create ${noteLabel(note)}`, before, notes);
+    searchIndex.add(note);
+    persistNotes();
+
+    // The editor keeps the template's blank lines around {{cursor}}; saving trims them as usual
+    resolveConflict();
+    currentNote = note;
+    showInEditor(note, { focus: false });
+    renderNoteInEditor(draft, elements.noteTitle, elements.noteBody,
+      { tagsInput: elements.noteTags, caret: draft.caret });
+    editHistories.get(note.id).record(editorState());
+    renderApp();
+    showStatus(elements.status, `Created today's note ${noteLabel(note)}`, 'success');
+  }
+
+  // Show another month in the calendar
+  function showCalendarMonth(month) {
+    calendarMonth = month;
+    calendarFocusDay = null;
+    renderApp();
+  }
+
+  // Download notes in the selected format
+  async function exportSelected() {
+    const today = formatISODate(new Date());
+
+    switch (elements.exportFormat.value) {
+      case 'md-note':
+        if (!currentNote) {
+          showStatus(elements.status, 'Open a note to export it as Markdown', 'error');
+          return;
+        }
+        if (isLockedNote(currentNote)) {
+          showStatus(elements.status, 'Locked notes are only exported in JSON backups', 'error');
+          return;
+        }
+        downloadFile(markdownFilename(currentNote), noteToMarkdown(currentNote), 'text/markdown');
+        break;
+      case 'md-all': {
+        const usedNames = new Set();
+        const liveNotes = notes.filter(note => !isTrashed(note));
+        const files = liveNotes.filter(note => !isLockedNote(note)).map(note => ({
+          name: markdownFilename(note, usedNames),
+          content: noteToMarkdown(note),
+          date: note.updatedAt
+        }));
+        downloadFile(`pure-notes-${today}.zip`, createZip(files), 'application/zip');
+
+        const lockedCount = liveNotes.length - files.length;
+        if (lockedCount > 0) {
+          showStatus(elements.status, `Notes exported; ${lockedCount} locked ${lockedCount === 1 ? 'note is' : 'notes are'} only in JSON backups`, 'info');
+          return;
+        }
+        break;
+      }
+      case 'json-encrypted': {
+        const passphrase = await askPassphrase('Passphrase for the encrypted backup', { repeat: true });
+        elements.exportBtn.focus();
+        if (!passphrase) return;
+        downloadFile(`pure-notes-${today}-encrypted.json`, await exportNotes({ passphrase }));
+        break;
+      }
+      default:
+        downloadFile(`pure-notes-${today}.json`, await exportNotes());
+    }
+
+    showStatus(elements.status, 'Notes exported', 'success');
+  }
+
+  // Read a JSON backup or Markdown files and import them using the selected mode
+  async function importFromFiles(files) {
+    const isMarkdown = file => /\.(md|markdown)$/i.test(file.name);
+    const mode = elements.importMode.value;
+    const markdown = files.every(isMarkdown);
+    let text;
+
+    if (!markdown && files.length > 1) {
+      showStatus(elements.status, 'Import one JSON backup or any number of Markdown files', 'error');
+      return;
+    }
+
+    try {
+      if (markdown) {
+        // Markdown notes go through the same pipeline as a JSON backup
+        const imported = await Promise.all(files.map(async file =>
+          createNoteFromMarkdown(await file.text(), file.name)
+        ));
+        text = JSON.stringify(imported);
+      } else {
+        text = await files[0].text();
+      }
+    } catch (error) {
+      console.error('Failed to read import files:', error);
+      showStatus(elements.status, 'Import failed: the files could not be read', 'error');
+      return;
+    }
+
+    if (!markdown && isEncryptedBackup(text)) {
+      const passphrase = await askPassphrase('Passphrase of the encrypted backup');
+      elements.importBtn.focus();
+      if (!passphrase) return;
+      text = await decryptBackup(text, passphrase);
+      if (!text) {
+        showStatus(elements.status, 'Import failed: wrong passphrase for this backup', 'error');
+        return;
+      }
+    }
+
+    if (elements.importPreview.checked) {
+      const plan = await previewImport(text, { mode, data: { notes, notebooks } });
+      if (!plan) {
+        showStatus(elements.status, 'Import failed: not a valid notes backup', 'error');
+        return;
+      }
+      pendingImport = { text, mode };
+      renderImportSummary(elements.importSummary, plan, mode);
+      elements.applyImportBtn.focus();
+      return;
+    }
+
+    await applyImport(text, mode);
+  }
+
+  // Commit an import to storage and reload the notes from it. A merge starts from the
+  // notes in memory, which may hold changes storage refused or has not received yet.
+  async function applyImport(text, mode) {
+    const data = { notes, notebooks };
+    const plan = await previewImport(text, { mode, data });
+    if (!plan) {
+      showStatus(elements.status, 'Import failed: not a valid notes backup', 'error');
+      return;
+    }
+    if (!(await importNotes(text, { mode, data }))) {
+      showStatus(elements.status, getSaveError() === 'quota'
+        ? 'Import failed: storage is full'
+        : 'Import failed: the notes could not be saved', 'error');
+      return;
+    }
+    reportSave(true); // Changes storage refused earlier were saved with the import
+
+    const before = notes;
+    const notebooksBefore = notebooks;
+    const imported = await loadData();
+    notes = imported.notes;
+    adoptNotebooks(imported.notebooks);
+    syncedNotes = [...notes];
+    syncSearchIndex();
+    const counts = `${plan.added.length} added, ${plan.updated.length} updated`
+      + (plan.removed.length > 0 ? `, ${plan.removed.length} removed` : '');
+    // Undo puts back the notebooks too, so restored notes never point at missing ones
+    commandHistory.record(`Import (${counts})`, before, notes, {
+      notebooks: { before: notebooksBefore, after: notebooks }
+    });
+
+    // The open note may have been replaced, removed or trashed by the import
+    if (currentNote) {
+      const latest = notes.find(n => n.id === currentNote.id && !isTrashed(n)) || null;
+      if (latest !== currentNote && !hasUnsavedChanges()) {
+        showInEditor(latest, { focus: false });
+      }
+      currentNote = latest;
+    }
+
+    renderApp();
+    showStatus(elements.status,
+      `Imported: ${counts}, ${plan.skipped.length} skipped`, 'success');
+  }
+
+  // Close the dry-run summary without importing
+  function cancelImport() {
+    pendingImport = null;
+    hideImportSummary(elements.importSummary);
+    elements.importBtn.focus();
+  }
+
+  // Debounced auto-save
+  const autoSave = debounce(() => {
+    // Never overwrite another tab's edit without the user's say
+    if (hasUnsavedChanges() && !hasPendingConflict) {
+      saveCurrentNote();
+    }
+  }, 2000);
+
+  elements.newNoteBtn.addEventListener('click', () => createNewNote(elements.templatePicker.value));
+
+  elements.saveBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    saveCurrentNote();
+  });
+
+  elements.deleteBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    deleteCurrentNote();
+  });
+
+  // Note selection from list, and restore or delete forever in the trash
+  elements.noteList.addEventListener('click', (e) => {
+    const action = e.target.closest('[data-action]');
+    if (action) {
+      if (action.dataset.action === 'restore') {
+        restoreFromTrash(action.dataset.noteId);
+      } else if (action.dataset.action === 'purge') {
+        purgeFromTrash(action.dataset.noteId);
+      }
+      elements.noteList.focus(); // The clicked item is gone
+      return;
+    }
+
+    // "Did you mean" suggestion in the empty search results
+    const suggestion = e.target.closest('[data-suggestion]');
+    if (suggestion) {
+      elements.searchInput.value = suggestion.dataset.suggestion;
+      runSearch(suggestion.dataset.suggestion);
+      elements.searchInput.focus();
+      return;
+    }
+
+    const notePreview = e.target.closest('.note-preview');
+    if (notePreview) {
+      selectNote(notePreview.dataset.noteId);
+    }
+  });
+
+  // Export/import
+  elements.exportBtn.addEventListener('click', exportSelected);
+
+  elements.importBtn.addEventListener('click', () => {
+    elements.importFile.click();
+  });
+
+  elements.importFile.addEventListener('change', () => {
+    const files = [...elements.importFile.files];
+    // Reset so picking the same file again still fires change
+    elements.importFile.value = '';
+    if (files.length > 0) {
+      importFromFiles(files);
+    }
+  });
+
+  elements.applyImportBtn.addEventListener('click', async () => {
+    const previewed = pendingImport;
+    cancelImport();
+    if (previewed) {
+      await applyImport(previewed.text, previewed.mode);
+    }
+  });
+
+  elements.cancelImportBtn.addEventListener('click', cancelImport);
+
+  // Conflict prompt actions
+  elements.keepMineBtn.addEventListener('click', () => {
+    saveCurrentNote();
+  });
+
+  elements.loadTheirsBtn.addEventListener('click', () => {
+    resolveConflict();
+    showInEditor(currentNote);
+    renderApp();
+    showStatus(elements.status, currentNote ? 'Loaded version from other tab' : 'Note closed', 'info');
+  });
+
+  // Revision history panel
+  elements.historyBtn.addEventListener('click', () => {
+    if (historySelection) {
+      historySelection = null;
+      renderApp();
+      return;
+    }
+
+    historySelection = { from: null, to: 'current' };
+    renderApp();
+    elements.historyFrom.focus();
+  });
+
+  elements.historyFrom.addEventListener('change', () => {
+    historySelection = { ...historySelection, from: elements.historyFrom.value };
+    renderApp();
+  });
+
+  elements.historyTo.addEventListener('change', () => {
+    historySelection = { ...historySelection, to: elements.historyTo.value };
+    renderApp();
+  });
+
+  elements.restoreRevisionBtn.addEventListener('click', restoreRevision);
+
+  // Pin and favorite toggles
+  elements.pinBtn.addEventListener('click', togglePinned);
+  elements.favoriteBtn.addEventListener('click', toggleFavorite);
+  elements.templateBtn.addEventListener('click', toggleTemplate);
+
+  // Pinned section reordering: Alt+Up/Down or drag and drop
+  elements.noteList.addEventListener('keydown', (e) => {
+    const item = e.target.closest('.note-item.pinned');
+    if (!item || !e.altKey || item !== e.target) return;
+
+    const items = [...elements.noteList.querySelectorAll('.note-item.pinned')];
+    const offset = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+    if (!offset) return;
+
+    e.preventDefault();
+    movePinnedNote(item.dataset.noteId, items.indexOf(item) + offset);
+  });
+
+  // Any note can be dragged onto a notebook; pinned notes also within their section
+  elements.noteList.addEventListener('dragstart', (e) => {
+    const item = e.target.closest('.note-item');
+    if (!item) return;
 
-  return notes.filter(note =>
-    note.title && note.title.toLowerCase().includes(searchTerm) ||
-    note.content && note.content.toLowerCase().includes(searchTerm)
-  );
-}
+    draggedNoteId = item.dataset.noteId;
+    item.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggedNoteId);
+  });
 
-/**
- * Create new note object
- * @param {string} title - Note title
- * @param {string} content - Note content
- * @returns {Object} - New note object
- */
-function createNoteObject(title = '', content = '') {
-  const now = new Date().toISOString();
+  const isDraggingPinned = () => Boolean(draggedNoteId && notes.find(n => n.id === draggedNoteId)?.pinned);
 
-  return {
-    id: `note_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-    title: title.trim(),
-    content: content.trim(),
-    createdAt: now,
-    updatedAt: now
-  };
-}
+  elements.noteList.addEventListener('dragover', (e) => {
+    const item = e.target.closest('.note-item.pinned');
+    if (!item || !isDraggingPinned()) return;
 
-/**
- * Update existing note object
- * @param {Object} note - Existing note 
- * @param {string} title - New title
- * @param {string} content - New content
- * @returns {Object} - Updated note object
- */
-function updateNoteObject(note, title, content) {
-  return {
-    ...note,
-    title: title.trim(),
-    content: content.trim(),
-    updatedAt: new Date().toISOString()
-  };
-}
+    e.preventDefault(); // Allow the drop
+    elements.noteList.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+    item.classList.add('drop-target');
+  });
 
-document.addEventListener('DOMContentLoaded', () => {
-  console.log('App ready - Pure Notes');
+  elements.noteList.addEventListener('drop', (e) => {
+    const item = e.target.closest('.note-item.pinned');
+    if (!item || !isDraggingPinned()) return;
 
-  // Get DOM elements with error checking
-  const elements = {
-    newNoteBtn: document.getElementById('newNote'),
-    noteTitle: document.getElementById('noteTitle'),
-    noteBody: document.getElementById('noteBody'),
-    noteList: document.getElementById('noteList'),
-    editorForm: document.getElementById('editorForm'),
-    saveBtn: document.getElementById('saveBtn'),
-    deleteBtn: document.getElementById('deleteBtn'),
-    searchInput: document.getElementById('searchInput'),
-    status: document.getElementById('status'),
-  }
+    e.preventDefault();
+    const items = [...elements.noteList.querySelectorAll('.note-item.pinned')];
+    movePinnedNote(draggedNoteId, items.indexOf(item));
+  });
 
-  // Initialize app
-  function init() {
-    notes = loadNotes();
-    renderApp();
-    showStatus(elements.status, 'App ready!', 'success');
+  // Drops on the tree or the list end the same way
+  function endDrag() {
+    draggedNoteId = null;
+    draggedNotebookId = null;
+    document.querySelectorAll('.dragging, .drop-target').forEach(el => {
+      el.classList.remove('dragging', 'drop-target');
+    });
   }
-  
-  // Render the entire app
-  function renderApp() {
-    const filteredNotes = filterNotes(notes, searchQuery);
-    renderNotesList(elements.noteList, filteredNotes, currentNote?.id);
 
-    // Update button states
-    elements.deleteBtn.disabled = !currentNote;
-    elements.saveBtn.disabled = !hasUnsavedChanges();
-  }
+  elements.noteList.addEventListener('dragend', endDrag);
 
-  function hasUnsavedChanges() {
-    const title = elements.noteTitle.value.trim();
-    const content = elements.noteBody.value.trim();
+  // Notebook tree: pick a notebook, open or close it
+  elements.notebookTree.addEventListener('click', (e) => {
+    const item = e.target.closest('.notebook-item');
+    if (!item) return;
 
-    if (!currentNote) {
-      return title || content; // New note with content
+    if (e.target.closest('[data-action="toggle"]')) {
+      toggleNotebook(item.dataset.notebookId);
+    } else {
+      selectNotebook(item.dataset.notebookId || null);
+    }
+  });
+
+  // Alt+Right moves a notebook into the one above it, Alt+Left out one level
+  elements.notebookTree.addEventListener('keydown', (e) => {
+    const item = e.target.closest('.notebook-item');
+    if (!item || item !== e.target || !e.altKey || !item.dataset.notebookId) return;
+
+    const notebook = notebooks.find(nb => nb.id === item.dataset.notebookId);
+    if (e.key === 'ArrowRight') {
+      e.preventDefault();
+      const above = item.previousElementSibling?.dataset.notebookId;
+      if (above) moveNotebookTo(notebook.id, above);
+    } else if (e.key === 'ArrowLeft' && notebook.parentId) {
+      e.preventDefault();
+      const parent = notebooks.find(nb => nb.id === notebook.parentId);
+      moveNotebookTo(notebook.id, parent?.parentId ?? null);
     }
+  });
 
-    return title !== currentNote.title || content !== currentNote.content;
-  }
+  elements.notebookTree.addEventListener('dragstart', (e) => {
+    const item = e.target.closest('.notebook-item');
+    if (!item || !item.dataset.notebookId) return;
 
-  // Save current note 
-  function saveCurrentNote() {
-    const title = elements.noteTitle.value.trim();
-    const content = elements.noteBody.value.trim();
+    e.stopPropagation(); // Nested items would each start the drag
+    draggedNotebookId = item.dataset.notebookId;
+    item.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggedNotebookId);
+  });
 
-    if (!title && !content) {
-      showStatus(elements.status, 'Cannot save empty note', 'error');
-      return;
+  elements.notebookTree.addEventListener('dragover', (e) => {
+    const item = e.target.closest('.notebook-item');
+    if (!item || (!draggedNoteId && !draggedNotebookId)) return;
+
+    e.preventDefault(); // Allow the drop
+    elements.notebookTree.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+    item.classList.add('drop-target');
+  });
+
+  elements.notebookTree.addEventListener('drop', (e) => {
+    const item = e.target.closest('.notebook-item');
+    if (!item) return;
+
+    e.preventDefault();
+    const target = item.dataset.notebookId || null;
+    if (draggedNoteId) {
+      moveNoteToNotebook(draggedNoteId, target);
+    } else if (draggedNotebookId) {
+      moveNotebookTo(draggedNotebookId, target);
     }
+    endDrag();
+  });
+
+  elements.notebookTree.addEventListener('dragend', endDrag);
+
+  // Notebook actions and the name form
+  elements.newNotebookBtn.addEventListener('click', () => openNotebookForm('create'));
+  elements.renameNotebookBtn.addEventListener('click', () => openNotebookForm('rename'));
+  elements.deleteNotebookBtn.addEventListener('click', deleteCurrentNotebook);
+
+  elements.notebookForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitNotebookForm();
+  });
+
+  elements.cancelNotebookBtn.addEventListener('click', () => {
+    closeNotebookForm();
+    elements.newNotebookBtn.focus();
+  });
 
+  elements.notebookForm.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation(); // Escape elsewhere starts a new note
+    closeNotebookForm();
+    elements.newNotebookBtn.focus();
+  });
+
+  // The editor's notebook menu moves the open note, or picks where a new note goes
+  elements.noteNotebook.addEventListener('change', () => {
+    const notebookId = elements.noteNotebook.value || null;
     if (currentNote) {
-      // Update existing note
-      currentNote = updateNoteObject(currentNote, title, content);
-      const index = notes.findIndex(n => n.id === currentNote.id);
-      if (index !== -1) {
-        notes[index] = currentNote; // Update existing note
-      } 
+      moveNoteToNotebook(currentNote.id, notebookId);
     } else {
-      // Create new note
-      currentNote = createNoteObject(title, content);
-      notes.unshift(currentNote);
+      newNoteNotebookId = notebookId;
+      renderApp();
     }
+  });
+
+  elements.searchAllNotebooks.addEventListener('change', () => {
+    searchAllNotebooks = elements.searchAllNotebooks.checked;
+    renderApp();
+    showStatus(elements.status, searchAllNotebooks ? 'Searching all notebooks' : 'Searching the current notebook', 'info');
+  });
+
+  elements.closeHistoryBtn.addEventListener('click', () => {
+    historySelection = null;
+    renderApp();
+    elements.historyBtn.focus();
+  });
+
+  // Escape closes the panel instead of starting a new note
+  elements.historyPanel.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    historySelection = null;
+    renderApp();
+    elements.historyBtn.focus();
+  });
 
-    saveNotes(notes);
+  // Editor view toggle
+  elements.viewToggle.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-view]');
+    if (!button) return;
+
+    editorView = button.dataset.view;
+    setEditorView(elements.editorPanes, elements.viewToggle, editorView);
     renderApp();
-    showStatus(elements.status, 'Note saved!', 'success');
+  });
+
+  // Record editor changes and auto-save on input
+  function handleEditorInput(e) {
+    // A run of typing or deleting in one field is one undo step; pastes and cuts are steps of their own
+    const kind = /^(insertText|deleteContentBackward|deleteContentForward)$/.test(e.inputType)
+      ? `${e.target.id}:${e.inputType}`
+      : null;
+    editHistories.get(currentNote ? currentNote.id : '')?.record(editorState(), { kind });
+
+    if (e.target === elements.noteBody) updateLinkCompletion();
+    journalDraft();
+    renderApp(); // Update save button state
+    autoSave();
   }
 
-  // Delete current note
-  function deleteCurrentNote() {
-    if (!currentNote) return;
+  elements.noteTitle.addEventListener('input', handleEditorInput);
+  elements.noteBody.addEventListener('input', handleEditorInput);
+  elements.noteTags.addEventListener('input', handleEditorInput);
+
+  // Wiki links: pick a suggested title, or follow the link under the caret with Enter
+  elements.noteBody.addEventListener('keydown', (e) => {
+    if (linkCompletion) {
+      const count = linkCompletion.titles.length;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        linkCompletion.index = (linkCompletion.index + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+        renderLinkSuggestions(elements.linkSuggestions, elements.noteBody, linkCompletion.titles, linkCompletion.index);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        acceptLinkCompletion(linkCompletion.index);
+        return;
+      }
+      if (['Escape', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown'].includes(e.key)) {
+        closeLinkCompletion(); // The caret leaves the link being typed
+        if (e.key === 'Escape') e.preventDefault();
+        return;
+      }
+    }
 
-    if (confirm('Are you sure you want to delete this note?')) {
-      notes = notes.filter(n => n.id !== currentNote.id);
-      saveNotes(notes);
+    const body = elements.noteBody;
+    if (e.key === 'Enter' && !e.shiftKey && !e.ctrlKey && !e.metaKey && !e.altKey &&
+      body.selectionStart === body.selectionEnd) {
+      const link = linkAt(body.value, body.selectionStart);
+      if (link) {
+        e.preventDefault();
+        followLink(link.target);
+      }
+    }
+  });
 
-      // Clear editor and reset current note
-      currentNote = null;
-      renderNoteInEditor(null, elements.noteTitle, elements.noteBody);
-      renderApp();
+  // Ctrl+Click (Cmd+Click) on a link in the text follows it
+  elements.noteBody.addEventListener('click', (e) => {
+    if (!e.ctrlKey && !e.metaKey) return;
 
-      showStatus(elements.status, 'Note deleted!', 'success');
+    const link = linkAt(elements.noteBody.value, elements.noteBody.selectionStart);
+    if (link) {
+      e.preventDefault();
+      followLink(link.target);
     }
-  }
+  });
 
-  // Create new note
-  function createNewNote() {
-    currentNote = null;
-    renderNoteInEditor(null, elements.noteTitle, elements.noteBody);
-    renderApp();
+  elements.noteBody.addEventListener('blur', closeLinkCompletion);
 
-    // Focus management
-    elements.noteTitle.focus();
-    
-    showStatus(elements.status, 'Ready to create new note', 'info');
-  }
+  // Keep focus in the text while a suggestion is clicked
+  elements.linkSuggestions.addEventListener('mousedown', (e) => e.preventDefault());
 
-  // Debounced auto-save
-  const autoSave = debounce(() => {
-    if (hasUnsavedChanges()) {
-      saveCurrentNote();
+  elements.linkSuggestions.addEventListener('click', (e) => {
+    const option = e.target.closest('[data-index]');
+    if (option && linkCompletion) {
+      acceptLinkCompletion(Number(option.dataset.index));
     }
-  }, 2000);
+  });
 
-  elements.newNoteBtn.addEventListener('click', createNewNote);
+  elements.notePreview.addEventListener('click', (e) => {
+    const link = e.target.closest('a[data-note-link]');
+    if (!link) return;
 
-  elements.saveBtn.addEventListener('click', (e) => {
     e.preventDefault();
-    saveCurrentNote();
+    followLink(link.dataset.noteLink);
   });
 
-  elements.deleteBtn.addEventListener('click', (e) => {
+  elements.backlinksPanel.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-note-id]');
+    const note = button && notes.find(n => n.id === button.dataset.noteId);
+    if (note) openLinkedNote(note);
+  });
+
+  // Tag filter: clicking the active tag again clears the filter
+  elements.tagList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-tag]');
+    if (!button) return;
+
+    activeTag = activeTag === button.dataset.tag ? null : button.dataset.tag;
+    renderApp();
+    showStatus(elements.status, activeTag ? `Showing notes tagged #${activeTag}` : 'Showing all notes', 'info');
+  });
+
+  // Calendar: choosing a day lists its notes, choosing it again lists all notes
+  elements.calendarGrid.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-day]');
+    if (!button) return;
+
+    activeDay = activeDay === button.dataset.day ? null : button.dataset.day;
+    calendarFocusDay = button.dataset.day;
+    renderApp();
+    const date = new Date(`${button.dataset.day}T00:00:00`)
+      .toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+    showStatus(elements.status, activeDay ? `Showing notes from ${date}` : 'Showing all notes', 'info');
+  });
+
+  // Arrow keys move by day and week, Page Up/Down by month, Home/End to the week's ends
+  elements.calendarGrid.addEventListener('keydown', (e) => {
+    const day = e.target.dataset?.day;
+    if (!day || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    const weekday = (new Date(`${day}T00:00:00`).getDay() + 6) % 7; // Monday is 0
+    const steps = {
+      ArrowLeft: () => addDays(day, -1),
+      ArrowRight: () => addDays(day, 1),
+      ArrowUp: () => addDays(day, -7),
+      ArrowDown: () => addDays(day, 7),
+      Home: () => addDays(day, -weekday),
+      End: () => addDays(day, 6 - weekday),
+      PageUp: () => addMonths(day, -1),
+      PageDown: () => addMonths(day, 1)
+    };
+    if (!steps[e.key]) return;
+
     e.preventDefault();
-    deleteCurrentNote();
+    calendarFocusDay = steps[e.key]();
+    calendarMonth = calendarFocusDay.slice(0, 7);
+    renderApp();
+    elements.calendarGrid.querySelector(`[data-day="${calendarFocusDay}"]`)?.focus();
   });
 
-  // Note selection from list
-  elements.noteList.addEventListener('click', (e) => {
-    const notePreview = e.target.closest('.note-preview');
-    if (notePreview) {
-      const noteId = notePreview.dataset.noteId;
-      const note = notes.find(n => n.id === noteId);
-      if (note) {
-        currentNote = note;
-        renderNoteInEditor(note, elements.noteTitle, elements.noteBody);
-        renderApp();
-      }
+  elements.prevMonthBtn.addEventListener('click', () => showCalendarMonth(addMonths(`${calendarMonth}-01`, -1).slice(0, 7)));
+  elements.nextMonthBtn.addEventListener('click', () => showCalendarMonth(addMonths(`${calendarMonth}-01`, 1).slice(0, 7)));
+  elements.todayBtn.addEventListener('click', openTodaysNote);
+
+  elements.dailyTemplate.addEventListener('change', () => {
+    dailyTemplateId = elements.dailyTemplate.value;
+    if (!saveSettings({ dailyTemplateId })) {
+      showStatus(elements.status, 'Daily template changed, but could not be saved for next time', 'error');
+      return;
     }
+    showStatus(elements.status, dailyTemplateId
+      ? `Daily notes will start from ${noteLabel(notes.find(n => n.id === dailyTemplateId))}`
+      : 'Daily notes will start blank', 'info');
   });
 
-  // Auto-save on input
-  elements.noteTitle.addEventListener('input', () => {
-    renderApp(); // Update save button state
-    autoSave();
+  // Graph view: open and close it, change its filters, open notes from it
+  function closeGraph() {
+    showingGraph = false;
+    renderApp();
+    elements.graphBtn.focus();
+  }
+
+  elements.graphBtn.addEventListener('click', () => {
+    if (showingGraph) {
+      closeGraph();
+      return;
+    }
+
+    showingGraph = true;
+    renderApp();
+    elements.graphSharedTags.focus();
   });
 
-  elements.noteBody.addEventListener('input', () => {
-    renderApp(); // Update save button state
-    autoSave();
+  elements.closeGraphBtn.addEventListener('click', closeGraph);
+
+  // Escape closes the graph instead of starting a new note
+  elements.graphPanel.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    closeGraph();
+  });
+
+  [
+    [elements.graphSharedTags, 'sharedTags', input => input.checked],
+    [elements.graphHideOrphans, 'hideOrphans', input => input.checked],
+    [elements.graphDepth, 'depth', input => input.value]
+  ].forEach(([input, key, read]) => {
+    input.addEventListener('change', () => {
+      graphFilters = { ...graphFilters, [key]: read(input) };
+      renderApp();
+    });
+  });
+
+  // Nodes in the drawing and notes in the list open the same way as in the notes list
+  elements.graphCanvas.addEventListener('click', (e) => {
+    const node = e.target.closest('.graph-node');
+    if (node) selectNote(node.dataset.noteId);
+  });
+
+  elements.graphList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-note-id]');
+    if (button) selectNote(button.dataset.noteId);
+  });
+
+  // Trash toggle: switch the sidebar between live and trashed notes
+  elements.trashBtn.addEventListener('click', () => {
+    showingTrash = !showingTrash;
+    renderApp();
+    showStatus(elements.status, showingTrash ? 'Showing trash' : 'Showing all notes', 'info');
+  });
+
+  elements.trashRetention.addEventListener('change', () => {
+    trashRetentionDays = Number(elements.trashRetention.value);
+    renderApp();
+    if (!saveSettings({ trashRetentionDays })) {
+      showStatus(elements.status, 'Trash period changed, but could not be saved for next time', 'error');
+      return;
+    }
+    showStatus(elements.status, `Deleted notes will be kept for ${elements.trashRetention.selectedOptions[0].textContent.trim()}`, 'info');
+  });
+
+  // List view: sort and group the notes list, remembered across sessions
+  [
+    [elements.sortMode, 'sort'],
+    [elements.sortDirection, 'direction'],
+    [elements.groupMode, 'group']
+  ].forEach(([select, key]) => {
+    select.addEventListener('change', () => {
+      listView = normalizeListView({ ...listView, [key]: select.value });
+      renderApp();
+
+      if (!saveSettings({ listView })) {
+        showStatus(elements.status, 'List order changed, but could not be saved for next time', 'error');
+        return;
+      }
+      const option = select.selectedOptions[0]?.textContent.trim().toLowerCase();
+      const messages = {
+        sort: `Sorted by ${option}`,
+        direction: `Sorted ${option}`,
+        group: listView.group === 'none' ? 'Notes not grouped' : `Notes grouped ${option}`
+      };
+      showStatus(elements.status, messages[key], 'info');
+    });
   });
 
   // Search functionality
-  const debouncedSearch = debounce((query) => {
-    searchQuery = query;
+  // A malformed query keeps the last valid results and explains the problem
+  function runSearch(query) {
+    try {
+      parseQuery(query);
+    } catch (error) {
+      showSearchHint(elements.searchInput, elements.searchHint, error.message);
+      return;
+    }
+
+    hideSearchHint(elements.searchInput, elements.searchHint);
+    searchQuery = query.trim();
     renderApp();
-  }, 300);
+  }
+
+  const debouncedSearch = debounce(runSearch, 300);
 
   elements.searchInput.addEventListener('input', (e) => {
     debouncedSearch(e.target.value);
   });
 
+  // Storage usage and failed saves
+  elements.storageWarnings.addEventListener('change', () => {
+    storageWarnings = normalizeWarnings(elements.storageWarnings.value.split(',').filter(Boolean).map(Number));
+    warnedLevel = 0;
+    if (!saveSettings({ storageWarnings })) {
+      showStatus(elements.status, 'Warning level changed, but could not be saved for next time', 'error');
+    }
+    updateStorageUsage();
+  });
+
+  elements.saveBackupBtn.addEventListener('click', downloadUnsavedBackup);
+  elements.emptyTrashBtn.addEventListener('click', emptyTrash);
+  elements.moveStorageBtn.addEventListener('click', moveStorage);
+  elements.retrySaveBtn.addEventListener('click', persistNotes);
+
+  // Installing as an app, offered only once the browser allows it
+  watchInstallPrompt((prompt) => {
+    installApp = prompt;
+    elements.installBtn.hidden = !prompt;
+  });
+
+  elements.installBtn.addEventListener('click', async () => {
+    const prompt = installApp;
+    if (!prompt) return;
+
+    installApp = null; // The browser shows its prompt only once
+    elements.installBtn.hidden = true;
+    if (await prompt()) {
+      showStatus(elements.status, 'Pure Notes installed', 'success');
+    }
+  });
+
+  // Draft recovery
+  elements.restoreDraftBtn.addEventListener('click', restoreDraft);
+  elements.discardDraftBtn.addEventListener('click', discardDraft);
+
+  // Changes storage refused, or that autosave has not reached yet, would be lost with the tab
+  window.addEventListener('beforeunload', (e) => {
+    if (saveFailed || (!locked && hasUnsavedChanges())) {
+      e.preventDefault();
+      e.returnValue = '';
+    }
+  });
+
+  // Locked notes
+  elements.lockNoteBtn.addEventListener('click', lockCurrentNote);
+  elements.removeLockBtn.addEventListener('click', removeCurrentLock);
+  elements.unlockNoteBtn.addEventListener('click', unlockCurrentNote);
+  elements.notePassword.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault(); // The password sits inside the editor form
+      unlockCurrentNote();
+    }
+  });
+
+  // Lock screen, auto-lock and the encryption panel
+  elements.unlockForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    unlockApp();
+  });
+
+  // Any activity postpones the auto-lock
+  ['keydown', 'pointerdown', 'pointermove', 'wheel'].forEach(type => {
+    document.addEventListener(type, () => {
+      if (idleTimer) resetIdleTimer();
+    }, { passive: true });
+  });
+
+  elements.securityBtn.addEventListener('click', () => {
+    elements.securityPanel.hidden = !elements.securityPanel.hidden;
+    renderApp();
+    if (!elements.securityPanel.hidden) {
+      [...elements.securityPanel.querySelectorAll('input')].find(input => !input.closest('[hidden]'))?.focus();
+    }
+  });
+
+  elements.encryptionForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitEncryptionForm();
+  });
+
+  elements.disableEncryptionBtn.addEventListener('click', turnOffEncryption);
+  elements.lockNowBtn.addEventListener('click', () => lockApp('Notes locked. Enter your passphrase to continue.'));
+
+  elements.autoLock.addEventListener('change', () => {
+    autoLockMinutes = Number(elements.autoLock.value);
+    resetIdleTimer();
+    if (!saveSettings({ autoLockMinutes })) {
+      showStatus(elements.status, 'Auto-lock changed, but could not be saved for next time', 'error');
+      return;
+    }
+    showStatus(elements.status, autoLockMinutes === 0
+      ? 'Notes will not lock by themselves'
+      : `Notes will lock after ${elements.autoLock.selectedOptions[0].textContent.trim()} without activity`, 'info');
+  });
+
+  // Backup passphrase prompt: a new passphrase must be typed twice
+  elements.passphrasePrompt.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const passphrase = elements.backupPassphrase.value;
+    const problem = passphraseRequest?.repeat
+      ? passphraseProblem(passphrase, elements.backupPassphraseRepeat.value)
+      : !passphrase && 'Enter the passphrase';
+    if (problem) {
+      showFormError(elements.passphrasePrompt, problem);
+      elements.backupPassphrase.focus();
+      return;
+    }
+    answerPassphrase(passphrase);
+  });
+
+  elements.cancelPassphraseBtn.addEventListener('click', () => answerPassphrase(null));
+  elements.passphrasePrompt.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      answerPassphrase(null);
+    }
+  });
+
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
+    // Nothing to act on behind the lock screen
+    if (locked) return;
+
     if ((e.ctrlKey || e.metaKey) && e.key === '/') {
       e.preventDefault();
       elements.searchInput.focus();
@@ -261,11 +2720,32 @@ document.addEventListener('DOMContentLoaded', () => {
       createNewNote();
     }
 
+    // Ctrl+Alt+D opens today's note; the code, as Alt changes the key on some layouts
+    if ((e.ctrlKey || e.metaKey) && e.altKey && e.code === 'KeyD') {
+      e.preventDefault();
+      openTodaysNote();
+    }
+
     if ((e.ctrlKey || e.metaKey) && e.key === 's') {
       e.preventDefault();
       saveCurrentNote();
     }
 
+    // Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes: editing steps inside the
+    // note fields, note operations anywhere outside a text field
+    const key = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && (key === 'z' || key === 'y')) {
+      const direction = key === 'y' || e.shiftKey ? 'redo' : 'undo';
+
+      if ([elements.noteTitle, elements.noteTags, elements.noteBody].includes(e.target)) {
+        e.preventDefault();
+        stepEditor(direction);
+      } else if (!e.target.matches('input, textarea, select, [contenteditable]')) {
+        e.preventDefault();
+        stepCommand(direction);
+      }
+    }
+
     // Focus management with F6
     if (e.key === 'F6') {
       e.preventDefault();
@@ -311,6 +2791,11 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
-  // Initialize the app
-  init();
+  // Initialize the app, then look for a newer version, so the ready message cannot hide its prompt
+  init().then(() => registerServiceWorker({
+    onUpdate: (worker) => {
+      waitingUpdate = worker;
+      offerUpdate();
+    }
+  }));
 });
\ No newline at end of file
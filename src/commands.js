@@ -0,0 +1,281 @@
+/**
+ * Undo/redo history for Pure note-taking app
+ * Tracks note operations as commands, and the editor fields per note
+ *
+ * Responsibilities:
+ * - Recording note operations as the versions of each note before and after,
+ *   with the notebook list for operations that also change it, such as an import
+ * - Undoing and redoing them without clobbering notes changed since
+ * - Folding consecutive edits of the same note into one command
+ * - Per-note editor history for the title, tags and body, independent of
+ *   the browser's own undo, which is lost whenever the editor swaps notes
+ *
+ * Dependencies: None (pure factories)
+ */
+
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Check whether two versions of a note are the same
+ * @param {Object|null} a - First version, null for no note
+ * @param {Object|null} b - Second version, null for no note
+ * @returns {boolean} - True if identical or structurally equal
+ */
+function sameVersion(a, b) {
+  if (a === b) return true;
+  if (!a || !b) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Work out which notes an operation changed
+ * @param {Array} before - Notes before the operation
+ * @param {Array} after - Notes after the operation
+ * @returns {Array} - [{ id, before, after, beforeIndex, afterIndex }], null for a missing note
+ */
+function diffNotes(before, after) {
+  const beforeById = new Map(before.map((note, index) => [note.id, { note, index }]));
+  const afterById = new Map(after.map((note, index) => [note.id, { note, index }]));
+  const changes = [];
+
+  new Set([...beforeById.keys(), ...afterById.keys()]).forEach(id => {
+    const old = beforeById.get(id);
+    const current = afterById.get(id);
+    if (sameVersion(old?.note || null, current?.note || null)) return;
+
+    changes.push({
+      id,
+      before: old?.note || null,
+      after: current?.note || null,
+      beforeIndex: old?.index ?? 0,
+      afterIndex: current?.index ?? 0
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Put every note touched by a command into one side's version
+ * Notes that come back are inserted where they used to be.
+ * @param {Array} notes - Current notes
+ * @param {Array} changes - Changes from diffNotes()
+ * @param {string} side - 'before' to undo, 'after' to redo
+ * @returns {Array} - New notes array
+ */
+function applyChanges(notes, changes, side) {
+  const result = [...notes];
+  const indexKey = side === 'before' ? 'beforeIndex' : 'afterIndex';
+
+  [...changes]
+    .sort((a, b) => a[indexKey] - b[indexKey])
+    .forEach(change => {
+      const target = change[side];
+      const position = result.findIndex(note => note.id === change.id);
+
+      if (position !== -1 && target) {
+        result[position] = target;
+      } else if (position !== -1) {
+        result.splice(position, 1);
+      } else if (target) {
+        result.splice(Math.min(change[indexKey], result.length), 0, target);
+      }
+    });
+
+  return result;
+}
+
+/**
+ * Create an undo/redo history of note operations
+ * @param {Object} options - Options
+ * @param {number} options.limit - Most commands kept (default 100)
+ * @param {number} options.mergeWindow - Ms within which commands with the same merge key fold together
+ * @returns {Object} - { record, undo, redo, clear, canUndo, canRedo }
+ */
+export function createCommandHistory({ limit = DEFAULT_LIMIT, mergeWindow = 60000 } = {}) {
+  const undoStack = [];
+  const redoStack = [];
+
+  /**
+   * Move one command from one stack to the other, applying it to the notes
+   * @param {Array} from - Stack to take the command from
+   * @param {Array} to - Stack to push it onto
+   * @param {Array} notes - Current notes
+   * @param {string} side - Version to restore, 'before' or 'after'
+   * @param {Array} notebooks - Current notebooks
+   * @returns {Object|null} - { label, notes, ids, notebooks } or { label, conflict: true }; null if empty
+   */
+  function step(from, to, notes, side, notebooks) {
+    const command = from.pop();
+    if (!command) return null;
+
+    // Notes or notebooks changed since (e.g. in another tab) would be overwritten: drop the command
+    const expected = side === 'before' ? 'after' : 'before';
+    const unchanged = command.changes.every(change =>
+      sameVersion(notes.find(note => note.id === change.id) || null, change[expected])
+    ) && (!command.notebooks || sameVersion(notebooks, command.notebooks[expected]));
+    if (!unchanged) {
+      return { label: command.label, conflict: true };
+    }
+
+    to.push(command);
+    return {
+      label: command.label,
+      notes: applyChanges(notes, command.changes, side),
+      ids: command.changes.map(change => change.id),
+      notebooks: command.notebooks ? command.notebooks[side] : null
+    };
+  }
+
+  return {
+    /**
+     * Record an operation on the notes
+     * @param {string} label - Description for status messages, e.g. 'Delete "Plan"'
+     * @param {Array} before - Notes before the operation
+     * @param {Array} after - Notes after the operation
+     * @param {Object} options - Options
+     * @param {string} options.mergeKey - Commands with the same key recorded in a row fold into the first
+     * @param {number} options.now - Current time in ms (default: Date.now())
+     * @param {Object} options.notebooks - { before, after } notebook lists, for operations that change them too
+     */
+    record(label, before, after, { mergeKey = null, now = Date.now(), notebooks = null } = {}) {
+      const changes = diffNotes(before, after);
+      const notebookChange = notebooks && !sameVersion(notebooks.before, notebooks.after) ? notebooks : null;
+      if (changes.length === 0 && !notebookChange) return;
+
+      redoStack.length = 0;
+      const top = undoStack[undoStack.length - 1];
+
+      if (mergeKey && top?.mergeKey === mergeKey && now - top.time < mergeWindow) {
+        // Keep the first command's before versions, take the new after versions
+        changes.forEach(change => {
+          const existing = top.changes.find(other => other.id === change.id);
+          if (existing) {
+            existing.after = change.after;
+            existing.afterIndex = change.afterIndex;
+          } else {
+            top.changes.push(change);
+          }
+        });
+        if (notebookChange) {
+          top.notebooks = { before: top.notebooks?.before ?? notebookChange.before, after: notebookChange.after };
+        }
+        top.time = now;
+        return;
+      }
+
+      undoStack.push({ label, changes, notebooks: notebookChange, mergeKey, time: now });
+      if (undoStack.length > limit) undoStack.shift();
+    },
+
+    /**
+     * Undo the latest command
+     * @param {Array} notes - Current notes
+     * @param {Array} notebooks - Current notebooks
+     * @returns {Object|null} - { label, notes, ids, notebooks }, { label, conflict: true }, or null if there is
+     *   nothing to undo; `notebooks` is null when the command left them alone
+     */
+    undo(notes, notebooks = []) {
+      return step(undoStack, redoStack, notes, 'before', notebooks);
+    },
+
+    /**
+     * Redo the latest undone command
+     * @param {Array} notes - Current notes
+     * @param {Array} notebooks - Current notebooks
+     * @returns {Object|null} - { label, notes, ids, notebooks }, { label, conflict: true }, or null if there is
+     *   nothing to redo; `notebooks` is null when the command left them alone
+     */
+    redo(notes, notebooks = []) {
+      return step(redoStack, undoStack, notes, 'after', notebooks);
+    },
+
+    /**
+     * Forget every command, e.g. when the notes they hold are locked away
+     */
+    clear() {
+      undoStack.length = 0;
+      redoStack.length = 0;
+    },
+
+    get canUndo() {
+      return undoStack.length > 0;
+    },
+
+    get canRedo() {
+      return redoStack.length > 0;
+    }
+  };
+}
+
+/**
+ * Create an editor history for one note
+ * States are plain objects such as { title, tags, body, field, selectionStart, selectionEnd };
+ * `title`, `tags` and `body` decide whether two states differ.
+ * @param {Object} initial - Editor state when the note was opened
+ * @param {Object} options - Options
+ * @param {number} options.limit - Most states kept (default 100)
+ * @param {number} options.mergeWindow - Ms within which changes of the same kind fold together
+ * @returns {Object} - { current, record, undo, redo }
+ */
+export function createEditHistory(initial, { limit = DEFAULT_LIMIT, mergeWindow = 1000 } = {}) {
+  const states = [initial];
+  let position = 0;
+  let last = { kind: null, time: 0 };
+
+  const sameText = (a, b) => a.title === b.title && a.tags === b.tags && a.body === b.body;
+
+  return {
+    get current() {
+      return states[position];
+    },
+
+    /**
+     * Record the editor after a change
+     * @param {Object} state - Editor state
+     * @param {Object} options - Options
+     * @param {string} options.kind - Kind of change; a run of the same kind, like typing, is one step
+     * @param {number} options.now - Current time in ms (default: Date.now())
+     */
+    record(state, { kind = null, now = Date.now() } = {}) {
+      if (sameText(state, states[position])) return;
+
+      states.splice(position + 1); // A new change drops the redo states
+      const merge = kind && kind === last.kind && now - last.time < mergeWindow && position > 0;
+
+      if (merge) {
+        states[position] = state;
+      } else {
+        states.push(state);
+        position++;
+        if (states.length > limit) {
+          states.shift();
+          position--;
+        }
+      }
+      last = { kind, time: now };
+    },
+
+    /**
+     * Step back one state
+     * @returns {Object|null} - State to show, or null at the oldest state
+     */
+    undo() {
+      if (position === 0) return null;
+      position--;
+      last = { kind: null, time: 0 };
+      return states[position];
+    },
+
+    /**
+     * Step forward one state
+     * @returns {Object|null} - State to show, or null at the newest state
+     */
+    redo() {
+      if (position === states.length - 1) return null;
+      position++;
+      last = { kind: null, time: 0 };
+      return states[position];
+    }
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Daily notes and the calendar for Pure note-taking app
+ * A daily note is an ordinary note with a `daily` day key (2026-10-19); there is
+ * one per day. Days are local, like formatISODate().
+ *
+ * Responsibilities:
+ * - Finding the daily note of a day and drafting a new one, blank or from a template
+ * - Counting the notes created or updated on each day of a month
+ * - Laying out a month in weeks and stepping between days and months
+ *
+ * Dependencies: trash.js (trashed notes are left out), templates.js (placeholders), utils.js (day keys)
+ */
+
+import { isTrashed } from './trash.js';
+import { applyTemplate } from './templates.js';
+import { formatISODate } from './utils.js';
+
+/**
+ * Turn a day key into a local Date
+ * @param {string} day - Day key, e.g. '2026-10-19'
+ * @returns {Date} - Local midnight of that day
+ */
+function toDate(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date);
+}
+
+/**
+ * Find the daily note of a day
+ * Two tabs may each have created one; the newest wins.
+ * @param {Array} notes - Array of note objects
+ * @param {string} day - Day key
+ * @returns {Object|null} - Daily note outside the trash, or null
+ */
+export function findDailyNote(notes, day) {
+  return (notes || [])
+    .filter(note => note.daily === day && !isTrashed(note))
+    .reduce((newest, note) => (!newest || note.updatedAt > newest.updatedAt ? note : newest), null);
+}
+
+/**
+ * Draft the daily note of a day
+ * A template's placeholders are filled in for that moment; without a template, or
+ * when its title comes out empty, the title is the day key.
+ * @param {Object|null} template - Template note, or null for a blank note
+ * @param {Date} now - Moment the note is for (default: now)
+ * @returns {Object} - { title, content, tags, caret, daily }, as applyTemplate() plus the day key
+ */
+export function dailyNoteDraft(template = null, now = new Date()) {
+  const day = formatISODate(now);
+  const draft = template ? applyTemplate(template, now) : { title: '', content: '', tags: [], caret: null };
+  return { ...draft, title: draft.title.trim() || day, daily: day };
+}
+
+/**
+ * Count what happened on each day of a month
+ * A note counts on the day it was created and on the day it was last updated.
+ * @param {Array} notes - Array of note objects
+ * @param {string} month - Month key, e.g. '2026-10'
+ * @returns {Map} - Day key -> { count: notes created or updated, daily: has a daily note }, for active days only
+ */
+export function getDayActivity(notes, month) {
+  const activity = new Map();
+  const dayOf = key => {
+    if (!activity.has(key)) activity.set(key, { count: 0, daily: false });
+    return activity.get(key);
+  };
+
+  (notes || []).forEach(note => {
+    if (isTrashed(note)) return;
+    new Set([formatISODate(note.createdAt), formatISODate(note.updatedAt)]).forEach(key => {
+      if (key.startsWith(`${month}-`)) dayOf(key).count++;
+    });
+    if (typeof note.daily === 'string' && note.daily.startsWith(`${month}-`)) dayOf(note.daily).daily = true;
+  });
+
+  return activity;
+}
+
+/**
+ * Lay out a month as calendar weeks
+ * @param {string} month - Month key, e.g. '2026-10'
+ * @param {number} weekStart - First day of the week, 0 for Sunday to 6 (default: 1, Monday)
+ * @returns {Array} - Weeks of 7 day keys, null where a day belongs to the month before or after
+ */
+export function monthWeeks(month, weekStart = 1) {
+  const first = toDate(`${month}-01`);
+  const length = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+  const cells = Array((first.getDay() - weekStart + 7) % 7).fill(null);
+
+  for (let date = 1; date <= length; date++) {
+    cells.push(`${month}-${String(date).padStart(2, '0')}`);
+  }
+  while (cells.length % 7 !== 0) cells.push(null);
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+  return weeks;
+}
+
+/**
+ * Step a number of days from a day
+ * @param {string} day - Day key
+ * @param {number} days - Days to add, negative to go back
+ * @returns {string} - Day key
+ */
+export function addDays(day, days) {
+  const date = toDate(day);
+  date.setDate(date.getDate() + days);
+  return formatISODate(date);
+}
+
+/**
+ * Step a number of months from a day, keeping the day of the month where it exists
+ * @param {string} day - Day key
+ * @param {number} months - Months to add, negative to go back
+ * @returns {string} - Day key, on the month's last day when it is shorter (Jan 31 + 1 -> Feb 28)
+ */
+export function addMonths(day, months) {
+  const date = toDate(day);
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const length = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(date.getDate(), length));
+  return formatISODate(target);
+}
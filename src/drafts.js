@@ -0,0 +1,134 @@
+/**
+ * Draft journal for Pure note-taking app
+ * Whatever the editor holds that is not saved yet is written to its own
+ * localStorage key on every input, keyed by note id or 'new', so a crash or a
+ * closed tab between two autosaves loses nothing. localStorage is used whatever
+ * the notes' backend, because its writes finish before the next keystroke.
+ *
+ * Responsibilities:
+ * - Loading, writing and clearing drafts
+ * - Finding drafts left behind by a previous session, and which of them still hold changes
+ *
+ * Dependencies: tags.js (tags as a save would collect them)
+ * Note: A draft is { savedAt, base, notebookId } plus either { title, content, tags }
+ * in the clear or `sealed`, the same fields encrypted with the key of encrypted notes.
+ * Never throws; failures are logged and reported through return values
+ */
+
+import { collectTags } from './tags.js';
+
+const DRAFTS_KEY = 'pure-note-taking-app-drafts';
+export const NEW_NOTE_DRAFT = 'new'; // Key of the draft of a note that was never saved
+
+/**
+ * Check that a value looks like a draft
+ * @param {*} draft - Value to check
+ * @returns {boolean} - True if the draft can be restored, once opened if it is sealed
+ */
+export function isDraft(draft) {
+  if (!draft || typeof draft !== 'object' || typeof draft.savedAt !== 'string') return false;
+  if (draft.sealed) return typeof draft.sealed.iv === 'string' && typeof draft.sealed.data === 'string';
+  return typeof draft.title === 'string' &&
+    typeof draft.content === 'string' &&
+    Array.isArray(draft.tags);
+}
+
+/**
+ * Load the draft journal
+ * @returns {Object} - Note id or 'new' -> draft, leaving out unreadable entries
+ */
+export function loadDrafts() {
+  try {
+    const drafts = JSON.parse(localStorage.getItem(DRAFTS_KEY));
+    if (!drafts || typeof drafts !== 'object' || Array.isArray(drafts)) return {};
+    return Object.fromEntries(Object.entries(drafts).filter(([, draft]) => isDraft(draft)));
+  } catch (error) {
+    console.warn('Ignoring unreadable drafts:', error);
+    return {};
+  }
+}
+
+/**
+ * Write the journal back, or remove it once it is empty
+ * @param {Object} drafts - Note id or 'new' -> draft
+ * @returns {boolean} - True if written
+ */
+function writeDrafts(drafts) {
+  try {
+    if (Object.keys(drafts).length === 0) {
+      localStorage.removeItem(DRAFTS_KEY);
+    } else {
+      localStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+    }
+    return true;
+  } catch (error) {
+    console.error('Failed to write drafts:', error);
+    return false;
+  }
+}
+
+/**
+ * Write the draft of one note, replacing its previous draft
+ * @param {string} key - Note id, or NEW_NOTE_DRAFT
+ * @param {Object} draft - Draft to keep
+ * @returns {boolean} - True if written, false if storage refused the write
+ */
+export function saveDraft(key, draft) {
+  return writeDrafts({ ...loadDrafts(), [key]: draft });
+}
+
+/**
+ * Remove the draft of one note
+ * @param {string} key - Note id, or NEW_NOTE_DRAFT
+ * @param {Object} options - Options
+ * @param {string} options.savedBy - Only remove a draft written at or before this ISO time, so
+ *   typing that went on while a save was under way is kept (default: remove any draft)
+ * @returns {boolean} - True if the journal no longer holds a draft that old
+ */
+export function clearDraft(key, { savedBy = null } = {}) {
+  const drafts = loadDrafts();
+  if (!drafts[key] || (savedBy && drafts[key].savedAt > savedBy)) return true;
+
+  delete drafts[key];
+  return writeDrafts(drafts);
+}
+
+/**
+ * Remove every draft
+ * @returns {boolean} - True if the journal is empty
+ */
+export function clearDrafts() {
+  return writeDrafts({});
+}
+
+/**
+ * Sort drafts left behind by an earlier session
+ * A draft still holds changes when its note is gone or differs from it. Drafts
+ * matching their saved note, and drafts of locked notes, whose text must not
+ * stay in the clear, are stale.
+ * @param {Object} drafts - Note id or 'new' -> opened draft, as from loadDrafts() with sealed drafts opened
+ * @param {Array} notes - Array of note objects
+ * @returns {Object} - { orphaned: [{ key, draft, note }] oldest first, note null when it is new or gone; stale: [key] }
+ */
+export function findOrphanedDrafts(drafts, notes) {
+  const orphaned = [];
+  const stale = [];
+
+  Object.entries(drafts || {}).forEach(([key, draft]) => {
+    const note = key === NEW_NOTE_DRAFT ? null : (notes || []).find(n => n.id === key) || null;
+    const unchanged = note &&
+      note.title === draft.title.trim() &&
+      note.content === draft.content.trim() &&
+      (note.tags || []).join(' ') === collectTags(draft.tags, draft.content.trim()).join(' ');
+    const empty = !note && !draft.title.trim() && !draft.content.trim();
+
+    if (note?.lock || unchanged || empty) {
+      stale.push(key);
+    } else {
+      orphaned.push({ key, draft, note });
+    }
+  });
+
+  orphaned.sort((a, b) => a.draft.savedAt.localeCompare(b.draft.savedAt));
+  return { orphaned, stale };
+}
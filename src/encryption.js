@@ -0,0 +1,113 @@
+/**
+ * Encryption helpers for Pure note-taking app
+ * Keys come from a passphrase through PBKDF2 and data is sealed with AES-GCM, both
+ * through WebCrypto. Binary values are Base64 strings so everything stays JSON.
+ *
+ * Responsibilities:
+ * - Fresh key parameters (random salt, iteration count) for a new passphrase
+ * - Deriving the AES-GCM key for a passphrase and its parameters
+ * - Encrypting and decrypting JSON values, with a fresh IV for each
+ *
+ * Dependencies: None (WebCrypto only)
+ * Note: AES-GCM authenticates what it encrypts, so decrypting with the wrong key,
+ * or data that was tampered with, rejects instead of returning garbage
+ */
+
+export const KDF_ITERATIONS = 600000; // PBKDF2-HMAC-SHA256 work factor recommended by OWASP
+const SALT_BYTES = 16;
+const IV_BYTES = 12; // The size AES-GCM is designed for
+
+/**
+ * Encode bytes as Base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64 text
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode Base64 into bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Create key parameters for a new passphrase
+ * @param {Object} options - Options
+ * @param {number} options.iterations - PBKDF2 iterations (default: KDF_ITERATIONS)
+ * @returns {Object} - { kdf: 'PBKDF2', hash: 'SHA-256', iterations, salt } with a random Base64 salt
+ */
+export function createKeyParams({ iterations = KDF_ITERATIONS } = {}) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  return { kdf: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) };
+}
+
+/**
+ * Check that a value looks like key parameters
+ * @param {*} params - Value to check
+ * @returns {boolean} - True if the value can be passed to deriveKey()
+ */
+export function isKeyParams(params) {
+  return Boolean(params) &&
+    params.kdf === 'PBKDF2' &&
+    typeof params.hash === 'string' &&
+    Number.isInteger(params.iterations) &&
+    params.iterations > 0 &&
+    typeof params.salt === 'string';
+}
+
+/**
+ * Derive the encryption key for a passphrase
+ * @param {string} passphrase - Passphrase typed by the user
+ * @param {Object} params - Key parameters from createKeyParams()
+ * @returns {Promise<CryptoKey>} - Non-extractable AES-GCM key
+ */
+export async function deriveKey(passphrase, params) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: params.hash, iterations: params.iterations, salt: fromBase64(params.salt) },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt a JSON value
+ * @param {CryptoKey} key - Key from deriveKey()
+ * @param {*} value - Value to encrypt, anything JSON.stringify() accepts
+ * @returns {Promise<Object>} - { iv, data } as Base64
+ */
+export async function encryptJSON(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypt a JSON value
+ * @param {CryptoKey} key - Key from deriveKey()
+ * @param {Object} payload - { iv, data } from encryptJSON()
+ * @returns {Promise<*>} - The value that was encrypted
+ * @throws {Error} If the key is wrong or the data was changed
+ */
+export async function decryptJSON(key, payload) {
+  const data = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(payload.iv) }, key, fromBase64(payload.data)
+  );
+  return JSON.parse(new TextDecoder().decode(data));
+}
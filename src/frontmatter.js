@@ -0,0 +1,195 @@
+/**
+ * Markdown file conversion for Pure note-taking app
+ * Turns notes into .md files with YAML front matter and back again
+ *
+ * Responsibilities:
+ * - Serializing a note's title, tags and timestamps as YAML front matter
+ * - Parsing front matter written by this app or by other Markdown tools
+ * - Building safe, unique file names for exported notes
+ *
+ * Dependencies: None (pure functions)
+ * Note: Only the flat subset of YAML used by note front matter is supported
+ */
+
+// Front matter keys other tools use for the same fields
+const TITLE_KEYS = ['title', 'name'];
+const CREATED_KEYS = ['createdAt', 'created', 'created_at', 'date'];
+const UPDATED_KEYS = ['updatedAt', 'updated', 'updated_at', 'modified', 'lastmod'];
+
+/**
+ * Convert a note to Markdown with YAML front matter
+ * @param {Object} note - Note object
+ * @returns {string} - Markdown file contents
+ */
+export function noteToMarkdown(note) {
+  const lines = [
+    '---',
+    // JSON strings are valid double-quoted YAML scalars
+    `title: ${JSON.stringify(note.title || '')}`,
+    `createdAt: ${note.createdAt}`,
+    `updatedAt: ${note.updatedAt}`
+  ];
+  if (note.tags?.length) {
+    lines.push(`tags: [${note.tags.map(tag => JSON.stringify(tag)).join(', ')}]`);
+  }
+  lines.push('---', '', note.content || '');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse a single YAML scalar value
+ * @param {string} raw - Raw value text after the colon
+ * @returns {string} - Unquoted value
+ */
+function parseScalar(raw) {
+  const value = raw.trim();
+
+  if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+
+  if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+
+  // Strip trailing comments from plain scalars
+  return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Parse the flat YAML used in front matter
+ * Supports `key: value` pairs plus inline `[a, b]` and block `- a` lists
+ * @param {string} yaml - Front matter text without the --- fences
+ * @returns {Object} - Parsed key/value pairs
+ */
+export function parseFrontMatter(yaml) {
+  const data = {};
+  let listKey = null;
+
+  yaml.split(/\r?\n/).forEach(line => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const listItem = line.match(/^\s*-\s+(.*)$/);
+    if (listItem && listKey) {
+      data[listKey].push(parseScalar(listItem[1]));
+      return;
+    }
+
+    const pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+    if (!pair) {
+      listKey = null; // Nested structures are not supported
+      return;
+    }
+
+    const [, key, raw] = pair;
+    const value = raw.trim();
+
+    if (value === '') {
+      data[key] = [];
+      listKey = key;
+      return;
+    }
+
+    listKey = null;
+    if (value.startsWith('[') && value.endsWith(']')) {
+      data[key] = value.slice(1, -1)
+        .split(',')
+        .map(parseScalar)
+        .filter(item => item !== '');
+    } else {
+      data[key] = parseScalar(value);
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Pick the first valid ISO date among several front matter keys
+ * @param {Object} data - Parsed front matter
+ * @param {Array} keys - Keys to try in order
+ * @returns {string|null} - ISO date string or null
+ */
+function pickDate(data, keys) {
+  for (const key of keys) {
+    const value = data[key];
+    if (typeof value !== 'string' || !value) continue;
+
+    const date = new Date(value);
+    if (!isNaN(date.getTime())) return date.toISOString();
+  }
+  return null;
+}
+
+/**
+ * Parse a Markdown file into the fields of a note
+ * The title comes from front matter, else a leading `# Heading`, else the file name.
+ * @param {string} text - Markdown file contents
+ * @param {string} filename - File name, used as a last-resort title
+ * @returns {Object} - { title, content, tags, createdAt, updatedAt, data } (dates may be null)
+ */
+export function parseMarkdownFile(text, filename = '') {
+  let body = String(text || '').replace(/^\uFEFF/, '');
+  let data = {};
+
+  const frontMatter = body.match(/^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+  if (frontMatter) {
+    data = parseFrontMatter(frontMatter[1]);
+    body = body.slice(frontMatter[0].length);
+  }
+
+  let title = TITLE_KEYS.map(key => data[key]).find(value => typeof value === 'string' && value.trim());
+
+  if (!title) {
+    const heading = body.match(/^\s*#\s+(.+?)\s*#*\s*(?:\r?\n|$)/);
+    if (heading) {
+      title = heading[1];
+      body = body.slice(heading[0].length);
+    }
+  }
+
+  if (!title) {
+    title = filename.replace(/^.*[\\/]/, '').replace(/\.(md|markdown)$/i, '');
+  }
+
+  // Tags may be a YAML list or a single comma separated string
+  const tags = Array.isArray(data.tags) ? data.tags
+    : typeof data.tags === 'string' ? data.tags.split(/[\s,]+/).filter(Boolean)
+    : [];
+
+  return {
+    title: title.trim(),
+    content: body.replace(/^(\r?\n)+/, '').trimEnd(),
+    tags,
+    createdAt: pickDate(data, CREATED_KEYS),
+    updatedAt: pickDate(data, UPDATED_KEYS),
+    data
+  };
+}
+
+/**
+ * Build a file name for a note, unique within the given set
+ * @param {Object} note - Note object
+ * @param {Set} usedNames - Names already taken; the new name is added to it
+ * @returns {string} - File name ending in .md
+ */
+export function markdownFilename(note, usedNames = new Set()) {
+  const base = (note.title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'untitled';
+
+  let name = `${base}.md`;
+  for (let i = 2; usedNames.has(name); i++) {
+    name = `${base}-${i}.md`;
+  }
+  usedNames.add(name);
+  return name;
+}
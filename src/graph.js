@@ -0,0 +1,180 @@
+/**
+ * Note graph for Pure note-taking app
+ * Notes are the nodes; `[[links]]` and shared tags are the edges
+ *
+ * Responsibilities:
+ * - Building the graph of links and shared tags between notes
+ * - Filtering out unconnected notes, or everything beyond some links from one note
+ * - Laying the graph out with a force-directed simulation
+ *
+ * Dependencies: links.js (resolving links), tags.js (tag normalization)
+ */
+
+import { findLinks, normalizeTitle } from './links.js';
+import { uniqueTags } from './tags.js';
+
+/**
+ * Build the graph of a set of notes
+ * Link edges point from the linking note to the linked one. Tag edges join two
+ * notes sharing tags, once per pair, and list those tags.
+ * @param {Array} notes - Array of note objects
+ * @param {Object} options - { sharedTags: add tag edges, maxTagNotes: skip tags on more notes than this }
+ * @returns {Object} - { nodes: [{ id, title }], edges: [{ source, target, kind, tags }] }
+ */
+export function buildGraph(notes, { sharedTags = true, maxTagNotes = Infinity } = {}) {
+  const list = notes || [];
+  const nodes = list.map(note => ({ id: note.id, title: note.title || 'Untitled' }));
+  const edges = [];
+
+  // Links resolve like findNoteByTitle(): the newest note with the title
+  const byTitle = new Map();
+  list.forEach(note => {
+    const title = normalizeTitle(note.title);
+    const existing = byTitle.get(title);
+    if (title && (!existing || note.updatedAt > existing.updatedAt)) byTitle.set(title, note);
+  });
+
+  list.forEach(note => {
+    const targets = new Set();
+    findLinks(note.content).forEach(link => {
+      const target = byTitle.get(normalizeTitle(link.target));
+      if (target && target.id !== note.id) targets.add(target.id);
+    });
+    targets.forEach(target => edges.push({ source: note.id, target, kind: 'link', tags: [] }));
+  });
+
+  if (!sharedTags) return { nodes, edges };
+
+  const byTag = new Map();
+  list.forEach(note => {
+    uniqueTags(note.tags).forEach(tag => {
+      if (!byTag.has(tag)) byTag.set(tag, []);
+      byTag.get(tag).push(note.id);
+    });
+  });
+
+  const pairs = new Map();
+  byTag.forEach((ids, tag) => {
+    if (ids.length > maxTagNotes) return;
+    ids.forEach((source, i) => ids.slice(i + 1).forEach(target => {
+      const key = `${source}\n${target}`;
+      if (!pairs.has(key)) pairs.set(key, { source, target, kind: 'tag', tags: [] });
+      pairs.get(key).tags.push(tag);
+    }));
+  });
+
+  return { nodes, edges: [...edges, ...pairs.values()] };
+}
+
+/**
+ * Keep part of a graph
+ * @param {Object} graph - Graph from buildGraph()
+ * @param {Object} options - { hideOrphans: drop notes without edges, centerId: note to start from,
+ *   depth: how many edges away from centerId to keep, Infinity for all }
+ * @returns {Object} - Graph with the kept nodes and the edges between them
+ */
+export function filterGraph(graph, { hideOrphans = false, centerId = null, depth = Infinity } = {}) {
+  const neighbors = new Map(graph.nodes.map(node => [node.id, new Set()]));
+  graph.edges.forEach(edge => {
+    neighbors.get(edge.source)?.add(edge.target);
+    neighbors.get(edge.target)?.add(edge.source);
+  });
+
+  let kept = new Set(neighbors.keys());
+
+  if (centerId && neighbors.has(centerId) && Number.isFinite(depth)) {
+    kept = new Set([centerId]);
+    let frontier = [centerId];
+    for (let step = 0; step < depth && frontier.length > 0; step++) {
+      const next = [];
+      frontier.forEach(id => neighbors.get(id).forEach(other => {
+        if (!kept.has(other)) {
+          kept.add(other);
+          next.push(other);
+        }
+      }));
+      frontier = next;
+    }
+  }
+
+  if (hideOrphans) {
+    kept = new Set([...kept].filter(id => neighbors.get(id).size > 0 || id === centerId));
+  }
+
+  return {
+    nodes: graph.nodes.filter(node => kept.has(node.id)),
+    edges: graph.edges.filter(edge => kept.has(edge.source) && kept.has(edge.target))
+  };
+}
+
+/**
+ * Lay out a graph with a force-directed simulation (Fruchterman-Reingold)
+ * Nodes push each other apart and edges pull their ends together, with moves
+ * shrinking each round. Nodes start on a circle, so a graph always gets the same layout.
+ * @param {Object} graph - Graph from buildGraph() or filterGraph()
+ * @param {Object} options - { width, height, iterations, margin }
+ * @returns {Map} - Node id -> { x, y } inside the margins
+ */
+export function layoutGraph(graph, { width = 600, height = 400, iterations = 150, margin = 30 } = {}) {
+  const positions = new Map();
+  const count = graph.nodes.length;
+  if (count === 0) return positions;
+
+  const centerX = width / 2;
+  const centerY = height / 2;
+  graph.nodes.forEach((node, i) => {
+    const angle = (2 * Math.PI * i) / count;
+    positions.set(node.id, count === 1
+      ? { x: centerX, y: centerY }
+      : { x: centerX + (width / 3) * Math.cos(angle), y: centerY + (height / 3) * Math.sin(angle) });
+  });
+
+  const ideal = Math.sqrt((width * height) / count); // Distance nodes settle at
+  const points = graph.nodes.map(node => positions.get(node.id));
+  const edges = graph.edges
+    .map(edge => [positions.get(edge.source), positions.get(edge.target)])
+    .filter(([a, b]) => a && b && a !== b);
+  let temperature = width / 10;
+  const cooling = temperature / (iterations + 1);
+
+  for (let round = 0; round < iterations; round++) {
+    const moves = points.map(() => ({ x: 0, y: 0 }));
+    const moveOf = new Map(points.map((point, i) => [point, moves[i]]));
+
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        const dx = points[i].x - points[j].x;
+        const dy = points[i].y - points[j].y;
+        const distance = Math.hypot(dx, dy) || 0.01;
+        const force = (ideal * ideal) / distance;
+        moves[i].x += (dx / distance) * force;
+        moves[i].y += (dy / distance) * force;
+        moves[j].x -= (dx / distance) * force;
+        moves[j].y -= (dy / distance) * force;
+      }
+    }
+
+    edges.forEach(([a, b]) => {
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      const distance = Math.hypot(dx, dy) || 0.01;
+      const force = (distance * distance) / ideal;
+      moveOf.get(a).x -= (dx / distance) * force;
+      moveOf.get(a).y -= (dy / distance) * force;
+      moveOf.get(b).x += (dx / distance) * force;
+      moveOf.get(b).y += (dy / distance) * force;
+    });
+
+    points.forEach((point, i) => {
+      const length = Math.hypot(moves[i].x, moves[i].y);
+      if (length === 0) return;
+      const step = Math.min(length, temperature);
+      point.x = Math.min(width - margin, Math.max(margin, point.x + (moves[i].x / length) * step));
+      point.y = Math.min(height - margin, Math.max(margin, point.y + (moves[i].y / length) * step));
+    });
+
+    temperature -= cooling;
+  }
+
+  return positions;
+}
@@ -0,0 +1,194 @@
+/**
+ * Revision history for Pure note-taking app
+ * Keeps earlier versions of a note in its `revisions` array, newest first
+ *
+ * Responsibilities:
+ * - Recording a revision when a save meaningfully changes a note
+ * - Thinning old revisions: every one for an hour, then hourly, then daily
+ * - Keeping each note's history within a count and size budget
+ * - Line-level diffs between two versions
+ *
+ * Dependencies: None (pure functions)
+ */
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+const MAX_DIFF_CELLS = 4000000; // Larger changes are shown as a plain replace
+
+const DEFAULT_OPTIONS = {
+  minInterval: 5 * 60000, // Small edits are folded into one revision per 5 minutes
+  minChange: 100, // Characters changed in one save that always earn a revision
+  maxRevisions: 100,
+  maxChars: 100000 // Title and content characters kept per note
+};
+
+/**
+ * Snapshot the saved state of a note
+ * @param {Object} note - Note object
+ * @returns {Object} - Revision { savedAt, title, content, tags }
+ */
+export function createRevision(note) {
+  return {
+    savedAt: note.updatedAt,
+    title: note.title,
+    content: note.content,
+    tags: [...(note.tags || [])]
+  };
+}
+
+/**
+ * Count the characters between the common prefix and suffix of two strings
+ * @param {string} a - Old text
+ * @param {string} b - New text
+ * @returns {number} - Size of the changed region
+ */
+function changedLength(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let end = 0;
+  while (end < a.length - start && end < b.length - start &&
+    a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+  return Math.max(a.length, b.length) - start - end;
+}
+
+/**
+ * Work out the revisions of a note that is about to be saved
+ * The version being replaced becomes the newest revision when the save
+ * changes it a lot, or when the last revision is older than `minInterval`.
+ * Saves in between only move the note forward, so autosave does not flood the history.
+ * @param {Object} previous - Note as currently saved
+ * @param {Object} next - Note about to be saved
+ * @param {Object} options - Thresholds and budget, see DEFAULT_OPTIONS
+ * @returns {Array} - Revisions for the next version, newest first
+ */
+export function recordRevision(previous, next, options = {}) {
+  const { minInterval, minChange } = { ...DEFAULT_OPTIONS, ...options };
+  const revisions = previous.revisions || [];
+
+  const change = changedLength(previous.title, next.title) + changedLength(previous.content, next.content);
+  const tagsChanged = (previous.tags || []).join(' ') !== (next.tags || []).join(' ');
+  if (change === 0 && !tagsChanged) return revisions;
+
+  const newest = revisions[0];
+  const meaningful = !newest ||
+    change >= minChange ||
+    Date.parse(previous.updatedAt) - Date.parse(newest.savedAt) >= minInterval;
+
+  if (!meaningful) return revisions;
+
+  return thinRevisions([createRevision(previous), ...revisions], {
+    ...options,
+    now: Date.parse(next.updatedAt)
+  });
+}
+
+/**
+ * Thin out old revisions and apply the storage budget
+ * Revisions from the last hour are all kept; up to a day old, the latest of
+ * each hour; after that, the latest of each day. The oldest go first when
+ * the history holds more than `maxRevisions` or `maxChars`.
+ * @param {Array} revisions - Revisions in any order
+ * @param {Object} options - Options
+ * @param {number} options.now - Current time in ms (default: Date.now())
+ * @param {number} options.maxRevisions - Most revisions to keep
+ * @param {number} options.maxChars - Most title and content characters to keep
+ * @returns {Array} - Kept revisions, newest first
+ */
+export function thinRevisions(revisions, options = {}) {
+  const { now = Date.now(), maxRevisions, maxChars } = { ...DEFAULT_OPTIONS, ...options };
+  const buckets = new Set();
+  let size = 0;
+
+  return [...(revisions || [])]
+    .sort((a, b) => Date.parse(b.savedAt) - Date.parse(a.savedAt))
+    .filter(revision => {
+      const time = Date.parse(revision.savedAt);
+      const age = now - time;
+      if (age < HOUR_MS) return true;
+
+      // Sorted newest first, so the first revision seen in a bucket is its latest
+      const bucket = age < DAY_MS ? `h${Math.floor(time / HOUR_MS)}` : `d${Math.floor(time / DAY_MS)}`;
+      if (buckets.has(bucket)) return false;
+      buckets.add(bucket);
+      return true;
+    })
+    .filter((revision, index) => {
+      size += revision.title.length + revision.content.length;
+      return index < maxRevisions && size <= maxChars;
+    });
+}
+
+/**
+ * List every version of a note for the history panel
+ * @param {Object} note - Note object
+ * @returns {Array} - Current version first, then revisions; `key` is 'current' or the revision's savedAt
+ */
+export function getVersions(note) {
+  if (!note) return [];
+
+  return [
+    { ...createRevision(note), key: 'current', current: true },
+    ...(note.revisions || []).map(revision => ({ ...revision, key: revision.savedAt, current: false }))
+  ];
+}
+
+/**
+ * Compare two texts line by line
+ * @param {string} oldText - Earlier text
+ * @param {string} newText - Later text
+ * @returns {Array} - [{ type: 'same' | 'removed' | 'added', text }] in reading order
+ */
+export function diffLines(oldText, newText) {
+  const a = String(oldText || '').split('\n');
+  const b = String(newText || '').split('\n');
+
+  // Unchanged lines at either end need no comparison table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const result = a.slice(0, start).map(text => ({ type: 'same', text }));
+  const removed = a.slice(start, endA);
+  const added = b.slice(start, endB);
+
+  if (removed.length * added.length > MAX_DIFF_CELLS) {
+    removed.forEach(text => result.push({ type: 'removed', text }));
+    added.forEach(text => result.push({ type: 'added', text }));
+  } else {
+    // Longest common subsequence, filled from the end so the walk can go forward
+    const table = Array.from({ length: removed.length + 1 }, () => new Uint32Array(added.length + 1));
+    for (let i = removed.length - 1; i >= 0; i--) {
+      for (let j = added.length - 1; j >= 0; j--) {
+        table[i][j] = removed[i] === added[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < removed.length && j < added.length) {
+      if (removed[i] === added[j]) {
+        result.push({ type: 'same', text: removed[i] });
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        result.push({ type: 'removed', text: removed[i++] });
+      } else {
+        result.push({ type: 'added', text: added[j++] });
+      }
+    }
+    removed.slice(i).forEach(text => result.push({ type: 'removed', text }));
+    added.slice(j).forEach(text => result.push({ type: 'added', text }));
+  }
+
+  a.slice(endA).forEach(text => result.push({ type: 'same', text }));
+  return result;
+}
@@ -0,0 +1,213 @@
+/**
+ * Wiki links for Pure note-taking app
+ * `[[Note Title]]` in a note's content links to the note with that title, and
+ * `[[Note Title|text]]` shows other text; titles match ignoring case and spacing
+ *
+ * Responsibilities:
+ * - Finding links in note content, ignoring code
+ * - Resolving a link to a note, and finding the notes that link to one
+ * - Rewriting links when a note is renamed
+ * - Completing a link being typed against existing titles
+ *
+ * Dependencies: None (pure functions)
+ */
+
+const LINK_PATTERN = /\[\[([^[\]|\n]+)(?:\|([^[\]\n]*))?\]\]/g;
+
+/**
+ * Normalize a title for matching links against notes
+ * @param {string} title - Note title or link target
+ * @returns {string} - Trimmed lowercase title with single spaces
+ */
+export function normalizeTitle(title) {
+  return typeof title === 'string' ? title.trim().replace(/\s+/g, ' ').toLowerCase() : '';
+}
+
+/**
+ * Blank out code in Markdown content, keeping every other character in place
+ * @param {string} content - Note content
+ * @returns {string} - Content of the same length with code replaced by spaces
+ */
+function maskCode(content) {
+  const blank = code => code.replace(/[^\n]/g, ' ');
+  return content
+    .replace(/^ {0,3}(`{3,}|~{3,})[\s\S]*?^ {0,3}\1/gm, blank) // Fenced code
+    .replace(/`[^`\n]*`/g, blank); // Code spans
+}
+
+/**
+ * Find the wiki links in note content
+ * @param {string} content - Note content
+ * @returns {Array} - [{ target, label, start, end }] in order; label is null without a |
+ */
+export function findLinks(content) {
+  if (!content || typeof content !== 'string') return [];
+
+  const links = [];
+  const text = maskCode(content);
+  let match;
+  LINK_PATTERN.lastIndex = 0;
+  while ((match = LINK_PATTERN.exec(text)) !== null) {
+    if (!match[1].trim()) continue;
+    links.push({
+      target: match[1].trim(),
+      label: match[2] ?? null,
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return links;
+}
+
+/**
+ * List the titles a note links to
+ * @param {string} content - Note content
+ * @returns {Array} - Unique link targets, as first written
+ */
+export function extractLinks(content) {
+  const targets = new Map();
+  findLinks(content).forEach(link => {
+    const key = normalizeTitle(link.target);
+    if (!targets.has(key)) targets.set(key, link.target);
+  });
+  return [...targets.values()];
+}
+
+/**
+ * Find the link around a position in note content, e.g. the caret
+ * @param {string} content - Note content
+ * @param {number} position - Offset in the content
+ * @returns {Object|null} - { target, label, start, end }, null if the position is not inside a link
+ */
+export function linkAt(content, position) {
+  return findLinks(content).find(link => link.start < position && position < link.end) || null;
+}
+
+/**
+ * Find the note a link points to
+ * When several notes share the title, the most recently updated one wins.
+ * @param {Array} notes - Array of note objects
+ * @param {string} title - Link target
+ * @returns {Object|null} - Note, null if no note has the title
+ */
+export function findNoteByTitle(notes, title) {
+  const wanted = normalizeTitle(title);
+  if (!wanted) return null;
+
+  return (notes || [])
+    .filter(note => normalizeTitle(note.title) === wanted)
+    .reduce((best, note) => !best || note.updatedAt > best.updatedAt ? note : best, null);
+}
+
+/**
+ * Find the notes that link to a note
+ * @param {Array} notes - Array of note objects
+ * @param {Object} note - Note being linked to
+ * @returns {Array} - [{ note, excerpt }] newest first; excerpt is the line holding the first link
+ */
+export function getBacklinks(notes, note) {
+  const wanted = normalizeTitle(note?.title);
+  if (!wanted) return [];
+
+  return (notes || [])
+    .filter(other => other.id !== note.id)
+    .map(other => {
+      const link = findLinks(other.content).find(l => normalizeTitle(l.target) === wanted);
+      if (!link) return null;
+      const lineStart = other.content.lastIndexOf('\n', link.start) + 1;
+      const lineEnd = other.content.indexOf('\n', link.end);
+      return {
+        note: other,
+        excerpt: other.content.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim()
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.note.updatedAt || '').localeCompare(a.note.updatedAt || ''));
+}
+
+/**
+ * Point the links to a renamed note at its new title
+ * Links with their own text keep it.
+ * @param {string} content - Note content
+ * @param {string} oldTitle - Title before the rename
+ * @param {string} newTitle - Title after the rename
+ * @returns {string} - New content, the same string if no link changed
+ */
+export function renameLinks(content, oldTitle, newTitle) {
+  const wanted = normalizeTitle(oldTitle);
+  const links = findLinks(content).filter(link => normalizeTitle(link.target) === wanted);
+  if (!wanted || links.length === 0) return content;
+
+  const title = newTitle.trim();
+  // Replace from the end so earlier offsets stay valid
+  return links.reduceRight((text, link) =>
+    text.slice(0, link.start) +
+    (link.label === null ? `[[${title}]]` : `[[${title}|${link.label}]]`) +
+    text.slice(link.end),
+  content);
+}
+
+/**
+ * Find a link being typed before the caret: an open `[[` on the same line
+ * @param {string} content - Note content
+ * @param {number} caret - Caret offset
+ * @returns {Object|null} - { start, query }: offset of the `[[` and the text typed after it
+ */
+export function linkQueryAt(content, caret) {
+  if (!content || typeof content !== 'string') return null;
+
+  const before = maskCode(content).slice(0, caret);
+  const start = before.lastIndexOf('[[');
+  if (start === -1) return null;
+
+  const query = content.slice(start + 2, caret);
+  return /[[\]|\n]/.test(query) ? null : { start, query };
+}
+
+/**
+ * Suggest note titles for a link being typed
+ * Titles starting with the query come first, then titles containing it.
+ * @param {Array} notes - Array of note objects
+ * @param {string} query - Text typed after `[[`
+ * @param {Object} options - { excludeId: note to leave out, limit: most titles to return }
+ * @returns {Array} - Unique titles
+ */
+export function suggestTitles(notes, query, { excludeId = null, limit = 8 } = {}) {
+  const wanted = normalizeTitle(query);
+  const seen = new Set();
+  const starts = [];
+  const contains = [];
+
+  (notes || []).forEach(note => {
+    const title = normalizeTitle(note.title);
+    if (!title || note.id === excludeId || seen.has(title)) return;
+    seen.add(title);
+    if (title.startsWith(wanted)) {
+      starts.push(note.title.trim());
+    } else if (title.includes(wanted)) {
+      contains.push(note.title.trim());
+    }
+  });
+
+  const byTitle = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+  return [...starts.sort(byTitle), ...contains.sort(byTitle)].slice(0, limit);
+}
+
+/**
+ * Complete a link being typed with a title
+ * @param {string} content - Note content
+ * @param {number} start - Offset of the `[[`, from linkQueryAt()
+ * @param {number} caret - Caret offset
+ * @param {string} title - Title to link to
+ * @returns {Object} - { content, caret }: new content and the caret after the link
+ */
+export function completeLink(content, start, caret, title) {
+  // A closing ]] already typed after the caret is reused
+  const end = content.startsWith(']]', caret) ? caret + 2 : caret;
+  const link = `[[${title}]]`;
+
+  return {
+    content: content.slice(0, start) + link + content.slice(end),
+    caret: start + link.length
+  };
+}
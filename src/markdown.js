@@ -0,0 +1,344 @@
+/**
+ * Markdown parser for Pure note-taking app
+ * Converts note content to HTML for the preview pane and to plain text for excerpts
+ *
+ * Responsibilities:
+ * - Block parsing: headings, paragraphs, lists, blockquotes, code blocks, tables, rules
+ * - Inline parsing: emphasis, strikethrough, code spans, links, wiki links, images, autolinks
+ * - Escaping all raw text and HTML found in the source
+ * - Stripping Markdown syntax down to plain text
+ *
+ * Dependencies: None (pure functions)
+ * Note: Output still has to go through sanitizeRichHTML before reaching the DOM
+ */
+
+/**
+ * Escape text for use in HTML content and quoted attributes
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Private-use character marking placeholders for already-rendered inline HTML
+const PLACEHOLDER = '\uE000';
+
+/**
+ * Parse a link destination with an optional title: `url "title"`
+ * @param {string} raw - Text between the parentheses
+ * @returns {Object} - { url, title }
+ */
+function parseDestination(raw) {
+  const match = raw.trim().match(/^<?([^\s>]*)>?(?:\s+["'(](.*)["')])?$/);
+  return match ? { url: match[1], title: match[2] || '' } : { url: raw.trim(), title: '' };
+}
+
+/**
+ * Render inline Markdown, stashing finished HTML behind placeholders
+ * @param {string} text - Inline Markdown without placeholder characters of its own
+ * @param {Array} stash - Stashed HTML, shared with nested calls for link labels
+ * @returns {string} - HTML string with placeholders still in it
+ */
+function renderSpans(text, stash) {
+  const protect = html => `${PLACEHOLDER}${stash.push(html) - 1}${PLACEHOLDER}`;
+
+  const out = text
+    // Backslash escapes
+    .replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, (_, char) => protect(escapeHTML(char)))
+    // Code spans: nothing inside is formatted
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => protect(`<code>${escapeHTML(code.trim())}</code>`))
+    // Autolinks
+    .replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, (_, url) =>
+      protect(`<a href="${escapeHTML(url)}">${escapeHTML(url)}</a>`))
+    // Wiki links name a note by title; the app resolves and follows them
+    .replace(/\[\[([^[\]|\n]+)(?:\|([^[\]\n]*))?\]\]/g, (match, target, label) => target.trim()
+      ? protect(`<a href="#" class="wiki-link" data-note-link="${escapeHTML(target.trim())}">${escapeHTML((label || target).trim())}</a>`)
+      : match)
+    // Images before links, since the syntax only differs by the leading !
+    .replace(/!\[([^\]]*)\]\(([^)]*)\)/g, (_, alt, destination) => {
+      const { url, title } = parseDestination(destination);
+      const titleAttr = title ? ` title="${escapeHTML(title)}"` : '';
+      return protect(`<img src="${escapeHTML(url)}" alt="${escapeHTML(alt)}"${titleAttr}>`);
+    })
+    .replace(/\[([^\]]+)\]\(([^)]*)\)/g, (_, label, destination) => {
+      const { url, title } = parseDestination(destination);
+      const titleAttr = title ? ` title="${escapeHTML(title)}"` : '';
+      return protect(`<a href="${escapeHTML(url)}"${titleAttr}>${renderSpans(label, stash)}</a>`);
+    });
+
+  return escapeHTML(out)
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    // Two trailing spaces or a backslash before a newline force a line break
+    .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+}
+
+/**
+ * Render inline Markdown to HTML
+ * @param {string} text - Inline Markdown
+ * @returns {string} - HTML string
+ */
+export function renderInline(text) {
+  const stash = [];
+  // The placeholder character cannot come from the note itself
+  const out = renderSpans(text.replace(new RegExp(PLACEHOLDER, 'g'), ''), stash);
+
+  // Stashed HTML only points to HTML stashed before it (e.g. code inside a link label)
+  const placeholders = new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g');
+  stash.forEach((html, index) => {
+    stash[index] = html.replace(placeholders, (match, earlier) => (Number(earlier) < index ? stash[earlier] : ''));
+  });
+  return out.replace(placeholders, (match, index) => stash[index] ?? '');
+}
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Split a table row into trimmed cells
+ * @param {string} line - Table row
+ * @returns {Array} - Cell texts
+ */
+function splitRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(^|[^\\])\|$/, '$1')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim());
+}
+
+/**
+ * Check whether a line starts a new block, ending a paragraph
+ * @param {string} line - Line to test
+ * @returns {boolean} - True if the line starts another block type
+ */
+function startsBlock(line) {
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) ||
+    QUOTE.test(line) || LIST_ITEM.test(line);
+}
+
+/**
+ * Render a table starting at the header line
+ * @param {Array} rows - Header, divider and body lines
+ * @returns {string} - HTML table
+ */
+function renderTable(rows) {
+  const [header, divider, ...body] = rows;
+  const alignments = splitRow(divider).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return '';
+  });
+
+  const renderRow = (line, tag) => {
+    const cells = splitRow(line);
+    return '<tr>' + alignments.map((align, i) => {
+      const className = align ? ` class="align-${align}"` : '';
+      return `<${tag}${className}>${renderInline(cells[i] || '')}</${tag}>`;
+    }).join('') + '</tr>';
+  };
+
+  const bodyHTML = body.length
+    ? `<tbody>${body.map(line => renderRow(line, 'td')).join('')}</tbody>`
+    : '';
+  return `<table><thead>${renderRow(header, 'th')}</thead>${bodyHTML}</table>`;
+}
+
+/**
+ * Render a list starting at the given line
+ * @param {Array} lines - All lines
+ * @param {number} start - Index of the first item
+ * @returns {Object} - { html, next } where next is the first line after the list
+ */
+function renderList(lines, start) {
+  const [, indent, marker] = lines[start].match(LIST_ITEM);
+  const ordered = /\d/.test(marker);
+  const baseIndent = indent.length;
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM);
+    if (!match || match[1].length !== baseIndent || /\d/.test(match[2]) !== ordered) break;
+
+    const itemLines = [match[3]];
+    i++;
+
+    // Continuation lines and nested lists are indented deeper than the marker
+    while (i < lines.length) {
+      const line = lines[i];
+      if (line.trim() === '') {
+        const nextLine = lines[i + 1];
+        if (nextLine !== undefined && nextLine.match(/^\s*/)[0].length > baseIndent) {
+          itemLines.push('');
+          i++;
+          continue;
+        }
+        break;
+      }
+      const lineIndent = line.match(/^\s*/)[0].length;
+      if (lineIndent <= baseIndent && (LIST_ITEM.test(line) || startsBlock(line))) break;
+      itemLines.push(line.slice(Math.min(lineIndent, baseIndent + 2)));
+      i++;
+    }
+
+    items.push(itemLines);
+  }
+
+  const itemsHTML = items.map(itemLines => {
+    const hasBlocks = itemLines.slice(1).some(line => line === '' || LIST_ITEM.test(line) || startsBlock(line));
+    if (!hasBlocks) {
+      return `<li>${renderInline(itemLines.join('\n'))}</li>`;
+    }
+    // First line is the item text, the rest is rendered as nested blocks
+    const [first, ...rest] = itemLines;
+    return `<li>${renderInline(first)}${renderBlocks(rest)}</li>`;
+  }).join('');
+
+  const startNumber = parseInt(marker, 10);
+  const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+  return {
+    html: ordered ? `<ol${startAttr}>${itemsHTML}</ol>` : `<ul>${itemsHTML}</ul>`,
+    next: i
+  };
+}
+
+/**
+ * Render block-level Markdown
+ * @param {Array} lines - Source lines
+ * @returns {string} - HTML string
+ */
+function renderBlocks(lines) {
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === '') {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // Skip closing fence
+      const className = fence[2] ? ` class="language-${escapeHTML(fence[2])}"` : '';
+      html.push(`<pre><code${className}>${escapeHTML(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2] || '')}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim() !== '') {
+        const match = lines[i].match(QUOTE);
+        quoted.push(match ? match[1] : lines[i]);
+        i++;
+      }
+      html.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const list = renderList(lines, i);
+      html.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const rows = [line, lines[i + 1]];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+        rows.push(lines[i]);
+        i++;
+      }
+      html.push(renderTable(rows));
+      continue;
+    }
+
+    const paragraph = [line];
+    i++;
+    while (i < lines.length && lines[i].trim() !== '' && !startsBlock(lines[i])) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    html.push(`<p>${renderInline(paragraph.join('\n').trim())}</p>`);
+  }
+
+  return html.join('\n');
+}
+
+/**
+ * Render Markdown source to HTML
+ * @param {string} source - Markdown text
+ * @returns {string} - HTML string (sanitize before inserting into the DOM)
+ */
+export function renderMarkdown(source) {
+  if (!source || typeof source !== 'string') return '';
+  return renderBlocks(source.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n'));
+}
+
+/**
+ * Strip Markdown syntax, leaving readable plain text
+ * @param {string} source - Markdown text
+ * @returns {string} - Plain text on a single line
+ */
+export function stripMarkdown(source) {
+  if (!source || typeof source !== 'string') return '';
+
+  return source
+    .replace(/\r\n?/g, '\n')
+    .replace(/^ {0,3}(`{3,}|~{3,}).*$/gm, '') // Code fences
+    .replace(/^ {0,3}([-*_])(?:\s*\1){2,}\s*$/gm, '') // Horizontal rules
+    .replace(/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/gm, '') // Table dividers
+    .replace(/^ {0,3}#{1,6}\s+/gm, '') // Heading markers
+    .replace(/^ {0,3}>\s?/gm, '') // Blockquote markers
+    .replace(/^\s*([-*+]|\d{1,9}[.)])\s+/gm, '') // List markers
+    .replace(/\[\[([^[\]|\n]+)(?:\|([^[\]\n]*))?\]\]/g, (_, target, label) => (label || target).trim()) // Wiki links keep their text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // Images keep their alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // Links keep their label
+    .replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, '$1')
+    .replace(/(\*\*|__|~~)(?=\S)([\s\S]*?\S)\1/g, '$2')
+    .replace(/\*(?=\S)([^*]*?\S)\*/g, '$1')
+    .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1$2')
+    .replace(/`+([^`]*)`+/g, '$1')
+    .replace(/\|/g, ' ')
+    .replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,237 @@
+/**
+ * Notebooks for Pure note-taking app
+ * Notebooks form a tree through `parentId`; a note's `notebookId` puts it in
+ * one, and a missing or unknown notebookId means the top level
+ *
+ * Responsibilities:
+ * - Creating, renaming, moving and deleting notebooks
+ * - Keeping the tree valid: no cycles, no parents that do not exist
+ * - Building the nested tree and paths for display
+ * - Moving notes between notebooks and scoping notes to a notebook
+ * - Merging imported notebooks with existing ones
+ *
+ * Dependencies: None (pure functions)
+ */
+
+/**
+ * Create a notebook object
+ * @param {string} name - Notebook name
+ * @param {string|null} parentId - Parent notebook, null for the top level
+ * @param {Date} now - Creation time (default: now)
+ * @returns {Object} - New notebook { id, name, parentId, createdAt, updatedAt }
+ */
+export function createNotebook(name, parentId = null, now = new Date()) {
+  const time = now.toISOString();
+
+  return {
+    id: `notebook_${now.getTime()}_${Math.random().toString(36).substr(2, 9)}`,
+    name: name.trim(),
+    parentId,
+    createdAt: time,
+    updatedAt: time
+  };
+}
+
+/**
+ * Find a notebook and every notebook nested in it
+ * @param {Array} notebooks - Array of notebook objects
+ * @param {string} notebookId - Notebook to start from
+ * @returns {Set} - Ids of the notebook and its descendants
+ */
+export function getDescendantIds(notebooks, notebookId) {
+  const ids = new Set([notebookId]);
+  let grew = true;
+
+  while (grew) {
+    grew = false;
+    notebooks.forEach(notebook => {
+      if (!ids.has(notebook.id) && ids.has(notebook.parentId)) {
+        ids.add(notebook.id);
+        grew = true;
+      }
+    });
+  }
+
+  return ids;
+}
+
+/**
+ * Repair a notebook list, e.g. after an import or a merge
+ * Parents that do not exist, and parents that would close a cycle, become the top level.
+ * @param {Array} notebooks - Array of notebook objects
+ * @returns {Array} - Valid notebooks; unchanged ones keep their identity
+ */
+export function normalizeNotebooks(notebooks) {
+  const byId = new Map((notebooks || []).map(notebook => [notebook.id, notebook]));
+  const result = new Map();
+
+  byId.forEach((notebook, id) => {
+    const seen = new Set([id]);
+    let parentId = notebook.parentId ?? null;
+
+    while (parentId !== null) {
+      if (!byId.has(parentId) || seen.has(parentId)) break;
+      seen.add(parentId);
+      // Parents already repaired are followed as repaired
+      parentId = (result.get(parentId) || byId.get(parentId)).parentId ?? null;
+    }
+
+    const valid = parentId === null;
+    result.set(id, valid ? notebook : { ...notebook, parentId: null });
+  });
+
+  return [...result.values()];
+}
+
+/**
+ * Rename a notebook
+ * @param {Array} notebooks - Array of notebook objects
+ * @param {string} notebookId - Notebook to rename
+ * @param {string} name - New name
+ * @param {Date} now - Change time (default: now)
+ * @returns {Array} - New notebooks array
+ */
+export function renameNotebook(notebooks, notebookId, name, now = new Date()) {
+  return notebooks.map(notebook =>
+    notebook.id === notebookId && notebook.name !== name.trim()
+      ? { ...notebook, name: name.trim(), updatedAt: now.toISOString() }
+      : notebook
+  );
+}
+
+/**
+ * Move a notebook under another one, or to the top level
+ * @param {Array} notebooks - Array of notebook objects
+ * @param {string} notebookId - Notebook to move
+ * @param {string|null} parentId - New parent, null for the top level
+ * @param {Date} now - Change time (default: now)
+ * @returns {Array} - New notebooks array, the same array if the move is not possible
+ */
+export function moveNotebook(notebooks, notebookId, parentId, now = new Date()) {
+  const notebook = notebooks.find(item => item.id === notebookId);
+  if (!notebook || (notebook.parentId ?? null) === parentId) return notebooks;
+
+  // A notebook cannot go inside itself or one of its own descendants
+  if (parentId !== null &&
+    (!notebooks.some(item => item.id === parentId) || getDescendantIds(notebooks, notebookId).has(parentId))) {
+    return notebooks;
+  }
+
+  return notebooks.map(item =>
+    item === notebook ? { ...item, parentId, updatedAt: now.toISOString() } : item
+  );
+}
+
+/**
+ * Delete a notebook
+ * Nothing inside is lost: its notes and child notebooks move up to its parent.
+ * @param {Array} notebooks - Array of notebook objects
+ * @param {Array} notes - Array of note objects
+ * @param {string} notebookId - Notebook to delete
+ * @param {Date} now - Change time (default: now)
+ * @returns {Object} - { notebooks, notes, moved }: new arrays and the ids of the notes moved
+ */
+export function deleteNotebook(notebooks, notes, notebookId, now = new Date()) {
+  const notebook = notebooks.find(item => item.id === notebookId);
+  if (!notebook) return { notebooks, notes, moved: [] };
+
+  const parentId = notebook.parentId ?? null;
+  const moved = notes.filter(note => note.notebookId === notebookId).map(note => note.id);
+
+  return {
+    notebooks: notebooks
+      .filter(item => item !== notebook)
+      .map(item => item.parentId === notebookId ? { ...item, parentId, updatedAt: now.toISOString() } : item),
+    notes: moveNotes(notes, moved, parentId),
+    moved
+  };
+}
+
+/**
+ * Put notes into a notebook
+ * The move leaves updatedAt alone: the notes' contents did not change.
+ * @param {Array} notes - Array of note objects
+ * @param {Array} noteIds - Notes to move
+ * @param {string|null} notebookId - Target notebook, null for the top level
+ * @returns {Array} - New notes array
+ */
+export function moveNotes(notes, noteIds, notebookId) {
+  const ids = new Set(noteIds);
+
+  return notes.map(note =>
+    ids.has(note.id) && (note.notebookId ?? null) !== notebookId ? { ...note, notebookId } : note
+  );
+}
+
+/**
+ * Keep the notes in a notebook or in the notebooks nested in it
+ * @param {Array} notes - Array of note objects
+ * @param {Array} notebooks - Array of notebook objects
+ * @param {string|null} notebookId - Notebook to show, null for all notes
+ * @returns {Array} - Notes in scope
+ */
+export function notesInNotebook(notes, notebooks, notebookId) {
+  if (notebookId === null) return notes;
+
+  const ids = getDescendantIds(notebooks, notebookId);
+  return notes.filter(note => ids.has(note.notebookId));
+}
+
+/**
+ * Arrange notebooks as a tree, siblings sorted by name
+ * @param {Array} notebooks - Array of notebook objects
+ * @returns {Array} - Top-level nodes [{ notebook, children, depth }]
+ */
+export function buildNotebookTree(notebooks) {
+  const valid = normalizeNotebooks(notebooks);
+  const byParent = new Map();
+
+  valid.forEach(notebook => {
+    const parentId = notebook.parentId ?? null;
+    if (!byParent.has(parentId)) byParent.set(parentId, []);
+    byParent.get(parentId).push(notebook);
+  });
+
+  const build = (parentId, depth) => (byParent.get(parentId) || [])
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base', numeric: true }))
+    .map(notebook => ({ notebook, children: build(notebook.id, depth + 1), depth }));
+
+  return build(null, 0);
+}
+
+/**
+ * Name a notebook with the names of its parents, e.g. 'Work / Project'
+ * @param {Array} notebooks - Array of notebook objects
+ * @param {string|null} notebookId - Notebook to name
+ * @returns {string} - Path, or an empty string for the top level
+ */
+export function notebookPath(notebooks, notebookId) {
+  const byId = new Map(normalizeNotebooks(notebooks).map(notebook => [notebook.id, notebook]));
+  const names = [];
+
+  for (let notebook = byId.get(notebookId); notebook; notebook = byId.get(notebook.parentId)) {
+    names.unshift(notebook.name);
+  }
+
+  return names.join(' / ');
+}
+
+/**
+ * Merge imported notebooks into existing ones, matching on id
+ * The copy with the newest `updatedAt` wins, as for notes.
+ * @param {Array} current - Existing notebooks
+ * @param {Array} incoming - Imported notebooks
+ * @returns {Array} - Merged, valid notebooks
+ */
+export function mergeNotebooks(current, incoming) {
+  const merged = new Map((current || []).map(notebook => [notebook.id, notebook]));
+
+  (incoming || []).forEach(notebook => {
+    const existing = merged.get(notebook.id);
+    if (!existing || new Date(notebook.updatedAt) > new Date(existing.updatedAt)) {
+      merged.set(notebook.id, notebook);
+    }
+  });
+
+  return normalizeNotebooks([...merged.values()]);
+}
@@ -0,0 +1,114 @@
+/**
+ * Locked notes for Pure note-taking app
+ * A locked note keeps its title and tags readable, but its content is encrypted
+ * with a password of its own into `lock: { encryption, iv, data }`, and `content`
+ * is left empty. Search, excerpts and links therefore never see the text.
+ *
+ * Responsibilities:
+ * - Locking a note with a password, and removing the lock again
+ * - Opening a lock with its password, and re-sealing edited content with the same key
+ * - Telling locked notes and well-formed locks apart
+ *
+ * Dependencies: encryption.js (keys and ciphers)
+ * Note: revisions would keep the text readable, so a note's history is dropped
+ * when it is locked
+ */
+
+import { createKeyParams, isKeyParams, deriveKey, encryptJSON, decryptJSON } from './encryption.js';
+
+/**
+ * Check whether a note is locked
+ * @param {Object} note - Note object
+ * @returns {boolean} - True if the note's content is encrypted
+ */
+export function isLockedNote(note) {
+  return Boolean(note?.lock);
+}
+
+/**
+ * Check that a value looks like the lock of a note
+ * @param {*} lock - Value to check
+ * @returns {boolean} - True if the value can be opened with openNoteLock()
+ */
+export function isNoteLock(lock) {
+  return Boolean(lock) &&
+    typeof lock === 'object' &&
+    isKeyParams(lock.encryption) &&
+    typeof lock.iv === 'string' &&
+    typeof lock.data === 'string';
+}
+
+/**
+ * Encrypt note content under a new password
+ * @param {string} content - Note content
+ * @param {string} password - Password for the note
+ * @param {Object} options - Options
+ * @param {number} options.iterations - PBKDF2 iterations (default: KDF_ITERATIONS)
+ * @returns {Promise<Object>} - { lock, key }: the lock to store and the key that opens it
+ */
+export async function createNoteLock(content, password, { iterations } = {}) {
+  const encryption = createKeyParams({ iterations });
+  const key = await deriveKey(password, encryption);
+  return { lock: await sealNoteContent({ encryption }, key, content), key };
+}
+
+/**
+ * Open a lock with its password
+ * @param {Object} lock - Lock of a note
+ * @param {string} password - Password typed by the user
+ * @returns {Promise<Object|null>} - { key, content }, or null if the password is wrong
+ */
+export async function openNoteLock(lock, password) {
+  const key = await deriveKey(password, lock.encryption);
+  const content = await readNoteLock(lock, key);
+  return content === null ? null : { key, content };
+}
+
+/**
+ * Decrypt a lock with a key already derived for it
+ * @param {Object} lock - Lock of a note
+ * @param {CryptoKey} key - Key from createNoteLock() or openNoteLock()
+ * @returns {Promise<string|null>} - Note content, or null if the key does not fit
+ */
+export async function readNoteLock(lock, key) {
+  try {
+    const payload = await decryptJSON(key, lock);
+    return typeof payload?.content === 'string' ? payload.content : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Encrypt edited content with the key of an existing lock
+ * @param {Object} lock - Current lock of the note (its encryption parameters are kept)
+ * @param {CryptoKey} key - Key for that lock
+ * @param {string} content - New note content
+ * @returns {Promise<Object>} - New lock
+ */
+export async function sealNoteContent(lock, key, content) {
+  return { encryption: lock.encryption, ...(await encryptJSON(key, { content })) };
+}
+
+/**
+ * Turn a note into a locked note
+ * Like pins, locking leaves updatedAt alone: what the note says did not change.
+ * @param {Object} note - Note object
+ * @param {Object} lock - Lock holding the note's content, from createNoteLock()
+ * @returns {Object} - Locked note, without content or revisions
+ */
+export function lockNote(note, lock) {
+  const { revisions, ...rest } = note;
+  return { ...rest, content: '', lock };
+}
+
+/**
+ * Store a locked note's content in the clear again
+ * @param {Object} note - Locked note
+ * @param {string} content - Its decrypted content
+ * @returns {Object} - Note without a lock
+ */
+export function removeNoteLock(note, content) {
+  const { lock, ...rest } = note;
+  return { ...rest, content };
+}
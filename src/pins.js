@@ -0,0 +1,94 @@
+/**
+ * Pinned and favorite notes for Pure note-taking app
+ * Pinned notes sit at the top of the list in the user's own order, kept in `pinOrder`
+ *
+ * Responsibilities:
+ * - Pinning, unpinning and favoriting notes
+ * - Ordering the note list: pinned notes by pinOrder, then the rest in the chosen sort
+ * - Moving a note within the pinned section
+ *
+ * Dependencies: None (pure functions)
+ */
+
+/**
+ * Compare notes by last update, newest first
+ * @param {Object} a - First note
+ * @param {Object} b - Second note
+ * @returns {number} - Sort order
+ */
+function byRecentUpdate(a, b) {
+  return (new Date(b.updatedAt).getTime() || 0) - (new Date(a.updatedAt).getTime() || 0);
+}
+
+/**
+ * Split notes into the pinned section and the rest, each in display order
+ * @param {Array} notes - Array of note objects
+ * @param {Function} compare - Order of the unpinned notes (default: last update, newest first)
+ * @returns {Object} - { pinned, others }
+ */
+export function orderNotes(notes, compare = byRecentUpdate) {
+  const pinned = (notes || [])
+    .filter(note => note.pinned)
+    .sort((a, b) => (a.pinOrder ?? Infinity) - (b.pinOrder ?? Infinity) || byRecentUpdate(a, b));
+  const others = (notes || [])
+    .filter(note => !note.pinned)
+    .sort(compare);
+
+  return { pinned, others };
+}
+
+/**
+ * Pin or unpin a note; newly pinned notes go to the end of the pinned section
+ * @param {Array} notes - Array of note objects
+ * @param {string} noteId - Note to change
+ * @param {boolean} pinned - New state
+ * @returns {Array} - New notes array
+ */
+export function setPinned(notes, noteId, pinned) {
+  const lastOrder = Math.max(-1, ...notes.filter(note => note.pinned).map(note => note.pinOrder ?? -1));
+
+  return notes.map(note => {
+    if (note.id !== noteId || Boolean(note.pinned) === pinned) return note;
+    return pinned
+      ? { ...note, pinned: true, pinOrder: lastOrder + 1 }
+      : { ...note, pinned: false, pinOrder: null };
+  });
+}
+
+/**
+ * Mark or unmark a note as a favorite
+ * @param {Array} notes - Array of note objects
+ * @param {string} noteId - Note to change
+ * @param {boolean} favorite - New state
+ * @returns {Array} - New notes array
+ */
+export function setFavorite(notes, noteId, favorite) {
+  return notes.map(note =>
+    note.id === noteId && Boolean(note.favorite) !== favorite ? { ...note, favorite } : note
+  );
+}
+
+/**
+ * Move a pinned note to another position in the pinned section
+ * Every pinned note is renumbered, so gaps and duplicates in pinOrder heal.
+ * @param {Array} notes - Array of note objects
+ * @param {string} noteId - Pinned note to move
+ * @param {number} toIndex - New position, clamped to the section
+ * @returns {Array} - New notes array (the same array if nothing moved)
+ */
+export function movePinned(notes, noteId, toIndex) {
+  const { pinned } = orderNotes(notes);
+  const fromIndex = pinned.findIndex(note => note.id === noteId);
+  const target = Math.max(0, Math.min(toIndex, pinned.length - 1));
+  if (fromIndex === -1 || fromIndex === target) return notes;
+
+  const order = pinned.map(note => note.id);
+  order.splice(target, 0, ...order.splice(fromIndex, 1));
+  const positions = new Map(order.map((id, index) => [id, index]));
+
+  return notes.map(note =>
+    positions.has(note.id) && note.pinOrder !== positions.get(note.id)
+      ? { ...note, pinOrder: positions.get(note.id) }
+      : note
+  );
+}
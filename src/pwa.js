@@ -0,0 +1,96 @@
+/**
+ * Offline support and installation for Pure note-taking app
+ * Registers the service worker in sw.js and tells the page when a new
+ * version has been downloaded and waits to take over.
+ *
+ * Responsibilities:
+ * - Registering the service worker where the browser allows it
+ * - Noticing a new version waiting, whether found now or on an earlier visit
+ * - Switching to the waiting version and reloading once
+ * - Catching the browser's install prompt so the app can offer it at a time of its choosing
+ *
+ * Dependencies: None
+ * Note: Service workers need http(s) or localhost; opened as a file, the app runs
+ * as before, just not offline
+ */
+
+/**
+ * Register the service worker and watch for updates
+ * The first install has nothing to replace, so only later versions are reported.
+ * @param {Object} options - Options
+ * @param {Function} options.onUpdate - Called with the waiting worker when a new version is ready
+ * @param {ServiceWorkerContainer} options.serviceWorker - Container to register with (default: the browser's)
+ * @param {string} options.url - Worker script (default: 'sw.js', next to index.html)
+ * @returns {Promise<ServiceWorkerRegistration|null>} - Registration, or null if unsupported or it failed
+ */
+export async function registerServiceWorker({
+  onUpdate = () => {},
+  serviceWorker = globalThis.navigator?.serviceWorker,
+  url = 'sw.js'
+} = {}) {
+  if (!serviceWorker || globalThis.location?.protocol === 'file:') return null;
+
+  try {
+    const registration = await serviceWorker.register(url);
+
+    // A version downloaded on an earlier visit may still be waiting
+    if (registration.waiting && serviceWorker.controller) {
+      onUpdate(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && serviceWorker.controller) {
+          onUpdate(worker);
+        }
+      });
+    });
+
+    return registration;
+  } catch (error) {
+    console.warn('Service worker registration failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Let a waiting version take over, then reload the page into it
+ * @param {ServiceWorker} worker - Waiting worker from onUpdate
+ * @param {Object} options - Options
+ * @param {ServiceWorkerContainer} options.serviceWorker - Container the worker belongs to (default: the browser's)
+ * @param {Function} options.reload - Reloads the page (default: location.reload)
+ */
+export function applyUpdate(worker, {
+  serviceWorker = globalThis.navigator?.serviceWorker,
+  reload = () => globalThis.location.reload()
+} = {}) {
+  let reloading = false;
+  serviceWorker?.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    reload();
+  });
+  worker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Keep the browser's install prompt for later, instead of its default banner
+ * @param {Function} onAvailable - Called with a function that shows the prompt and
+ *   resolves to true if the app was installed; called with null once installed
+ * @param {Window} target - Window to listen on (default: window)
+ */
+export function watchInstallPrompt(onAvailable, target = globalThis.window) {
+  if (!target) return;
+
+  target.addEventListener('beforeinstallprompt', (event) => {
+    event.preventDefault();
+    onAvailable(async () => {
+      event.prompt();
+      const { outcome } = await event.userChoice;
+      return outcome === 'accepted';
+    });
+  });
+
+  target.addEventListener('appinstalled', () => onAvailable(null));
+}
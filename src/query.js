@@ -0,0 +1,229 @@
+/**
+ * Search query language for Pure note-taking app
+ * Parses the search box text into a small expression tree for search.js to evaluate
+ *
+ * Responsibilities:
+ * - Tokenizing words, "quoted phrases", -negation, parentheses and OR
+ * - Field scopes: title:, body:, tag:, is:, created: and updated:
+ * - Date ranges against createdAt/updatedAt (absolute days or relative ages)
+ * - Descriptive errors for malformed queries
+ *
+ * Syntax:
+ *   budget "next quarter"     both terms (implicit AND); quotes keep a phrase together
+ *   -draft                    exclude notes containing "draft"
+ *   title:plan body:"to do"   restrict a term to the title or the content
+ *   tag:work                  notes tagged work
+ *   is:pinned is:favorite     pinned or favorite notes; is:template for templates
+ *   work OR home              either term (AND binds tighter than OR)
+ *   created:>2026-01-01       created after that day; also <, >=, <= or an exact day
+ *   updated:<7d               updated less than 7 days ago; units h, d, w, m, y
+ *
+ * Dependencies: tags.js (tag normalization)
+ */
+
+import { normalizeTag } from './tags.js';
+
+const TEXT_FIELDS = { title: 'title', body: 'body' };
+const DATE_FIELDS = { created: 'createdAt', updated: 'updatedAt' };
+const FLAGS = ['pinned', 'favorite', 'template'];
+
+const UNIT_MS = {
+  h: 3600000,
+  d: 86400000,
+  w: 7 * 86400000,
+  m: 30 * 86400000,
+  y: 365 * 86400000
+};
+
+/**
+ * Split a query into tokens
+ * @param {string} text - Query text
+ * @returns {Array} - Tokens: { type: 'or' | 'not' | '(' | ')' | 'term', field, value, phrase }
+ * @throws {Error} If a quote is left open or a field has no value
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  const readPhrase = () => {
+    const end = text.indexOf('"', i + 1);
+    if (end === -1) throw new Error('Missing closing quote');
+    const phrase = text.slice(i + 1, end);
+    i = end + 1;
+    return phrase;
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '-' && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+      tokens.push({ type: 'not' });
+      i++;
+    } else if (char === '"') {
+      tokens.push({ type: 'term', field: null, value: readPhrase(), phrase: true });
+    } else {
+      const start = i;
+      while (i < text.length && !/[\s()"]/.test(text[i])) i++;
+      const word = text.slice(start, i);
+
+      if (word === 'OR') {
+        tokens.push({ type: 'or' });
+        continue;
+      }
+
+      const scoped = word.match(/^([a-z]+):(.*)$/i);
+      const field = scoped && scoped[1].toLowerCase();
+      if (!scoped || !(field in TEXT_FIELDS || field in DATE_FIELDS || field === 'tag' || field === 'is')) {
+        tokens.push({ type: 'term', field: null, value: word, phrase: false });
+        continue;
+      }
+
+      if (scoped[2] === '' && text[i] === '"') {
+        tokens.push({ type: 'term', field, value: readPhrase(), phrase: true });
+      } else if (scoped[2] === '') {
+        throw new Error(`Missing value after ${field}:`);
+      } else {
+        tokens.push({ type: 'term', field, value: scoped[2], phrase: false });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Turn a date filter value into a time range
+ * @param {string} field - created or updated
+ * @param {string} value - e.g. ">2026-01-01", "<=2026-03", "<7d"
+ * @param {number} now - Current time in ms
+ * @returns {Object} - { min, max } in ms; min is inclusive, max exclusive, either may be missing
+ * @throws {Error} If the value is not a valid date or age
+ */
+function parseDateRange(field, value, now) {
+  const [, op, rest] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+
+  const relative = rest.match(/^(\d+)([hdwmy])$/i);
+  if (relative) {
+    // An age: "<7d" means newer than 7 days ago, ">7d" older than that
+    const point = now - Number(relative[1]) * UNIT_MS[relative[2].toLowerCase()];
+    return op && op.startsWith('>') ? { max: point } : { min: point };
+  }
+
+  const absolute = rest.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+  if (absolute) {
+    const [, year, month, day] = absolute.map(Number);
+    // Partial dates cover the whole month or year, in local time
+    const start = new Date(year, (month || 1) - 1, day || 1);
+    const end = absolute[3] ? new Date(year, month - 1, day + 1)
+      : absolute[2] ? new Date(year, month, 1)
+      : new Date(year + 1, 0, 1);
+
+    if (!isNaN(start.getTime()) && (!month || start.getMonth() === month - 1) && (!day || start.getDate() === day)) {
+      switch (op) {
+        case '>': return { min: end.getTime() };
+        case '>=': return { min: start.getTime() };
+        case '<': return { max: start.getTime() };
+        case '<=': return { max: end.getTime() };
+        default: return { min: start.getTime(), max: end.getTime() };
+      }
+    }
+  }
+
+  throw new Error(`Invalid date in ${field}:${value} (use YYYY-MM-DD or an age like 7d)`);
+}
+
+/**
+ * Parse a search query into an expression tree
+ * @param {string} text - Query text
+ * @param {Object} options - Options
+ * @param {number} options.now - Current time in ms, for relative dates (default: Date.now())
+ * @returns {Object|null} - Expression tree, or null for an empty query
+ * @throws {Error} With a user-facing message if the query is malformed
+ */
+export function parseQuery(text, { now = Date.now() } = {}) {
+  const tokens = tokenize(String(text || ''));
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'or') {
+      position++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (peek() && peek().type !== 'or' && peek().type !== ')') {
+      children.push(parseUnary());
+    }
+    if (children.length === 0) {
+      const previous = tokens[position - 1];
+      if (previous?.type === '(') {
+        throw new Error(peek() ? 'Empty parentheses' : 'Missing closing parenthesis');
+      }
+      if (peek()?.type === ')' && previous?.type !== 'or') {
+        throw new Error('Unexpected ) without a matching (');
+      }
+      throw new Error('OR needs a search term on both sides');
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = () => {
+    const token = tokens[position++];
+
+    if (token.type === 'not') {
+      if (!peek() || peek().type === 'or' || peek().type === ')') {
+        throw new Error('Nothing to exclude after -');
+      }
+      return { type: 'not', child: parseUnary() };
+    }
+
+    if (token.type === '(') {
+      const group = parseOr();
+      if (peek()?.type !== ')') throw new Error('Missing closing parenthesis');
+      position++;
+      return group;
+    }
+
+    if (token.field === 'tag') {
+      return { type: 'tag', value: normalizeTag(token.value) };
+    }
+
+    if (token.field === 'is') {
+      const flag = token.value.toLowerCase();
+      if (!FLAGS.includes(flag)) {
+        throw new Error(`Unknown filter is:${token.value} (use is:pinned, is:favorite or is:template)`);
+      }
+      return { type: 'flag', value: flag };
+    }
+
+    if (token.field in DATE_FIELDS) {
+      return { type: 'date', field: DATE_FIELDS[token.field], ...parseDateRange(token.field, token.value, now) };
+    }
+
+    return {
+      type: 'text',
+      field: TEXT_FIELDS[token.field] || 'any',
+      value: token.value.toLowerCase().replace(/\s+/g, ' ').trim(),
+      phrase: token.phrase
+    };
+  };
+
+  if (tokens.length === 0) return null;
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new Error('Unexpected ) without a matching (');
+  }
+  return tree;
+}
@@ -0,0 +1,92 @@
+/**
+ * Storage quota helpers for Pure note-taking app
+ * Browsers cap how much an origin may store; a write past the cap fails with a
+ * QuotaExceededError. These helpers measure how close the notes are to the cap.
+ *
+ * Responsibilities:
+ * - Recognizing quota errors from localStorage and IndexedDB
+ * - Measuring localStorage use in the characters browsers limit it by
+ * - Turning usage into a percentage and the warning threshold it has reached
+ * - Formatting sizes for the usage meter
+ *
+ * Dependencies: None (pure functions)
+ */
+
+export const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024; // Characters per origin in common browsers
+export const DEFAULT_STORAGE_WARNINGS = [80, 95]; // Percentages of the quota that trigger a warning
+
+/**
+ * Check whether an error means storage is full
+ * Browsers disagree on the name and code, so all known variants count.
+ * @param {*} error - Error thrown by a storage API
+ * @returns {boolean} - True if the write failed for lack of space
+ */
+export function isQuotaError(error) {
+  if (!error) return false;
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || // Older Firefox
+    error.code === 22 ||
+    error.code === 1014;
+}
+
+/**
+ * Count the characters an origin keeps in localStorage, keys included
+ * @param {Storage} storage - Storage to measure (default: localStorage)
+ * @returns {number} - Characters used
+ */
+export function measureLocalStorage(storage = globalThis.localStorage) {
+  let used = 0;
+  for (let i = 0; i < (storage?.length || 0); i++) {
+    const key = storage.key(i);
+    used += key.length + (storage.getItem(key) || '').length;
+  }
+  return used;
+}
+
+/**
+ * Express usage as a share of the quota
+ * @param {Object} usage - { used, quota } from getStorageUsage()
+ * @returns {number|null} - Whole percentage from 0 to 100, or null if the quota is unknown
+ */
+export function usagePercent(usage) {
+  if (!usage || !(usage.quota > 0)) return null;
+  return Math.min(100, Math.round((usage.used / usage.quota) * 100));
+}
+
+/**
+ * Clean up warning thresholds read from settings
+ * @param {*} thresholds - Percentages, e.g. [80, 95]
+ * @returns {Array} - Sorted, unique whole percentages between 1 and 99; the defaults if the value is not an array
+ */
+export function normalizeWarnings(thresholds) {
+  if (!Array.isArray(thresholds)) return [...DEFAULT_STORAGE_WARNINGS];
+  return [...new Set(thresholds.filter(value => Number.isInteger(value) && value > 0 && value < 100))]
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Find the highest warning threshold a usage has reached
+ * @param {number|null} percent - Usage from usagePercent()
+ * @param {Array} thresholds - Percentages from normalizeWarnings()
+ * @returns {number} - Threshold reached, 0 when below all of them or unknown
+ */
+export function warningLevel(percent, thresholds) {
+  if (percent === null) return 0;
+  return thresholds.filter(threshold => percent >= threshold).pop() || 0;
+}
+
+/**
+ * Format a size for display
+ * @param {number} bytes - Size in bytes (or characters, for localStorage)
+ * @returns {string} - e.g. '512 B', '1.5 KB', '4.8 MB'
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = Math.max(0, bytes || 0);
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} ${units[0]}` : `${value < 10 ? value.toFixed(1) : Math.round(value)} ${units[unit]}`;
+}
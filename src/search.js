@@ -0,0 +1,482 @@
+/**
+ * Full-text search index for Pure note-taking app
+ * Keeps an inverted index of note words so searches don't re-scan every note
+ *
+ * Responsibilities:
+ * - Tokenizing text with case folding and diacritics removed
+ * - Incremental indexing as notes are added, updated and removed
+ * - Evaluating parsed queries (see query.js) against the index
+ * - Typo tolerance through bounded edit distance, and "did you mean" suggestions
+ * - Relevance ranking: exact matches first, title hits boosted, recent notes get a small boost
+ * - Locating matched words in text for highlighting
+ *
+ * Dependencies: utils.js (text folding)
+ * Note: Words match by prefix, so results update sensibly while a word is being typed
+ *   (typos are only forgiven on whole words)
+ */
+
+import { foldText } from './utils.js';
+
+// Weight of a hit in each field, relative to a hit in the body
+const FIELD_WEIGHTS = { title: 3, tag: 2, body: 1 };
+// A prefix hit ("bud" for "budget") counts for less than a whole word
+const PREFIX_WEIGHT = 0.5;
+// A fuzzy hit ("meetng" for "meeting") counts for less still, for every edit needed
+const FUZZY_WEIGHT = 0.3;
+// Notes edited today score up to this much higher; the boost halves every RECENCY_DAYS
+const RECENCY_BOOST = 0.2;
+const RECENCY_DAYS = 30;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split text into folded search tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array} - Lowercase tokens without diacritics
+ */
+export function tokenize(text) {
+  return foldText(text).match(WORD) || [];
+}
+
+/**
+ * Collect the words a query looks for, to highlight them in results
+ * Words inside a negation are left out: they never appear in matches.
+ * @param {Object|null} tree - Expression tree from parseQuery
+ * @returns {Array} - Unique folded tokens
+ */
+export function getQueryTerms(tree) {
+  const terms = new Set();
+
+  const visit = node => {
+    if (!node || node.type === 'not') return;
+    if (node.type === 'text') tokenize(node.value).forEach(term => terms.add(term));
+    (node.children || []).forEach(visit);
+  };
+
+  visit(tree);
+  return [...terms];
+}
+
+/**
+ * Find where query terms occur in text, as whole words or word prefixes
+ * @param {string} text - Original text
+ * @param {Array} terms - Folded terms from getQueryTerms
+ * @returns {Array} - Sorted, non-overlapping [start, end) ranges in the original text
+ */
+export function findMatchRanges(text, terms) {
+  if (!text || !terms || terms.length === 0) return [];
+
+  // Fold one character at a time, remembering which original character each folded one came from
+  let folded = '';
+  const origins = [];
+  let position = 0;
+  for (const char of text) {
+    const origin = { start: position, next: position + char.length };
+    // Characters that fold to nothing (lone combining marks) keep a placeholder
+    const foldedChars = foldText(char) || '\u0000';
+    for (let i = 0; i < foldedChars.length; i++) {
+      origins.push(origin);
+    }
+    folded += foldedChars;
+    position = origin.next;
+  }
+
+  const ranges = [];
+  for (const match of folded.matchAll(WORD)) {
+    const term = terms
+      .filter(candidate => match[0].startsWith(candidate))
+      .reduce((longest, candidate) => (candidate.length > longest.length ? candidate : longest), '');
+    if (!term) continue;
+
+    const start = origins[match.index].start;
+    const end = origins[match.index + term.length - 1].next;
+    const previous = ranges[ranges.length - 1];
+    if (previous && start <= previous[1]) {
+      previous[1] = Math.max(previous[1], end);
+    } else {
+      ranges.push([start, end]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Count the edits (insert, delete, substitute or swap two neighbours) between two words
+ * Gives up early once the distance is known to exceed the limit.
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} - Edit distance, or limit + 1 if it is larger than the limit
+ */
+export function editDistance(a, b, limit = Infinity) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, beforePrevious[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > limit) return limit + 1;
+    beforePrevious = previous;
+    previous = row;
+  }
+
+  return Math.min(previous[b.length], limit + 1);
+}
+
+/**
+ * Intersect two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {Set} - Items in both sets
+ */
+function intersect(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  return new Set([...small].filter(item => large.has(item)));
+}
+
+/**
+ * Create an inverted index over notes
+ * Typo tolerance allows one edit per four letters of a search word, up to `maxEdits`;
+ * words shorter than `minFuzzyLength` must match exactly.
+ * @param {Array} notes - Notes to index initially
+ * @param {Object} options - Options
+ * @param {number} options.maxEdits - Most typos forgiven in one word, 0 turns fuzzy matching off (default 2)
+ * @param {number} options.minFuzzyLength - Shortest word that may contain a typo (default 4)
+ * @returns {Object} - Index with add, remove, sync, search, suggest and size
+ */
+export function createSearchIndex(notes = [], { maxEdits = 2, minFuzzyLength = 4 } = {}) {
+  const postings = new Map(); // term -> Map(note id -> { title, body, tag } counts)
+  const docs = new Map(); // note id -> { note, terms, title, body, tags }
+  let sortedTerms = null; // Sorted vocabulary for prefix lookups, rebuilt lazily
+  const expansions = new Map(); // Cached expand() results, valid until the vocabulary changes
+
+  /**
+   * Drop caches that depend on the set of indexed terms
+   */
+  function vocabularyChanged() {
+    sortedTerms = null;
+    expansions.clear();
+  }
+
+  /**
+   * Remove a note from the index
+   * @param {string} id - Note id
+   */
+  function remove(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+
+    doc.terms.forEach(term => {
+      const entries = postings.get(term);
+      entries.delete(id);
+      if (entries.size === 0) {
+        postings.delete(term);
+        vocabularyChanged();
+      }
+    });
+    docs.delete(id);
+  }
+
+  /**
+   * Add a note to the index, replacing any older version of it
+   * @param {Object} note - Note object
+   */
+  function add(note) {
+    remove(note.id);
+
+    const terms = new Set();
+    const fields = {
+      title: tokenize(note.title),
+      body: tokenize(note.content),
+      tag: (note.tags || []).flatMap(tokenize)
+    };
+
+    Object.entries(fields).forEach(([field, tokens]) => {
+      tokens.forEach(term => {
+        if (!postings.has(term)) {
+          postings.set(term, new Map());
+          vocabularyChanged();
+        }
+        const entries = postings.get(term);
+        const counts = entries.get(note.id) || { title: 0, body: 0, tag: 0 };
+        counts[field]++;
+        entries.set(note.id, counts);
+        terms.add(term);
+      });
+    });
+
+    docs.set(note.id, {
+      note,
+      terms,
+      // Whitespace is collapsed so phrases match across line breaks
+      title: foldText(note.title).replace(/\s+/g, ' '),
+      body: foldText(note.content).replace(/\s+/g, ' '),
+      tags: note.tags || []
+    });
+  }
+
+  /**
+   * Bring the index in line with a list of notes
+   * Only notes whose object changed since they were indexed are re-tokenized.
+   * @param {Array} list - Current notes
+   */
+  function sync(list) {
+    const ids = new Set(list.map(note => note.id));
+    [...docs.keys()].forEach(id => {
+      if (!ids.has(id)) remove(id);
+    });
+    list.forEach(note => {
+      if (docs.get(note.id)?.note !== note) add(note);
+    });
+  }
+
+  /**
+   * Find all indexed terms starting with a prefix
+   * @param {string} prefix - Folded prefix
+   * @returns {Array} - Matching terms
+   */
+  function termsWithPrefix(prefix) {
+    if (!sortedTerms) sortedTerms = [...postings.keys()].sort();
+
+    let low = 0;
+    let high = sortedTerms.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sortedTerms[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+
+    const result = [];
+    for (let i = low; i < sortedTerms.length && sortedTerms[i].startsWith(prefix); i++) {
+      result.push(sortedTerms[i]);
+    }
+    return result;
+  }
+
+  /**
+   * Number of typos forgiven in a search word
+   * @param {string} token - Folded token
+   * @returns {number} - Allowed edit distance
+   */
+  function allowedEdits(token) {
+    if (token.length < minFuzzyLength) return 0;
+    return Math.min(maxEdits, Math.floor(token.length / 4));
+  }
+
+  /**
+   * Find the indexed terms a search word stands for, with their weights
+   * @param {string} token - Folded token
+   * @param {boolean} fuzzy - Also include terms within the allowed edit distance
+   * @returns {Array} - [{ term, weight }]: 1 for the word itself, less for prefixes and typos
+   */
+  function expand(token, fuzzy) {
+    const key = `${fuzzy}:${token}`;
+    if (expansions.has(key)) return expansions.get(key);
+
+    const matches = termsWithPrefix(token).map(term => ({ term, weight: term === token ? 1 : PREFIX_WEIGHT }));
+    const edits = fuzzy ? allowedEdits(token) : 0;
+
+    if (edits > 0) {
+      const found = new Set(matches.map(match => match.term));
+      postings.forEach((_, term) => {
+        if (found.has(term)) return;
+        const distance = editDistance(token, term, edits);
+        if (distance <= edits) {
+          matches.push({ term, weight: Math.pow(FUZZY_WEIGHT, distance) });
+        }
+      });
+    }
+
+    expansions.set(key, matches);
+    return matches;
+  }
+
+  /**
+   * Find notes with a word matching the token in the given field
+   * @param {string} token - Folded token
+   * @param {string} field - any, title or body
+   * @param {boolean} fuzzy - Forgive typos
+   * @returns {Set} - Note ids
+   */
+  function lookup(token, field, fuzzy) {
+    const ids = new Set();
+    expand(token, fuzzy).forEach(({ term }) => {
+      postings.get(term).forEach((counts, id) => {
+        const found = field === 'any' ? counts.title + counts.body + counts.tag : counts[field];
+        if (found > 0) ids.add(id);
+      });
+    });
+    return ids;
+  }
+
+  /**
+   * Evaluate a query tree to the set of matching note ids
+   * @param {Object} node - Expression tree node
+   * @param {boolean} fuzzy - Forgive typos in words (never in exclusions or phrases)
+   * @returns {Set} - Note ids
+   */
+  function evaluate(node, fuzzy) {
+    switch (node.type) {
+      case 'and':
+        return node.children.map(child => evaluate(child, fuzzy)).reduce(intersect);
+      case 'or':
+        return new Set(node.children.flatMap(child => [...evaluate(child, fuzzy)]));
+      case 'not': {
+        // A typo-tolerant exclusion would hide notes the user never named
+        const excluded = evaluate(node.child, false);
+        return new Set([...docs.keys()].filter(id => !excluded.has(id)));
+      }
+      case 'tag':
+        return new Set([...docs].filter(([, doc]) => doc.tags.includes(node.value)).map(([id]) => id));
+      case 'flag':
+        return new Set([...docs].filter(([, doc]) => doc.note[node.value] === true).map(([id]) => id));
+      case 'date':
+        return new Set([...docs].filter(([, doc]) => {
+          const time = new Date(doc.note[node.field]).getTime();
+          return !isNaN(time) &&
+            (node.min === undefined || time >= node.min) &&
+            (node.max === undefined || time < node.max);
+        }).map(([id]) => id));
+      default: {
+        const tokens = tokenize(node.value);
+        // Terms without any letters or digits ("-", "&") don't narrow the results
+        const fuzzyWords = fuzzy && !node.phrase;
+        let ids = tokens.length
+          ? tokens.map(token => lookup(token, node.field, fuzzyWords)).reduce(intersect)
+          : new Set(docs.keys());
+
+        if (node.phrase && tokens.length > 1) {
+          const phrase = foldText(node.value).replace(/\s+/g, ' ').trim();
+          ids = new Set([...ids].filter(id => {
+            const doc = docs.get(id);
+            return (node.field !== 'body' && doc.title.includes(phrase)) ||
+              (node.field !== 'title' && doc.body.includes(phrase));
+          }));
+        }
+        return ids;
+      }
+    }
+  }
+
+  /**
+   * Score a note for the words the query looks for
+   * @param {string} id - Note id
+   * @param {Array} terms - Query terms from getQueryTerms
+   * @param {number} now - Current time in ms
+   * @param {boolean} fuzzy - Count typo matches too
+   * @returns {number} - Relevance score
+   */
+  function score(id, terms, now, fuzzy) {
+    let total = 0;
+
+    terms.forEach(token => {
+      expand(token, fuzzy).forEach(({ term, weight }) => {
+        const entries = postings.get(term);
+        const counts = entries.get(id);
+        if (!counts) return;
+
+        // Rare words say more about a note than common ones
+        const idf = Math.log(1 + docs.size / entries.size);
+        const hits = Object.entries(FIELD_WEIGHTS)
+          .reduce((sum, [field, fieldWeight]) => sum + fieldWeight * Math.log(1 + counts[field]), 0);
+        total += idf * weight * hits;
+      });
+    });
+
+    const updated = new Date(docs.get(id).note.updatedAt).getTime();
+    const ageDays = isNaN(updated) ? Infinity : Math.max(0, now - updated) / 86400000;
+    return total * (1 + RECENCY_BOOST * Math.pow(0.5, ageDays / RECENCY_DAYS));
+  }
+
+  /**
+   * Search the index
+   * Notes that match without forgiving any typo always rank above the rest.
+   * @param {Object|null} tree - Expression tree from parseQuery
+   * @param {Object} options - Options
+   * @param {number} options.now - Current time in ms, for the recency boost (default: Date.now())
+   * @param {boolean} options.fuzzy - Forgive typos (default true)
+   * @returns {Array} - [{ id, score, fuzzy }] best match first; ties go to the most recently updated note
+   */
+  function search(tree, { now = Date.now(), fuzzy = true } = {}) {
+    const exact = tree ? evaluate(tree, false) : new Set(docs.keys());
+    const ids = tree && fuzzy && maxEdits > 0 ? evaluate(tree, true) : exact;
+    const terms = getQueryTerms(tree);
+
+    const updatedAt = id => new Date(docs.get(id).note.updatedAt).getTime() || 0;
+    return [...ids]
+      .map(id => ({ id, score: score(id, terms, now, fuzzy), fuzzy: !exact.has(id) }))
+      .sort((a, b) => a.fuzzy - b.fuzzy || b.score - a.score || updatedAt(b.id) - updatedAt(a.id));
+  }
+
+  /**
+   * Find the indexed word closest to a search word that matches nothing
+   * @param {string} token - Folded token
+   * @returns {string|null} - Closest term, or null if the word matches or nothing is close
+   */
+  function closestTerm(token) {
+    if (token.length < 3 || termsWithPrefix(token).length > 0) return null;
+
+    // Look one edit further than search does: within the threshold it would have matched
+    const limit = allowedEdits(token) + 1;
+    let best = null;
+    postings.forEach((entries, term) => {
+      const distance = editDistance(token, term, limit);
+      if (distance > limit) return;
+      if (!best || distance < best.distance || (distance === best.distance && entries.size > best.count)) {
+        best = { term, distance, count: entries.size };
+      }
+    });
+    return best ? best.term : null;
+  }
+
+  /**
+   * Suggest a corrected query for a search that found nothing
+   * Words that match nothing are swapped for the closest indexed word. Field names
+   * and tag:, is:, created: and updated: filters are left alone.
+   * @param {string} text - Query text as typed
+   * @returns {string|null} - Corrected query, or null if there is nothing to correct
+   */
+  function suggest(text) {
+    let changed = false;
+
+    const corrected = String(text || '').replace(/\S+/g, chunk => {
+      if (chunk === 'OR' || /^[-(]*(tag|is|created|updated):/i.test(chunk)) return chunk;
+
+      return chunk.replace(/([\p{L}\p{N}]+)(:?)/gu, (match, word, colon) => {
+        if (colon) return match; // title: or body:
+        const correction = closestTerm(foldText(word));
+        if (!correction) return match;
+        changed = true;
+        return correction;
+      });
+    });
+
+    return changed ? corrected : null;
+  }
+
+  sync(notes);
+
+  return {
+    add,
+    remove,
+    sync,
+    search,
+    suggest,
+    get size() {
+      return docs.size;
+    }
+  };
+}
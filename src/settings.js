@@ -0,0 +1,43 @@
+/**
+ * User settings for Pure note-taking app
+ * Preferences live in their own localStorage key, apart from the notes, so
+ * changing one never rewrites the notes and settings stay per device
+ *
+ * Responsibilities:
+ * - Loading saved settings, ignoring unreadable data
+ * - Saving changes merged into the settings already stored
+ *
+ * Dependencies: None
+ * Note: Never throws; failures are logged and reported through return values
+ */
+
+const SETTINGS_KEY = 'pure-note-taking-app-settings';
+
+/**
+ * Load the saved settings
+ * @returns {Object} - Settings object, empty if nothing is saved or readable
+ */
+export function loadSettings() {
+  try {
+    const settings = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return settings && typeof settings === 'object' && !Array.isArray(settings) ? settings : {};
+  } catch (error) {
+    console.warn('Ignoring unreadable settings:', error);
+    return {};
+  }
+}
+
+/**
+ * Save settings, keeping any not mentioned in the changes
+ * @param {Object} changes - Settings to set, e.g. { listView }
+ * @returns {boolean} - True if saved, false if storage refused the write
+ */
+export function saveSettings(changes) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...loadSettings(), ...changes }));
+    return true;
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+    return false;
+  }
+}
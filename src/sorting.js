@@ -0,0 +1,105 @@
+/**
+ * Sorting and grouping of the notes list for Pure note-taking app
+ * A list view is { sort, direction, group }, kept in the user's settings
+ *
+ * Responsibilities:
+ * - Validating list views read from settings
+ * - Comparing notes by last update, creation date, title or length
+ * - Splitting a sorted list into date groups (Today, Yesterday, This week, Older)
+ *
+ * Dependencies: None (pure functions)
+ */
+
+const DAY_MS = 86400000;
+
+export const SORT_MODES = ['updated', 'created', 'title', 'length'];
+export const GROUP_MODES = ['none', 'date'];
+export const DEFAULT_LIST_VIEW = { sort: 'updated', direction: 'desc', group: 'none' };
+
+const DATE_GROUPS = ['Today', 'Yesterday', 'This week', 'Older'];
+
+const sortKeys = {
+  updated: note => Date.parse(note.updatedAt) || 0,
+  created: note => Date.parse(note.createdAt) || 0,
+  title: note => note.title || 'Untitled',
+  length: note => (note.content || '').length
+};
+
+/**
+ * Fill in and correct a list view, e.g. one read from old or hand-edited settings
+ * @param {Object} view - List view, possibly partial
+ * @returns {Object} - { sort, direction, group } with only known values
+ */
+export function normalizeListView(view) {
+  const { sort, direction, group } = view || {};
+
+  return {
+    sort: SORT_MODES.includes(sort) ? sort : DEFAULT_LIST_VIEW.sort,
+    direction: direction === 'asc' || direction === 'desc' ? direction : DEFAULT_LIST_VIEW.direction,
+    group: GROUP_MODES.includes(group) ? group : DEFAULT_LIST_VIEW.group
+  };
+}
+
+/**
+ * Build a comparator for a list view
+ * Ties are broken by last update, newest first, so the order is stable.
+ * @param {Object} view - List view
+ * @returns {Function} - Comparator for Array.prototype.sort
+ */
+export function compareNotes(view) {
+  const { sort, direction } = normalizeListView(view);
+  const key = sortKeys[sort];
+  const sign = direction === 'asc' ? 1 : -1;
+
+  return (a, b) => {
+    const order = sort === 'title'
+      ? key(a).localeCompare(key(b), undefined, { sensitivity: 'base', numeric: true })
+      : key(a) - key(b);
+    return sign * order || sortKeys.updated(b) - sortKeys.updated(a);
+  };
+}
+
+/**
+ * Sort notes for a list view
+ * @param {Array} notes - Array of note objects
+ * @param {Object} view - List view
+ * @returns {Array} - New sorted array
+ */
+export function sortNotes(notes, view) {
+  return [...(notes || [])].sort(compareNotes(view));
+}
+
+/**
+ * Work out which date group a time falls in, counted in local calendar days
+ * @param {number} time - Time in ms
+ * @param {Date} now - Current time
+ * @returns {number} - Index into DATE_GROUPS
+ */
+function dateGroup(time, now) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  if (time >= today) return 0; // Also catches times slightly in the future
+  if (time >= today - DAY_MS) return 1;
+  if (time >= today - 6 * DAY_MS) return 2;
+  return 3;
+}
+
+/**
+ * Split notes already in display order into groups
+ * Date groups use the creation date when sorting by it, the last update otherwise.
+ * Groups follow the sort direction for date sorts and run newest first for the rest.
+ * @param {Array} notes - Sorted array of note objects
+ * @param {Object} view - List view
+ * @param {Date} now - Current time (default: now)
+ * @returns {Array} - [{ label, notes }]; a single group with a null label when not grouping
+ */
+export function groupNotes(notes, view, now = new Date()) {
+  const { sort, direction, group } = normalizeListView(view);
+  if (group === 'none') return [{ label: null, notes: [...(notes || [])] }];
+
+  const key = sort === 'created' ? sortKeys.created : sortKeys.updated;
+  const buckets = DATE_GROUPS.map(label => ({ label, notes: [] }));
+  (notes || []).forEach(note => buckets[dateGroup(key(note), now)].notes.push(note));
+
+  const ascending = direction === 'asc' && (sort === 'created' || sort === 'updated');
+  return (ascending ? buckets.reverse() : buckets).filter(bucket => bucket.notes.length > 0);
+}
@@ -1,106 +1,882 @@
 /**
  * Data persistence layer for Pure note-taking app
- * Handles localStorage operations and data storage
- * 
+ * Handles note storage through a pluggable storage adapter
+ *
  * Responsibilities:
- * - localStorage abstraction for note data
- * - JSON serialization/deserialization with error handling
+ * - Storage backend selection (IndexedDB, with localStorage as fallback)
+ * - One-time migration of localStorage notes into IndexedDB
+ * - Versioned data envelope with an ordered schema migration pipeline
  * - Data validation and structure integrity
- * - Import/export functionality for notes
- * - Storage error handling and fallback mechanisms
- * 
- * Dependencies: None (pure localStorage operations)
+ * - Import/export functionality for notes and notebooks
+ * - Storage error handling and fallback mechanisms, with the reason a save failed
+ * - Storage usage against the quota, and moving to IndexedDB when localStorage is full
+ * - Change notifications when another tab writes the notes
+ * - Optional encryption at rest: locking, unlocking and changing the passphrase,
+ *   encrypted backups and encrypted editor drafts
+ *
+ * Encrypted data keeps the envelope shape, so the adapters store it like any other:
+ *   { version, notes: [{ id, encrypted }], notebooks: [], meta: { encryption, sealed } }
+ * Each note is encrypted on its own, so IndexedDB still writes only the notes that
+ * changed; `sealed` holds the notebooks and meta, and `encryption` the key parameters.
+ * Note ids and the number of notes stay readable.
+ *
+ * Dependencies: adapters.js (storage backends), tags.js (tag migration), notebooks.js (notebook merges),
+ *   encryption.js (keys and ciphers), notelock.js (locked note validation), quota.js (quota errors and usage)
+ * Note: All storage operations are asynchronous and resolve, never reject
  */
 
+import { createLocalStorageAdapter, createIndexedDBAdapter } from './adapters.js';
+import { uniqueTags, extractHashtags } from './tags.js';
+import { normalizeNotebooks, mergeNotebooks } from './notebooks.js';
+import { createKeyParams, isKeyParams, deriveKey, encryptJSON, decryptJSON } from './encryption.js';
+import { isNoteLock } from './notelock.js';
+import { isQuotaError, measureLocalStorage, LOCAL_STORAGE_QUOTA } from './quota.js';
+
 const STORAGE_KEY = 'pure-note-taking-app-data';
+const ENCRYPTED_BACKUP_FORMAT = 'pure-notes-encrypted-backup';
+const ID_PATTERN = /^[\w-]{1,128}$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Schema migrations, in order. migrations[n] upgrades version n data to n + 1,
+ * so SCHEMA_VERSION always equals migrations.length. Each migration receives
+ * an envelope and returns a new one; it must never mutate its input.
+ * Never edit a released migration: add a new one to the end instead.
+ */
+const migrations = [
+  // v0 -> v1: bare notes array, timestamps were optional on imported notes
+  (data) => ({
+    ...data,
+    notes: data.notes.map(note => {
+      const createdAt = note.createdAt || note.updatedAt || new Date().toISOString();
+      return { ...note, createdAt, updatedAt: note.updatedAt || createdAt };
+    })
+  }),
+  // v1 -> v2: notes gained tags, seeded from the #hashtags already in their content
+  (data) => ({
+    ...data,
+    notes: data.notes.map(note => ({
+      ...note,
+      tags: Array.isArray(note.tags) ? uniqueTags(note.tags) : extractHashtags(note.content)
+    }))
+  }),
+  // v2 -> v3: notebooks, kept next to the notes; a note without a notebookId is at the top level
+  (data) => ({
+    ...data,
+    notebooks: []
+  })
+];
+
+export const SCHEMA_VERSION = migrations.length;
+
+const localStorageAdapter = createLocalStorageAdapter(STORAGE_KEY);
+let adapter = localStorageAdapter;
+let storedMeta = {}; // meta of the last loaded envelope, written back on save
+let storedNotebooks = []; // notebooks of the last loaded or saved envelope
+let keyParams = null; // key parameters of the stored data while it is encrypted, null while it is not
+let cipher = null; // { params, key, records } once unlocked; records maps each note to its stored record
+let saveError = null; // Why the last save failed: 'quota', 'locked' or 'failed'; null after a success
+const watchers = new Set(); // { handle, unwatch } of each watchNotes() subscription, moved along with the backend
+
+/**
+ * Upgrade stored or imported data to the current schema version
+ * Bare arrays written before versioning are treated as version 0.
+ * @param {Object|Array} data - Envelope `{ version, notes, notebooks, meta }` or legacy notes array
+ * @return {Object} Envelope at SCHEMA_VERSION
+ * @throws {Error} If the data is not recognizable or comes from a newer schema
+ */
+export function migrateData(data) {
+  let envelope = Array.isArray(data) ? { version: 0, notes: data, meta: {} } : data;
+
+  const isEnvelope = envelope &&
+    typeof envelope === 'object' &&
+    Number.isInteger(envelope.version) &&
+    envelope.version >= 0 &&
+    Array.isArray(envelope.notes);
+
+  if (!isEnvelope) {
+    throw new Error('Data is neither a notes array nor a versioned envelope');
+  }
+
+  if (envelope.version > SCHEMA_VERSION) {
+    throw new Error(`Data uses schema v${envelope.version}, this app only knows up to v${SCHEMA_VERSION}`);
+  }
+
+  envelope = { ...envelope, meta: envelope.meta || {} };
+
+  while (envelope.version < SCHEMA_VERSION) {
+    envelope = { ...migrations[envelope.version](envelope), version: envelope.version + 1 };
+  }
+
+  return Array.isArray(envelope.notebooks) ? envelope : { ...envelope, notebooks: [] };
+}
+
+/**
+ * Wrap notes in a current-version envelope
+ * @param {Array} notes - Array of note objects
+ * @param {Object} meta - Envelope metadata
+ * @param {Array} notebooks - Array of notebook objects
+ * @return {Object} Envelope `{ version, notes, notebooks, meta }`
+ */
+function createEnvelope(notes, meta = storedMeta, notebooks = storedNotebooks) {
+  return { version: SCHEMA_VERSION, notes, notebooks, meta };
+}
+
+
+/**
+ * Check that a value is an id as the app creates them: letters, digits, _ and -
+ * Ids end up in element ids and data attributes, so nothing else gets in.
+ * @param {*} id - Value to check
+ * @return {boolean} True if the id is safe to use
+ */
+function isValidId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+/**
+ * Check that a value is an ISO 8601 timestamp, as written by toISOString()
+ * @param {*} value - Value to check
+ * @return {boolean} True if the value is a valid timestamp
+ */
+function isISODate(value) {
+  return typeof value === 'string' && ISO_DATE_PATTERN.test(value) && !isNaN(Date.parse(value));
+}
+
+/**
+ * Check that a value looks like a notebook
+ * @param {*} notebook - Value to check
+ * @return {boolean} True if the value has the required notebook fields
+ */
+function isValidNotebook(notebook) {
+  return Boolean(notebook) &&
+    typeof notebook === 'object' &&
+    isValidId(notebook.id) &&
+    typeof notebook.name === 'string' &&
+    (notebook.parentId === undefined || notebook.parentId === null || isValidId(notebook.parentId));
+}
+
+/**
+ * Check that a value looks like a note
+ * A locked note has empty content and its text in a well-formed `lock`. Optional
+ * fields must have their type when present, since imported notes go straight to the UI.
+ * @param {*} note - Value to check
+ * @return {boolean} True if the value has the required note fields
+ */
+function isValidNote(note) {
+  const optional = (value, check) => value === undefined || value === null || check(value);
+  const isBoolean = value => typeof value === 'boolean';
+
+  return Boolean(note) &&
+    typeof note === 'object' &&
+    isValidId(note.id) &&
+    typeof note.title === 'string' &&
+    typeof note.content === 'string' &&
+    isISODate(note.createdAt) &&
+    isISODate(note.updatedAt) &&
+    Array.isArray(note.tags) && note.tags.every(tag => typeof tag === 'string') &&
+    optional(note.notebookId, isValidId) &&
+    optional(note.pinned, isBoolean) &&
+    optional(note.favorite, isBoolean) &&
+    optional(note.template, isBoolean) &&
+    optional(note.pinOrder, Number.isFinite) &&
+    optional(note.deletedAt, isISODate) &&
+    (note.lock === undefined || isNoteLock(note.lock));
+}
+
+/**
+ * Date trashed notes whose `deletedAt` is no timestamp by their last change
+ * Such a date would never pass the purge cutoff, and stored data from before
+ * imports were checked may hold one.
+ * @param {Array} notes - Notes as loaded
+ * @return {Array} The same notes, repaired ones replaced by copies
+ */
+function repairDeletedAt(notes) {
+  return notes.map(note => (note.deletedAt && !isISODate(note.deletedAt)
+    ? { ...note, deletedAt: isISODate(note.updatedAt) ? note.updatedAt : new Date().toISOString() }
+    : note));
+}
+
+/**
+ * Check whether stored data is encrypted
+ * @param {*} data - Data as loaded by an adapter
+ * @return {boolean} True if the data is an encrypted envelope
+ */
+function isEncryptedData(data) {
+  return Boolean(data) && !Array.isArray(data) && isKeyParams(data.meta?.encryption);
+}
+
+/**
+ * Derive the key for a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Object} params - Key parameters
+ * @return {Promise<Object>} Cipher `{ params, key, records }` with no records yet
+ */
+async function createCipher(passphrase, params) {
+  return { params, key: await deriveKey(passphrase, params), records: new WeakMap() };
+}
+
+/**
+ * Check a passphrase against encrypted data
+ * @param {string} passphrase - Passphrase to try
+ * @param {Object} data - Encrypted envelope
+ * @return {Promise<Object|null>} Cipher for the data, or null if the passphrase is wrong
+ */
+async function checkPassphrase(passphrase, data) {
+  const candidate = await createCipher(passphrase, data.meta.encryption);
+  try {
+    await decryptJSON(candidate.key, data.meta.sealed);
+    return candidate;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Encrypt an envelope for storage
+ * A note encrypted before keeps its record, so unchanged notes are not rewritten.
+ * @param {Object} envelope - Envelope to encrypt
+ * @param {Object} active - Cipher to encrypt with
+ * @return {Promise<Object>} Encrypted envelope
+ */
+async function sealEnvelope(envelope, active) {
+  const notes = await Promise.all(envelope.notes.map(async note => {
+    let record = active.records.get(note);
+    if (!record) {
+      record = { id: note.id, encrypted: await encryptJSON(active.key, note) };
+      active.records.set(note, record);
+    }
+    return record;
+  }));
+  const sealed = await encryptJSON(active.key, { notebooks: envelope.notebooks, meta: envelope.meta });
+
+  return { version: envelope.version, notes, notebooks: [], meta: { encryption: active.params, sealed } };
+}
+
+/**
+ * Decrypt an encrypted envelope
+ * @param {Object} data - Encrypted envelope
+ * @param {Object} active - Cipher to decrypt with
+ * @return {Promise<Object>} Envelope in the clear, at the version it was saved with
+ * @throws {Error} If the key does not fit or the data was changed
+ */
+async function openEnvelope(data, active) {
+  const { notebooks, meta } = await decryptJSON(active.key, data.meta.sealed);
+  const notes = await Promise.all(data.notes.map(async record => {
+    const note = await decryptJSON(active.key, record.encrypted);
+    active.records.set(note, record);
+    return note;
+  }));
+
+  return { version: data.version, notes, notebooks, meta };
+}
+
+/**
+ * Pick the storage backend, migrating localStorage notes on first run
+ * Falls back to localStorage when IndexedDB is missing or fails to open
+ * @param {Object} options - Options
+ * @param {IDBFactory} options.indexedDB - IndexedDB implementation (default: the browser's)
+ * @return {Promise<string>} Name of the backend in use
+ */
+export async function initStorage({ indexedDB = globalThis.indexedDB } = {}) {
+  storedMeta = {};
+  storedNotebooks = [];
+  keyParams = null;
+  cipher = null;
+
+  if (!indexedDB) {
+    useAdapter(localStorageAdapter);
+    return adapter.name;
+  }
+
+  try {
+    const indexedDBAdapter = createIndexedDBAdapter({ indexedDB });
+    await migrateFromLocalStorage(indexedDBAdapter);
+    useAdapter(indexedDBAdapter);
+  } catch (error) {
+    console.warn('IndexedDB unavailable, using localStorage instead:', error);
+    useAdapter(localStorageAdapter);
+  }
+
+  return adapter.name;
+}
+
+/**
+ * Move notes left in localStorage into another backend
+ * Notes already in the target win when they were updated more recently,
+ * so notes written during an earlier fallback session are merged, not lost.
+ * @param {Object} target - Storage adapter to migrate into
+ */
+async function migrateFromLocalStorage(target) {
+  // Loading the target first also proves the backend works before we switch
+  const stored = await target.load();
+  const existing = migrateData(stored);
+  const raw = await localStorageAdapter.load().catch(() => null);
+
+  // Encrypted notes cannot be merged without the passphrase: they only move into an empty database
+  if (isEncryptedData(raw) || isEncryptedData(stored)) {
+    const empty = existing.notes.length === 0 && existing.notebooks.length === 0 && !isEncryptedData(stored);
+    if (empty && isEncryptedData(raw)) {
+      await target.save(raw);
+      await localStorageAdapter.clear();
+    } else if (raw && (!Array.isArray(raw) || raw.length > 0)) {
+      console.warn('Skipping migration of localStorage notes: encrypted notes cannot be merged');
+    }
+    return;
+  }
+
+  const legacy = await localStorageAdapter.load()
+    .then(migrateData)
+    .catch(error => {
+      console.warn('Skipping migration of unreadable localStorage notes:', error);
+      return createEnvelope([], {}, []);
+    });
+
+  if (legacy.notes.length === 0 && legacy.notebooks.length === 0) return;
+
+  const merged = new Map(existing.notes.map(note => [note.id, note]));
+  legacy.notes.forEach(note => {
+    const current = merged.get(note.id);
+    if (!current || new Date(note.updatedAt) > new Date(current.updatedAt)) {
+      merged.set(note.id, note);
+    }
+  });
+
+  await target.save(createEnvelope(
+    [...merged.values()],
+    { ...legacy.meta, ...existing.meta },
+    mergeNotebooks(legacy.notebooks, existing.notebooks)
+  ));
+  await localStorageAdapter.clear();
+}
+
+/**
+ * Switch the storage backend, moving watchNotes() subscriptions over to it
+ * @param {Object} nextAdapter - Object implementing the adapter interface
+ */
+function useAdapter(nextAdapter) {
+  if (nextAdapter === adapter) return;
+  adapter = nextAdapter;
+  watchers.forEach(watcher => {
+    watcher.unwatch();
+    watcher.unwatch = adapter.watch(watcher.handle);
+  });
+}
+
+/**
+ * Replace the storage backend (used by initStorage and tests)
+ * @param {Object} nextAdapter - Object implementing the adapter interface
+ */
+export function setStorageAdapter(nextAdapter) {
+  useAdapter(nextAdapter);
+  storedMeta = {};
+  storedNotebooks = [];
+  keyParams = null;
+  cipher = null;
+}
 
 /**
- * Load notes from localStorage
- * @return {Array} Array of note objects, empty array if none found
+ * Load notes and notebooks from storage
+ * Encrypted notes are decrypted once unlockNotes() has the passphrase; until then
+ * the result is empty and marked locked.
+ * @return {Promise<Object>} { notes, notebooks }, empty arrays if none found, plus `locked: true` while locked
  */
-export function loadNotes() {
+export async function loadData() {
   try {
-    const data = localStorage.getItem(STORAGE_KEY);
-    if (!data) {
-        return [];
+    let data = await adapter.load();
+
+    if (isEncryptedData(data)) {
+      keyParams = data.meta.encryption;
+      // The key must belong to these parameters: another tab may have changed the passphrase
+      const active = cipher && cipher.params.salt === keyParams.salt ? cipher : null;
+      data = active && await openEnvelope(data, active).catch(error => {
+        console.warn('Failed to decrypt notes:', error);
+        return null;
+      });
+      if (!data) {
+        lockNotes();
+        return { notes: [], notebooks: [], locked: true };
+      }
+    } else {
+      keyParams = null;
+      cipher = null;
     }
-    const parsed = JSON.parse(data);
-    // Ensure we return an array
-    return Array.isArray(parsed) ? parsed : [];
+
+    const envelope = migrateData(data);
+    storedMeta = envelope.meta;
+    storedNotebooks = envelope.notebooks;
+    return { notes: repairDeletedAt(envelope.notes), notebooks: envelope.notebooks };
   } catch (error) {
-    console.warn('Failed to load notes from localStorage:', error);
-    return [];
+    console.warn(`Failed to load notes from ${adapter.name}:`, error);
+    return { notes: [], notebooks: [] };
   }
 }
 
 /**
- * Save notes to localStorage
+ * Load notes from storage
+ * @return {Promise<Array>} Array of note objects, empty array if none found
+ */
+export async function loadNotes() {
+  return (await loadData()).notes;
+}
+
+/**
+ * Save notes to storage
  * @param {Array} notes - Array of note objects to save
- * @returns {boolean} True if successful, false if failed
+ * @param {Array} notebooks - Array of notebook objects (default: the last loaded or saved)
+ * @returns {Promise<boolean>} True if successful, false if failed
  */
-export function saveNotes(notes) {
+export async function saveNotes(notes, notebooks = storedNotebooks) {
   try {
-    if (!Array.isArray(notes)) {
-      console.warn('saveNotes: Expected array, got:', typeof notes);
+    if (!Array.isArray(notes) || !Array.isArray(notebooks)) {
+      console.warn('saveNotes: Expected arrays, got:', typeof notes, typeof notebooks);
+      saveError = 'failed';
       return false;
     }
-    const data = JSON.stringify(notes);
-    localStorage.setItem(STORAGE_KEY, data);
+    // Writing without the key would replace the encrypted notes
+    if (keyParams && !cipher) {
+      console.warn('saveNotes: Notes are locked');
+      saveError = 'locked';
+      return false;
+    }
+    const active = cipher; // Locking while this save encrypts must not change its key
+    const envelope = createEnvelope(notes, storedMeta, notebooks);
+    await adapter.save(active ? await sealEnvelope(envelope, active) : envelope);
+    // A lock while this save ran has already forgotten the decrypted notebooks
+    if (cipher === active) storedNotebooks = notebooks;
+    saveError = null;
     return true;
   } catch (error) {
-    console.error('Failed to save notes to localStorage:', error);
+    console.error(`Failed to save notes to ${adapter.name}:`, error);
+    saveError = isQuotaError(error) ? 'quota' : 'failed';
     return false;
   }
 }
 
 /**
- * Export notes as JSON string for backup/download
- * @return {string} JSON string of current notes
+ * Tell why the last saveNotes() call failed
+ * @return {string|null} 'quota' when storage is full, 'locked' while encrypted notes are locked,
+ *   'failed' for any other error, null if the last save succeeded
+ */
+export function getSaveError() {
+  return saveError;
+}
+
+/**
+ * Measure how much of its quota the storage backend uses
+ * localStorage is counted in characters, the unit browsers cap it by; IndexedDB
+ * shares the origin's quota, which the browser estimates.
+ * @return {Promise<Object|null>} { backend, used, quota }, or null if the browser cannot tell
  */
-export function exportNotes() {
+export async function getStorageUsage() {
   try {
-    const notes = loadNotes();
-    return JSON.stringify(notes, null, 2); // Pretty formatted
+    if (adapter === localStorageAdapter) {
+      return { backend: adapter.name, used: measureLocalStorage(), quota: LOCAL_STORAGE_QUOTA };
+    }
+
+    const estimate = await globalThis.navigator?.storage?.estimate?.();
+    if (!estimate || !(estimate.quota > 0)) return null;
+    return { backend: adapter.name, used: estimate.usage || 0, quota: estimate.quota };
   } catch (error) {
-    console.error('Failed to export notes:', error);
-    return '[]';
+    console.warn('Failed to measure storage usage:', error);
+    return null;
+  }
+}
+
+/**
+ * Move from localStorage to IndexedDB, which has far more room
+ * Notes stored in localStorage are merged into the database first, as on startup;
+ * the caller then saves what it holds in memory. watchNotes() subscriptions move along.
+ * @param {Object} options - Options
+ * @param {IDBFactory} options.indexedDB - IndexedDB implementation (default: the browser's)
+ * @return {Promise<boolean>} True if IndexedDB is now in use, false if it is unavailable or already in use
+ */
+export async function moveToIndexedDB({ indexedDB = globalThis.indexedDB } = {}) {
+  if (adapter !== localStorageAdapter || !indexedDB) return false;
+
+  try {
+    const indexedDBAdapter = createIndexedDBAdapter({ indexedDB });
+    await migrateFromLocalStorage(indexedDBAdapter);
+    useAdapter(indexedDBAdapter);
+    return true;
+  } catch (error) {
+    console.warn('Failed to move notes to IndexedDB:', error);
+    return false;
+  }
+}
+
+/**
+ * Tell how the stored notes are protected, as of the last load or change
+ * @return {string} 'off' when stored in the clear, 'locked' or 'unlocked' when encrypted
+ */
+export function getEncryptionState() {
+  if (!keyParams) return 'off';
+  return cipher ? 'unlocked' : 'locked';
+}
+
+/**
+ * Encrypt an editor draft with the key of the unlocked notes, so drafts of
+ * encrypted notes are never stored in the clear
+ * @param {Object} draft - Draft fields to encrypt
+ * @return {Promise<Object|null>} { iv, data }, or null unless encrypted notes are unlocked
+ */
+export async function sealDraft(draft) {
+  if (!cipher) return null;
+  try {
+    return await encryptJSON(cipher.key, draft);
+  } catch (error) {
+    console.error('Failed to encrypt draft:', error);
+    return null;
   }
 }
 
 /**
- * Import notes from JSON string, replacing current notes
- * @param {string} jsonString - JSON string containing notes array
- * @returns {boolean} True if successful, false if failed
+ * Decrypt a draft sealed with sealDraft()
+ * @param {Object} sealed - { iv, data } from sealDraft()
+ * @return {Promise<Object|null>} Draft fields, or null if locked or sealed with another passphrase
  */
-export function importNotes(jsonString) {
+export async function openDraft(sealed) {
+  if (!cipher) return null;
   try {
-    if (typeof jsonString !== 'string') {
-      console.warn('importNotes: Expected string, got:', typeof jsonString);
+    return await decryptJSON(cipher.key, sealed);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Unlock encrypted notes, so loadData() and saveNotes() can decrypt and encrypt them
+ * @param {string} passphrase - Passphrase the notes were encrypted with
+ * @return {Promise<boolean>} True if unlocked, false if the passphrase is wrong or nothing is encrypted
+ */
+export async function unlockNotes(passphrase) {
+  try {
+    const data = await adapter.load();
+    if (!isEncryptedData(data)) return false;
+
+    const active = await checkPassphrase(passphrase, data);
+    if (!active) return false;
+    keyParams = active.params;
+    cipher = active;
+    return true;
+  } catch (error) {
+    console.error('Failed to unlock notes:', error);
+    return false;
+  }
+}
+
+/**
+ * Forget the key and the decrypted notebooks; the notes stay encrypted in storage
+ * Saving is refused until unlockNotes() succeeds again.
+ */
+export function lockNotes() {
+  cipher = null;
+  storedMeta = {};
+  storedNotebooks = [];
+}
+
+/**
+ * Encrypt the stored notes with a passphrase
+ * @param {string} passphrase - New passphrase
+ * @param {Object} options - Options
+ * @param {number} options.iterations - PBKDF2 iterations (default: KDF_ITERATIONS)
+ * @return {Promise<boolean>} True if encrypted, false if already encrypted or the data could not be rewritten
+ */
+export async function enableEncryption(passphrase, { iterations } = {}) {
+  try {
+    const data = await adapter.load();
+    if (keyParams || isEncryptedData(data)) {
+      console.warn('enableEncryption: Notes are already encrypted');
       return false;
     }
 
+    const envelope = migrateData(data);
+    const next = await createCipher(passphrase, createKeyParams({ iterations }));
+    await adapter.save(await sealEnvelope(envelope, next));
+    keyParams = next.params;
+    cipher = next;
+    storedMeta = envelope.meta;
+    storedNotebooks = envelope.notebooks;
+    return true;
+  } catch (error) {
+    console.error('Failed to encrypt notes:', error);
+    return false;
+  }
+}
+
+/**
+ * Re-encrypt every note under a new passphrase
+ * @param {string} currentPassphrase - Passphrase the notes are encrypted with
+ * @param {string} nextPassphrase - Passphrase to encrypt them with from now on
+ * @param {Object} options - Options
+ * @param {number} options.iterations - PBKDF2 iterations (default: KDF_ITERATIONS)
+ * @return {Promise<boolean>} True if changed, false if the current passphrase is wrong or the notes could not be rewritten
+ */
+export async function changePassphrase(currentPassphrase, nextPassphrase, { iterations } = {}) {
+  try {
+    const data = await adapter.load();
+    if (!isEncryptedData(data)) return false;
+
+    const active = await checkPassphrase(currentPassphrase, data);
+    if (!active) return false;
+
+    const envelope = migrateData(await openEnvelope(data, active));
+    const next = await createCipher(nextPassphrase, createKeyParams({ iterations }));
+    await adapter.save(await sealEnvelope(envelope, next));
+    keyParams = next.params;
+    cipher = next;
+    storedMeta = envelope.meta;
+    storedNotebooks = envelope.notebooks;
+    return true;
+  } catch (error) {
+    console.error('Failed to change the passphrase:', error);
+    return false;
+  }
+}
+
+/**
+ * Decrypt the stored notes for good
+ * @param {string} passphrase - Passphrase the notes are encrypted with
+ * @return {Promise<boolean>} True if decrypted, false if the passphrase is wrong or the notes could not be rewritten
+ */
+export async function disableEncryption(passphrase) {
+  try {
+    const data = await adapter.load();
+    if (!isEncryptedData(data)) return false;
+
+    const active = await checkPassphrase(passphrase, data);
+    if (!active) return false;
+
+    const envelope = migrateData(await openEnvelope(data, active));
+    await adapter.save(envelope);
+    keyParams = null;
+    cipher = null;
+    storedMeta = envelope.meta;
+    storedNotebooks = envelope.notebooks;
+    return true;
+  } catch (error) {
+    console.error('Failed to decrypt notes:', error);
+    return false;
+  }
+}
+
+/**
+ * Export notes and notebooks as a versioned JSON envelope for backup/download
+ * With a passphrase the envelope is encrypted, under a key of its own, into
+ * `{ format, encryption, iv, data }`; decryptBackup() turns it back.
+ * @param {Object} options - Export options
+ * @param {string} options.passphrase - Passphrase to encrypt the backup with (default: none)
+ * @param {number} options.iterations - PBKDF2 iterations for an encrypted backup (default: KDF_ITERATIONS)
+ * @param {Object} options.data - { notes, notebooks } to export instead of the stored ones, such as
+ *   changes that could not be saved
+ * @return {Promise<string>} JSON string of `{ version, notes, notebooks, meta }`, or of the encrypted backup
+ */
+export async function exportNotes({ passphrase = null, iterations, data = null } = {}) {
+  try {
+    const { notes, notebooks } = data || await loadData();
+    const meta = { ...storedMeta, exportedAt: new Date().toISOString() };
+    const envelope = createEnvelope(notes, meta, notebooks);
+    if (!passphrase) {
+      return JSON.stringify(envelope, null, 2); // Pretty formatted
+    }
+
+    const params = createKeyParams({ iterations });
+    const sealed = await encryptJSON(await deriveKey(passphrase, params), envelope);
+    return JSON.stringify({ format: ENCRYPTED_BACKUP_FORMAT, encryption: params, ...sealed }, null, 2);
+  } catch (error) {
+    console.error('Failed to export notes:', error);
+    return `{"version": ${SCHEMA_VERSION}, "notes": [], "notebooks": [], "meta": {}}`;
+  }
+}
+
+/**
+ * Check whether an import file is an encrypted backup
+ * @param {string} jsonString - File contents
+ * @return {boolean} True if the file came from exportNotes() with a passphrase
+ */
+export function isEncryptedBackup(jsonString) {
+  try {
     const parsed = JSON.parse(jsonString);
+    return parsed?.format === ENCRYPTED_BACKUP_FORMAT && isKeyParams(parsed.encryption);
+  } catch {
+    return false;
+  }
+}
 
-    if (!Array.isArray(parsed)) {
-      console.warn('importNotes: JSON does not contain an array');
-      return false;
+/**
+ * Decrypt an encrypted backup, ready for importNotes() or previewImport()
+ * @param {string} jsonString - Encrypted backup
+ * @param {string} passphrase - Passphrase the backup was exported with
+ * @return {Promise<string|null>} JSON string of the backed-up envelope, or null if the passphrase is wrong
+ */
+export async function decryptBackup(jsonString, passphrase) {
+  try {
+    const backup = JSON.parse(jsonString);
+    const key = await deriveKey(passphrase, backup.encryption);
+    return JSON.stringify(await decryptJSON(key, backup));
+  } catch (error) {
+    console.warn('Failed to decrypt backup:', error);
+    return null;
+  }
+}
+
+/**
+ * Parse and validate notes and notebooks from an import file
+ * Accepts versioned envelopes and legacy bare arrays, upgrading either
+ * @param {string} jsonString - JSON string containing an envelope or notes array
+ * @return {Object|null} Imported { notes, notebooks }, or null if the data is not importable
+ * @throws {SyntaxError} If the string is not valid JSON
+ */
+function parseImport(jsonString) {
+  if (typeof jsonString !== 'string') {
+    console.warn('importNotes: Expected string, got:', typeof jsonString);
+    return null;
+  }
+
+  const parsed = JSON.parse(jsonString);
+
+  let envelope;
+  try {
+    envelope = migrateData(parsed);
+  } catch (error) {
+    console.warn('importNotes: Unsupported data format:', error.message);
+    return null;
+  }
+
+  // Validate note structure (basic check)
+  if (!envelope.notes.every(isValidNote)) {
+    console.warn('importNotes: Invalid note structure detected');
+    return null;
+  }
+
+  if (!envelope.notebooks.every(isValidNotebook)) {
+    console.warn('importNotes: Invalid notebook structure detected');
+    return null;
+  }
+
+  return { notes: envelope.notes, notebooks: envelope.notebooks };
+}
+
+/**
+ * Work out what importing notes would change
+ * - replace: the imported notes become the whole collection
+ * - merge: notes are matched on id and the newest `updatedAt` wins;
+ *   existing notes missing from the import are kept
+ * @param {Array} currentNotes - Notes currently stored
+ * @param {Array} incomingNotes - Notes being imported
+ * @param {string} mode - 'replace' or 'merge'
+ * @return {Object} { notes, added, updated, skipped, removed } with note arrays
+ */
+export function planImport(currentNotes, incomingNotes, mode = 'replace') {
+  const currentById = new Map(currentNotes.map(note => [note.id, note]));
+  const incomingIds = new Set(incomingNotes.map(note => note.id));
+  const plan = { notes: [], added: [], updated: [], skipped: [], removed: [] };
+
+  const isNewer = (incoming, current) =>
+    new Date(incoming.updatedAt) > new Date(current.updatedAt);
+  const isSame = (incoming, current) =>
+    incoming.updatedAt === current.updatedAt &&
+    incoming.title === current.title &&
+    incoming.content === current.content;
+
+  if (mode === 'replace') {
+    incomingNotes.forEach(note => {
+      const current = currentById.get(note.id);
+      if (!current) plan.added.push(note);
+      else if (isSame(note, current)) plan.skipped.push(note);
+      else plan.updated.push(note);
+    });
+    plan.removed = currentNotes.filter(note => !incomingIds.has(note.id));
+    plan.notes = [...incomingNotes];
+    return plan;
+  }
+
+  const winners = new Map();
+  incomingNotes.forEach(note => {
+    const current = currentById.get(note.id);
+    if (!current) {
+      plan.added.push(note);
+    } else if (isNewer(note, current)) {
+      plan.updated.push(note);
+      winners.set(note.id, note);
+    } else {
+      plan.skipped.push(note);
     }
+  });
+
+  // New notes first, existing notes keep their place
+  plan.notes = [
+    ...plan.added,
+    ...currentNotes.map(note => winners.get(note.id) || note)
+  ];
+  return plan;
+}
 
-    // Validate note structure (basic check)
-    const isValidNotes = parsed.every(note =>
-      note &&
-      typeof note === 'object' &&
-      typeof note.id === 'string' &&
-      typeof note.title === 'string' &&
-      typeof note.content === 'string'
-    );
-
-    if (!isValidNotes) {
-      console.warn('importNotes: Invalid note structure detected');
+/**
+ * Work out the notebooks after an import
+ * Replace takes the imported notebooks; merge keeps the newest copy of each.
+ * @param {Array} currentNotebooks - Notebooks currently stored
+ * @param {Array} incomingNotebooks - Notebooks being imported
+ * @param {string} mode - 'replace' or 'merge'
+ * @return {Object} { notebooks, added } with the notebooks to keep and those that are new
+ */
+function planNotebookImport(currentNotebooks, incomingNotebooks, mode) {
+  const currentIds = new Set(currentNotebooks.map(notebook => notebook.id));
+
+  return {
+    notebooks: mode === 'merge'
+      ? mergeNotebooks(currentNotebooks, incomingNotebooks)
+      : normalizeNotebooks(incomingNotebooks),
+    added: incomingNotebooks.filter(notebook => !currentIds.has(notebook.id))
+  };
+}
+
+/**
+ * Preview an import without writing anything (dry run)
+ * @param {string} jsonString - JSON string containing an envelope or notes array
+ * @param {Object} options - Import options
+ * @param {string} options.mode - 'replace' (default) or 'merge'
+ * @param {Object} options.data - { notes, notebooks } to import into instead of the stored ones
+ * @returns {Promise<Object|null>} Plan from planImport plus `notebooksAdded`, or null if the data is not importable
+ */
+export async function previewImport(jsonString, { mode = 'replace', data = null } = {}) {
+  try {
+    const incoming = parseImport(jsonString);
+    if (!incoming) return null;
+
+    const current = data || await loadData();
+    return {
+      ...planImport(current.notes, incoming.notes, mode),
+      notebooksAdded: planNotebookImport(current.notebooks, incoming.notebooks, mode).added
+    };
+  } catch (error) {
+    console.error('Failed to preview import:', error);
+    return null;
+  }
+}
+
+/**
+ * Import notes and notebooks from JSON string
+ * Replaces all current notes by default; merge mode keeps the newest copy of each note and notebook
+ * @param {string} jsonString - JSON string containing an envelope or notes array
+ * @param {Object} options - Import options
+ * @param {string} options.mode - 'replace' (default) or 'merge'
+ * @param {Object} options.data - { notes, notebooks } to merge into instead of the stored ones, such as
+ *   the notes in memory while they hold changes storage refused
+ * @returns {Promise<boolean>} True if successful, false if failed
+ */
+export async function importNotes(jsonString, { mode = 'replace', data = null } = {}) {
+  try {
+    if (mode !== 'replace' && mode !== 'merge') {
+      console.warn('importNotes: Unknown mode:', mode);
       return false;
     }
 
-    return saveNotes(parsed);
+    const incoming = parseImport(jsonString);
+    if (!incoming) return false;
+
+    const current = mode === 'merge' ? data || await loadData() : { notes: [], notebooks: [] };
+    const plan = planImport(current.notes, incoming.notes, mode);
+    return await saveNotes(plan.notes, planNotebookImport(current.notebooks, incoming.notebooks, mode).notebooks);
   } catch(error) {
     console.error('Failed to import notes:', error);
     return false;
@@ -109,14 +885,82 @@ export function importNotes(jsonString) {
 
 /**
  * Clear all notes from storage (util function)
- * @returns {boolean} True if successful, false if failed
+ * @returns {Promise<boolean>} True if successful, false if failed
  */
-export function clearNotes() {
+export async function clearNotes() {
   try {
-    localStorage.removeItem(STORAGE_KEY);
+    await adapter.clear();
+    storedMeta = {};
+    storedNotebooks = [];
+    keyParams = null;
+    cipher = null;
     return true;
   } catch (error) {
-    console.error('Failed to clear notes from localStorage:', error);
+    console.error(`Failed to clear notes from ${adapter.name}:`, error);
     return false;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Watch for notes written to storage by another tab or window
+ * Encrypted notes are decrypted first. When this tab cannot decrypt them (it is
+ * locked, or another tab turned on encryption or changed the passphrase) it locks,
+ * and the callback gets empty arrays with `{ locked: true }`.
+ * @param {Function} callback - Called with the new notes and notebooks arrays (and `{ locked: true }` when locked)
+ * @returns {Function} Unsubscribe function
+ */
+export function watchNotes(callback) {
+  let pending = null; // Changes still being decrypted; later changes wait their turn
+
+  const deliver = data => {
+    try {
+      const envelope = migrateData(data);
+      storedMeta = envelope.meta;
+      storedNotebooks = envelope.notebooks;
+      callback(repairDeletedAt(envelope.notes), envelope.notebooks);
+    } catch (error) {
+      console.warn('Ignoring unreadable notes from another tab:', error);
+    }
+  };
+
+  const open = async data => {
+    if (!isEncryptedData(data)) {
+      keyParams = null;
+      cipher = null;
+      deliver(data);
+      return;
+    }
+
+    keyParams = data.meta.encryption;
+    const active = cipher && cipher.params.salt === keyParams.salt ? cipher : null;
+    const envelope = active && await openEnvelope(data, active).catch(() => null);
+    if (envelope) {
+      deliver(envelope);
+    } else {
+      lockNotes();
+      callback([], [], { locked: true });
+    }
+  };
+
+  const handle = data => {
+    // Notes in the clear are handled at once, unless decryption is still running
+    if (!pending && !isEncryptedData(data)) {
+      open(data);
+      return;
+    }
+
+    const run = (pending || Promise.resolve()).then(() => open(data));
+    pending = run;
+    run.finally(() => {
+      if (pending === run) pending = null;
+    });
+  };
+
+  // Kept so a later switch of backend, as by moveToIndexedDB(), keeps it watching
+  const watcher = { handle, unwatch: adapter.watch(handle) };
+  watchers.add(watcher);
+  return () => {
+    watcher.unwatch();
+    watchers.delete(watcher);
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Cross-tab synchronization helpers for Pure note-taking app
+ * Merges notes written by another tab into this tab's in-memory state
+ *
+ * Responsibilities:
+ * - Three-way, per-note merge of local, remote and last-synced notes
+ * - Detection of notes changed or deleted on both sides (conflicts)
+ * - Reporting which notes were added, updated or removed by the merge
+ *
+ * Dependencies: None (pure functions, storage events are wired in store.js)
+ */
+
+/**
+ * Index an array of notes by id
+ * @param {Array} notes - Array of note objects
+ * @returns {Map} - Map of note id to note object
+ */
+function indexById(notes) {
+  return new Map((notes || []).map(note => [note.id, note]));
+}
+
+/**
+ * Check whether two versions of a note differ
+ * @param {Object} a - First note version
+ * @param {Object} b - Second note version
+ * @returns {boolean} - True if the versions differ
+ */
+function hasChanged(a, b) {
+  if (!a || !b) return a !== b;
+  // Trashing, pinning, favoriting, locking and moving between notebooks leave updatedAt alone
+  const flags = ['deletedAt', 'pinned', 'pinOrder', 'favorite', 'template', 'notebookId'];
+  return a.updatedAt !== b.updatedAt || a.title !== b.title || a.content !== b.content ||
+    (a.lock?.data ?? null) !== (b.lock?.data ?? null) ||
+    flags.some(flag => (a[flag] ?? null) !== (b[flag] ?? null));
+}
+
+/**
+ * Merge notes saved by another tab into the local notes, note by note
+ *
+ * `base` is the list this tab last loaded or saved. It tells a note deleted
+ * on one side apart from a note created on the other. When both sides edited
+ * the same note, the newer `updatedAt` wins and the id is reported as a conflict.
+ * `unsynced` lists ids whose merged version is not the one in storage yet,
+ * so the caller knows whether the merged list has to be saved back.
+ *
+ * @param {Array} local - Notes currently held in memory
+ * @param {Array} remote - Notes just written by another tab
+ * @param {Array} base - Notes as last synced with storage
+ * @returns {Object} - { notes, added, updated, removed, conflicts, unsynced }
+ */
+export function mergeNotes(local, remote, base = []) {
+  const localById = indexById(local);
+  const remoteById = indexById(remote);
+  const baseById = indexById(base);
+
+  const result = { notes: [], added: [], updated: [], removed: [], conflicts: [], unsynced: [] };
+
+  // Remote order first so notes created elsewhere keep their position
+  const ids = new Set([...remoteById.keys(), ...localById.keys()]);
+
+  ids.forEach(id => {
+    const mine = localById.get(id);
+    const theirs = remoteById.get(id);
+    const original = baseById.get(id);
+
+    if (theirs && !mine) {
+      if (!original) {
+        result.notes.push(theirs);
+        result.added.push(id);
+      } else if (hasChanged(theirs, original)) {
+        // Deleted here but edited there: keep the edit
+        result.notes.push(theirs);
+        result.added.push(id);
+        result.conflicts.push(id);
+      }
+      return;
+    }
+
+    if (mine && !theirs) {
+      if (!original) {
+        result.notes.push(mine); // Created here, not yet seen there
+        result.unsynced.push(id);
+      } else if (hasChanged(mine, original)) {
+        // Deleted there but edited here: keep the edit
+        result.notes.push(mine);
+        result.unsynced.push(id);
+        result.conflicts.push(id);
+      } else {
+        result.removed.push(id);
+      }
+      return;
+    }
+
+    if (!hasChanged(mine, theirs)) {
+      result.notes.push(mine);
+    } else if (!hasChanged(mine, original)) {
+      result.notes.push(theirs);
+      result.updated.push(id);
+    } else if (!hasChanged(theirs, original)) {
+      result.notes.push(mine);
+      result.unsynced.push(id);
+    } else {
+      // Edited on both sides: newest wins
+      const remoteIsNewer = new Date(theirs.updatedAt) >= new Date(mine.updatedAt);
+      result.notes.push(remoteIsNewer ? theirs : mine);
+      result[remoteIsNewer ? 'updated' : 'unsynced'].push(id);
+      result.conflicts.push(id);
+    }
+  });
+
+  return result;
+}
@@ -0,0 +1,108 @@
+/**
+ * Tag helpers for Pure note-taking app
+ * Normalizes tags typed into the editor and found as #hashtags in note content
+ *
+ * Responsibilities:
+ * - Normalizing tag names (lowercase, no leading #, no spaces)
+ * - Parsing the comma separated tag input
+ * - Extracting inline #hashtags from Markdown content, ignoring code
+ * - Counting notes per tag for the sidebar, and filtering notes by the tag picked there
+ *
+ * Dependencies: None (pure functions)
+ */
+
+/**
+ * Normalize a tag name
+ * @param {string} tag - Raw tag, with or without a leading #
+ * @returns {string} - Lowercase tag, empty if nothing usable is left
+ */
+export function normalizeTag(tag) {
+  if (typeof tag !== 'string') return '';
+  return tag
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[,]/g, '');
+}
+
+/**
+ * Normalize and de-duplicate a list of tags, keeping first-seen order
+ * @param {Array} tags - Raw tags
+ * @returns {Array} - Unique normalized tags
+ */
+export function uniqueTags(tags) {
+  return [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Parse the tag input field
+ * @param {string} input - Comma or whitespace separated tags, e.g. "work, #q3 ideas"
+ * @returns {Array} - Unique normalized tags
+ */
+export function parseTagInput(input) {
+  if (!input || typeof input !== 'string') return [];
+  return uniqueTags(input.split(/[\s,]+/));
+}
+
+/**
+ * Extract inline #hashtags from note content
+ * A hashtag starts with a letter and follows whitespace or the start of a line,
+ * so Markdown headings (`# Title`), URL fragments and code are not picked up.
+ * @param {string} content - Note content
+ * @returns {Array} - Unique normalized tags
+ */
+export function extractHashtags(content) {
+  if (!content || typeof content !== 'string') return [];
+
+  const text = content
+    .replace(/^ {0,3}(`{3,}|~{3,})[\s\S]*?^ {0,3}\1/gm, '') // Fenced code
+    .replace(/`[^`\n]*`/g, ''); // Code spans
+
+  const tags = [];
+  const pattern = /(^|[\s(])#(\p{L}[\p{L}\p{N}_/-]*)/gu;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tags.push(match[2].replace(/[/-]+$/, ''));
+  }
+  return uniqueTags(tags);
+}
+
+/**
+ * Combine the tags typed for a note with the hashtags in its content
+ * @param {Array} tags - Tags from the tag input
+ * @param {string} content - Note content
+ * @returns {Array} - Unique normalized tags
+ */
+export function collectTags(tags, content) {
+  return uniqueTags([...(tags || []), ...extractHashtags(content)]);
+}
+
+/**
+ * Count notes per tag
+ * @param {Array} notes - Array of note objects
+ * @returns {Array} - [{ tag, count }] sorted by count, then name
+ */
+export function countTags(notes) {
+  const counts = new Map();
+  (notes || []).forEach(note => {
+    uniqueTags(note.tags).forEach(tag => {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    });
+  });
+
+  return [...counts]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Keep the notes carrying a tag
+ * The tag is compared as it is, never parsed, so tags holding query syntax such as ) or " work.
+ * @param {Array} notes - Array of note objects
+ * @param {string} tag - Normalized tag, as listed by countTags()
+ * @returns {Array} - Notes with the tag, in their original order
+ */
+export function filterByTag(notes, tag) {
+  return (notes || []).filter(note => uniqueTags(note.tags).includes(tag));
+}
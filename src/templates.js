@@ -0,0 +1,100 @@
+/**
+ * Note templates for Pure note-taking app
+ * A template is an ordinary note flagged `template: true`; a new note made from
+ * it starts as a copy with the placeholders filled in
+ *
+ * Responsibilities:
+ * - Flagging notes as templates and listing them for the picker
+ * - Expanding the {{date}}, {{time}}, {{weekday}} and {{cursor}} placeholders
+ * - Turning a template into the title, content, tags and caret of a new note
+ *
+ * Dependencies: trash.js (trashed notes are not offered), notelock.js (nor are locked ones),
+ *   utils.js (date formatting)
+ */
+
+import { isTrashed } from './trash.js';
+import { isLockedNote } from './notelock.js';
+import { formatISODate } from './utils.js';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const PLACEHOLDER_PATTERN = /\{\{\s*(date|time|weekday|cursor)\s*\}\}/gi;
+
+/**
+ * Flag or unflag a note as a template
+ * Like pins, the flag leaves updatedAt alone: the note's contents did not change.
+ * @param {Array} notes - Array of note objects
+ * @param {string} noteId - Note to change
+ * @param {boolean} template - New state
+ * @returns {Array} - New notes array
+ */
+export function setTemplate(notes, noteId, template) {
+  return notes.map(note =>
+    note.id === noteId && Boolean(note.template) !== template ? { ...note, template } : note
+  );
+}
+
+/**
+ * List the templates to offer for new notes
+ * @param {Array} notes - Array of note objects
+ * @returns {Array} - Template notes outside the trash and not locked, sorted by title
+ */
+export function getTemplates(notes) {
+  return (notes || [])
+    .filter(note => note.template && !isTrashed(note) && !isLockedNote(note))
+    .sort((a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base', numeric: true }));
+}
+
+/**
+ * Fill in the placeholders of a piece of template text
+ * {{date}} is the local day (2026-10-19), {{time}} the local time (09:05) and
+ * {{weekday}} the day's name. {{cursor}} is removed, and the first one marks the caret.
+ * Placeholder names ignore case; unknown ones are left as written.
+ * @param {string} text - Template title or content
+ * @param {Date} now - Time to fill in (default: now)
+ * @returns {Object} - { text, cursor }: filled-in text and the caret offset, null without {{cursor}}
+ */
+export function expandPlaceholders(text, now = new Date()) {
+  const source = typeof text === 'string' ? text : '';
+  const values = {
+    date: formatISODate(now),
+    time: `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`,
+    weekday: WEEKDAYS[now.getDay()]
+  };
+
+  let output = '';
+  let cursor = null;
+  let position = 0;
+  for (const match of source.matchAll(PLACEHOLDER_PATTERN)) {
+    output += source.slice(position, match.index);
+    const name = match[1].toLowerCase();
+    if (name === 'cursor') {
+      cursor = cursor ?? output.length;
+    } else {
+      output += values[name];
+    }
+    position = match.index + match[0].length;
+  }
+
+  return { text: output + source.slice(position), cursor };
+}
+
+/**
+ * Turn a template into the starting point of a new note
+ * The caret goes to the first {{cursor}} in the content, else the one in the title.
+ * @param {Object} template - Template note
+ * @param {Date} now - Time to fill in (default: now)
+ * @returns {Object} - { title, content, tags, caret }; caret is { field: 'title'|'body', offset } or null
+ */
+export function applyTemplate(template, now = new Date()) {
+  const title = expandPlaceholders(template.title, now);
+  const content = expandPlaceholders(template.content, now);
+
+  let caret = null;
+  if (content.cursor !== null) {
+    caret = { field: 'body', offset: content.cursor };
+  } else if (title.cursor !== null) {
+    caret = { field: 'title', offset: title.cursor };
+  }
+
+  return { title: title.text, content: content.text, tags: [...(template.tags || [])], caret };
+}
@@ -0,0 +1,77 @@
+/**
+ * Trash helpers for Pure note-taking app
+ * Deleted notes keep a `deletedAt` timestamp until they are restored or purged
+ *
+ * Responsibilities:
+ * - Moving notes to the trash and restoring them
+ * - Separating trashed notes from the live ones
+ * - Purging notes kept in the trash longer than the retention period
+ *
+ * Dependencies: None (pure functions)
+ */
+
+const DAY_MS = 86400000;
+export const DEFAULT_RETENTION_DAYS = 30; // Days a note stays in the trash unless the user picks another period
+
+/**
+ * Check whether a note is in the trash
+ * @param {Object} note - Note object
+ * @returns {boolean} - True if the note has been deleted
+ */
+export function isTrashed(note) {
+  return Boolean(note && note.deletedAt);
+}
+
+/**
+ * Move a note to the trash
+ * @param {Object} note - Note object
+ * @param {Date} now - Deletion time (default: now)
+ * @returns {Object} - Copy of the note with `deletedAt` set
+ */
+export function trashNote(note, now = new Date()) {
+  return { ...note, deletedAt: now.toISOString() };
+}
+
+/**
+ * Take a note out of the trash
+ * @param {Object} note - Trashed note
+ * @returns {Object} - Copy of the note with `deletedAt` cleared
+ */
+export function restoreNote(note) {
+  return { ...note, deletedAt: null };
+}
+
+/**
+ * List the notes in the trash, most recently deleted first
+ * @param {Array} notes - Array of note objects
+ * @returns {Array} - Trashed notes
+ */
+export function getTrashedNotes(notes) {
+  return (notes || [])
+    .filter(isTrashed)
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+}
+
+/**
+ * Drop notes that have been in the trash longer than the retention period
+ * @param {Array} notes - Array of note objects
+ * @param {Object} options - Options
+ * @param {number} options.retentionDays - Days a note stays in the trash
+ * @param {number} options.now - Current time in ms (default: Date.now())
+ * @returns {Object} - { notes, purged }: the notes to keep and the ids purged
+ */
+export function purgeTrash(notes, { retentionDays, now = Date.now() }) {
+  const cutoff = now - retentionDays * DAY_MS;
+  const kept = [];
+  const purged = [];
+
+  (notes || []).forEach(note => {
+    if (isTrashed(note) && new Date(note.deletedAt).getTime() <= cutoff) {
+      purged.push(note.id);
+    } else {
+      kept.push(note);
+    }
+  });
+
+  return { notes: kept, purged };
+}
@@ -4,25 +4,196 @@
  * 
  * Responsibilities:
  * - DOM element creation and manipulation
- * - Notes list rendering with accessibility attributes
+ * - Notes list rendering with accessibility attributes and search highlights
+ * - Pinned section with drag-and-drop and keyboard reordering hooks
+ * - Sort and group controls for the notes list
+ * - Tag filter list rendering
+ * - Month calendar marking daily notes and days with notes
+ * - Notebook tree with keyboard navigation, the notebook name form and the note's notebook menu
+ * - Trash view with restore and delete forever actions
  * - Editor form rendering and focus management
- * - Status message display with ARIA live regions
+ * - Locked notes: list icons and the editor's unlock panel
+ * - Template picker for new notes
+ * - Markdown preview rendering and editor view switching
+ * - Wiki link suggestions and the backlinks panel
+ * - Note graph drawing, with a list of the same connections for keyboard and screen reader users
+ * - Status message display with ARIA live regions and an optional undo action
+ * - Inline hints for malformed search queries
+ * - Conflict prompt display for cross-tab edits
+ * - Storage usage meter and the recovery dialog for failed saves
+ * - Draft recovery dialog with the unsaved changes as a line diff
+ * - Lock screen, passphrase prompts and the encryption settings panel
+ * - Revision history panel with line diffs
+ * - File downloads and import previews
  * - Keyboard navigation event handling for UI elements
  * - Visual feedback and user interface updates
  * 
- * Dependencies: utils.js (for formatting and sanitization)
+ * Dependencies: utils.js (for formatting and sanitization), markdown.js (for previews), tags.js (for the tag input),
+ *   search.js (for match highlighting), pins.js and sorting.js (for list order and groups),
+ *   notebooks.js (for notebook paths), daily.js (for calendar weeks), notelock.js (for locked notes),
+ *   quota.js (for storage usage)
  * Note: Contains no business logic or state management
  */
 
-import { formatDate, truncateText, sanitizeHTML } from './utils.js';
+import { formatDate, truncateText, sanitizeHTML, sanitizeRichHTML } from './utils.js';
+import { renderMarkdown, stripMarkdown } from './markdown.js';
+import { extractHashtags } from './tags.js';
+import { findMatchRanges } from './search.js';
+import { orderNotes } from './pins.js';
+import { compareNotes, groupNotes, DEFAULT_LIST_VIEW } from './sorting.js';
+import { buildNotebookTree, notebookPath } from './notebooks.js';
+import { monthWeeks } from './daily.js';
+import { isLockedNote } from './notelock.js';
+import { usagePercent, formatBytes } from './quota.js';
+
+/**
+ * Escape text and wrap search matches in <mark>
+ * Every piece of text is escaped on its own, so only the <mark> tags are markup.
+ * @param {string} text - Plain text
+ * @param {Array} terms - Folded search terms
+ * @returns {string} - Safe HTML string
+ */
+function highlightMatches(text, terms) {
+	let html = '';
+	let position = 0;
+
+	findMatchRanges(text, terms).forEach(([start, end]) => {
+		html += sanitizeHTML(text.slice(position, start));
+		html += `<mark>${sanitizeHTML(text.slice(start, end))}</mark>`;
+		position = end;
+	});
+
+	return html + sanitizeHTML(text.slice(position));
+}
+
+/**
+ * Build a note excerpt, starting near the first search match when it is far in
+ * @param {string} text - Plain text of the note
+ * @param {Array} terms - Folded search terms
+ * @param {number} maxLength - Maximum excerpt length
+ * @returns {string} - Excerpt text
+ */
+function buildExcerpt(text, terms, maxLength = 80) {
+	const [firstMatch] = findMatchRanges(text, terms);
+	if (!firstMatch || firstMatch[1] <= maxLength - 10) {
+		return truncateText(text, maxLength);
+	}
+
+	// Start at a word boundary shortly before the match
+	const start = text.lastIndexOf(' ', Math.max(0, firstMatch[0] - 20)) + 1;
+	return '...' + truncateText(text.slice(start), maxLength);
+}
+
+/**
+ * Create a list item for a note
+ * @param {Object} note - Note object
+ * @param {string} activeNoteId - ID of the currently active note
+ * @param {Array} terms - Search terms to highlight
+ * @param {boolean} reorderable - The item is in the pinned section and can be moved
+ * @returns {HTMLElement} - The list item
+ */
+function createNoteItem(note, activeNoteId, terms, reorderable) {
+	const li = document.createElement('li');
+	li.className = 'note-item';
+	li.dataset.noteId = note.id;
+	li.setAttribute('role', 'listitem');
+	li.setAttribute('tabindex', '0');
+	li.setAttribute('aria-describedby', `note-desc-${note.id}`);
+	li.draggable = true; // Onto a notebook, or within the pinned section
+
+	if (note.id === activeNoteId) {
+		li.classList.add('active');
+		li.setAttribute('aria-current', 'true');
+		li.setAttribute('aria-selected', 'true');
+	}
+
+	if (reorderable) {
+		li.classList.add('pinned');
+		li.setAttribute('aria-describedby', `note-desc-${note.id} pinned-help`);
+	}
+
+	const locked = isLockedNote(note);
+	const flags = [note.pinned && 'Pinned', note.favorite && 'Favorite', note.template && 'Template', locked && 'Locked']
+		.filter(Boolean);
+
+	// Ids and dates go through the DOM, never into markup: imported notes may hold anything
+	const preview = document.createElement('div');
+	preview.className = 'note-preview';
+	preview.dataset.noteId = note.id;
+
+	const title = document.createElement('h3');
+	title.className = 'note-title';
+	title.id = `note-title-${note.id}`;
+	title.innerHTML = highlightMatches(note.title || 'Untitled', terms);
+	if (flags.length) {
+		const icons = document.createElement('span');
+		icons.className = 'note-flags';
+		icons.setAttribute('role', 'img');
+		icons.setAttribute('aria-label', flags.join(', '));
+		icons.textContent = `${note.pinned ? '📌' : ''}${note.favorite ? '★' : ''}${note.template ? '📋' : ''}${locked ? '🔒' : ''}`;
+		title.append(' ', icons);
+	}
+
+	const excerpt = document.createElement('p');
+	excerpt.className = 'note-excerpt';
+	excerpt.id = `note-desc-${note.id}`;
+	excerpt.innerHTML = locked ? '' : highlightMatches(buildExcerpt(stripMarkdown(note.content), terms), terms);
+	preview.append(title, excerpt);
+
+	if (note.tags?.length) {
+		const tags = document.createElement('p');
+		tags.className = 'note-tags';
+		tags.textContent = note.tags.map(tag => `#${tag}`).join(' ');
+		preview.appendChild(tags);
+	}
+
+	const date = document.createElement('time');
+	date.className = 'note-date';
+	date.setAttribute('datetime', note.updatedAt);
+	date.textContent = formatDate(note.updatedAt);
+	preview.appendChild(date);
+	li.appendChild(preview);
+
+	// Add keyboard navigation
+	li.addEventListener('keydown', handleNoteItemKeydown);
+
+	return li;
+}
+
+/**
+ * Create a heading that starts a section of the notes list
+ * @param {string} text - Section name
+ * @returns {HTMLElement} - The list item holding the heading
+ */
+function createSectionHeading(text) {
+	const li = document.createElement('li');
+	li.className = 'note-section';
+	li.setAttribute('role', 'none');
+	li.innerHTML = `<h2>${sanitizeHTML(text)}</h2>`;
+	return li;
+}
 
 /**
  * Render notes list in the sidebar
+ * Pinned notes come first in their own section, then the rest sorted and
+ * grouped by the list view, unless the order is given.
  * @param {HTMLElement} listElement - The notes list container
  * @param {Array} notes - Array of note objects
  * @param {string} activeNoteId - ID of the currently active note
+ * @param {Object} options - Render options
+ * @param {Array} options.terms - Search terms to highlight
+ * @param {Object} options.view - List view { sort, direction, group }, see sorting.js
+ * @param {boolean} options.keepOrder - Keep the given order (e.g. ranked search results)
+ * @param {boolean} options.searching - The list shows search results
+ * @param {string} options.suggestion - Corrected query to offer when nothing matched
  */
-export function renderNotesList(listElement, notes, activeNoteId = null) {
+export function renderNotesList(listElement, notes, activeNoteId = null, {
+	terms = [],
+	view = DEFAULT_LIST_VIEW,
+	keepOrder = false,
+	searching = false,
+	suggestion = null
+} = {}) {
 	if (!listElement) return;
 
 	// Clear existing content
@@ -31,57 +202,426 @@ export function renderNotesList(listElement, notes, activeNoteId = null) {
 	if (notes.length === 0) {
 		const emptyState = document.createElement('li');
 		emptyState.className = 'empty-state';
-		emptyState.textContent = 'No notes available';
+		emptyState.textContent = searching ? 'No notes match your search' : 'No notes available';
+
+		if (suggestion) {
+			const button = document.createElement('button');
+			button.type = 'button';
+			button.className = 'suggestion';
+			button.dataset.suggestion = suggestion;
+			button.textContent = suggestion;
+
+			const hint = document.createElement('p');
+			hint.append('Did you mean ', button, '?');
+			emptyState.appendChild(hint);
+		}
+
 		listElement.appendChild(emptyState);
 		return;
 	}
 
-	// Sort notes by updated date (newest first)
-	const sortedNotes = [...notes].sort((a, b) =>
-		new Date(b.updated) - new Date(a.updated)
-	);
+	const { pinned, others } = keepOrder ? { pinned: [], others: notes } : orderNotes(notes, compareNotes(view));
+	const groups = keepOrder ? [{ label: null, notes }] : groupNotes(others, view);
+
+	if (pinned.length > 0) {
+		listElement.appendChild(createSectionHeading('Pinned'));
+		pinned.forEach(note => listElement.appendChild(createNoteItem(note, activeNoteId, terms, true)));
+	}
+
+	groups.forEach(group => {
+		const heading = group.label || (pinned.length > 0 && group.notes.length > 0 ? 'Notes' : null);
+		if (heading) {
+			listElement.appendChild(createSectionHeading(heading));
+		}
+		group.notes.forEach(note => listElement.appendChild(createNoteItem(note, activeNoteId, terms, false)));
+	});
+}
+
+/**
+ * Show the list view in the sort and group controls
+ * @param {Object} controls - { sort, direction, group } select elements
+ * @param {Object} view - List view
+ * @param {boolean} hidden - Hide the controls (e.g. while the trash is shown)
+ */
+export function renderListControls(controls, view, hidden = false) {
+	['sort', 'direction', 'group'].forEach(key => {
+		const select = controls[key];
+		if (!select) return;
+		select.value = view[key];
+		select.closest('.list-options')?.toggleAttribute('hidden', hidden);
+	});
+}
+
+/**
+ * Update the pin, favorite and template toggles in the editor
+ * @param {HTMLElement} pinButton - Pin toggle
+ * @param {HTMLElement} favoriteButton - Favorite toggle
+ * @param {Object} note - Open note, null for a new note
+ * @param {HTMLElement} templateButton - Template toggle, if any
+ */
+export function renderNoteFlags(pinButton, favoriteButton, note, templateButton = null) {
+	[[pinButton, 'pinned'], [favoriteButton, 'favorite'], [templateButton, 'template']].forEach(([button, flag]) => {
+		if (!button) return;
+		button.disabled = !note;
+		button.setAttribute('aria-pressed', String(Boolean(note && note[flag])));
+	});
+}
+
+/**
+ * Render the notes in the trash with restore and delete forever actions
+ * @param {HTMLElement} listElement - The notes list container
+ * @param {Array} notes - Trashed notes, in display order
+ * @param {number} retentionDays - Days before trashed notes are purged
+ */
+export function renderTrashList(listElement, notes, retentionDays) {
+	if (!listElement) return;
+
+	listElement.innerHTML = '';
+
+	if (notes.length === 0) {
+		const emptyState = document.createElement('li');
+		emptyState.className = 'empty-state';
+		emptyState.textContent = 'Trash is empty';
+		listElement.appendChild(emptyState);
+		return;
+	}
 
-	sortedNotes.forEach(note => {
+	notes.forEach(note => {
 		const li = document.createElement('li');
-		li.className = 'note-item';
+		li.className = 'note-item trashed';
 		li.setAttribute('role', 'listitem');
 		li.setAttribute('tabindex', '0');
 		li.setAttribute('aria-describedby', `note-desc-${note.id}`);
 
-		if (note.id === activeNoteId) {
-			li.classList.add('active');
-			li.setAttribute('aria-current', 'true');
-			li.setAttribute('aria-selected', 'true');
-		}
+		const preview = document.createElement('div');
+		preview.className = 'note-preview';
+
+		const title = document.createElement('h3');
+		title.className = 'note-title';
+		title.id = `note-title-${note.id}`;
+		title.textContent = note.title || 'Untitled';
+
+		const excerpt = document.createElement('p');
+		excerpt.className = 'note-excerpt';
+		excerpt.id = `note-desc-${note.id}`;
+		excerpt.textContent = truncateText(stripMarkdown(note.content), 80);
+
+		const date = document.createElement('time');
+		date.className = 'note-date';
+		date.setAttribute('datetime', note.deletedAt);
+		date.textContent = `Deleted ${formatDate(note.deletedAt).toLowerCase()}`;
+		preview.append(title, excerpt, date);
+
+		const actions = document.createElement('div');
+		actions.className = 'trash-actions';
+		[['restore', 'Restore'], ['purge', 'Delete forever']].forEach(([action, label]) => {
+			const button = document.createElement('button');
+			button.type = 'button';
+			button.dataset.action = action;
+			button.dataset.noteId = note.id;
+			button.setAttribute('aria-describedby', `note-title-${note.id}`);
+			button.textContent = label;
+			actions.appendChild(button);
+		});
+		li.append(preview, actions);
 
-		li.innerHTML = `
-			<div class="note-preview" data-note-id="${note.id}">
-				<h3 class="note-title" id="note-title-${note.id}">
-					${sanitizeHTML(note.title || 'Untitled')}
-				</h3>
-				<p class="note-excerpt" id="note-desc-${note.id}">
-				  ${sanitizeHTML(truncateText(note.content, 80))}
-				</p>
-				<time class="note-date" datetime="${note.updatedAt}">
-					${formatDate(note.updatedAt)}
-				</time>
-			</div>
-		`;
-
-		// Add keyboard navigation
 		li.addEventListener('keydown', handleNoteItemKeydown);
 
 		listElement.appendChild(li);
 	});
+
+	const notice = document.createElement('li');
+	notice.className = 'trash-notice';
+	notice.textContent = `Notes are deleted for good after ${retentionDays} days in the trash`;
+	listElement.appendChild(notice);
+}
+
+/**
+ * Update the trash toggle in the sidebar
+ * @param {HTMLElement} button - Trash toggle button
+ * @param {number} count - Number of notes in the trash
+ * @param {boolean} open - Whether the trash is being shown
+ */
+export function renderTrashButton(button, count, open) {
+	if (!button) return;
+
+	button.textContent = count > 0 ? `Trash (${count})` : 'Trash';
+	button.setAttribute('aria-pressed', String(open));
+}
+
+/**
+ * Render the tag filter list in the sidebar
+ * @param {HTMLElement} listElement - The tag list container
+ * @param {Array} tagCounts - Array of { tag, count } objects
+ * @param {string} activeTag - Tag currently used as a filter
+ */
+export function renderTagList(listElement, tagCounts, activeTag = null) {
+	if (!listElement) return;
+
+	listElement.innerHTML = '';
+	listElement.hidden = tagCounts.length === 0;
+
+	tagCounts.forEach(({ tag, count }) => {
+		const li = document.createElement('li');
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'tag-filter';
+		button.dataset.tag = tag;
+		button.setAttribute('aria-pressed', String(tag === activeTag));
+		button.setAttribute('aria-label', `${tag}, ${count} ${count === 1 ? 'note' : 'notes'}`);
+		button.innerHTML = `#${sanitizeHTML(tag)} <span class="tag-count">${count}</span>`;
+
+		li.appendChild(button);
+		listElement.appendChild(li);
+	});
+}
+
+/**
+ * Render the month calendar in the sidebar
+ * Days with a daily note or with notes created or updated that day are marked.
+ * One day button takes Tab focus: the focus day, else the selected day, today or the 1st.
+ * Focus stays on the same day when the calendar is redrawn.
+ * @param {HTMLTableElement} gridElement - Calendar table
+ * @param {HTMLElement} titleElement - Month heading
+ * @param {string} month - Month key, e.g. '2026-10'
+ * @param {Object} options - Render options
+ * @param {Map} options.activity - Day key -> { count, daily }, from getDayActivity()
+ * @param {string|null} options.selectedDay - Day the notes list is filtered to
+ * @param {string} options.today - Today's day key
+ * @param {string|null} options.focusDay - Day to give Tab focus to
+ */
+export function renderCalendar(gridElement, titleElement, month, {
+	activity = new Map(),
+	selectedDay = null,
+	today = '',
+	focusDay = null
+} = {}) {
+	if (!gridElement || !titleElement) return;
+
+	const weeks = monthWeeks(month);
+	const days = weeks.flat().filter(Boolean);
+	const tabDay = [focusDay, selectedDay, today].find(day => days.includes(day)) || days[0];
+
+	// Skip the rebuild while nothing changed, so typing in a note does not redraw it
+	const signature = JSON.stringify([month, [...activity], selectedDay, today, tabDay]);
+	if (gridElement.dataset.signature === signature) return;
+	gridElement.dataset.signature = signature;
+
+	const focusedDay = gridElement.contains(document.activeElement) ? document.activeElement.dataset.day : undefined;
+	const dateOf = day => new Date(`${day}T00:00:00`);
+	titleElement.textContent = dateOf(`${month}-01`).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+	const header = weeks[0].map((_, i) => {
+		// 2024-01-01 was a Monday, and weeks start on Monday
+		const name = dateOf(`2024-01-0${i + 1}`).toLocaleDateString('en-US', { weekday: 'long' });
+		return `<th scope="col" abbr="${name}">${name.slice(0, 2)}</th>`;
+	}).join('');
+
+	const cell = day => {
+		if (!day) return '<td></td>';
+		const { count = 0, daily = false } = activity.get(day) || {};
+		const classes = ['calendar-day', daily && 'has-daily', count > 0 && 'has-notes', day === today && 'today'];
+		const details = [daily && 'daily note', count > 0 ? `${count} ${count === 1 ? 'note' : 'notes'}` : 'no notes'];
+		const label = [dateOf(day).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }), ...details]
+			.filter(Boolean).join(', ');
+
+		return `<td><button type="button"
+			class="${classes.filter(Boolean).join(' ')}"
+			data-day="${day}"
+			aria-label="${label}"
+			aria-pressed="${day === selectedDay}"
+			${day === today ? 'aria-current="date"' : ''}
+			tabindex="${day === tabDay ? 0 : -1}">${Number(day.slice(8))}</button></td>`;
+	};
+
+	gridElement.innerHTML = `
+		<thead><tr>${header}</tr></thead>
+		<tbody>${weeks.map(week => `<tr>${week.map(cell).join('')}</tr>`).join('')}</tbody>
+	`;
+
+	if (focusedDay) gridElement.querySelector(`[data-day="${focusedDay}"]`)?.focus();
+}
+
+/**
+ * Create the tree item for a notebook and, unless collapsed, its children
+ * @param {Object} node - Tree node from buildNotebookTree()
+ * @param {Object} state - { selectedId, collapsed, counts }
+ * @returns {HTMLElement} - The tree item
+ */
+function createNotebookItem(node, state) {
+	const { notebook, children } = node;
+	const expanded = !state.collapsed.has(notebook.id);
+	const li = createTreeItem(notebook.id, notebook.name, state.counts.get(notebook.id) || 0, node.depth + 1, state);
+	li.draggable = true;
+
+	if (children.length > 0) {
+		li.setAttribute('aria-expanded', String(expanded));
+
+		const group = document.createElement('ul');
+		group.setAttribute('role', 'group');
+		group.hidden = !expanded;
+		children.forEach(child => group.appendChild(createNotebookItem(child, state)));
+		li.appendChild(group);
+	}
+
+	return li;
+}
+
+/**
+ * Create one row of the notebook tree
+ * @param {string} id - Notebook id, '' for all notes
+ * @param {string} name - Name to show
+ * @param {number} count - Notes in the notebook and its children
+ * @param {number} level - Depth in the tree, from 1
+ * @param {Object} state - { selectedId }
+ * @returns {HTMLElement} - The tree item, without children
+ */
+function createTreeItem(id, name, count, level, state) {
+	const li = document.createElement('li');
+	const selected = id === (state.selectedId || '');
+	li.className = 'notebook-item';
+	li.dataset.notebookId = id;
+	li.setAttribute('role', 'treeitem');
+	li.setAttribute('aria-level', String(level));
+	li.setAttribute('aria-selected', String(selected));
+	li.setAttribute('aria-label', `${name}, ${count} ${count === 1 ? 'note' : 'notes'}`);
+	li.tabIndex = selected ? 0 : -1; // Roving focus: Tab enters the tree at the selected notebook
+
+	li.innerHTML = `
+		<div class="notebook-row" style="--level: ${level}">
+			<span class="notebook-toggle" data-action="toggle" aria-hidden="true"></span>
+			<span class="notebook-name">${sanitizeHTML(name)}</span>
+			<span class="notebook-count" aria-hidden="true">${count}</span>
+		</div>
+	`;
+
+	li.addEventListener('keydown', handleTreeItemKeydown);
+	return li;
+}
+
+/**
+ * Render the notebook tree in the sidebar
+ * "All notes" comes first, then the notebooks nested by parent. Focus stays on
+ * the same notebook when the tree is redrawn.
+ * @param {HTMLElement} treeElement - The tree container
+ * @param {Array} notebooks - Array of notebook objects
+ * @param {Object} options - Render options
+ * @param {string|null} options.selectedId - Notebook shown in the list, null for all notes
+ * @param {Set} options.collapsed - Ids of collapsed notebooks
+ * @param {Map} options.counts - Notebook id -> number of notes
+ * @param {number} options.total - Number of notes in all notebooks
+ */
+export function renderNotebookTree(treeElement, notebooks, {
+	selectedId = null,
+	collapsed = new Set(),
+	counts = new Map(),
+	total = 0
+} = {}) {
+	if (!treeElement) return;
+
+	const focusedId = treeElement.contains(document.activeElement)
+		? document.activeElement.closest('.notebook-item')?.dataset.notebookId
+		: undefined;
+	const state = { selectedId, collapsed, counts };
+
+	treeElement.innerHTML = '';
+	treeElement.appendChild(createTreeItem('', 'All notes', total, 1, state));
+	buildNotebookTree(notebooks).forEach(node => treeElement.appendChild(createNotebookItem(node, state)));
+
+	if (focusedId !== undefined) {
+		const item = [...treeElement.querySelectorAll('.notebook-item')].find(li => li.dataset.notebookId === focusedId);
+		item?.focus();
+	}
+}
+
+/**
+ * Fill the editor's notebook menu
+ * @param {HTMLSelectElement} selectElement - Notebook select
+ * @param {Array} notebooks - Array of notebook objects
+ * @param {string|null} notebookId - Notebook of the open note, null for none
+ */
+export function renderNotebookSelect(selectElement, notebooks, notebookId) {
+	if (!selectElement) return;
+
+	const options = [['', 'No notebook']];
+	const addNodes = nodes => nodes.forEach(node => {
+		options.push([node.notebook.id, notebookPath(notebooks, node.notebook.id)]);
+		addNodes(node.children);
+	});
+	addNodes(buildNotebookTree(notebooks));
+
+	// Skip the rebuild while nothing changed, so an open menu is not reset
+	const signature = JSON.stringify(options);
+	if (selectElement.dataset.options !== signature) {
+		selectElement.dataset.options = signature;
+		selectElement.replaceChildren(...options.map(([id, label]) => new Option(label, id)));
+	}
+
+	const known = options.some(([id]) => id === notebookId);
+	selectElement.value = known ? notebookId : '';
+}
+
+/**
+ * Render a template picker, such as the one next to the New Note button
+ * The picker stays hidden until some note is flagged as a template.
+ * @param {HTMLElement} selectElement - Template select, inside its label
+ * @param {Array} templates - Template notes, in display order
+ * @param {string} selected - Template id to select, '' for a blank note (default: keep the selection)
+ */
+export function renderTemplatePicker(selectElement, templates, selected = selectElement?.value) {
+	if (!selectElement) return;
+
+	const options = [['', 'Blank note'], ...templates.map(note => [note.id, note.title || 'Untitled'])];
+
+	// Skip the rebuild while nothing changed, so an open menu is not reset
+	const signature = JSON.stringify(options);
+	if (selectElement.dataset.options !== signature) {
+		selectElement.dataset.options = signature;
+		selectElement.replaceChildren(...options.map(([id, label]) => new Option(label, id)));
+	}
+
+	selectElement.value = options.some(([id]) => id === selected) ? selected : '';
+	selectElement.closest('label').hidden = templates.length === 0;
+}
+
+/**
+ * Show the form that names a new or renamed notebook
+ * @param {HTMLElement} formElement - Notebook form
+ * @param {string} label - What the name is for, e.g. 'Rename "Work"'
+ * @param {string} name - Initial name
+ */
+export function showNotebookForm(formElement, label, name = '') {
+	if (!formElement) return;
+
+	formElement.querySelector('label').textContent = label;
+	const input = formElement.querySelector('input');
+	input.value = name;
+	formElement.hidden = false;
+	input.focus();
+	input.select();
+}
+
+/**
+ * Hide the notebook name form
+ * @param {HTMLElement} formElement - Notebook form
+ */
+export function hideNotebookForm(formElement) {
+	if (!formElement) return;
+	formElement.hidden = true;
 }
 
 /**
  * Render note in the editor
- * @param {Object} note - Note object to edit
+ * @param {Object} note - Note object to edit, or a draft { title, content, tags } from a template
  * @param {HTMLElement} titleInput - Title input element
  * @param {HTMLElement} bodyTextarea - Body textarea element
+ * @param {Object} options - Render options
+ * @param {boolean} options.focus - Move focus into the editor (default true)
+ * @param {HTMLElement} options.tagsInput - Tag input element, if any
+ * @param {Object} options.caret - { field: 'title'|'body', offset } to put the caret at, instead of
+ *   the end of the text
  */
-export function renderNoteInEditor(note, titleInput, bodyTextarea) {
+export function renderNoteInEditor(note, titleInput, bodyTextarea, { focus = true, tagsInput = null, caret = null } = {}) {
 	if (!titleInput || !bodyTextarea) return;
 
 	if (note) {
@@ -93,8 +633,20 @@ export function renderNoteInEditor(note, titleInput, bodyTextarea) {
 		bodyTextarea.value = '';
 	}
 
+	if (tagsInput) {
+		// Hashtags come from the content itself, so only list the other tags
+		const hashtags = extractHashtags(bodyTextarea.value);
+		tagsInput.value = (note?.tags || []).filter(tag => !hashtags.includes(tag)).join(', ');
+	}
+
+	if (!focus) return;
+
 	// Focus appropriate element
-	if (!note || !note.title) {
+	if (caret) {
+		const field = caret.field === 'title' ? titleInput : bodyTextarea;
+		field.focus();
+		field.setSelectionRange(caret.offset, caret.offset);
+	} else if (!note || !note.title) {
 		titleInput.focus();
 	} else {
 		bodyTextarea.focus();
@@ -102,14 +654,139 @@ export function renderNoteInEditor(note, titleInput, bodyTextarea) {
 	}
 }
 
+/**
+ * Render Markdown content into the preview pane
+ * @param {HTMLElement} previewElement - Preview container
+ * @param {string} content - Markdown source
+ * @param {Function} hasNote - Tells whether a wiki link's title names a note; others are marked missing
+ */
+export function renderMarkdownPreview(previewElement, content, hasNote = () => true) {
+	if (!previewElement) return;
+
+	const html = sanitizeRichHTML(renderMarkdown(content));
+	previewElement.innerHTML = html || '<p class="preview-empty">Nothing to preview</p>';
+
+	previewElement.querySelectorAll('a[data-note-link]').forEach(link => {
+		// Wiki links open notes in place, not in a new tab
+		link.removeAttribute('target');
+		if (!hasNote(link.dataset.noteLink)) {
+			link.classList.add('missing');
+			link.title = `No note called "${link.dataset.noteLink}" yet`;
+		}
+	});
+}
+
+/**
+ * Show titles to complete the wiki link being typed
+ * @param {HTMLElement} listElement - Suggestions listbox
+ * @param {HTMLElement} textarea - Note body, which keeps focus while choosing
+ * @param {Array} titles - Suggested titles
+ * @param {number} activeIndex - Suggestion picked with the arrow keys
+ */
+export function renderLinkSuggestions(listElement, textarea, titles, activeIndex = 0) {
+	if (!listElement) return;
+
+	listElement.innerHTML = '';
+	titles.forEach((title, index) => {
+		const option = document.createElement('li');
+		option.id = `link-suggestion-${index}`;
+		option.className = 'link-suggestion';
+		option.setAttribute('role', 'option');
+		option.setAttribute('aria-selected', String(index === activeIndex));
+		option.dataset.index = String(index);
+		option.textContent = title;
+		listElement.appendChild(option);
+	});
+
+	listElement.hidden = false;
+	textarea.setAttribute('aria-activedescendant', `link-suggestion-${activeIndex}`);
+	listElement.children[activeIndex]?.scrollIntoView?.({ block: 'nearest' });
+}
+
+/**
+ * Hide the wiki link suggestions
+ * @param {HTMLElement} listElement - Suggestions listbox
+ * @param {HTMLElement} textarea - Note body
+ */
+export function hideLinkSuggestions(listElement, textarea) {
+	if (!listElement) return;
+
+	listElement.hidden = true;
+	listElement.innerHTML = '';
+	textarea.removeAttribute('aria-activedescendant');
+}
+
+/**
+ * Render the notes linking to the open note
+ * @param {HTMLElement} panelElement - Backlinks panel container
+ * @param {Array} backlinks - [{ note, excerpt }] from getBacklinks(), or null for no open note
+ */
+export function renderBacklinks(panelElement, backlinks) {
+	if (!panelElement) return;
+
+	panelElement.hidden = !backlinks;
+	if (!backlinks) return;
+
+	panelElement.querySelector('.backlinks-count').textContent = String(backlinks.length);
+	const list = panelElement.querySelector('.backlink-list');
+	list.innerHTML = '';
+
+	if (backlinks.length === 0) {
+		const item = document.createElement('li');
+		item.className = 'backlinks-empty';
+		item.textContent = 'No notes link to this one yet. Link to it with [[its title]].';
+		list.appendChild(item);
+		return;
+	}
+
+	backlinks.forEach(({ note, excerpt }) => {
+		const item = document.createElement('li');
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'backlink';
+		button.dataset.noteId = note.id;
+
+		const title = document.createElement('span');
+		title.className = 'backlink-title';
+		title.textContent = note.title || 'Untitled';
+		const context = document.createElement('span');
+		context.className = 'backlink-excerpt';
+		context.textContent = truncateText(stripMarkdown(excerpt), 100);
+
+		button.append(title, context);
+		item.appendChild(button);
+		list.appendChild(item);
+	});
+}
+
+/**
+ * Switch the editor between edit, preview and split views
+ * @param {HTMLElement} panesElement - Container holding the textarea and preview
+ * @param {HTMLElement} toggleGroup - Group of buttons with data-view attributes
+ * @param {string} view - View to show (edit, preview, split)
+ */
+export function setEditorView(panesElement, toggleGroup, view) {
+	if (!panesElement) return;
+
+	panesElement.dataset.view = view;
+	panesElement.querySelector('textarea').hidden = view === 'preview';
+	panesElement.querySelector('.markdown-preview').hidden = view === 'edit';
+
+	toggleGroup?.querySelectorAll('[data-view]').forEach(button => {
+		button.setAttribute('aria-pressed', String(button.dataset.view === view));
+	});
+}
+
 /**
  * Show status message
+ * An action adds a button to the message, e.g. to undo what was just done.
  * @param {HTMLElement} statusElement - Status message element
  * @param {string} message - Message to show
  * @param {string} type - Message type (success, error, info)
  * @param {number} duration - Duration in ms (default 3000)
+ * @param {Object} action - Optional { label, onClick } for a button next to the message
  */
-export function showStatus(statusElement, message, type = 'info', duration = 3000) {
+export function showStatus(statusElement, message, type = 'info', duration = 3000, action = null) {
 	if (!statusElement) return;
 
 	statusElement.textContent = message;
@@ -122,11 +799,647 @@ export function showStatus(statusElement, message, type = 'info', duration = 300
 		statusElement.setAttribute('aria-atomic', 'true');
 	}
 
-	// Clear after duration
-	setTimeout(() => {
-		statusElement.textContent = '';
-		statusElement.className = 'status';
-	}, duration);
+	if (action) {
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'status-action';
+		button.textContent = action.label;
+		button.addEventListener('click', () => {
+			clearStatus(statusElement);
+			action.onClick();
+		});
+		statusElement.append(' ', button);
+	}
+
+	// Clear after duration; a newer message restarts the timer
+	clearTimeout(Number(statusElement.dataset.timer));
+	statusElement.dataset.timer = String(setTimeout(() => clearStatus(statusElement), duration));
+}
+
+/**
+ * Clear the status message
+ * @param {HTMLElement} statusElement - Status message element
+ */
+function clearStatus(statusElement) {
+	clearTimeout(Number(statusElement.dataset.timer));
+	statusElement.textContent = '';
+	statusElement.className = 'status';
+}
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Draw the note graph
+ * The drawing is for pointer users; renderGraphList() gives the same graph as a list.
+ * @param {SVGElement} svgElement - Graph drawing, with a viewBox matching the layout
+ * @param {Object} graph - { nodes, edges } from filterGraph()
+ * @param {Map} positions - Node id -> { x, y } from layoutGraph()
+ * @param {string} currentId - Note open in the editor
+ */
+export function renderGraph(svgElement, graph, positions, currentId = null) {
+	if (!svgElement) return;
+
+	const create = (tag, attributes) => {
+		const element = document.createElementNS(SVG_NS, tag);
+		Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, String(value)));
+		return element;
+	};
+
+	svgElement.replaceChildren();
+
+	graph.edges.forEach(edge => {
+		const from = positions.get(edge.source);
+		const to = positions.get(edge.target);
+		svgElement.appendChild(create('line', {
+			class: `graph-edge graph-edge-${edge.kind}`,
+			x1: from.x, y1: from.y, x2: to.x, y2: to.y
+		}));
+	});
+
+	graph.nodes.forEach(node => {
+		const { x, y } = positions.get(node.id);
+		const group = create('g', {
+			class: node.id === currentId ? 'graph-node current' : 'graph-node',
+			'data-note-id': node.id
+		});
+		const tooltip = create('title', {});
+		tooltip.textContent = node.title;
+		const label = create('text', { x, y: y + 18, 'text-anchor': 'middle' });
+		label.textContent = truncateText(node.title, 24);
+
+		group.append(tooltip, create('circle', { cx: x, cy: y, r: node.id === currentId ? 8 : 6 }), label);
+		svgElement.appendChild(group);
+	});
+}
+
+/**
+ * Render the note graph as a list of notes and their connections
+ * This is the keyboard and screen reader version of the drawing.
+ * @param {HTMLElement} listElement - Graph list container
+ * @param {HTMLElement} summaryElement - Line counting notes and connections
+ * @param {Object} graph - { nodes, edges } from filterGraph()
+ * @param {string} currentId - Note open in the editor
+ */
+export function renderGraphList(listElement, summaryElement, graph, currentId = null) {
+	if (!listElement) return;
+
+	const titles = new Map(graph.nodes.map(node => [node.id, node.title]));
+	const names = ids => ids.map(id => titles.get(id)).join(', ');
+	const noteCount = graph.nodes.length;
+	const edgeCount = graph.edges.length;
+	summaryElement.textContent = noteCount === 0
+		? 'No notes to show.'
+		: `${noteCount} ${noteCount === 1 ? 'note' : 'notes'}, ${edgeCount} ${edgeCount === 1 ? 'connection' : 'connections'}.`;
+
+	const links = graph.edges.filter(edge => edge.kind === 'link');
+	listElement.innerHTML = '';
+	[...graph.nodes]
+		.sort((a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true }))
+		.forEach(node => {
+			const linksTo = links.filter(edge => edge.source === node.id).map(edge => edge.target);
+			const linkedFrom = links.filter(edge => edge.target === node.id).map(edge => edge.source);
+			const sharing = graph.edges
+				.filter(edge => edge.kind === 'tag' && (edge.source === node.id || edge.target === node.id))
+				.map(edge => `${titles.get(edge.source === node.id ? edge.target : edge.source)} (${edge.tags.map(tag => `#${tag}`).join(', ')})`);
+
+			const parts = [];
+			if (linksTo.length) parts.push(`Links to ${names(linksTo)}`);
+			if (linkedFrom.length) parts.push(`Linked from ${names(linkedFrom)}`);
+			if (sharing.length) parts.push(`Shares tags with ${sharing.join(', ')}`);
+
+			const item = document.createElement('li');
+			const button = document.createElement('button');
+			button.type = 'button';
+			button.className = 'graph-list-note';
+			button.dataset.noteId = node.id;
+			button.textContent = node.title;
+			if (node.id === currentId) button.setAttribute('aria-current', 'true');
+
+			const connections = document.createElement('span');
+			connections.className = 'graph-list-connections';
+			connections.textContent = parts.length ? `${parts.join('. ')}.` : 'No connections.';
+
+			item.append(button, ' ', connections);
+			listElement.appendChild(item);
+		});
+}
+
+/**
+ * Show a hint under the search field explaining why a query is malformed
+ * @param {HTMLElement} inputElement - Search input
+ * @param {HTMLElement} hintElement - Hint container
+ * @param {string} message - Problem with the query
+ */
+export function showSearchHint(inputElement, hintElement, message) {
+	if (!hintElement) return;
+
+	hintElement.textContent = message;
+	hintElement.hidden = false;
+	inputElement?.setAttribute('aria-invalid', 'true');
+}
+
+/**
+ * Hide the search hint
+ * @param {HTMLElement} inputElement - Search input
+ * @param {HTMLElement} hintElement - Hint container
+ */
+export function hideSearchHint(inputElement, hintElement) {
+	if (!hintElement) return;
+
+	hintElement.textContent = '';
+	hintElement.hidden = true;
+	inputElement?.removeAttribute('aria-invalid');
+}
+
+/**
+ * Show the prompt asking how to resolve an edit made in another tab
+ * @param {HTMLElement} promptElement - Conflict prompt container
+ * @param {string} message - Description of what changed
+ */
+export function showConflictPrompt(promptElement, message) {
+	if (!promptElement) return;
+
+	const messageElement = promptElement.querySelector('.conflict-message');
+	if (messageElement) {
+		messageElement.textContent = message;
+	}
+	promptElement.hidden = false;
+}
+
+/**
+ * Hide the conflict prompt
+ * @param {HTMLElement} promptElement - Conflict prompt container
+ */
+export function hideConflictPrompt(promptElement) {
+	if (!promptElement) return;
+	promptElement.hidden = true;
+}
+
+/**
+ * Show how much of the storage quota the notes use
+ * @param {HTMLMeterElement} meterElement - Usage meter
+ * @param {HTMLElement} textElement - Usage in words
+ * @param {Object|null} usage - { backend, used, quota } from getStorageUsage(), null if unknown
+ * @param {Array} thresholds - Warning percentages; the meter marks the first and last as low and high
+ */
+export function renderStorageUsage(meterElement, textElement, usage, thresholds) {
+	if (!meterElement || !textElement) return;
+
+	const percent = usagePercent(usage);
+	meterElement.hidden = percent === null;
+	if (percent === null) {
+		textElement.textContent = 'Storage use unknown';
+		return;
+	}
+
+	meterElement.setAttribute('value', String(percent));
+	if (thresholds.length > 0) {
+		meterElement.setAttribute('low', String(thresholds[0]));
+		meterElement.setAttribute('high', String(thresholds[thresholds.length - 1]));
+	} else {
+		meterElement.removeAttribute('low');
+		meterElement.removeAttribute('high');
+	}
+	textElement.textContent = `${formatBytes(usage.used)} of ${formatBytes(usage.quota)} used (${percent}%)`;
+}
+
+/**
+ * Show the dialog offering ways out of a failed save
+ * Like the conflict prompt it leaves focus alone, so typing is not interrupted.
+ * @param {HTMLElement} dialogElement - Save failure dialog
+ * @param {string} message - What went wrong and what is at risk
+ * @param {Object} options - Options
+ * @param {number} options.trashCount - Notes in the trash, which emptying it would free
+ * @param {boolean} options.canMove - Offer moving to a larger storage backend
+ */
+export function showSaveFailure(dialogElement, message, { trashCount = 0, canMove = false } = {}) {
+	if (!dialogElement) return;
+
+	dialogElement.querySelector('#save-failure-message').textContent = message;
+	const emptyTrashButton = dialogElement.querySelector('#emptyTrashBtn');
+	emptyTrashButton.disabled = trashCount === 0;
+	emptyTrashButton.textContent = trashCount > 0 ? `Empty trash (${trashCount})` : 'Trash is empty';
+	dialogElement.querySelector('#moveStorageBtn').hidden = !canMove;
+	dialogElement.hidden = false;
+}
+
+/**
+ * Hide the save failure dialog
+ * @param {HTMLElement} dialogElement - Save failure dialog
+ */
+export function hideSaveFailure(dialogElement) {
+	if (!dialogElement) return;
+	dialogElement.hidden = true;
+}
+
+/**
+ * Show the dialog offering to restore a draft an earlier session left unsaved
+ * It opens on start, before any typing, so focus moves to its first button.
+ * @param {HTMLElement} dialogElement - Draft recovery dialog
+ * @param {string} message - Which note the draft belongs to and when it was written
+ * @param {Object} comparison - Comparison with the saved note
+ * @param {Object|null} comparison.saved - Saved { title, tags }, null for a note that is new or gone
+ * @param {Object} comparison.draft - Draft { title, tags }
+ * @param {Array} comparison.diff - Lines from diffLines(), saved content to draft content
+ */
+export function showDraftRecovery(dialogElement, message, { saved, draft, diff }) {
+	if (!dialogElement) return;
+
+	dialogElement.querySelector('#draft-recovery-message').textContent = message;
+	const changes = [];
+	if (saved && saved.title !== draft.title) {
+		changes.push(`Title changed from "${saved.title || 'Untitled'}" to "${draft.title || 'Untitled'}".`);
+	}
+	if (saved && saved.tags.join(' ') !== draft.tags.join(' ')) {
+		changes.push('Tags changed.');
+	}
+	changes.push(describeDiff(diff));
+	dialogElement.querySelector('.history-summary').textContent = changes.join(' ');
+	renderDiff(dialogElement.querySelector('.history-diff'), diff);
+
+	dialogElement.hidden = false;
+	dialogElement.querySelector('button').focus();
+}
+
+/**
+ * Hide the draft recovery dialog
+ * @param {HTMLElement} dialogElement - Draft recovery dialog
+ */
+export function hideDraftRecovery(dialogElement) {
+	if (!dialogElement) return;
+	dialogElement.hidden = true;
+}
+
+/**
+ * Show the lock screen over the app
+ * The rest of the page is made inert, so neither focus nor screen readers reach it.
+ * @param {HTMLElement} lockElement - Lock screen container
+ * @param {Array} appElements - Elements to make inert, e.g. the header and main area
+ * @param {string} message - Why the notes are locked
+ */
+export function showLockScreen(lockElement, appElements, message) {
+	if (!lockElement) return;
+
+	lockElement.querySelector('#lock-message').textContent = message;
+	showFormError(lockElement, '');
+	appElements.forEach(element => { element.inert = true; });
+	lockElement.hidden = false;
+
+	const input = lockElement.querySelector('input[type="password"]');
+	input.value = '';
+	input.focus();
+}
+
+/**
+ * Hide the lock screen and give the app back
+ * @param {HTMLElement} lockElement - Lock screen container
+ * @param {Array} appElements - Elements made inert by showLockScreen()
+ */
+export function hideLockScreen(lockElement, appElements) {
+	if (!lockElement) return;
+
+	lockElement.querySelector('input[type="password"]').value = '';
+	appElements.forEach(element => { element.inert = false; });
+	lockElement.hidden = true;
+}
+
+/**
+ * Show or clear the error message of a form, such as a wrong passphrase
+ * @param {HTMLElement} container - Element holding a `.form-error` message
+ * @param {string} message - Error to show, '' to clear it
+ */
+export function showFormError(container, message) {
+	const errorElement = container?.querySelector('.form-error');
+	if (!errorElement) return;
+
+	errorElement.textContent = message;
+	container.querySelectorAll('input[type="password"]').forEach(input => {
+		if (message) input.setAttribute('aria-invalid', 'true');
+		else input.removeAttribute('aria-invalid');
+	});
+}
+
+/**
+ * Show the prompt asking for the passphrase of an encrypted backup
+ * @param {HTMLFormElement} formElement - Passphrase prompt form
+ * @param {string} title - What the passphrase is for
+ * @param {Object} options - Options
+ * @param {boolean} options.repeat - Ask for the passphrase twice, for a new one (default false)
+ */
+export function showPassphrasePrompt(formElement, title, { repeat = false } = {}) {
+	if (!formElement) return;
+
+	formElement.querySelector('h2').textContent = title;
+	formElement.querySelectorAll('.passphrase-repeat').forEach(element => { element.hidden = !repeat; });
+	formElement.querySelectorAll('input').forEach(input => { input.value = ''; });
+	showFormError(formElement, '');
+	formElement.hidden = false;
+	formElement.querySelector('input').focus();
+}
+
+/**
+ * Hide the passphrase prompt, forgetting what was typed
+ * @param {HTMLFormElement} formElement - Passphrase prompt form
+ */
+export function hidePassphrasePrompt(formElement) {
+	if (!formElement) return;
+
+	formElement.querySelectorAll('input').forEach(input => { input.value = ''; });
+	formElement.hidden = true;
+}
+
+/**
+ * Render the editor for a locked note
+ * A locked note that is not unlocked shows the unlock panel instead of its content,
+ * and its title and tags cannot be edited.
+ * @param {HTMLElement} panelElement - Unlock panel
+ * @param {Object} editor - { title, tags, panes, lockButton, removeButton } editor elements
+ * @param {string} state - 'none' for a note without a lock (or no note), 'locked' or 'unlocked'
+ */
+export function renderNoteLock(panelElement, editor, state) {
+	if (!panelElement) return;
+
+	const wasLocked = !panelElement.hidden;
+	panelElement.hidden = state !== 'locked';
+	editor.title.readOnly = state === 'locked';
+	editor.tags.readOnly = state === 'locked';
+	editor.panes.hidden = state === 'locked';
+
+	editor.lockButton.hidden = state === 'locked';
+	editor.lockButton.textContent = state === 'unlocked' ? 'Lock again' : 'Lock';
+	editor.lockButton.title = state === 'unlocked'
+		? 'Hide the content again until the password is entered'
+		: 'Encrypt the content of this note with a password';
+	editor.removeButton.hidden = state !== 'unlocked';
+
+	if (state === 'locked' && !wasLocked) {
+		const input = panelElement.querySelector('input[type="password"]');
+		input.value = '';
+		showFormError(panelElement, '');
+	}
+}
+
+/**
+ * Render the encryption panel for the current state of the notes
+ * @param {HTMLElement} panelElement - Encryption panel
+ * @param {string} state - 'off' or 'unlocked', from getEncryptionState()
+ * @param {number} autoLockMinutes - Idle minutes before locking, 0 for never
+ */
+export function renderEncryptionPanel(panelElement, state, autoLockMinutes) {
+	if (!panelElement) return;
+
+	const encrypted = state !== 'off';
+	panelElement.querySelector('#encryption-status').textContent = encrypted
+		? 'Your notes are encrypted on this device.'
+		: 'Your notes are stored unencrypted. Anyone with access to this browser profile can read them.';
+	panelElement.querySelector('[type="submit"]').textContent = encrypted ? 'Change passphrase' : 'Turn on encryption';
+	panelElement.querySelectorAll('[data-mode="unlocked"]').forEach(element => { element.hidden = !encrypted; });
+
+	const select = panelElement.querySelector('select');
+	if (select) select.value = String(autoLockMinutes);
+}
+
+/**
+ * Sum up a line diff in words
+ * @param {Array} diff - Lines from diffLines()
+ * @returns {string} - e.g. '2 lines added, 1 removed.'
+ */
+function describeDiff(diff) {
+	const added = diff.filter(line => line.type === 'added').length;
+	const removed = diff.filter(line => line.type === 'removed').length;
+	return added || removed
+		? `${added} ${added === 1 ? 'line' : 'lines'} added, ${removed} removed.`
+		: 'No changes to the text.';
+}
+
+/**
+ * Render a line diff, collapsing long runs of unchanged lines to a few lines of context
+ * @param {HTMLElement} diffElement - Container for the lines
+ * @param {Array} diff - Lines from diffLines()
+ */
+function renderDiff(diffElement, diff) {
+	const context = 2;
+	diffElement.innerHTML = '';
+
+	const visible = diff.map((line, index) => line.type !== 'same' ||
+		diff.slice(Math.max(0, index - context), index + context + 1).some(other => other.type !== 'same'));
+	let skipped = 0;
+	const appendSkipped = () => {
+		if (skipped === 0) return;
+		const marker = document.createElement('span');
+		marker.className = 'diff-line diff-skipped';
+		marker.textContent = `${skipped} unchanged ${skipped === 1 ? 'line' : 'lines'}`;
+		diffElement.appendChild(marker);
+		skipped = 0;
+	};
+
+	diff.forEach((line, index) => {
+		if (!visible[index]) {
+			skipped++;
+			return;
+		}
+		appendSkipped();
+
+		const element = document.createElement(line.type === 'added' ? 'ins' : line.type === 'removed' ? 'del' : 'span');
+		element.className = 'diff-line';
+		element.textContent = line.text;
+		diffElement.appendChild(element);
+	});
+	appendSkipped();
+}
+
+/**
+ * Label a note version in the history selects
+ * @param {Object} version - Version from getVersions()
+ * @returns {string} - "Current version" or the save time
+ */
+function versionLabel(version) {
+	if (version.current) return 'Current version';
+	return new Date(version.savedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'medium' });
+}
+
+/**
+ * Render the revision history panel
+ * Long runs of unchanged lines are collapsed to a few lines of context.
+ * @param {HTMLElement} panelElement - History panel container
+ * @param {Array} versions - Versions from getVersions(), current first
+ * @param {Object} selection - { from, to, diff }: selected version keys and their line diff
+ */
+export function renderHistoryPanel(panelElement, versions, { from, to, diff }) {
+	if (!panelElement) return;
+
+	const fromVersion = versions.find(version => version.key === from);
+	const toVersion = versions.find(version => version.key === to);
+
+	panelElement.querySelectorAll('select').forEach((select, index) => {
+		const selected = index === 0 ? from : to;
+		select.innerHTML = '';
+		versions.forEach(version => {
+			const option = document.createElement('option');
+			option.value = version.key;
+			option.textContent = versionLabel(version);
+			option.selected = version.key === selected;
+			select.appendChild(option);
+		});
+	});
+
+	const changes = [];
+	if (fromVersion.title !== toVersion.title) {
+		changes.push(`Title changed from "${fromVersion.title || 'Untitled'}" to "${toVersion.title || 'Untitled'}".`);
+	}
+	if (fromVersion.tags.join(' ') !== toVersion.tags.join(' ')) {
+		changes.push('Tags changed.');
+	}
+	changes.push(describeDiff(diff));
+	panelElement.querySelector('.history-summary').textContent = changes.join(' ');
+	renderDiff(panelElement.querySelector('.history-diff'), diff);
+
+	panelElement.querySelector('#restoreRevisionBtn').disabled = fromVersion.current;
+	panelElement.hidden = false;
+}
+
+/**
+ * Hide the revision history panel
+ * @param {HTMLElement} panelElement - History panel container
+ */
+export function hideHistoryPanel(panelElement) {
+	if (!panelElement) return;
+	panelElement.hidden = true;
+}
+
+/**
+ * Offer a file for download
+ * @param {string} filename - Suggested file name
+ * @param {string|Uint8Array} content - File contents
+ * @param {string} type - MIME type (default application/json)
+ */
+export function downloadFile(filename, content, type = 'application/json') {
+	const url = URL.createObjectURL(new Blob([content], { type }));
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	URL.revokeObjectURL(url);
+}
+
+/**
+ * Render the dry-run summary of an import
+ * @param {HTMLElement} summaryElement - Import summary container
+ * @param {Object} plan - Import plan with added, updated, skipped and removed notes
+ * @param {string} mode - 'merge' or 'replace', named on the apply button
+ */
+export function renderImportSummary(summaryElement, plan, mode = 'merge') {
+	if (!summaryElement) return;
+
+	const applyButton = summaryElement.querySelector('.import-summary-actions .primary-btn');
+	if (applyButton) applyButton.textContent = mode === 'replace' ? 'Apply replace' : 'Apply merge';
+
+	const list = summaryElement.querySelector('.import-summary-details');
+	list.innerHTML = '';
+
+	const groups = [
+		['Would add', plan.added],
+		['Would update', plan.updated],
+		['Would skip', plan.skipped],
+		['Would remove', plan.removed],
+		['New notebooks', plan.notebooksAdded]
+	];
+
+	groups.forEach(([label, groupNotes]) => {
+		if (!groupNotes || groupNotes.length === 0) return;
+
+		// Notebooks have a name where notes have a title
+		const titles = groupNotes.slice(0, 5).map(item => (item.title ?? item.name) || 'Untitled');
+		const more = groupNotes.length - titles.length;
+
+		const item = document.createElement('li');
+		const heading = document.createElement('strong');
+		heading.textContent = `${label} (${groupNotes.length}): `;
+		item.appendChild(heading);
+		item.appendChild(document.createTextNode(
+			titles.join(', ') + (more > 0 ? ` and ${more} more` : '')
+		));
+		list.appendChild(item);
+	});
+
+	if (list.children.length === 0) {
+		const item = document.createElement('li');
+		item.textContent = 'The file contains no notes.';
+		list.appendChild(item);
+	}
+
+	summaryElement.hidden = false;
+}
+
+/**
+ * Hide the import summary
+ * @param {HTMLElement} summaryElement - Import summary container
+ */
+export function hideImportSummary(summaryElement) {
+	if (!summaryElement) return;
+	summaryElement.hidden = true;
+}
+
+/**
+ * Handle keyboard navigation in the notebook tree
+ * Follows the tree pattern: Up/Down move, Right expands or enters, Left collapses
+ * or goes to the parent, Enter/Space shows the notebook. Alt+arrows move notebooks.
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function handleTreeItemKeydown(e) {
+	const current = e.currentTarget;
+	// Each item sits inside its parent's, so only the focused one reacts
+	if (e.target !== current || e.altKey) return;
+
+	const tree = current.closest('[role="tree"]');
+	const visible = [...tree.querySelectorAll('.notebook-item')]
+		.filter(item => !item.parentElement.closest('[role="group"][hidden]'));
+	const index = visible.indexOf(current);
+	const expanded = current.getAttribute('aria-expanded');
+	const toggle = current.querySelector(':scope > .notebook-row [data-action="toggle"]');
+
+	const moveFocus = target => {
+		if (!target) return;
+		visible.forEach(item => { item.tabIndex = -1; });
+		target.tabIndex = 0;
+		target.focus();
+	};
+
+	switch (e.key) {
+		case 'ArrowDown':
+			e.preventDefault();
+			moveFocus(visible[index + 1]);
+			break;
+		case 'ArrowUp':
+			e.preventDefault();
+			moveFocus(visible[index - 1]);
+			break;
+		case 'ArrowRight':
+			e.preventDefault();
+			if (expanded === 'false') toggle.click();
+			else if (expanded === 'true') moveFocus(current.querySelector('.notebook-item'));
+			break;
+		case 'ArrowLeft':
+			e.preventDefault();
+			if (expanded === 'true') toggle.click();
+			else moveFocus(current.parentElement.closest('.notebook-item'));
+			break;
+		case 'Home':
+			e.preventDefault();
+			moveFocus(visible[0]);
+			break;
+		case 'End':
+			e.preventDefault();
+			moveFocus(visible[visible.length - 1]);
+			break;
+		case 'Enter':
+		case ' ':
+			e.preventDefault();
+			current.querySelector('.notebook-name').click();
+			break;
+	}
 }
 
 /**
@@ -135,7 +1448,12 @@ export function showStatus(statusElement, message, type = 'info', duration = 300
  */
 function handleNoteItemKeydown(e) {
 	const current = e.currentTarget;
-	const noteItems = [...document.querySelectorAll('.note-item')];
+	// Buttons inside an item handle their own keys; Alt+Arrow reorders pinned notes
+	if (e.target !== current || e.altKey) return;
+
+	// Section and group headings are skipped: only note items take focus
+	const list = current.closest('ul, ol') || document;
+	const noteItems = [...list.querySelectorAll('.note-item')];
 	const currentIndex = noteItems.indexOf(current);
 
 	switch(e.key) {
@@ -7,7 +7,7 @@
  * - Text processing utilities (sanitization, truncation, formatting)
  * - Date formatting for display purposes
  * - ID generation for unique identifiers
- * - Security utilities (HTML sanitization to prevent XSS)
+ * - Security utilities (HTML escaping and allow-list sanitization to prevent XSS)
  * 
  * Dependencies: None (pure functions with no external dependencies)
  * Note: All functions are stateless and side-effect free
@@ -45,6 +45,94 @@ export function sanitizeHTML(str) {
   return temp.innerHTML;
 }
 
+// Elements allowed in rendered Markdown, mapped to their allowed attributes
+const RICH_HTML_ALLOWED = {
+  A: ['href', 'title', 'class', 'data-note-link'],
+  IMG: ['src', 'alt', 'title'],
+  CODE: ['class'],
+  TH: ['class'],
+  TD: ['class'],
+  OL: ['start'],
+  P: [], BR: [], HR: [], STRONG: [], EM: [], DEL: [], PRE: [], BLOCKQUOTE: [],
+  H1: [], H2: [], H3: [], H4: [], H5: [], H6: [],
+  UL: [], LI: [], TABLE: [], THEAD: [], TBODY: [], TR: []
+};
+
+// Elements removed together with their content instead of unwrapped
+const RICH_HTML_DROPPED = ['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'SVG', 'MATH', 'NOSCRIPT', 'TEXTAREA', 'SELECT'];
+
+const RICH_HTML_CLASS = /^(align-(left|center|right)|language-[\w+-]+|wiki-link)$/;
+
+/**
+ * Check that a URL uses a safe scheme (or none, for relative links)
+ * @param {string} url - URL from an href or src attribute
+ * @param {Array} schemes - Allowed schemes, lowercase with trailing colon
+ * @returns {boolean} - True if the URL is safe to keep
+ */
+function isSafeURL(url, schemes) {
+  // Browsers ignore control characters and whitespace inside schemes
+  const normalized = url.replace(/[\u0000- \u007f-\u009f]/g, '');
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || schemes.includes(scheme[1].toLowerCase() + ':');
+}
+
+/**
+ * Sanitize rendered HTML against a strict allow-list of elements and attributes
+ * Unknown elements are unwrapped, scripts and embeds are removed, and links and
+ * images may only use http(s) (links also mailto) or relative URLs.
+ * @param {string} html - HTML string, e.g. rendered Markdown
+ * @returns {string} - Sanitized HTML string
+ */
+export function sanitizeRichHTML(html) {
+  if (!html || typeof html !== 'string') return '';
+
+  // Template content is inert: nothing loads or runs while we inspect it
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  const clean = node => {
+    Array.from(node.childNodes).forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) return;
+
+      if (child.nodeType !== Node.ELEMENT_NODE) {
+        child.remove();
+        return;
+      }
+
+      const tag = child.nodeName.toUpperCase();
+      if (RICH_HTML_DROPPED.includes(tag)) {
+        child.remove();
+        return;
+      }
+
+      clean(child);
+
+      const allowed = RICH_HTML_ALLOWED[tag];
+      if (!allowed) {
+        child.replaceWith(...child.childNodes);
+        return;
+      }
+
+      Array.from(child.attributes).forEach(({ name, value }) => {
+        const keep = allowed.includes(name) &&
+          !(name === 'href' && !isSafeURL(value, ['http:', 'https:', 'mailto:'])) &&
+          !(name === 'src' && !isSafeURL(value, ['http:', 'https:'])) &&
+          !(name === 'class' && !value.split(/\s+/).every(cls => RICH_HTML_CLASS.test(cls))) &&
+          !(name === 'start' && !/^\d+$/.test(value));
+        if (!keep) child.removeAttribute(name);
+      });
+
+      if (tag === 'A' && child.hasAttribute('href')) {
+        child.setAttribute('target', '_blank');
+        child.setAttribute('rel', 'noopener noreferrer');
+      }
+    });
+  };
+
+  clean(template.content);
+  return template.innerHTML;
+}
+
 /**
  * Generate a simple UUID for note IDs
  * @returns {string} - UUID string
@@ -86,4 +174,29 @@ export function truncateText(text, maxLength = 100) {
   if (!text || typeof text !== 'string') return '';
   if (text.length <= maxLength) return text;
   return text.substring(0, maxLength).trim() + '...';
-}
\ No newline at end of file
+}
+
+/**
+ * Fold text for searching: lowercase, with diacritics removed
+ * @param {string} text - Text to fold
+ * @returns {string} - Folded text
+ */
+export function foldText(text) {
+  if (!text || typeof text !== 'string') return '';
+  return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Format date as a local YYYY-MM-DD string (for file names and day keys)
+ * @param {Date|string|number} date - Date to format
+ * @returns {string} - Date string, empty if the date is invalid
+ */
+export function formatISODate(date) {
+  const d = new Date(date);
+  if (isNaN(d.getTime())) return '';
+
+  const year = d.getFullYear();
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
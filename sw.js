@@ -0,0 +1,99 @@
+/**
+ * Service worker for Pure note-taking app
+ * Keeps the app's own files in a cache, so it starts and runs without a server.
+ * It lives at the root so its scope covers the whole app.
+ *
+ * Responsibilities:
+ * - Precaching the page, styles, scripts, manifest and icons on install
+ * - Serving them from the cache first, with index.html for any page while offline
+ * - Deleting caches of earlier versions once this version takes over
+ * - Taking over from the previous version when the page asks, after the user agreed to reload
+ *
+ * Dependencies: None (classic worker script)
+ * Note: Bump CACHE_VERSION whenever a precached file changes; the changed worker
+ * then installs a fresh cache next to the old one and the page offers a reload.
+ * Notes are never cached here: they stay in localStorage or IndexedDB
+ */
+
+const CACHE_VERSION = 1;
+const CACHE_PREFIX = 'pure-notes-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'styles/variables.css',
+  'styles/app.css',
+  'src/adapters.js',
+  'src/app.js',
+  'src/commands.js',
+  'src/daily.js',
+  'src/drafts.js',
+  'src/encryption.js',
+  'src/frontmatter.js',
+  'src/graph.js',
+  'src/history.js',
+  'src/links.js',
+  'src/markdown.js',
+  'src/notebooks.js',
+  'src/notelock.js',
+  'src/pins.js',
+  'src/pwa.js',
+  'src/query.js',
+  'src/quota.js',
+  'src/search.js',
+  'src/settings.js',
+  'src/sorting.js',
+  'src/store.js',
+  'src/sync.js',
+  'src/tags.js',
+  'src/templates.js',
+  'src/trash.js',
+  'src/ui.js',
+  'src/utils.js',
+  'src/zip.js'
+];
+
+// Fetch every file past the HTTP cache, so a new version never precaches stale copies
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache =>
+      cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.match(request, { ignoreSearch: true }))
+      .then(cached => cached || fetch(request).catch(error => {
+        // Offline: any page of the app is the app itself
+        if (request.mode === 'navigate') return caches.match('index.html');
+        throw error;
+      }))
+  );
+});
+
+// The page sends this once the user chose to reload into the new version
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
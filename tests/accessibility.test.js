@@ -123,6 +123,308 @@ describe('Accessibility Features', () => {
         expect(tabindex === '0' || isNaturallyFocusable).toBe(true);
       });
     });
+
+    it('should move focus across group headings with the arrow keys', async () => {
+      const { renderNotesList } = await import('../src/ui.js');
+      const list = document.getElementById('noteList');
+      const note = (id, updatedAt, extra = {}) => ({ id, title: id, content: '', tags: [], createdAt: updatedAt, updatedAt, ...extra });
+
+      renderNotesList(list, [
+        note('pinned', '2020-01-01T00:00:00.000Z', { pinned: true, pinOrder: 0 }),
+        note('recent', new Date().toISOString()),
+        note('old', '2020-01-01T00:00:00.000Z')
+      ], null, { view: { sort: 'updated', direction: 'desc', group: 'date' } });
+
+      expect([...list.querySelectorAll('.note-section')].map(h => h.textContent)).toEqual(['Pinned', 'Today', 'Older']);
+      const items = [...list.querySelectorAll('.note-item')];
+      expect(items.map(item => item.dataset.noteId)).toEqual(['pinned', 'recent', 'old']);
+
+      items[0].focus();
+      items[0].dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true }));
+      expect(document.activeElement).toBe(items[1]);
+      items[1].dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true }));
+      expect(document.activeElement).toBe(items[2]);
+      items[2].dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Home', bubbles: true }));
+      expect(document.activeElement).toBe(items[0]);
+    });
+  });
+
+  describe('Graph View', () => {
+    it('should offer the graph as a list of buttons with their connections', async () => {
+      const { renderGraphList } = await import('../src/ui.js');
+      const list = document.getElementById('graphList');
+      const summary = document.getElementById('graph-summary');
+      const svg = document.getElementById('graphCanvas');
+
+      expect(svg.getAttribute('role')).toBe('img');
+      expect(svg.getAttribute('aria-labelledby')).toBe('graph-title graph-summary');
+      expect(document.getElementById('graphBtn').getAttribute('aria-controls')).toBe('graphPanel');
+
+      renderGraphList(list, summary, {
+        nodes: [{ id: 'b', title: 'Beta' }, { id: 'a', title: 'Alpha' }],
+        edges: [{ source: 'a', target: 'b', kind: 'link', tags: [] }]
+      }, 'b');
+
+      expect(summary.textContent).toBe('2 notes, 1 connection.');
+      const buttons = [...list.querySelectorAll('button')];
+      expect(buttons.map(button => button.textContent)).toEqual(['Alpha', 'Beta']);
+      expect(buttons[1].getAttribute('aria-current')).toBe('true');
+      expect(list.children[1].textContent).toBe('Beta Linked from Alpha.');
+    });
+  });
+
+  describe('Calendar', () => {
+    it('should label each day with its notes and give one day Tab focus', async () => {
+      const { renderCalendar } = await import('../src/ui.js');
+      const grid = document.getElementById('calendarGrid');
+      const title = document.getElementById('calendar-title');
+
+      expect(grid.getAttribute('aria-describedby')).toBe('calendar-help');
+
+      renderCalendar(grid, title, '2026-10', {
+        activity: new Map([['2026-10-19', { count: 2, daily: true }], ['2026-10-20', { count: 1, daily: false }]]),
+        selectedDay: '2026-10-20',
+        today: '2026-10-19'
+      });
+
+      expect(title.textContent).toBe('October 2026');
+      expect(grid.querySelector('th').getAttribute('abbr')).toBe('Monday');
+      const day = date => grid.querySelector(`[data-day="2026-10-${date}"]`);
+      expect(day('19').getAttribute('aria-label')).toBe('Monday, October 19, 2026, daily note, 2 notes');
+      expect(day('19').getAttribute('aria-current')).toBe('date');
+      expect(day('20').getAttribute('aria-pressed')).toBe('true');
+      expect(day('21').getAttribute('aria-label')).toBe('Wednesday, October 21, 2026, no notes');
+      expect([...grid.querySelectorAll('[tabindex="0"]')]).toEqual([day('20')]);
+    });
+  });
+
+  describe('Locked Notes', () => {
+    it('should label locked notes in the list and leave out their excerpt', async () => {
+      const { renderNotesList, renderNoteLock } = await import('../src/ui.js');
+      const list = document.getElementById('noteList');
+      const lock = { encryption: {}, iv: 'aXY=', data: 'ZGF0YQ==' };
+
+      renderNotesList(list, [
+        { id: 'a', title: 'Bank', content: '', tags: [], updatedAt: new Date().toISOString(), favorite: true, lock }
+      ], null);
+
+      expect(list.querySelector('.note-flags').getAttribute('aria-label')).toBe('Favorite, Locked');
+      expect(list.querySelector('.note-excerpt').textContent.trim()).toBe('');
+
+      const panel = document.getElementById('noteLockPanel');
+      const editor = {
+        title: document.getElementById('noteTitle'),
+        tags: document.getElementById('noteTags'),
+        panes: document.getElementById('editorPanes'),
+        lockButton: document.getElementById('lockNoteBtn'),
+        removeButton: document.getElementById('removeLockBtn')
+      };
+      renderNoteLock(panel, editor, 'locked');
+      expect(panel.hidden).toBe(false);
+      expect(panel.getAttribute('aria-labelledby')).toBe('note-lock-title');
+      expect(document.getElementById('notePassword').getAttribute('aria-describedby')).toBe('note-password-error');
+      expect(editor.title.readOnly).toBe(true);
+      expect(editor.panes.hidden).toBe(true);
+
+      renderNoteLock(panel, editor, 'unlocked');
+      expect(panel.hidden).toBe(true);
+      expect(editor.lockButton.textContent).toBe('Lock again');
+      expect(editor.removeButton.hidden).toBe(false);
+    });
+  });
+
+  describe('Import Preview', () => {
+    it('should offer the preview as a labelled option and name the mode it would apply', async () => {
+      const { renderImportSummary } = await import('../src/ui.js');
+      const summary = document.getElementById('importSummary');
+
+      expect(document.querySelector('label[for="importPreview"]').textContent.trim()).toBe('Preview first');
+      expect([...document.getElementById('importMode').options].map(option => option.value)).toEqual(['merge', 'replace']);
+
+      renderImportSummary(summary, {
+        added: [{ title: 'New' }],
+        updated: [],
+        skipped: [],
+        removed: [{ title: 'Gone' }, { title: '' }],
+        notebooksAdded: []
+      }, 'replace');
+
+      expect(summary.hidden).toBe(false);
+      expect(summary.querySelector('.import-summary-details').textContent).toContain('Would remove (2): Gone, Untitled');
+      expect(document.getElementById('applyImportBtn').textContent).toBe('Apply replace');
+    });
+  });
+
+  describe('Untrusted Note Data', () => {
+    it('should keep note ids and dates out of the markup', async () => {
+      const { renderNotesList } = await import('../src/ui.js');
+      const list = document.getElementById('noteList');
+      const id = 'x"><img src=x onerror=alert(1)>';
+
+      renderNotesList(list, [
+        { id, title: 'Crafted', content: 'Text', tags: ['<b>tag</b>'], updatedAt: '"><img src=y>' }
+      ], null);
+
+      expect(list.querySelector('img')).toBeNull();
+      expect(list.querySelector('b')).toBeNull();
+      expect(list.querySelector('.note-preview').dataset.noteId).toBe(id);
+      expect(list.querySelector('.note-item').getAttribute('aria-describedby')).toBe(`note-desc-${id}`);
+      expect(list.querySelector('.note-tags').textContent).toBe('#<b>tag</b>');
+    });
+
+    it('should keep notebook ids inside the option values', async () => {
+      const { renderNotebookSelect } = await import('../src/ui.js');
+      const select = document.getElementById('noteNotebook');
+      const id = 'a" onmouseover="alert(1)';
+
+      renderNotebookSelect(select, [{ id, name: 'Work', parentId: null }], id);
+
+      expect(select.options[1].value).toBe(id);
+      expect(select.options[1].hasAttribute('onmouseover')).toBe(false);
+      expect(select.value).toBe(id);
+    });
+
+    it('should keep trashed note ids and dates out of the markup', async () => {
+      const { renderTrashList } = await import('../src/ui.js');
+      const list = document.getElementById('noteList');
+      const id = 'x"><img src=x onerror=alert(1)>';
+
+      renderTrashList(list, [
+        { id, title: '<b>Old</b>', content: '', tags: [], deletedAt: '"><img src=y>' }
+      ], 30);
+
+      expect(list.querySelector('img')).toBeNull();
+      expect(list.querySelector('.note-title').textContent).toBe('<b>Old</b>');
+      const buttons = list.querySelectorAll('.trash-actions button');
+      expect([...buttons].map(button => button.dataset.noteId)).toEqual([id, id]);
+      expect(buttons[0].getAttribute('aria-describedby')).toBe(`note-title-${id}`);
+    });
+
+    it('should keep template ids inside the option values', async () => {
+      const { renderTemplatePicker } = await import('../src/ui.js');
+      const select = document.getElementById('templatePicker');
+      const id = 'a" onmouseover="alert(1)';
+
+      renderTemplatePicker(select, [{ id, title: '<b>Meeting</b>' }], id);
+
+      expect(select.options[1].value).toBe(id);
+      expect(select.options[1].textContent).toBe('<b>Meeting</b>');
+      expect(select.options[1].hasAttribute('onmouseover')).toBe(false);
+    });
+  });
+
+  describe('Storage', () => {
+    it('should describe the usage meter in words', async () => {
+      const { renderStorageUsage } = await import('../src/ui.js');
+      const meter = document.getElementById('storageMeter');
+      const text = document.getElementById('storage-text');
+
+      expect(meter.getAttribute('aria-describedby')).toBe('storage-text');
+      expect(document.getElementById('storageWarnings').getAttribute('aria-describedby')).toBe('storage-warnings-help');
+
+      renderStorageUsage(meter, text, { used: 4 * 1024 * 1024, quota: 5 * 1024 * 1024 }, [70, 90]);
+      expect(meter.getAttribute('value')).toBe('80');
+      expect(meter.getAttribute('low')).toBe('70');
+      expect(meter.getAttribute('high')).toBe('90');
+      expect(text.textContent).toBe('4.0 MB of 5.0 MB used (80%)');
+
+      renderStorageUsage(meter, text, null, [70, 90]);
+      expect(meter.hidden).toBe(true);
+      expect(text.textContent).toBe('Storage use unknown');
+    });
+
+    it('should announce a failed save without taking focus', async () => {
+      const { showSaveFailure, hideSaveFailure } = await import('../src/ui.js');
+      const dialog = document.getElementById('saveFailure');
+      const title = document.getElementById('noteTitle');
+      title.focus();
+
+      expect(dialog.getAttribute('role')).toBe('alertdialog');
+      expect(dialog.getAttribute('aria-labelledby')).toBe('save-failure-title');
+      expect(dialog.getAttribute('aria-describedby')).toBe('save-failure-message');
+
+      showSaveFailure(dialog, 'Storage is full.', { trashCount: 0, canMove: true });
+      expect(dialog.hidden).toBe(false);
+      expect(document.getElementById('save-failure-message').textContent).toBe('Storage is full.');
+      expect(document.getElementById('emptyTrashBtn').disabled).toBe(true);
+      expect(document.getElementById('moveStorageBtn').hidden).toBe(false);
+      expect(document.activeElement).toBe(title);
+
+      showSaveFailure(dialog, 'Storage is full.', { trashCount: 3, canMove: false });
+      expect(document.getElementById('emptyTrashBtn').textContent).toBe('Empty trash (3)');
+      expect(document.getElementById('moveStorageBtn').hidden).toBe(true);
+
+      hideSaveFailure(dialog);
+      expect(dialog.hidden).toBe(true);
+    });
+  });
+
+  describe('Trash', () => {
+    it('should offer the retention period as a described choice that includes the default', async () => {
+      const { DEFAULT_RETENTION_DAYS } = await import('../src/trash.js');
+      const select = document.getElementById('trashRetention');
+
+      expect(document.querySelector('label[for="trashRetention"]')).toBeTruthy();
+      expect(select.getAttribute('aria-describedby')).toBe('trash-retention-help');
+      expect(document.getElementById('trash-retention-help').textContent.trim().length).toBeGreaterThan(0);
+      expect([...select.options].map(option => option.value)).toContain(String(DEFAULT_RETENTION_DAYS));
+      // Only listed with the trash
+      expect(document.getElementById('trashOptions').hidden).toBe(true);
+    });
+  });
+
+  describe('Draft Recovery', () => {
+    it('should present a found draft as a dialog with its changes', async () => {
+      const { showDraftRecovery, hideDraftRecovery } = await import('../src/ui.js');
+      const dialog = document.getElementById('draftRecovery');
+
+      expect(dialog.getAttribute('role')).toBe('alertdialog');
+      expect(dialog.getAttribute('aria-labelledby')).toBe('draft-recovery-title');
+      expect(dialog.getAttribute('aria-describedby')).toBe('draft-recovery-message');
+      expect(document.getElementById('draftDiff').getAttribute('aria-label')).toBeTruthy();
+
+      showDraftRecovery(dialog, 'Changes to "Plan" were never saved.', {
+        saved: { title: 'Plan', tags: [] },
+        draft: { title: 'Plans', tags: ['work'] },
+        diff: [{ type: 'same', text: 'one' }, { type: 'added', text: 'two' }]
+      });
+      expect(dialog.hidden).toBe(false);
+      expect(document.getElementById('draft-recovery-message').textContent).toBe('Changes to "Plan" were never saved.');
+      expect(dialog.querySelector('.history-summary').textContent)
+        .toBe('Title changed from "Plan" to "Plans". Tags changed. 1 line added, 0 removed.');
+      expect(document.getElementById('draftDiff').querySelector('ins').textContent).toBe('two');
+      expect(document.activeElement).toBe(document.getElementById('restoreDraftBtn'));
+
+      hideDraftRecovery(dialog);
+      expect(dialog.hidden).toBe(true);
+    });
+  });
+
+  describe('Lock Screen', () => {
+    it('should be a modal dialog that keeps the app out of reach', async () => {
+      const { showLockScreen, hideLockScreen, showFormError } = await import('../src/ui.js');
+      const lockScreen = document.getElementById('lockScreen');
+      const input = document.getElementById('unlockPassphrase');
+      const app = [document.querySelector('header[role="banner"]'), document.getElementById('app')];
+
+      expect(lockScreen.getAttribute('role')).toBe('dialog');
+      expect(lockScreen.getAttribute('aria-modal')).toBe('true');
+      expect(lockScreen.getAttribute('aria-labelledby')).toBe('lock-title');
+      expect(input.getAttribute('aria-describedby')).toBe('unlock-error');
+
+      showLockScreen(lockScreen, app, 'Locked after 5 minutes without activity.');
+      expect(lockScreen.hidden).toBe(false);
+      expect(document.getElementById('lock-message').textContent).toBe('Locked after 5 minutes without activity.');
+      expect(app.every(element => element.inert)).toBe(true);
+      expect(document.activeElement).toBe(input);
+
+      showFormError(lockScreen, 'Wrong passphrase. Try again.');
+      expect(document.getElementById('unlock-error').getAttribute('role')).toBe('alert');
+      expect(input.getAttribute('aria-invalid')).toBe('true');
+
+      hideLockScreen(lockScreen, app);
+      expect(app.some(element => element.inert)).toBe(false);
+    });
   });
 
   describe('Help Text Elements', () => {
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for adapters.js
+ * Tests the localStorage and IndexedDB storage backends
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { IDBFactory, IDBObjectStore } from './fakeIndexedDB.js';
+import { createLocalStorageAdapter, createIndexedDBAdapter } from '../src/adapters.js';
+
+describe('Storage Adapters', () => {
+  const sampleNotes = [
+    {
+      id: 'note-2',
+      title: 'Second Note',
+      content: 'This is my second note',
+      createdAt: '2025-08-18T11:00:00.000Z',
+      updatedAt: '2025-08-18T11:00:00.000Z'
+    },
+    {
+      id: 'note-1',
+      title: 'First Note',
+      content: 'This is my first note',
+      createdAt: '2025-08-18T10:00:00.000Z',
+      updatedAt: '2025-08-18T10:00:00.000Z'
+    }
+  ];
+
+  const envelope = { version: 1, notes: sampleNotes, meta: {} };
+
+  describe('createLocalStorageAdapter()', () => {
+    it('should save and load data under the given key', async () => {
+      const adapter = createLocalStorageAdapter('test-key');
+      await adapter.save(envelope);
+
+      expect(localStorage.setItem).toHaveBeenCalledWith('test-key', JSON.stringify(envelope));
+      expect(await adapter.load()).toEqual(envelope);
+    });
+
+    it('should load an empty array when nothing is stored', async () => {
+      const adapter = createLocalStorageAdapter('test-key');
+      expect(await adapter.load()).toEqual([]);
+    });
+
+    it('should reject when stored data is unreadable', async () => {
+      localStorage.setItem('test-key', 'invalid json');
+      const adapter = createLocalStorageAdapter('test-key');
+      await expect(adapter.load()).rejects.toThrow();
+    });
+
+    it('should remove the key on clear', async () => {
+      const adapter = createLocalStorageAdapter('test-key');
+      await adapter.save(envelope);
+      await adapter.clear();
+
+      expect(localStorage.removeItem).toHaveBeenCalledWith('test-key');
+      expect(await adapter.load()).toEqual([]);
+    });
+  });
+
+  describe('createIndexedDBAdapter()', () => {
+    let indexedDB;
+
+    beforeEach(() => {
+      indexedDB = new IDBFactory();
+    });
+
+    const readRecords = (dbName = 'pure-note-taking-app') => new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName);
+      request.onsuccess = () => {
+        const getAll = request.result.transaction('notes').objectStore('notes').getAll();
+        getAll.onsuccess = () => {
+          request.result.close();
+          resolve(getAll.result);
+        };
+        getAll.onerror = () => reject(getAll.error);
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    it('should load an unversioned empty array from a new database', async () => {
+      const adapter = createIndexedDBAdapter({ indexedDB });
+      expect(await adapter.load()).toEqual([]);
+    });
+
+    it('should store one record per note', async () => {
+      const adapter = createIndexedDBAdapter({ indexedDB });
+      await adapter.save(envelope);
+
+      const records = await readRecords();
+      expect(records).toHaveLength(2);
+      expect(records.map(record => record.id).sort()).toEqual(['note-1', 'note-2']);
+    });
+
+    it('should load the envelope with notes newest first', async () => {
+      const adapter = createIndexedDBAdapter({ indexedDB });
+      await adapter.save({ ...envelope, notes: [...sampleNotes].reverse(), meta: { source: 'test' } });
+
+      const reopened = createIndexedDBAdapter({ indexedDB });
+      expect(await reopened.load()).toEqual({ version: 1, notes: sampleNotes, meta: { source: 'test' } });
+    });
+
+    it('should keep notebooks in the schema record', async () => {
+      const notebooks = [{ id: 'nb-1', name: 'Work', parentId: null }];
+      const adapter = createIndexedDBAdapter({ indexedDB });
+      await adapter.save({ ...envelope, notebooks });
+
+      const reopened = createIndexedDBAdapter({ indexedDB });
+      expect((await reopened.load()).notebooks).toEqual(notebooks);
+    });
+
+    it('should only write notes that changed since the last save', async () => {
+      const adapter = createIndexedDBAdapter({ indexedDB });
+      await adapter.save(envelope);
+
+      const putSpy = vi.spyOn(IDBObjectStore.prototype, 'put');
+      const edited = { ...sampleNotes[0], content: 'Edited' };
+      await adapter.save({ ...envelope, notes: [edited, sampleNotes[1]] });
+
+      // One note record plus the schema record
+      expect(putSpy).toHaveBeenCalledTimes(2);
+      expect(putSpy).toHaveBeenCalledWith(edited);
+      putSpy.mockRestore();
+    });
+
+    it('should delete records of removed notes', async () => {
+      const adapter = createIndexedDBAdapter({ indexedDB });
+      await adapter.save(envelope);
+      await adapter.save({ ...envelope, notes: [sampleNotes[0]] });
+
+      const records = await readRecords();
+      expect(records).toEqual([sampleNotes[0]]);
+    });
+
+    it('should remove every record on clear', async () => {
+      const adapter = createIndexedDBAdapter({ indexedDB });
+      await adapter.save(envelope);
+      await adapter.clear();
+
+      expect(await adapter.load()).toEqual([]);
+    });
+
+    it('should notify other tabs through a broadcast channel', async () => {
+      const writer = createIndexedDBAdapter({ indexedDB, dbName: 'watch-test' });
+      const reader = createIndexedDBAdapter({ indexedDB, dbName: 'watch-test' });
+      await reader.load();
+
+      const changed = new Promise(resolve => {
+        const unwatch = reader.watch(notes => {
+          unwatch();
+          resolve(notes);
+        });
+      });
+      await writer.save(envelope);
+
+      expect(await changed).toEqual(envelope);
+    });
+
+    it('should reject when the database cannot be opened', async () => {
+      const brokenFactory = {
+        open() {
+          const request = {};
+          setTimeout(() => {
+            request.error = new Error('Blocked');
+            request.onerror();
+          });
+          return request;
+        }
+      };
+      const adapter = createIndexedDBAdapter({ indexedDB: brokenFactory });
+      await expect(adapter.load()).rejects.toThrow('Blocked');
+    });
+  });
+});
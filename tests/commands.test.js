@@ -0,0 +1,180 @@
+/**
+ * Unit tests for commands.js
+ * Tests the note command history and the per-note editor history
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createCommandHistory, createEditHistory } from '../src/commands.js';
+
+describe('Commands Module', () => {
+  const note = (id, content = `Content of ${id}`) => ({
+    id,
+    title: `Title ${id}`,
+    content,
+    updatedAt: '2026-03-01T10:00:00.000Z'
+  });
+
+  describe('createCommandHistory()', () => {
+    it('should undo and redo a created note', () => {
+      const history = createCommandHistory();
+      const before = [note('a')];
+      const after = [note('b'), ...before];
+      history.record('Create "b"', before, after);
+
+      const undone = history.undo(after);
+      expect(undone.label).toBe('Create "b"');
+      expect(undone.notes).toEqual(before);
+      expect(undone.ids).toEqual(['b']);
+
+      expect(history.redo(undone.notes).notes).toEqual(after);
+      expect(history.canRedo).toBe(false);
+    });
+
+    it('should put removed notes back in their place', () => {
+      const history = createCommandHistory();
+      const before = [note('a'), note('b'), note('c')];
+      const after = [before[0], before[2]];
+      history.record('Delete "b"', before, after);
+
+      expect(history.undo(after).notes.map(n => n.id)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should undo every note touched by one command, such as an import', () => {
+      const history = createCommandHistory();
+      const before = [note('a'), note('b')];
+      const after = [note('c'), note('a', 'Imported'), before[1]];
+      history.record('Import', before, after);
+
+      const undone = history.undo(after);
+      expect(undone.notes).toEqual(before);
+      expect(undone.ids.sort()).toEqual(['a', 'c']);
+    });
+
+    it('should put back the notebooks a command changed along with its notes', () => {
+      const history = createCommandHistory();
+      const notebooksBefore = [{ id: 'nb-1', name: 'Work' }];
+      const notebooksAfter = [...notebooksBefore, { id: 'nb-2', name: 'Imported' }];
+      const after = [{ ...note('a'), notebookId: 'nb-2' }];
+      history.record('Import', [], after, { notebooks: { before: notebooksBefore, after: notebooksAfter } });
+
+      const undone = history.undo(after, notebooksAfter);
+      expect(undone.notes).toEqual([]);
+      expect(undone.notebooks).toEqual(notebooksBefore);
+      expect(history.redo(undone.notes, undone.notebooks).notebooks).toEqual(notebooksAfter);
+      expect(history.undo(after, [{ id: 'nb-3', name: 'Renamed since' }]).conflict).toBe(true);
+    });
+
+    it('should keep a command that only changes notebooks', () => {
+      const history = createCommandHistory();
+      const notes = [note('a')];
+      history.record('Import', notes, notes, { notebooks: { before: [], after: [{ id: 'nb-1', name: 'Work' }] } });
+      history.record('Edit "a"', notes, notes);
+
+      const undone = history.undo(notes, [{ id: 'nb-1', name: 'Work' }]);
+      expect(undone.label).toBe('Import');
+      expect(undone.notebooks).toEqual([]);
+      expect(history.canUndo).toBe(false);
+    });
+
+    it('should ignore operations that change nothing', () => {
+      const history = createCommandHistory();
+      const notes = [note('a')];
+      history.record('Edit "a"', notes, [{ ...notes[0] }]);
+      expect(history.canUndo).toBe(false);
+      expect(history.undo(notes)).toBeNull();
+    });
+
+    it('should fold commands with the same merge key recorded in a row', () => {
+      const history = createCommandHistory({ mergeWindow: 1000 });
+      const v1 = [note('a', 'one')];
+      const v2 = [note('a', 'two')];
+      const v3 = [note('a', 'three')];
+      const v4 = [note('a', 'four')];
+
+      history.record('Edit "a"', v1, v2, { mergeKey: 'edit:a', now: 0 });
+      history.record('Edit "a"', v2, v3, { mergeKey: 'edit:a', now: 500 });
+      history.record('Edit "a"', v3, v4, { mergeKey: 'edit:a', now: 5000 });
+
+      expect(history.undo(v4).notes).toEqual(v3);
+      expect(history.undo(v3).notes).toEqual(v1);
+    });
+
+    it('should refuse to undo over notes changed since', () => {
+      const history = createCommandHistory();
+      const before = [note('a', 'mine')];
+      const after = [note('a', 'edited')];
+      history.record('Edit "a"', before, after);
+
+      const result = history.undo([note('a', 'changed in another tab')]);
+      expect(result).toEqual({ label: 'Edit "a"', conflict: true });
+      expect(history.canUndo).toBe(false);
+    });
+
+    it('should clear the redo stack on a new command and respect the limit', () => {
+      const history = createCommandHistory({ limit: 2 });
+      const states = [[], [note('a')], [note('a'), note('b')], [note('a'), note('b'), note('c')]];
+      history.record('1', states[0], states[1]);
+      history.record('2', states[1], states[2]);
+      history.record('3', states[2], states[3]);
+
+      const undone = history.undo(states[3]);
+      history.record('4', undone.notes, [note('d')]);
+      expect(history.canRedo).toBe(false);
+      expect(history.undo([note('d')]).label).toBe('4');
+      expect(history.undo(states[2]).label).toBe('2');
+      expect(history.canUndo).toBe(false);
+    });
+
+    it('should forget every command when cleared', () => {
+      const history = createCommandHistory();
+      history.record('Create "a"', [], [note('a')]);
+      history.record('Create "b"', [note('a')], [note('a'), note('b')]);
+      history.undo([note('a'), note('b')]);
+
+      history.clear();
+      expect(history.canUndo).toBe(false);
+      expect(history.canRedo).toBe(false);
+      expect(history.undo([note('a')])).toBeNull();
+    });
+  });
+
+  describe('createEditHistory()', () => {
+    const state = (body, field = 'noteBody') => ({ title: 'T', tags: '', body, field });
+
+    it('should step back and forward through states', () => {
+      const history = createEditHistory(state(''));
+      history.record(state('a'));
+      history.record(state('ab'));
+
+      expect(history.undo().body).toBe('a');
+      expect(history.undo().body).toBe('');
+      expect(history.undo()).toBeNull();
+      expect(history.redo().body).toBe('a');
+      expect(history.current.body).toBe('a');
+    });
+
+    it('should fold a quick run of the same kind of change into one step', () => {
+      const history = createEditHistory(state(''));
+      history.record(state('h'), { kind: 'typing', now: 0 });
+      history.record(state('he'), { kind: 'typing', now: 200 });
+      history.record(state('hello'), { kind: 'typing', now: 400 });
+      history.record(state('hello world'), { kind: 'typing', now: 3000 });
+      history.record(state('hello world!!!'), { kind: 'paste', now: 3100 });
+
+      expect(history.undo().body).toBe('hello world');
+      expect(history.undo().body).toBe('hello');
+      expect(history.undo().body).toBe('');
+    });
+
+    it('should drop redo states after a new change and skip unchanged states', () => {
+      const history = createEditHistory(state(''));
+      history.record(state('a'));
+      history.undo();
+      history.record(state('b'));
+      history.record(state('b', 'noteTitle'));
+
+      expect(history.redo()).toBeNull();
+      expect(history.undo().body).toBe('');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for daily.js
+ * Tests daily notes, day activity and calendar date steps
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  findDailyNote,
+  dailyNoteDraft,
+  getDayActivity,
+  monthWeeks,
+  addDays,
+  addMonths
+} from '../src/daily.js';
+
+describe('Daily Module', () => {
+  // Local times, so the day keys do not depend on the time zone
+  const at = (day, hour = 12) => new Date(`${day}T${String(hour).padStart(2, '0')}:00:00`).toISOString();
+  const note = (id, extra = {}) =>
+    ({ id, title: id, content: '', tags: [], createdAt: at('2026-10-01'), updatedAt: at('2026-10-01'), ...extra });
+
+  describe('findDailyNote()', () => {
+    it('should find the newest daily note of a day outside the trash', () => {
+      const notes = [
+        note('old', { daily: '2026-10-19', updatedAt: at('2026-10-19', 8) }),
+        note('new', { daily: '2026-10-19', updatedAt: at('2026-10-19', 9) }),
+        note('trashed', { daily: '2026-10-19', updatedAt: at('2026-10-19', 10), deletedAt: at('2026-10-19', 11) }),
+        note('other', { daily: '2026-10-18' })
+      ];
+      expect(findDailyNote(notes, '2026-10-19').id).toBe('new');
+      expect(findDailyNote(notes, '2026-10-20')).toBeNull();
+    });
+  });
+
+  describe('dailyNoteDraft()', () => {
+    // Monday 19 October 2026, 07:30 local time
+    const now = new Date(2026, 9, 19, 7, 30);
+
+    it('should title a blank daily note with the day', () => {
+      expect(dailyNoteDraft(null, now))
+        .toEqual({ title: '2026-10-19', content: '', tags: [], caret: null, daily: '2026-10-19' });
+    });
+
+    it('should fill in a template for the day', () => {
+      const template = note('t', { title: 'Journal {{date}}', content: '# {{weekday}}\n{{cursor}}', tags: ['journal'] });
+      expect(dailyNoteDraft(template, now)).toEqual({
+        title: 'Journal 2026-10-19',
+        content: '# Monday\n',
+        tags: ['journal'],
+        caret: { field: 'body', offset: 9 },
+        daily: '2026-10-19'
+      });
+    });
+
+    it('should fall back to the day when the template has no title', () => {
+      expect(dailyNoteDraft(note('t', { title: '' }), now).title).toBe('2026-10-19');
+    });
+  });
+
+  describe('getDayActivity()', () => {
+    it('should count notes on the days they were created and last updated', () => {
+      const notes = [
+        note('a', { createdAt: at('2026-10-02'), updatedAt: at('2026-10-05') }),
+        note('b', { createdAt: at('2026-10-05', 9), updatedAt: at('2026-10-05', 17), daily: '2026-10-05' }),
+        note('c', { createdAt: at('2026-09-30'), updatedAt: at('2026-11-01') }),
+        note('d', { createdAt: at('2026-10-02'), updatedAt: at('2026-10-02'), deletedAt: at('2026-10-03') })
+      ];
+
+      expect([...getDayActivity(notes, '2026-10')]).toEqual([
+        ['2026-10-02', { count: 1, daily: false }],
+        ['2026-10-05', { count: 2, daily: true }]
+      ]);
+    });
+  });
+
+  describe('monthWeeks()', () => {
+    it('should lay out a month in weeks starting on Monday', () => {
+      const weeks = monthWeeks('2026-02');
+      expect(weeks).toHaveLength(5); // February 2026 starts on a Sunday
+      expect(weeks[0]).toEqual([null, null, null, null, null, null, '2026-02-01']);
+      expect(weeks[4]).toEqual(['2026-02-23', '2026-02-24', '2026-02-25', '2026-02-26', '2026-02-27', '2026-02-28', null]);
+    });
+
+    it('should start weeks on another day when asked', () => {
+      const weeks = monthWeeks('2026-02', 0);
+      expect(weeks).toHaveLength(4);
+      expect(weeks[0][0]).toBe('2026-02-01');
+      expect(weeks[3]).toEqual(['2026-02-22', '2026-02-23', '2026-02-24', '2026-02-25', '2026-02-26', '2026-02-27', '2026-02-28']);
+    });
+  });
+
+  describe('addDays() and addMonths()', () => {
+    it('should step across month and year ends', () => {
+      expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+      expect(addDays('2026-03-01', -7)).toBe('2026-02-22');
+    });
+
+    it('should keep the day of the month where the month has it', () => {
+      expect(addMonths('2026-01-31', 1)).toBe('2026-02-28');
+      expect(addMonths('2026-10-19', -10)).toBe('2025-12-19');
+    });
+  });
+});
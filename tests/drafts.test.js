@@ -0,0 +1,124 @@
+/**
+ * Unit tests for drafts.js
+ * Tests the draft journal and finding drafts left by an earlier session
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  NEW_NOTE_DRAFT,
+  isDraft,
+  loadDrafts,
+  saveDraft,
+  clearDraft,
+  clearDrafts,
+  findOrphanedDrafts
+} from '../src/drafts.js';
+
+describe('Drafts Module', () => {
+  const DRAFTS_KEY = 'pure-note-taking-app-drafts';
+  const draft = (extra = {}) =>
+    ({ savedAt: '2026-10-19T10:00:00.000Z', base: null, notebookId: null, title: 'Draft', content: 'Text', tags: [], ...extra });
+  const note = (extra = {}) =>
+    ({ id: 'n1', title: 'Draft', content: 'Text', tags: [], createdAt: 'x', updatedAt: 'x', ...extra });
+
+  describe('isDraft()', () => {
+    it('should accept drafts in the clear and sealed drafts', () => {
+      expect(isDraft(draft())).toBe(true);
+      expect(isDraft({ savedAt: 'x', base: null, sealed: { iv: 'aXY=', data: 'ZGF0YQ==' } })).toBe(true);
+    });
+
+    it('should reject malformed drafts', () => {
+      expect(isDraft(null)).toBe(false);
+      expect(isDraft(draft({ savedAt: 1 }))).toBe(false);
+      expect(isDraft(draft({ tags: 'a, b' }))).toBe(false);
+      expect(isDraft({ savedAt: 'x', sealed: { iv: 'aXY=' } })).toBe(false);
+    });
+  });
+
+  describe('saveDraft() and loadDrafts()', () => {
+    it('should keep one draft per note in its own storage key', () => {
+      expect(saveDraft('n1', draft())).toBe(true);
+      expect(saveDraft(NEW_NOTE_DRAFT, draft({ title: 'New' }))).toBe(true);
+      expect(saveDraft('n1', draft({ content: 'Later' }))).toBe(true);
+
+      expect(loadDrafts()).toEqual({ n1: draft({ content: 'Later' }), new: draft({ title: 'New' }) });
+      expect(Object.keys(localStorage.data)).toEqual([DRAFTS_KEY]);
+    });
+
+    it('should ignore unreadable journals and entries', () => {
+      localStorage.data[DRAFTS_KEY] = '{not json';
+      expect(loadDrafts()).toEqual({});
+
+      localStorage.data[DRAFTS_KEY] = JSON.stringify({ n1: draft(), n2: { title: 'No time' } });
+      expect(Object.keys(loadDrafts())).toEqual(['n1']);
+    });
+
+    it('should report a failed write', () => {
+      localStorage.setItem.mockImplementationOnce(() => {
+        throw new Error('QuotaExceededError');
+      });
+      expect(saveDraft('n1', draft())).toBe(false);
+    });
+  });
+
+  describe('clearDraft()', () => {
+    it('should remove a draft and the journal once it is empty', () => {
+      saveDraft('n1', draft());
+      saveDraft('n2', draft());
+
+      expect(clearDraft('n1')).toBe(true);
+      expect(Object.keys(loadDrafts())).toEqual(['n2']);
+      clearDraft('n2');
+      expect(localStorage.data[DRAFTS_KEY]).toBeUndefined();
+    });
+
+    it('should keep a draft written after the given time', () => {
+      saveDraft('n1', draft({ savedAt: '2026-10-19T10:00:05.000Z' }));
+
+      clearDraft('n1', { savedBy: '2026-10-19T10:00:00.000Z' });
+      expect(loadDrafts().n1).toBeDefined();
+
+      clearDraft('n1', { savedBy: '2026-10-19T10:00:05.000Z' });
+      expect(loadDrafts().n1).toBeUndefined();
+    });
+
+    it('should clear every draft', () => {
+      saveDraft('n1', draft());
+      saveDraft('n2', draft());
+      expect(clearDrafts()).toBe(true);
+      expect(loadDrafts()).toEqual({});
+    });
+  });
+
+  describe('findOrphanedDrafts()', () => {
+    it('should offer drafts that differ from their note, oldest first', () => {
+      const drafts = {
+        n1: draft({ content: 'Changed', savedAt: '2026-10-19T11:00:00.000Z' }),
+        [NEW_NOTE_DRAFT]: draft({ title: 'New', savedAt: '2026-10-19T10:00:00.000Z' })
+      };
+      const { orphaned, stale } = findOrphanedDrafts(drafts, [note()]);
+
+      expect(orphaned.map(entry => entry.key)).toEqual([NEW_NOTE_DRAFT, 'n1']);
+      expect(orphaned[0].note).toBeNull();
+      expect(orphaned[1].note.id).toBe('n1');
+      expect(stale).toEqual([]);
+    });
+
+    it('should offer drafts whose note is gone, without a note', () => {
+      const { orphaned } = findOrphanedDrafts({ gone: draft() }, []);
+      expect(orphaned).toEqual([{ key: 'gone', draft: draft(), note: null }]);
+    });
+
+    it('should treat drafts matching their saved note as stale', () => {
+      const drafts = { n1: draft({ title: ' Draft ', content: 'Text #idea\n', tags: [] }) };
+      const notes = [note({ content: 'Text #idea', tags: ['idea'] })];
+      expect(findOrphanedDrafts(drafts, notes)).toEqual({ orphaned: [], stale: ['n1'] });
+    });
+
+    it('should treat empty new drafts and drafts of locked notes as stale', () => {
+      const drafts = { [NEW_NOTE_DRAFT]: draft({ title: ' ', content: '' }), n1: draft({ content: 'Changed' }) };
+      const notes = [note({ content: '', lock: { iv: 'aXY=', data: 'ZGF0YQ==' } })];
+      expect(findOrphanedDrafts(drafts, notes).stale).toEqual([NEW_NOTE_DRAFT, 'n1']);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Unit tests for encryption.js
+ * Tests key parameters, key derivation and sealing JSON values
+ */
+
+import { describe, it, expect } from 'vitest';
+import { KDF_ITERATIONS, createKeyParams, isKeyParams, deriveKey, encryptJSON, decryptJSON } from '../src/encryption.js';
+
+describe('Encryption Module', () => {
+  // Few PBKDF2 iterations keep the tests fast
+  const iterations = 1000;
+
+  describe('createKeyParams()', () => {
+    it('should describe PBKDF2 with a fresh salt each time', () => {
+      const params = createKeyParams();
+
+      expect(params).toMatchObject({ kdf: 'PBKDF2', hash: 'SHA-256', iterations: KDF_ITERATIONS });
+      expect(isKeyParams(params)).toBe(true);
+      expect(createKeyParams().salt).not.toBe(params.salt);
+      expect(createKeyParams({ iterations }).iterations).toBe(iterations);
+    });
+  });
+
+  describe('isKeyParams()', () => {
+    it('should reject values deriveKey() cannot use', () => {
+      expect(isKeyParams(null)).toBe(false);
+      expect(isKeyParams({ kdf: 'scrypt', hash: 'SHA-256', iterations, salt: 'AA==' })).toBe(false);
+      expect(isKeyParams({ kdf: 'PBKDF2', hash: 'SHA-256', iterations: 0, salt: 'AA==' })).toBe(false);
+    });
+  });
+
+  describe('encryptJSON() and decryptJSON()', () => {
+    it('should round-trip a value without leaving it readable', async () => {
+      const key = await deriveKey('correct horse', createKeyParams({ iterations }));
+      const value = { title: 'Secret plans', tags: ['ü', '日本'] };
+      const sealed = await encryptJSON(key, value);
+
+      expect(JSON.stringify(sealed)).not.toContain('Secret');
+      expect(await decryptJSON(key, sealed)).toEqual(value);
+    });
+
+    it('should use a fresh IV for every encryption', async () => {
+      const key = await deriveKey('correct horse', createKeyParams({ iterations }));
+      const first = await encryptJSON(key, 'same');
+      const second = await encryptJSON(key, 'same');
+
+      expect(first.iv).not.toBe(second.iv);
+      expect(first.data).not.toBe(second.data);
+    });
+
+    it('should derive the same key from the same passphrase and parameters', async () => {
+      const params = createKeyParams({ iterations });
+      const sealed = await encryptJSON(await deriveKey('correct horse', params), [1, 2, 3]);
+
+      expect(await decryptJSON(await deriveKey('correct horse', params), sealed)).toEqual([1, 2, 3]);
+    });
+
+    it('should reject the wrong passphrase and altered data', async () => {
+      const params = createKeyParams({ iterations });
+      const sealed = await encryptJSON(await deriveKey('correct horse', params), 'note');
+
+      await expect(decryptJSON(await deriveKey('wrong horse', params), sealed)).rejects.toThrow();
+      const altered = { ...sealed, data: (sealed.data[0] === 'A' ? 'B' : 'A') + sealed.data.slice(1) };
+      await expect(decryptJSON(await deriveKey('correct horse', params), altered)).rejects.toThrow();
+    });
+  });
+});
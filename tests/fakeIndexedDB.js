@@ -0,0 +1,267 @@
+/**
+ * In-memory IndexedDB for tests
+ * Covers what adapters.js uses: opening with upgrades, transactions over
+ * object stores, and get, getAll, put, delete and clear requests.
+ *
+ * Each IDBFactory holds its own databases, so a new factory is an empty browser.
+ * Requests and transactions finish on a later task, as in a browser. A transaction
+ * runs all its requests in one task, so transactions never overlap, and works on
+ * copies of its stores that are written back when it completes, so a failed
+ * request leaves the stored records untouched.
+ * Not covered: indexes, cursors, key ranges, and blocked upgrades
+ */
+
+const later = (callback) => setTimeout(callback, 0);
+
+const compareKeys = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Store names as a DOMStringList: sorted, with contains()
+const storeNameList = (names) => Object.assign([...names].sort(), {
+  contains(name) {
+    return this.includes(name);
+  }
+});
+
+class IDBRequest {
+  constructor() {
+    this.result = undefined;
+    this.error = null;
+    this.readyState = 'pending';
+    this.onsuccess = null;
+    this.onerror = null;
+  }
+
+  _succeed(result) {
+    this.result = result;
+    this.readyState = 'done';
+    this.onsuccess?.({ target: this });
+  }
+
+  _fail(error) {
+    this.error = error;
+    this.readyState = 'done';
+    this.onerror?.({ target: this });
+  }
+}
+
+class IDBOpenDBRequest extends IDBRequest {
+  constructor() {
+    super();
+    this.onupgradeneeded = null;
+  }
+}
+
+export class IDBObjectStore {
+  constructor(transaction, name, keyPath) {
+    this.transaction = transaction;
+    this.name = name;
+    this.keyPath = keyPath;
+  }
+
+  // Records as the running transaction sees them
+  get _records() {
+    return this.transaction._working.get(this.name);
+  }
+
+  get(key) {
+    return this.transaction._request(() => {
+      const value = this._records.get(key);
+      return value === undefined ? undefined : structuredClone(value);
+    });
+  }
+
+  getAll() {
+    return this.transaction._request(() => [...this._records.keys()]
+      .sort(compareKeys)
+      .map(key => structuredClone(this._records.get(key))));
+  }
+
+  put(value, key) {
+    this.transaction._checkWritable();
+    const recordKey = this.keyPath ? value?.[this.keyPath] : key;
+    if (recordKey === undefined) {
+      throw new DOMException(`No key for a record in "${this.name}"`, 'DataError');
+    }
+    const record = structuredClone(value);
+    return this.transaction._request(() => {
+      this._records.set(recordKey, record);
+      return recordKey;
+    });
+  }
+
+  delete(key) {
+    this.transaction._checkWritable();
+    return this.transaction._request(() => {
+      this._records.delete(key);
+      return undefined;
+    });
+  }
+
+  clear() {
+    this.transaction._checkWritable();
+    return this.transaction._request(() => {
+      this._records.clear();
+      return undefined;
+    });
+  }
+}
+
+class IDBTransaction {
+  constructor(db, storeNames, mode) {
+    this.db = db;
+    this.mode = mode;
+    this.error = null;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+    this._storeNames = storeNames;
+    this._working = null;
+    this._queue = [];
+    this._finished = false;
+
+    later(() => this._run());
+  }
+
+  objectStore(name) {
+    if (!this._storeNames.includes(name)) {
+      throw new DOMException(`"${name}" is not part of this transaction`, 'NotFoundError');
+    }
+    return new IDBObjectStore(this, name, this.db._data.stores.get(name).keyPath);
+  }
+
+  _checkWritable() {
+    if (this.mode === 'readonly') {
+      throw new DOMException('The transaction is read-only', 'ReadOnlyError');
+    }
+  }
+
+  _request(operation) {
+    if (this._finished) {
+      throw new DOMException('The transaction has finished', 'TransactionInactiveError');
+    }
+    const request = new IDBRequest();
+    this._queue.push({ request, operation });
+    return request;
+  }
+
+  // Run queued requests in order, including any queued by their callbacks, then commit
+  _run() {
+    this._working = new Map(this._storeNames.map(name => [name, new Map(this.db._data.stores.get(name).records)]));
+
+    while (this._queue.length > 0) {
+      const { request, operation } = this._queue.shift();
+      let result;
+      try {
+        result = operation();
+      } catch (error) {
+        request._fail(error);
+        this._abort(error);
+        return;
+      }
+      request._succeed(result);
+    }
+
+    this._finished = true;
+    if (this.mode !== 'readonly') {
+      this._working.forEach((records, name) => {
+        this.db._data.stores.get(name).records = records;
+      });
+    }
+    this.oncomplete?.({ target: this });
+  }
+
+  _abort(error) {
+    this._finished = true;
+    this.error = error;
+    this.onerror?.({ target: this });
+    this.onabort?.({ target: this });
+  }
+}
+
+class IDBDatabase {
+  constructor(name, data) {
+    this.name = name;
+    this.onversionchange = null;
+    this._data = data;
+    this._closed = false;
+    this._upgrading = false;
+  }
+
+  get version() {
+    return this._data.version;
+  }
+
+  get objectStoreNames() {
+    return storeNameList(this._data.stores.keys());
+  }
+
+  createObjectStore(name, { keyPath = null } = {}) {
+    if (!this._upgrading) {
+      throw new DOMException('Object stores can only be created during an upgrade', 'InvalidStateError');
+    }
+    if (this._data.stores.has(name)) {
+      throw new DOMException(`Object store "${name}" already exists`, 'ConstraintError');
+    }
+    this._data.stores.set(name, { keyPath, records: new Map() });
+  }
+
+  transaction(storeNames, mode = 'readonly') {
+    if (this._closed) {
+      throw new DOMException('The database connection is closed', 'InvalidStateError');
+    }
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+    const missing = names.find(name => !this._data.stores.has(name));
+    if (missing) {
+      throw new DOMException(`No object store "${missing}"`, 'NotFoundError');
+    }
+    return new IDBTransaction(this, names, mode);
+  }
+
+  close() {
+    this._closed = true;
+  }
+}
+
+export class IDBFactory {
+  constructor() {
+    this._databases = new Map(); // name -> { version, stores: Map(name -> { keyPath, records }) }
+    this._connections = [];
+  }
+
+  open(name, version) {
+    const request = new IDBOpenDBRequest();
+
+    later(() => {
+      const existing = this._databases.get(name);
+      const oldVersion = existing ? existing.version : 0;
+      const newVersion = version ?? (oldVersion || 1);
+
+      if (newVersion < oldVersion) {
+        request._fail(new DOMException(`Database "${name}" is at version ${oldVersion}`, 'VersionError'));
+        return;
+      }
+
+      const data = existing || { version: 0, stores: new Map() };
+      this._databases.set(name, data);
+      const db = new IDBDatabase(name, data);
+
+      if (newVersion > oldVersion) {
+        // Ask other open connections to make way for the upgrade
+        this._connections
+          .filter(other => other.name === name && !other._closed)
+          .forEach(other => other.onversionchange?.({ oldVersion, newVersion }));
+
+        data.version = newVersion;
+        db._upgrading = true;
+        request.result = db;
+        request.onupgradeneeded?.({ target: request, oldVersion, newVersion });
+        db._upgrading = false;
+      }
+
+      this._connections.push(db);
+      request._succeed(db);
+    });
+
+    return request;
+  }
+}
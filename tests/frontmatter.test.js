@@ -0,0 +1,158 @@
+/**
+ * Unit tests for frontmatter.js
+ * Tests Markdown export and import of notes
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  noteToMarkdown,
+  parseFrontMatter,
+  parseMarkdownFile,
+  markdownFilename
+} from '../src/frontmatter.js';
+
+describe('Front Matter Module', () => {
+  const note = {
+    id: 'note-1',
+    title: 'Meeting: "Q3" plans',
+    content: '## Agenda\n\n- Budget\n- Hiring',
+    createdAt: '2025-08-18T10:00:00.000Z',
+    updatedAt: '2025-08-18T11:00:00.000Z'
+  };
+
+  describe('noteToMarkdown()', () => {
+    it('should put title and timestamps in front matter and content in the body', () => {
+      const markdown = noteToMarkdown(note);
+
+      expect(markdown).toBe([
+        '---',
+        'title: "Meeting: \\"Q3\\" plans"',
+        'createdAt: 2025-08-18T10:00:00.000Z',
+        'updatedAt: 2025-08-18T11:00:00.000Z',
+        '---',
+        '',
+        '## Agenda',
+        '',
+        '- Budget',
+        '- Hiring',
+        ''
+      ].join('\n'));
+    });
+
+    it('should round-trip through parseMarkdownFile', () => {
+      const parsed = parseMarkdownFile(noteToMarkdown(note), 'meeting.md');
+
+      expect(parsed.title).toBe(note.title);
+      expect(parsed.content).toBe(note.content);
+      expect(parsed.createdAt).toBe(note.createdAt);
+      expect(parsed.updatedAt).toBe(note.updatedAt);
+    });
+
+    it('should write tags as a list when the note has any', () => {
+      const markdown = noteToMarkdown({ ...note, tags: ['work', 'q3'] });
+      expect(markdown).toContain('\ntags: ["work", "q3"]\n---\n');
+      expect(parseMarkdownFile(markdown).tags).toEqual(['work', 'q3']);
+    });
+  });
+
+  describe('parseFrontMatter()', () => {
+    it('should parse plain, single-quoted and double-quoted values', () => {
+      const data = parseFrontMatter([
+        'plain: hello world # comment',
+        "single: 'it''s here'",
+        'double: "line\\nbreak"'
+      ].join('\n'));
+
+      expect(data).toEqual({
+        plain: 'hello world',
+        single: "it's here",
+        double: 'line\nbreak'
+      });
+    });
+
+    it('should parse inline and block lists', () => {
+      const data = parseFrontMatter([
+        'tags: [work, "q3 planning"]',
+        'aliases:',
+        '  - first',
+        '  - second'
+      ].join('\n'));
+
+      expect(data.tags).toEqual(['work', 'q3 planning']);
+      expect(data.aliases).toEqual(['first', 'second']);
+    });
+  });
+
+  describe('parseMarkdownFile()', () => {
+    it('should read dates written by other tools', () => {
+      const parsed = parseMarkdownFile([
+        '---',
+        'title: Journal',
+        'date: 2025-01-02',
+        'lastmod: 2025-01-03T08:00:00Z',
+        '---',
+        'Body'
+      ].join('\n'));
+
+      expect(parsed.createdAt).toBe(new Date('2025-01-02').toISOString());
+      expect(parsed.updatedAt).toBe('2025-01-03T08:00:00.000Z');
+    });
+
+    it('should use a leading heading as title when there is no front matter', () => {
+      const parsed = parseMarkdownFile('# Shopping list\n\n- Milk\n- Eggs\n');
+
+      expect(parsed.title).toBe('Shopping list');
+      expect(parsed.content).toBe('- Milk\n- Eggs');
+      expect(parsed.createdAt).toBeNull();
+    });
+
+    it('should fall back to the file name for the title', () => {
+      const parsed = parseMarkdownFile('Just text', 'notes/Ideas.markdown');
+
+      expect(parsed.title).toBe('Ideas');
+      expect(parsed.content).toBe('Just text');
+    });
+
+    it('should ignore invalid dates and handle Windows line endings', () => {
+      const parsed = parseMarkdownFile('---\r\ntitle: Win\r\ncreated: someday\r\n---\r\n\r\nText\r\n');
+
+      expect(parsed.title).toBe('Win');
+      expect(parsed.createdAt).toBeNull();
+      expect(parsed.content).toBe('Text');
+    });
+
+    it('should strip a byte order mark', () => {
+      const parsed = parseMarkdownFile('\uFEFF---\ntitle: BOM\n---\nText');
+      expect(parsed.title).toBe('BOM');
+    });
+
+    it('should expose the other front matter fields', () => {
+      const parsed = parseMarkdownFile('---\ntitle: T\ntags: [a, b]\n---\n');
+      expect(parsed.data.tags).toEqual(['a', 'b']);
+    });
+
+    it('should read tags from a list or a comma separated string', () => {
+      expect(parseMarkdownFile('---\ntags:\n  - a\n  - b\n---\n').tags).toEqual(['a', 'b']);
+      expect(parseMarkdownFile('---\ntags: a, b c\n---\n').tags).toEqual(['a', 'b', 'c']);
+      expect(parseMarkdownFile('No front matter').tags).toEqual([]);
+    });
+  });
+
+  describe('markdownFilename()', () => {
+    it('should slugify the title', () => {
+      expect(markdownFilename({ title: 'Café Notes: Q3/Q4!' })).toBe('cafe-notes-q3-q4.md');
+    });
+
+    it('should fall back to untitled', () => {
+      expect(markdownFilename({ title: '' })).toBe('untitled.md');
+      expect(markdownFilename({ title: '???' })).toBe('untitled.md');
+    });
+
+    it('should keep names unique within a set', () => {
+      const used = new Set();
+      expect(markdownFilename({ title: 'Same' }, used)).toBe('same.md');
+      expect(markdownFilename({ title: 'Same' }, used)).toBe('same-2.md');
+      expect(markdownFilename({ title: 'same' }, used)).toBe('same-3.md');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit tests for graph.js
+ * Tests building, filtering and laying out the note graph
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildGraph, filterGraph, layoutGraph } from '../src/graph.js';
+
+describe('Graph Module', () => {
+  const note = (id, title, content = '', tags = [], updatedAt = '2026-01-01T00:00:00.000Z') =>
+    ({ id, title, content, tags, updatedAt });
+
+  // a -> b -> c by links, c and d share #work, e stands alone
+  const notes = [
+    note('a', 'Alpha', 'See [[Beta]] and [[beta|again]], [[Missing]] and [[Alpha]]'),
+    note('b', 'Beta', 'Next: [[Gamma]]'),
+    note('c', 'Gamma', '', ['work', 'q3']),
+    note('d', 'Delta', '', ['work', 'q3']),
+    note('e', 'Epsilon')
+  ];
+
+  describe('buildGraph()', () => {
+    it('should join linked notes once per pair, ignoring missing and self links', () => {
+      const graph = buildGraph(notes, { sharedTags: false });
+      expect(graph.nodes.map(node => node.id)).toEqual(['a', 'b', 'c', 'd', 'e']);
+      expect(graph.edges).toEqual([
+        { source: 'a', target: 'b', kind: 'link', tags: [] },
+        { source: 'b', target: 'c', kind: 'link', tags: [] }
+      ]);
+    });
+
+    it('should join notes sharing tags with one edge listing the tags', () => {
+      const graph = buildGraph(notes);
+      expect(graph.edges.filter(edge => edge.kind === 'tag')).toEqual([
+        { source: 'c', target: 'd', kind: 'tag', tags: ['work', 'q3'] }
+      ]);
+    });
+
+    it('should skip tags on too many notes', () => {
+      const graph = buildGraph(notes, { maxTagNotes: 1 });
+      expect(graph.edges.some(edge => edge.kind === 'tag')).toBe(false);
+    });
+
+    it('should resolve links to the newest note with the title', () => {
+      const graph = buildGraph([
+        note('x', 'X', '[[Twin]]'),
+        note('old', 'Twin', '', [], '2026-01-01T00:00:00.000Z'),
+        note('new', 'twin', '', [], '2026-02-01T00:00:00.000Z')
+      ]);
+      expect(graph.edges).toEqual([{ source: 'x', target: 'new', kind: 'link', tags: [] }]);
+    });
+  });
+
+  describe('filterGraph()', () => {
+    const graph = buildGraph(notes);
+
+    it('should hide notes without connections', () => {
+      const filtered = filterGraph(graph, { hideOrphans: true });
+      expect(filtered.nodes.map(node => node.id)).toEqual(['a', 'b', 'c', 'd']);
+      expect(filtered.edges).toHaveLength(3);
+    });
+
+    it('should keep notes within a number of steps from the center', () => {
+      expect(filterGraph(graph, { centerId: 'a', depth: 1 }).nodes.map(node => node.id)).toEqual(['a', 'b']);
+      expect(filterGraph(graph, { centerId: 'a', depth: 2 }).nodes.map(node => node.id)).toEqual(['a', 'b', 'c']);
+      expect(filterGraph(graph, { centerId: 'd', depth: 2 }).nodes.map(node => node.id)).toEqual(['b', 'c', 'd']);
+    });
+
+    it('should keep an unconnected center note', () => {
+      const filtered = filterGraph(graph, { centerId: 'e', depth: 1, hideOrphans: true });
+      expect(filtered).toEqual({ nodes: [{ id: 'e', title: 'Epsilon' }], edges: [] });
+    });
+  });
+
+  describe('layoutGraph()', () => {
+    it('should place every node inside the margins', () => {
+      const graph = buildGraph(notes);
+      const positions = layoutGraph(graph, { width: 300, height: 200, margin: 20 });
+
+      expect([...positions.keys()]).toEqual(['a', 'b', 'c', 'd', 'e']);
+      positions.forEach(({ x, y }) => {
+        expect(x).toBeGreaterThanOrEqual(20);
+        expect(x).toBeLessThanOrEqual(280);
+        expect(y).toBeGreaterThanOrEqual(20);
+        expect(y).toBeLessThanOrEqual(180);
+      });
+    });
+
+    it('should pull linked notes closer together than unconnected ones', () => {
+      const graph = buildGraph(notes);
+      const positions = layoutGraph(graph);
+      const distance = (a, b) => Math.hypot(positions.get(a).x - positions.get(b).x, positions.get(a).y - positions.get(b).y);
+
+      expect(distance('a', 'b')).toBeLessThan(distance('a', 'e'));
+    });
+
+    it('should give the same graph the same layout', () => {
+      const graph = buildGraph(notes);
+      expect(layoutGraph(graph)).toEqual(layoutGraph(graph));
+      expect(layoutGraph({ nodes: [{ id: 'a', title: 'A' }], edges: [] }).get('a')).toEqual({ x: 300, y: 200 });
+      expect(layoutGraph({ nodes: [], edges: [] }).size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for history.js
+ * Tests revision recording, thinning, the storage budget and line diffs
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createRevision,
+  recordRevision,
+  thinRevisions,
+  getVersions,
+  diffLines
+} from '../src/history.js';
+
+describe('History Module', () => {
+  const now = Date.parse('2026-03-31T12:00:00.000Z');
+  const ago = ms => new Date(now - ms).toISOString();
+  const MINUTE = 60000;
+  const HOUR = 60 * MINUTE;
+  const DAY = 24 * HOUR;
+
+  const note = (content, updatedAt, revisions = []) => ({
+    id: 'n1',
+    title: 'Plan',
+    content,
+    tags: [],
+    createdAt: ago(30 * DAY),
+    updatedAt,
+    revisions
+  });
+  const revision = (savedAt, content = 'text') => ({ savedAt, title: 'Plan', content, tags: [] });
+
+  describe('recordRevision()', () => {
+    it('should keep the replaced version as the newest revision', () => {
+      const previous = note('first draft', ago(MINUTE));
+      const next = note('second draft', ago(0));
+
+      const revisions = recordRevision(previous, next);
+      expect(revisions).toEqual([createRevision(previous)]);
+    });
+
+    it('should ignore saves that change nothing', () => {
+      const previous = note('same', ago(10 * MINUTE), [revision(ago(HOUR))]);
+      expect(recordRevision(previous, { ...previous, updatedAt: ago(0) })).toBe(previous.revisions);
+    });
+
+    it('should fold small edits made in quick succession', () => {
+      const previous = note('Buy milk', ago(MINUTE), [revision(ago(2 * MINUTE))]);
+      const next = note('Buy milk and eggs', ago(0));
+      expect(recordRevision(previous, next)).toHaveLength(1);
+    });
+
+    it('should record small edits once the last revision is old enough', () => {
+      const previous = note('Buy milk', ago(MINUTE), [revision(ago(10 * MINUTE))]);
+      const next = note('Buy milk and eggs', ago(0));
+      expect(recordRevision(previous, next)).toHaveLength(2);
+    });
+
+    it('should always record large edits such as a bad paste', () => {
+      const previous = note('Careful notes', ago(MINUTE), [revision(ago(2 * MINUTE))]);
+      const next = note('x'.repeat(500), ago(0));
+      const revisions = recordRevision(previous, next);
+
+      expect(revisions).toHaveLength(2);
+      expect(revisions[0].content).toBe('Careful notes');
+      expect(recordRevision(previous, note('', ago(0)), { minChange: 5 })).toHaveLength(2);
+    });
+
+    it('should record tag changes', () => {
+      const previous = note('Same', ago(MINUTE));
+      expect(recordRevision(previous, { ...previous, tags: ['work'], updatedAt: ago(0) })).toHaveLength(1);
+    });
+  });
+
+  describe('thinRevisions()', () => {
+    it('should keep every revision from the last hour', () => {
+      const revisions = [revision(ago(MINUTE)), revision(ago(2 * MINUTE)), revision(ago(59 * MINUTE))];
+      expect(thinRevisions(revisions, { now })).toHaveLength(3);
+    });
+
+    it('should keep the latest revision per hour within a day, then per day', () => {
+      const hourStart = Math.floor((now - 3 * HOUR) / HOUR) * HOUR;
+      const dayStart = Math.floor((now - 3 * DAY) / DAY) * DAY;
+      const revisions = [
+        revision(new Date(hourStart + 10 * MINUTE).toISOString(), 'hour early'),
+        revision(new Date(hourStart + 50 * MINUTE).toISOString(), 'hour late'),
+        revision(new Date(dayStart + 2 * HOUR).toISOString(), 'day early'),
+        revision(new Date(dayStart + 20 * HOUR).toISOString(), 'day late')
+      ];
+
+      expect(thinRevisions(revisions, { now }).map(r => r.content)).toEqual(['hour late', 'day late']);
+    });
+
+    it('should drop the oldest revisions beyond the budget', () => {
+      const revisions = [revision(ago(MINUTE), 'a'.repeat(60)), revision(ago(2 * MINUTE), 'b'.repeat(60)), revision(ago(3 * MINUTE))];
+
+      expect(thinRevisions(revisions, { now, maxRevisions: 2 })).toHaveLength(2);
+      expect(thinRevisions(revisions, { now, maxChars: 100 }).map(r => r.content)).toEqual(['a'.repeat(60)]);
+    });
+  });
+
+  describe('getVersions()', () => {
+    it('should list the current version before the revisions', () => {
+      const current = note('now', ago(0), [revision(ago(HOUR), 'before')]);
+      const versions = getVersions(current);
+
+      expect(versions.map(v => v.key)).toEqual(['current', ago(HOUR)]);
+      expect(versions.map(v => v.content)).toEqual(['now', 'before']);
+      expect(getVersions(null)).toEqual([]);
+    });
+  });
+
+  describe('diffLines()', () => {
+    it('should mark added and removed lines around unchanged ones', () => {
+      expect(diffLines('a\nb\nc\nd', 'a\nc\nx\nd')).toEqual([
+        { type: 'same', text: 'a' },
+        { type: 'removed', text: 'b' },
+        { type: 'same', text: 'c' },
+        { type: 'added', text: 'x' },
+        { type: 'same', text: 'd' }
+      ]);
+    });
+
+    it('should handle empty texts', () => {
+      expect(diffLines('', 'new')).toEqual([{ type: 'removed', text: '' }, { type: 'added', text: 'new' }]);
+      expect(diffLines('same', 'same')).toEqual([{ type: 'same', text: 'same' }]);
+    });
+  });
+});
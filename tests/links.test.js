@@ -0,0 +1,150 @@
+/**
+ * Unit tests for links.js
+ * Tests finding, resolving, renaming and completing wiki links
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeTitle,
+  findLinks,
+  extractLinks,
+  linkAt,
+  findNoteByTitle,
+  getBacklinks,
+  renameLinks,
+  linkQueryAt,
+  suggestTitles,
+  completeLink
+} from '../src/links.js';
+
+describe('Links Module', () => {
+  const note = (id, title, content = '', updatedAt = '2026-01-01T00:00:00.000Z') =>
+    ({ id, title, content, tags: [], updatedAt });
+
+  describe('normalizeTitle()', () => {
+    it('should ignore case and extra spaces', () => {
+      expect(normalizeTitle('  Project   Plan ')).toBe('project plan');
+      expect(normalizeTitle(null)).toBe('');
+    });
+  });
+
+  describe('findLinks()', () => {
+    it('should find links with their offsets and optional text', () => {
+      expect(findLinks('See [[Plan]] or [[ Budget |the money]].')).toEqual([
+        { target: 'Plan', label: null, start: 4, end: 12 },
+        { target: 'Budget', label: 'the money', start: 16, end: 38 }
+      ]);
+    });
+
+    it('should ignore links in code and empty links', () => {
+      expect(findLinks('`[[Plan]]`\n```\n[[Budget]]\n```\n[[ ]] [[a\nb]]')).toEqual([]);
+    });
+  });
+
+  describe('extractLinks()', () => {
+    it('should list each linked title once, as first written', () => {
+      expect(extractLinks('[[Plan]] [[plan]] [[Budget]]')).toEqual(['Plan', 'Budget']);
+      expect(extractLinks(undefined)).toEqual([]);
+    });
+  });
+
+  describe('linkAt()', () => {
+    it('should find the link around a position', () => {
+      const content = 'See [[Plan]] now';
+      expect(linkAt(content, 7).target).toBe('Plan');
+      expect(linkAt(content, 4)).toBeNull(); // Before the brackets
+      expect(linkAt(content, 12)).toBeNull(); // After them
+    });
+  });
+
+  describe('findNoteByTitle()', () => {
+    it('should match titles ignoring case, newest note first', () => {
+      const notes = [
+        note('a', 'Plan', '', '2026-01-01T00:00:00.000Z'),
+        note('b', 'plan', '', '2026-02-01T00:00:00.000Z'),
+        note('c', 'Budget')
+      ];
+      expect(findNoteByTitle(notes, ' PLAN ').id).toBe('b');
+      expect(findNoteByTitle(notes, 'Missing')).toBeNull();
+      expect(findNoteByTitle(notes, '')).toBeNull();
+    });
+  });
+
+  describe('getBacklinks()', () => {
+    it('should list notes linking to a note with the line holding the link', () => {
+      const target = note('t', 'Plan', 'Links to [[Plan]] itself');
+      const notes = [
+        target,
+        note('a', 'A', 'Intro\nRead [[plan]] first\nEnd', '2026-01-01T00:00:00.000Z'),
+        note('b', 'B', 'Read [[Plan|the plan]]', '2026-03-01T00:00:00.000Z'),
+        note('c', 'C', 'No links, just `[[Plan]]`')
+      ];
+
+      expect(getBacklinks(notes, target)).toEqual([
+        { note: notes[2], excerpt: 'Read [[Plan|the plan]]' },
+        { note: notes[1], excerpt: 'Read [[plan]] first' }
+      ]);
+    });
+
+    it('should find nothing for an untitled note', () => {
+      expect(getBacklinks([note('a', 'A', '[[]]')], note('u', ''))).toEqual([]);
+    });
+  });
+
+  describe('renameLinks()', () => {
+    it('should retarget links and keep their own text', () => {
+      expect(renameLinks('[[Plan]], [[plan|our plan]] and [[Budget]]', 'Plan', 'Roadmap'))
+        .toBe('[[Roadmap]], [[Roadmap|our plan]] and [[Budget]]');
+    });
+
+    it('should return the same string when nothing links to the old title', () => {
+      const content = 'See `[[Plan]]` and [[Budget]]';
+      expect(renameLinks(content, 'Plan', 'Roadmap')).toBe(content);
+    });
+  });
+
+  describe('linkQueryAt()', () => {
+    it('should find an open link before the caret', () => {
+      expect(linkQueryAt('See [[Pro', 9)).toEqual({ start: 4, query: 'Pro' });
+      expect(linkQueryAt('See [[', 6)).toEqual({ start: 4, query: '' });
+    });
+
+    it('should ignore closed links, other lines and code', () => {
+      expect(linkQueryAt('See [[Plan]] ', 13)).toBeNull();
+      expect(linkQueryAt('[[Plan\nnext', 11)).toBeNull();
+      expect(linkQueryAt('`[[Pro`', 6)).toBeNull();
+      expect(linkQueryAt('no link', 7)).toBeNull();
+    });
+  });
+
+  describe('suggestTitles()', () => {
+    const notes = [
+      note('a', 'Project Plan'),
+      note('b', 'Side project'),
+      note('c', 'project plan'),
+      note('d', 'Budget'),
+      note('e', '')
+    ];
+
+    it('should put titles starting with the query first, without duplicates', () => {
+      expect(suggestTitles(notes, 'proj')).toEqual(['Project Plan', 'Side project']);
+    });
+
+    it('should leave out the open note and respect the limit', () => {
+      expect(suggestTitles(notes, '', { excludeId: 'd' })).toEqual(['Project Plan', 'Side project']);
+      expect(suggestTitles(notes, '', { limit: 1 })).toEqual(['Budget']);
+    });
+  });
+
+  describe('completeLink()', () => {
+    it('should replace the typed text with a full link', () => {
+      expect(completeLink('See [[Pro now', 4, 9, 'Project Plan'))
+        .toEqual({ content: 'See [[Project Plan]] now', caret: 20 });
+    });
+
+    it('should reuse closing brackets already typed', () => {
+      expect(completeLink('[[Pro]] now', 0, 5, 'Project'))
+        .toEqual({ content: '[[Project]] now', caret: 11 });
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Unit tests for markdown.js
+ * Tests Markdown rendering and plain-text stripping
+ */
+
+import { describe, it, expect } from 'vitest';
+import { renderMarkdown, renderInline, stripMarkdown } from '../src/markdown.js';
+
+describe('Markdown Module', () => {
+  describe('renderMarkdown', () => {
+    it('should render headings and paragraphs', () => {
+      const html = renderMarkdown('# Title\n\nFirst line\nsecond line\n\n### Sub ###');
+      expect(html).toBe('<h1>Title</h1>\n<p>First line\nsecond line</p>\n<h3>Sub</h3>');
+    });
+
+    it('should render unordered and ordered lists', () => {
+      expect(renderMarkdown('- one\n- two')).toBe('<ul><li>one</li><li>two</li></ul>');
+      expect(renderMarkdown('3. three\n4. four')).toBe('<ol start="3"><li>three</li><li>four</li></ol>');
+    });
+
+    it('should render nested lists', () => {
+      const html = renderMarkdown('- parent\n  - child\n- sibling');
+      expect(html).toBe('<ul><li>parent<ul><li>child</li></ul></li><li>sibling</li></ul>');
+    });
+
+    it('should render fenced code blocks without formatting their content', () => {
+      const html = renderMarkdown('```js\nconst a = **b** < c;\n```');
+      expect(html).toBe('<pre><code class="language-js">const a = **b** &lt; c;</code></pre>');
+    });
+
+    it('should render blockquotes with nested blocks', () => {
+      const html = renderMarkdown('> # Quote\n> - item');
+      expect(html).toBe('<blockquote><h1>Quote</h1>\n<ul><li>item</li></ul></blockquote>');
+    });
+
+    it('should render tables with alignment', () => {
+      const html = renderMarkdown('| Name | Qty |\n| :--- | ---: |\n| Tea | 2 |');
+      expect(html).toBe(
+        '<table><thead><tr><th class="align-left">Name</th><th class="align-right">Qty</th></tr></thead>' +
+        '<tbody><tr><td class="align-left">Tea</td><td class="align-right">2</td></tr></tbody></table>'
+      );
+    });
+
+    it('should render horizontal rules', () => {
+      expect(renderMarkdown('above\n\n---\n\nbelow')).toBe('<p>above</p>\n<hr>\n<p>below</p>');
+    });
+
+    it('should escape raw HTML in the source', () => {
+      const html = renderMarkdown('<script>alert("x")</script>');
+      expect(html).toBe('<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</p>');
+    });
+
+    it('should return empty string for empty or invalid input', () => {
+      expect(renderMarkdown('')).toBe('');
+      expect(renderMarkdown(null)).toBe('');
+    });
+  });
+
+  describe('renderInline', () => {
+    it('should render emphasis, strikethrough and code spans', () => {
+      expect(renderInline('**bold** *em* _em_ ~~gone~~ `a*b*`'))
+        .toBe('<strong>bold</strong> <em>em</em> <em>em</em> <del>gone</del> <code>a*b*</code>');
+    });
+
+    it('should not treat underscores inside words as emphasis', () => {
+      expect(renderInline('snake_case_name')).toBe('snake_case_name');
+    });
+
+    it('should render wiki links with their title and optional text', () => {
+      expect(renderInline('See [[Project Plan]] and [[Q3 & Q4|the budget]]'))
+        .toBe('See <a href="#" class="wiki-link" data-note-link="Project Plan">Project Plan</a> and ' +
+          '<a href="#" class="wiki-link" data-note-link="Q3 &amp; Q4">the budget</a>');
+      expect(renderInline('`[[code]]` [[ ]]')).toBe('<code>[[code]]</code> [[ ]]');
+    });
+
+    it('should render links and images with titles', () => {
+      expect(renderInline('[Docs](https://example.com "Read *me*")'))
+        .toBe('<a href="https://example.com" title="Read *me*">Docs</a>');
+      expect(renderInline('![Logo](logo.png)')).toBe('<img src="logo.png" alt="Logo">');
+    });
+
+    it('should render autolinks', () => {
+      expect(renderInline('<https://example.com?a=1&b=2>'))
+        .toBe('<a href="https://example.com?a=1&amp;b=2">https://example.com?a=1&amp;b=2</a>');
+    });
+
+    it('should escape quotes in link destinations', () => {
+      expect(renderInline('[x](http://a.test/"onmouseover="evil)'))
+        .toBe('<a href="http://a.test/&quot;onmouseover=&quot;evil">x</a>');
+    });
+
+    it('should honour backslash escapes', () => {
+      expect(renderInline('\\*not em\\*')).toBe('*not em*');
+    });
+
+    it('should render hard line breaks', () => {
+      expect(renderInline('one  \ntwo')).toBe('one<br>\ntwo');
+    });
+
+    it('should render code inside a link label', () => {
+      expect(renderInline('[`a*b*`](x.html)')).toBe('<a href="x.html"><code>a*b*</code></a>');
+    });
+
+    it('should not let placeholder characters in the text point into the stash', () => {
+      expect(renderInline('`\uE000' + '0\uE000`')).toBe('<code>0</code>');
+      expect(renderInline('x \uE0000\uE000 y')).toBe('x 0 y');
+    });
+  });
+
+  describe('stripMarkdown', () => {
+    it('should reduce Markdown to plain text on one line', () => {
+      const source = '# Plan\n\n- **Buy** [milk](https://shop.test)\n- `npm test`\n\n> Quoted';
+      expect(stripMarkdown(source)).toBe('Plan Buy milk npm test Quoted');
+    });
+
+    it('should keep the text of wiki links', () => {
+      expect(stripMarkdown('See [[Project Plan]] and [[Budget|the budget]]'))
+        .toBe('See Project Plan and the budget');
+    });
+
+    it('should keep image alt text and drop table syntax', () => {
+      expect(stripMarkdown('![Diagram](a.png)\n\n| A | B |\n| --- | --- |\n| 1 | 2 |'))
+        .toBe('Diagram A B 1 2');
+    });
+
+    it('should drop code fences and rules', () => {
+      expect(stripMarkdown('```js\nlet x;\n```\n\n***')).toBe('let x;');
+    });
+
+    it('should return empty string for empty or invalid input', () => {
+      expect(stripMarkdown('')).toBe('');
+      expect(stripMarkdown(undefined)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Unit tests for notebooks.js
+ * Tests the notebook tree, its repairs, and moving notes between notebooks
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createNotebook,
+  getDescendantIds,
+  normalizeNotebooks,
+  renameNotebook,
+  moveNotebook,
+  deleteNotebook,
+  moveNotes,
+  notesInNotebook,
+  buildNotebookTree,
+  notebookPath,
+  mergeNotebooks
+} from '../src/notebooks.js';
+
+describe('Notebooks Module', () => {
+  const notebook = (id, name, parentId = null, updatedAt = '2026-01-01T00:00:00.000Z') =>
+    ({ id, name, parentId, createdAt: '2026-01-01T00:00:00.000Z', updatedAt });
+  const note = (id, notebookId) => ({ id, title: id, content: '', tags: [], notebookId });
+
+  // work > project > draft, and home at the top level
+  const notebooks = [
+    notebook('work', 'Work'),
+    notebook('project', 'Project', 'work'),
+    notebook('draft', 'Draft', 'project'),
+    notebook('home', 'home')
+  ];
+  const notes = [note('a', 'work'), note('b', 'draft'), note('c', 'home'), note('d', undefined)];
+  const now = new Date('2026-02-01T00:00:00.000Z');
+
+  const ids = list => list.map(item => item.id);
+
+  describe('createNotebook()', () => {
+    it('should create a notebook with a trimmed name', () => {
+      const created = createNotebook('  Ideas ', 'work', now);
+      expect(created).toMatchObject({ name: 'Ideas', parentId: 'work', createdAt: now.toISOString(), updatedAt: now.toISOString() });
+      expect(created.id).toMatch(/^notebook_/);
+    });
+  });
+
+  describe('getDescendantIds()', () => {
+    it('should include the notebook and everything nested in it', () => {
+      expect([...getDescendantIds(notebooks, 'work')].sort()).toEqual(['draft', 'project', 'work']);
+      expect([...getDescendantIds(notebooks, 'home')]).toEqual(['home']);
+    });
+  });
+
+  describe('normalizeNotebooks()', () => {
+    it('should keep a valid tree as it is', () => {
+      const result = normalizeNotebooks(notebooks);
+      result.forEach((item, index) => expect(item).toBe(notebooks[index]));
+    });
+
+    it('should move notebooks with a missing parent to the top level', () => {
+      const result = normalizeNotebooks([notebook('x', 'X', 'gone')]);
+      expect(result[0].parentId).toBeNull();
+    });
+
+    it('should break cycles', () => {
+      const result = normalizeNotebooks([notebook('x', 'X', 'y'), notebook('y', 'Y', 'x'), notebook('z', 'Z', 'z')]);
+      expect(result.map(item => item.parentId)).toEqual([null, 'x', null]);
+    });
+  });
+
+  describe('renameNotebook()', () => {
+    it('should rename a notebook and update its timestamp', () => {
+      const result = renameNotebook(notebooks, 'home', ' Home ', now);
+      expect(result[3]).toMatchObject({ name: 'Home', updatedAt: now.toISOString() });
+      expect(result[0]).toBe(notebooks[0]);
+    });
+  });
+
+  describe('moveNotebook()', () => {
+    it('should move a notebook under another one or to the top level', () => {
+      expect(moveNotebook(notebooks, 'home', 'work', now)[3]).toMatchObject({ parentId: 'work', updatedAt: now.toISOString() });
+      expect(moveNotebook(notebooks, 'draft', null, now)[2].parentId).toBeNull();
+    });
+
+    it('should refuse to move a notebook into itself or a descendant', () => {
+      expect(moveNotebook(notebooks, 'work', 'work', now)).toBe(notebooks);
+      expect(moveNotebook(notebooks, 'work', 'draft', now)).toBe(notebooks);
+      expect(moveNotebook(notebooks, 'work', 'missing', now)).toBe(notebooks);
+    });
+  });
+
+  describe('deleteNotebook()', () => {
+    it('should move its notes and child notebooks up to its parent', () => {
+      const result = deleteNotebook(notebooks, notes, 'project', now);
+      expect(ids(result.notebooks)).toEqual(['work', 'draft', 'home']);
+      expect(result.notebooks[1]).toMatchObject({ parentId: 'work', updatedAt: now.toISOString() });
+      expect(result.moved).toEqual([]);
+      expect(result.notes).toEqual(notes);
+    });
+
+    it('should move notes of a top-level notebook to the top level', () => {
+      const result = deleteNotebook(notebooks, notes, 'work', now);
+      expect(ids(result.notebooks)).toEqual(['project', 'draft', 'home']);
+      expect(result.notebooks[0].parentId).toBeNull();
+      expect(result.moved).toEqual(['a']);
+      expect(result.notes[0].notebookId).toBeNull();
+      expect(result.notes[1]).toBe(notes[1]);
+    });
+  });
+
+  describe('moveNotes()', () => {
+    it('should set the notebook of the given notes only', () => {
+      const result = moveNotes(notes, ['a', 'd'], 'home');
+      expect(result.map(n => n.notebookId)).toEqual(['home', 'draft', 'home', 'home']);
+      expect(result[2]).toBe(notes[2]);
+    });
+  });
+
+  describe('notesInNotebook()', () => {
+    it('should include notes in nested notebooks', () => {
+      expect(ids(notesInNotebook(notes, notebooks, 'work'))).toEqual(['a', 'b']);
+      expect(ids(notesInNotebook(notes, notebooks, 'draft'))).toEqual(['b']);
+    });
+
+    it('should return every note for no notebook', () => {
+      expect(notesInNotebook(notes, notebooks, null)).toBe(notes);
+    });
+  });
+
+  describe('buildNotebookTree()', () => {
+    it('should nest notebooks and sort siblings by name', () => {
+      const tree = buildNotebookTree(notebooks);
+      expect(tree.map(node => node.notebook.id)).toEqual(['home', 'work']);
+      expect(tree[1].children[0].notebook.id).toBe('project');
+      expect(tree[1].children[0].children[0]).toMatchObject({ depth: 2, children: [] });
+    });
+  });
+
+  describe('notebookPath()', () => {
+    it('should join the names of a notebook and its parents', () => {
+      expect(notebookPath(notebooks, 'draft')).toBe('Work / Project / Draft');
+      expect(notebookPath(notebooks, null)).toBe('');
+    });
+  });
+
+  describe('mergeNotebooks()', () => {
+    it('should keep the newest copy of each notebook', () => {
+      const incoming = [notebook('home', 'Old', null, '2025-01-01T00:00:00.000Z'), notebook('new', 'New', 'work', '2026-03-01T00:00:00.000Z')];
+      const result = mergeNotebooks(notebooks, incoming);
+      expect(ids(result)).toEqual(['work', 'project', 'draft', 'home', 'new']);
+      expect(result[3].name).toBe('home');
+    });
+
+    it('should repair cycles created by the merge', () => {
+      const incoming = [notebook('work', 'Work', 'draft', '2026-03-01T00:00:00.000Z')];
+      const result = mergeNotebooks(notebooks, incoming);
+      expect(result.find(item => item.id === 'work').parentId).toBeNull();
+      expect(result.find(item => item.id === 'draft').parentId).toBe('project');
+    });
+  });
+});
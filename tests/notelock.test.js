@@ -0,0 +1,101 @@
+/**
+ * Unit tests for notelock.js
+ * Tests locking notes, opening and re-sealing locks, and removing them
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  isLockedNote,
+  isNoteLock,
+  createNoteLock,
+  openNoteLock,
+  readNoteLock,
+  sealNoteContent,
+  lockNote,
+  removeNoteLock
+} from '../src/notelock.js';
+
+describe('Note Lock Module', () => {
+  // Few PBKDF2 iterations keep the tests fast
+  const iterations = 1000;
+
+  const note = {
+    id: 'a',
+    title: 'Bank details',
+    content: 'PIN 1234',
+    tags: ['money'],
+    pinned: true,
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    revisions: [{ title: 'Bank', content: 'PIN 0000', tags: [], updatedAt: '2025-12-01T00:00:00.000Z' }]
+  };
+
+  describe('createNoteLock() and openNoteLock()', () => {
+    it('should open a lock only with its password', async () => {
+      const { lock } = await createNoteLock(note.content, 'hunter22', { iterations });
+
+      expect(isNoteLock(lock)).toBe(true);
+      expect(JSON.stringify(lock)).not.toContain('1234');
+      expect(await openNoteLock(lock, 'wrong password')).toBeNull();
+      expect((await openNoteLock(lock, 'hunter22')).content).toBe('PIN 1234');
+    });
+  });
+
+  describe('sealNoteContent() and readNoteLock()', () => {
+    it('should seal edited content under the same key and parameters', async () => {
+      const { lock, key } = await createNoteLock(note.content, 'hunter22', { iterations });
+      const resealed = await sealNoteContent(lock, key, 'PIN 9999');
+
+      expect(resealed.encryption).toEqual(lock.encryption);
+      expect(resealed.data).not.toBe(lock.data);
+      expect(await readNoteLock(resealed, key)).toBe('PIN 9999');
+      expect((await openNoteLock(resealed, 'hunter22')).content).toBe('PIN 9999');
+    });
+
+    it('should return null for a key that does not fit', async () => {
+      const first = await createNoteLock('one', 'hunter22', { iterations });
+      const second = await createNoteLock('two', 'hunter22', { iterations });
+
+      expect(await readNoteLock(first.lock, second.key)).toBeNull();
+    });
+  });
+
+  describe('lockNote() and removeNoteLock()', () => {
+    it('should empty the content and drop the revisions, keeping the rest', async () => {
+      const { lock } = await createNoteLock(note.content, 'hunter22', { iterations });
+      const locked = lockNote(note, lock);
+
+      expect(locked).toEqual({
+        id: 'a',
+        title: 'Bank details',
+        content: '',
+        tags: ['money'],
+        pinned: true,
+        updatedAt: note.updatedAt,
+        lock
+      });
+      expect(isLockedNote(locked)).toBe(true);
+      expect(isLockedNote(note)).toBe(false);
+    });
+
+    it('should put the content back without the lock', async () => {
+      const { lock } = await createNoteLock(note.content, 'hunter22', { iterations });
+      const unlocked = removeNoteLock(lockNote(note, lock), 'PIN 1234');
+
+      expect(unlocked).not.toHaveProperty('lock');
+      expect(unlocked.content).toBe('PIN 1234');
+      expect(isLockedNote(unlocked)).toBe(false);
+    });
+  });
+
+  describe('isNoteLock()', () => {
+    it('should reject values that are not locks', () => {
+      expect(isNoteLock(null)).toBe(false);
+      expect(isNoteLock({ iv: 'aXY=', data: 'ZGF0YQ==' })).toBe(false);
+      expect(isNoteLock({
+        encryption: { kdf: 'PBKDF2', hash: 'SHA-256', iterations, salt: 'c2FsdA==' },
+        iv: 'aXY=',
+        data: null
+      })).toBe(false);
+    });
+  });
+});
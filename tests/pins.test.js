@@ -0,0 +1,97 @@
+/**
+ * Unit tests for pins.js
+ * Tests note ordering, pinning, favorites and reordering of pinned notes
+ */
+
+import { describe, it, expect } from 'vitest';
+import { orderNotes, setPinned, setFavorite, movePinned } from '../src/pins.js';
+
+describe('Pins Module', () => {
+  const note = (id, updatedAt, extra = {}) => ({
+    id,
+    title: `Title ${id}`,
+    content: '',
+    tags: [],
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt,
+    ...extra
+  });
+
+  const notes = [
+    note('old', '2026-01-01T00:00:00.000Z'),
+    note('new', '2026-03-01T00:00:00.000Z'),
+    note('p2', '2026-02-01T00:00:00.000Z', { pinned: true, pinOrder: 1 }),
+    note('p1', '2026-01-15T00:00:00.000Z', { pinned: true, pinOrder: 0 })
+  ];
+
+  const ids = list => list.map(n => n.id);
+
+  describe('orderNotes()', () => {
+    it('should put pinned notes first in pin order, then the rest newest first', () => {
+      const { pinned, others } = orderNotes(notes);
+      expect(ids(pinned)).toEqual(['p1', 'p2']);
+      expect(ids(others)).toEqual(['new', 'old']);
+    });
+
+    it('should order the unpinned notes with a given comparator', () => {
+      const byTitle = (a, b) => b.title.localeCompare(a.title);
+      const { pinned, others } = orderNotes(notes, byTitle);
+      expect(ids(pinned)).toEqual(['p1', 'p2']);
+      expect(ids(others)).toEqual(['old', 'new']);
+    });
+
+    it('should not mutate its input', () => {
+      const copy = [...notes];
+      orderNotes(notes);
+      expect(notes).toEqual(copy);
+    });
+  });
+
+  describe('setPinned()', () => {
+    it('should pin a note at the end of the pinned section', () => {
+      const result = setPinned(notes, 'old', true);
+      expect(ids(orderNotes(result).pinned)).toEqual(['p1', 'p2', 'old']);
+      expect(result[1]).toBe(notes[1]);
+    });
+
+    it('should unpin a note', () => {
+      const result = setPinned(notes, 'p1', false);
+      expect(result[3]).toMatchObject({ pinned: false, pinOrder: null });
+      expect(ids(orderNotes(result).pinned)).toEqual(['p2']);
+    });
+
+    it('should leave notes already in the wanted state alone', () => {
+      expect(setPinned(notes, 'p1', true)[3]).toBe(notes[3]);
+    });
+  });
+
+  describe('setFavorite()', () => {
+    it('should toggle the favorite flag', () => {
+      const result = setFavorite(notes, 'old', true);
+      expect(result[0].favorite).toBe(true);
+      expect(setFavorite(result, 'old', false)[0].favorite).toBe(false);
+    });
+  });
+
+  describe('movePinned()', () => {
+    const pinnedNotes = [
+      ...notes,
+      note('p3', '2026-01-20T00:00:00.000Z', { pinned: true, pinOrder: 5 })
+    ];
+
+    it('should move a pinned note and renumber the section', () => {
+      const result = movePinned(pinnedNotes, 'p3', 0);
+      expect(ids(orderNotes(result).pinned)).toEqual(['p3', 'p1', 'p2']);
+      expect(orderNotes(result).pinned.map(n => n.pinOrder)).toEqual([0, 1, 2]);
+    });
+
+    it('should clamp the target position', () => {
+      expect(ids(orderNotes(movePinned(pinnedNotes, 'p1', 10)).pinned)).toEqual(['p2', 'p3', 'p1']);
+    });
+
+    it('should return the same array when nothing moves', () => {
+      expect(movePinned(pinnedNotes, 'p1', 0)).toBe(pinnedNotes);
+      expect(movePinned(pinnedNotes, 'old', 0)).toBe(pinnedNotes);
+    });
+  });
+});
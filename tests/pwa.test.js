@@ -0,0 +1,213 @@
+/**
+ * Unit tests for pwa.js and sw.js
+ * Tests service worker registration, updates, the install prompt, the precache and the manifest
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import fs from 'fs';
+import { registerServiceWorker, applyUpdate, watchInstallPrompt } from '../src/pwa.js';
+
+// Service worker container whose registration can be driven by hand
+function fakeContainer({ controller = {}, waiting = null } = {}) {
+  const registration = Object.assign(new EventTarget(), { waiting, installing: null });
+  const container = Object.assign(new EventTarget(), {
+    controller,
+    register: vi.fn(async () => registration)
+  });
+  return { container, registration };
+}
+
+function fakeWorker() {
+  return Object.assign(new EventTarget(), { state: 'installing', postMessage: vi.fn() });
+}
+
+// Run sw.js against fake worker globals and collect its event listeners
+function loadServiceWorker({ cached = {}, cacheNames = [], network = vi.fn() } = {}) {
+  const listeners = {};
+  const added = [];
+  const cache = {
+    addAll: vi.fn(async requests => { added.push(...requests.map(request => request.url)); }),
+    match: vi.fn(async request => cached[new URL(request.url).pathname] || undefined)
+  };
+  const caches = {
+    open: vi.fn(async () => cache),
+    keys: vi.fn(async () => cacheNames),
+    delete: vi.fn(async () => true),
+    match: vi.fn(async url => cached[`/${url}`])
+  };
+  const self = {
+    location: new URL('https://notes.example/sw.js'),
+    clients: { claim: vi.fn(async () => {}) },
+    skipWaiting: vi.fn(),
+    addEventListener: (type, listener) => { listeners[type] = listener; }
+  };
+  class Request {
+    constructor(url, options) {
+      this.url = url;
+      this.options = options;
+    }
+  }
+
+  new Function('self', 'caches', 'fetch', 'Request', fs.readFileSync('./sw.js', 'utf-8'))(self, caches, network, Request);
+
+  const dispatch = async (type, event = {}) => {
+    let pending = null;
+    listeners[type]({ ...event, waitUntil: promise => { pending = promise; }, respondWith: promise => { pending = promise; } });
+    return pending;
+  };
+  return { dispatch, added, caches, self };
+}
+
+describe('PWA Module', () => {
+  describe('registerServiceWorker()', () => {
+    it('should register sw.js and report a new version once it is installed', async () => {
+      const { container, registration } = fakeContainer();
+      const onUpdate = vi.fn();
+
+      expect(await registerServiceWorker({ serviceWorker: container, onUpdate })).toBe(registration);
+      expect(container.register).toHaveBeenCalledWith('sw.js');
+
+      const worker = fakeWorker();
+      registration.installing = worker;
+      registration.dispatchEvent(new Event('updatefound'));
+      worker.state = 'installed';
+      worker.dispatchEvent(new Event('statechange'));
+      expect(onUpdate).toHaveBeenCalledWith(worker);
+    });
+
+    it('should report a version left waiting by an earlier visit', async () => {
+      const waiting = fakeWorker();
+      const { container } = fakeContainer({ waiting });
+      const onUpdate = vi.fn();
+
+      await registerServiceWorker({ serviceWorker: container, onUpdate });
+      expect(onUpdate).toHaveBeenCalledWith(waiting);
+    });
+
+    it('should not report the first install as an update', async () => {
+      const { container, registration } = fakeContainer({ controller: null });
+      const onUpdate = vi.fn();
+      await registerServiceWorker({ serviceWorker: container, onUpdate });
+
+      const worker = fakeWorker();
+      registration.installing = worker;
+      registration.dispatchEvent(new Event('updatefound'));
+      worker.state = 'installed';
+      worker.dispatchEvent(new Event('statechange'));
+      expect(onUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return null without service worker support or when registration fails', async () => {
+      expect(await registerServiceWorker({ serviceWorker: null })).toBeNull();
+
+      const { container } = fakeContainer();
+      container.register.mockRejectedValueOnce(new Error('Insecure origin'));
+      expect(await registerServiceWorker({ serviceWorker: container })).toBeNull();
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('applyUpdate()', () => {
+    it('should ask the waiting worker to take over and reload once', () => {
+      const { container } = fakeContainer();
+      const worker = fakeWorker();
+      const reload = vi.fn();
+
+      applyUpdate(worker, { serviceWorker: container, reload });
+      expect(worker.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+
+      container.dispatchEvent(new Event('controllerchange'));
+      container.dispatchEvent(new Event('controllerchange'));
+      expect(reload).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('watchInstallPrompt()', () => {
+    it('should keep the install prompt and report the outcome', async () => {
+      const target = new EventTarget();
+      const onAvailable = vi.fn();
+      watchInstallPrompt(onAvailable, target);
+
+      const event = Object.assign(new Event('beforeinstallprompt', { cancelable: true }), {
+        prompt: vi.fn(),
+        userChoice: Promise.resolve({ outcome: 'accepted' })
+      });
+      target.dispatchEvent(event);
+      expect(event.defaultPrevented).toBe(true);
+
+      const prompt = onAvailable.mock.calls[0][0];
+      expect(await prompt()).toBe(true);
+      expect(event.prompt).toHaveBeenCalled();
+
+      target.dispatchEvent(new Event('appinstalled'));
+      expect(onAvailable).toHaveBeenLastCalledWith(null);
+    });
+  });
+
+  describe('Service worker', () => {
+    it('should precache the page and every style and script, past the HTTP cache', async () => {
+      const { dispatch, added, caches } = loadServiceWorker();
+      await dispatch('install');
+
+      const expected = [
+        'index.html',
+        'manifest.webmanifest',
+        ...fs.readdirSync('./styles').map(file => `styles/${file}`),
+        ...fs.readdirSync('./src').map(file => `src/${file}`)
+      ];
+      expect(added).toEqual(expect.arrayContaining(expected));
+      expect(added.every(url => url === './' || fs.existsSync(url))).toBe(true);
+      expect(caches.open.mock.calls[0][0]).toMatch(/^pure-notes-v\d+$/);
+    });
+
+    it('should delete the caches of earlier versions on activation', async () => {
+      const { dispatch, caches, self } = loadServiceWorker();
+      await dispatch('install');
+      const current = caches.open.mock.calls[0][0];
+      caches.keys.mockResolvedValueOnce(['pure-notes-v0', current, 'other-app']);
+
+      await dispatch('activate');
+      expect(caches.delete).toHaveBeenCalledTimes(1);
+      expect(caches.delete).toHaveBeenCalledWith('pure-notes-v0');
+      expect(self.clients.claim).toHaveBeenCalled();
+    });
+
+    it('should answer from the cache first and fall back to the page offline', async () => {
+      const page = { body: 'index' };
+      const script = { body: 'app' };
+      const network = vi.fn(async () => { throw new TypeError('Offline'); });
+      const { dispatch } = loadServiceWorker({ cached: { '/src/app.js': script, '/index.html': page }, network });
+
+      const get = (path, mode = 'cors') => dispatch('fetch', {
+        request: { method: 'GET', url: `https://notes.example${path}`, mode }
+      });
+      expect(await get('/src/app.js')).toBe(script);
+      expect(await get('/some/page', 'navigate')).toBe(page);
+      await expect(get('/missing.js')).rejects.toThrow('Offline');
+    });
+
+    it('should leave other origins and writes to the network', async () => {
+      const { dispatch } = loadServiceWorker();
+      expect(await dispatch('fetch', { request: { method: 'GET', url: 'https://cdn.example/x.js' } })).toBeNull();
+      expect(await dispatch('fetch', { request: { method: 'POST', url: 'https://notes.example/x' } })).toBeNull();
+    });
+
+    it('should take over when the page asks', async () => {
+      const { dispatch, self } = loadServiceWorker();
+      await dispatch('message', { data: { type: 'SKIP_WAITING' } });
+      expect(self.skipWaiting).toHaveBeenCalled();
+    });
+  });
+
+  describe('Manifest', () => {
+    it('should make the app installable', () => {
+      const manifest = JSON.parse(fs.readFileSync('./manifest.webmanifest', 'utf-8'));
+      const html = fs.readFileSync('./index.html', 'utf-8');
+
+      expect(html).toContain('<link rel="manifest" href="manifest.webmanifest">');
+      expect(manifest).toMatchObject({ name: 'Pure Notes', start_url: './', display: 'standalone' });
+      expect(manifest.icons.map(icon => icon.sizes)).toEqual(expect.arrayContaining(['192x192', '512x512']));
+      expect(manifest.icons.every(icon => fs.existsSync(icon.src))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Unit tests for query.js
+ * Tests search query parsing
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseQuery } from '../src/query.js';
+
+describe('Query Module', () => {
+  describe('parseQuery()', () => {
+    it('should return null for empty queries', () => {
+      expect(parseQuery('')).toBeNull();
+      expect(parseQuery('   ')).toBeNull();
+    });
+
+    it('should treat unknown prefixes as plain words', () => {
+      expect(parseQuery('https://example.com')).toEqual({
+        type: 'text', field: 'any', value: 'https://example.com', phrase: false
+      });
+    });
+
+    it('should parse is: flags', () => {
+      expect(parseQuery('is:Pinned')).toEqual({ type: 'flag', value: 'pinned' });
+      expect(() => parseQuery('is:archived')).toThrow(/Unknown filter is:archived/);
+    });
+
+    it('should bind AND tighter than OR', () => {
+      const tree = parseQuery('a OR b c');
+      expect(tree.type).toBe('or');
+      expect(tree.children[1]).toMatchObject({ type: 'and' });
+    });
+
+    it('should reject malformed queries with a helpful message', () => {
+      expect(() => parseQuery('"open phrase')).toThrow('Missing closing quote');
+      expect(() => parseQuery('budget OR')).toThrow(/OR needs/);
+      expect(() => parseQuery('(budget')).toThrow('Missing closing parenthesis');
+      expect(() => parseQuery('budget)')).toThrow(/Unexpected \)/);
+      expect(() => parseQuery('()')).toThrow('Empty parentheses');
+      expect(() => parseQuery('title:')).toThrow('Missing value after title:');
+      expect(() => parseQuery('created:>yesterday')).toThrow(/Invalid date/);
+      expect(() => parseQuery('created:2026-02-30')).toThrow(/Invalid date/);
+    });
+  });
+});
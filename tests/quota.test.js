@@ -0,0 +1,103 @@
+/**
+ * Unit tests for quota.js
+ * Tests quota error detection, usage measurement and warning thresholds
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  isQuotaError,
+  measureLocalStorage,
+  usagePercent,
+  normalizeWarnings,
+  warningLevel,
+  formatBytes,
+  DEFAULT_STORAGE_WARNINGS
+} from '../src/quota.js';
+
+describe('Quota Module', () => {
+  describe('isQuotaError()', () => {
+    it('should recognize the quota errors of different browsers', () => {
+      expect(isQuotaError({ name: 'QuotaExceededError' })).toBe(true);
+      expect(isQuotaError({ name: 'NS_ERROR_DOM_QUOTA_REACHED' })).toBe(true);
+      expect(isQuotaError({ name: 'Error', code: 22 })).toBe(true);
+      expect(isQuotaError({ name: 'Error', code: 1014 })).toBe(true);
+    });
+
+    it('should not mistake other errors for quota errors', () => {
+      expect(isQuotaError(new Error('Disk on fire'))).toBe(false);
+      expect(isQuotaError(null)).toBe(false);
+    });
+  });
+
+  describe('measureLocalStorage()', () => {
+    it('should count the characters of keys and values', () => {
+      const entries = [['a', '123'], ['bb', '4567']];
+      const storage = {
+        length: entries.length,
+        key: i => entries[i][0],
+        getItem: key => entries.find(([name]) => name === key)[1]
+      };
+      expect(measureLocalStorage(storage)).toBe(10);
+    });
+
+    it('should treat missing storage as empty', () => {
+      expect(measureLocalStorage(null)).toBe(0);
+    });
+  });
+
+  describe('usagePercent()', () => {
+    it('should round usage to a whole percentage of the quota', () => {
+      expect(usagePercent({ used: 1, quota: 3 })).toBe(33);
+      expect(usagePercent({ used: 0, quota: 100 })).toBe(0);
+    });
+
+    it('should cap usage at 100 percent', () => {
+      expect(usagePercent({ used: 150, quota: 100 })).toBe(100);
+    });
+
+    it('should return null when the quota is unknown', () => {
+      expect(usagePercent(null)).toBeNull();
+      expect(usagePercent({ used: 10, quota: 0 })).toBeNull();
+    });
+  });
+
+  describe('normalizeWarnings()', () => {
+    it('should sort and deduplicate valid thresholds', () => {
+      expect(normalizeWarnings([95, 80, 95])).toEqual([80, 95]);
+    });
+
+    it('should drop thresholds that are not whole percentages below 100', () => {
+      expect(normalizeWarnings([0, 50, 100, 70.5, '90'])).toEqual([50]);
+    });
+
+    it('should keep an empty list, which turns warnings off', () => {
+      expect(normalizeWarnings([])).toEqual([]);
+    });
+
+    it('should fall back to the defaults when the setting is missing', () => {
+      expect(normalizeWarnings(undefined)).toEqual(DEFAULT_STORAGE_WARNINGS);
+    });
+  });
+
+  describe('warningLevel()', () => {
+    it('should return the highest threshold reached', () => {
+      expect(warningLevel(79, [80, 95])).toBe(0);
+      expect(warningLevel(80, [80, 95])).toBe(80);
+      expect(warningLevel(99, [80, 95])).toBe(95);
+    });
+
+    it('should return 0 when usage is unknown or there are no thresholds', () => {
+      expect(warningLevel(null, [80, 95])).toBe(0);
+      expect(warningLevel(99, [])).toBe(0);
+    });
+  });
+
+  describe('formatBytes()', () => {
+    it('should format sizes with a fitting unit', () => {
+      expect(formatBytes(512)).toBe('512 B');
+      expect(formatBytes(1536)).toBe('1.5 KB');
+      expect(formatBytes(5 * 1024 * 1024)).toBe('5.0 MB');
+      expect(formatBytes(200 * 1024)).toBe('200 KB');
+    });
+  });
+});
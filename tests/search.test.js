@@ -0,0 +1,299 @@
+/**
+ * Unit tests for search.js
+ * Tests the inverted index, query evaluation, ranking and highlighting
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseQuery } from '../src/query.js';
+import {
+  tokenize,
+  editDistance,
+  getQueryTerms,
+  findMatchRanges,
+  createSearchIndex
+} from '../src/search.js';
+
+describe('Search Module', () => {
+  const now = new Date(2026, 2, 15, 12).getTime(); // 15 March 2026, local noon
+
+  const notes = [
+    {
+      id: 'a',
+      title: 'Budget plan',
+      content: 'Next quarter budget draft',
+      tags: ['work'],
+      pinned: true,
+      createdAt: new Date(2025, 11, 20).toISOString(),
+      updatedAt: new Date(2026, 2, 14).toISOString()
+    },
+    {
+      id: 'b',
+      title: 'Groceries',
+      content: 'Milk, eggs and the budget for the week',
+      tags: ['home'],
+      favorite: true,
+      createdAt: new Date(2026, 0, 5).toISOString(),
+      updatedAt: new Date(2026, 0, 5).toISOString()
+    },
+    {
+      id: 'c',
+      title: 'Trip ideas',
+      content: 'Visit the mountains next quarter',
+      tags: [],
+      template: true,
+      createdAt: new Date(2026, 1, 1).toISOString(),
+      updatedAt: new Date(2026, 1, 2).toISOString()
+    }
+  ];
+
+  // Matching note ids, sorted to ignore rank
+  const search = (query, options = {}) => {
+    const index = createSearchIndex(notes);
+    return index.search(parseQuery(query, { now }), { now, ...options }).map(result => result.id).sort();
+  };
+
+  describe('search() filtering', () => {
+    it('should match every note for a null query', () => {
+      expect(search('')).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should require all words, in any field and case', () => {
+      expect(search('BUDGET')).toEqual(['a', 'b']);
+      expect(search('budget quarter')).toEqual(['a']);
+    });
+
+    it('should match quoted phrases as a whole', () => {
+      expect(search('"next quarter"')).toEqual(['a', 'c']);
+      expect(search('"quarter next"')).toEqual([]);
+    });
+
+    it('should exclude negated terms and groups', () => {
+      expect(search('budget -draft')).toEqual(['b']);
+      expect(search('-(budget OR mountains)')).toEqual([]);
+    });
+
+    it('should support OR', () => {
+      expect(search('eggs OR mountains')).toEqual(['b', 'c']);
+    });
+
+    it('should scope terms to the title or the body', () => {
+      expect(search('title:budget')).toEqual(['a']);
+      expect(search('body:"the week"')).toEqual(['b']);
+      expect(search('body:ideas')).toEqual([]);
+    });
+
+    it('should filter by tag', () => {
+      expect(search('tag:#Work')).toEqual(['a']);
+      expect(search('budget -tag:work')).toEqual(['b']);
+    });
+
+    it('should filter by pinned, favorite and template flags', () => {
+      expect(search('is:pinned')).toEqual(['a']);
+      expect(search('budget is:favorite')).toEqual(['b']);
+      expect(search('-is:pinned -is:favorite')).toEqual(['c']);
+      expect(search('is:template')).toEqual(['c']);
+    });
+
+    it('should filter by absolute date ranges', () => {
+      expect(search('created:>2025-12-31')).toEqual(['b', 'c']);
+      expect(search('created:<2026-01-01')).toEqual(['a']);
+      expect(search('created:2026-01-05')).toEqual(['b']);
+      expect(search('created:<=2026-01-05')).toEqual(['a', 'b']);
+      expect(search('created:>=2026-02')).toEqual(['c']);
+      expect(search('created:2025')).toEqual(['a']);
+    });
+
+    it('should filter by relative ages', () => {
+      expect(search('updated:<7d')).toEqual(['a']);
+      expect(search('updated:>7d')).toEqual(['b', 'c']);
+      expect(search('updated:<2m')).toEqual(['a', 'c']);
+    });
+
+    it('should fold case and diacritics', () => {
+      const index = createSearchIndex([{ id: 'x', title: 'Café Crème', content: '', tags: [] }]);
+      expect(index.search(parseQuery('cafe creme'))).toHaveLength(1);
+      expect(index.search(parseQuery('CAFÉ'))).toHaveLength(1);
+    });
+
+    it('should match words by prefix', () => {
+      expect(search('bud mount')).toEqual([]);
+      expect(search('mount')).toEqual(['c']);
+      expect(search('udget', { fuzzy: false })).toEqual([]);
+    });
+  });
+
+  describe('fuzzy matching', () => {
+    const typoNotes = [
+      { id: 'meeting', title: 'Meeting notes', content: 'Kubernetes rollout', tags: [], updatedAt: '2026-01-01T00:00:00.000Z' },
+      { id: 'greeting', title: 'Greeting cards', content: 'For the team', tags: [], updatedAt: '2026-03-01T00:00:00.000Z' }
+    ];
+
+    it('should forgive typos in whole words', () => {
+      const index = createSearchIndex(typoNotes);
+      expect(index.search(parseQuery('meetng notes')).map(r => r.id)).toEqual(['meeting']);
+      expect(index.search(parseQuery('kubernets')).map(r => r.id)).toEqual(['meeting']);
+      expect(index.search(parseQuery('meteing')).map(r => r.id)).toEqual(['meeting']);
+    });
+
+    it('should rank exact matches above fuzzy ones', () => {
+      const index = createSearchIndex(typoNotes);
+      const results = index.search(parseQuery('greeting'));
+      expect(results.map(r => r.id)).toEqual(['greeting', 'meeting']);
+      expect(results.map(r => r.fuzzy)).toEqual([false, true]);
+    });
+
+    it('should not forgive typos in short words, phrases or exclusions', () => {
+      const index = createSearchIndex(typoNotes);
+      expect(index.search(parseQuery('tem'))).toEqual([]);
+      expect(index.search(parseQuery('"meetng notes"'))).toEqual([]);
+      expect(index.search(parseQuery('-meetng')).map(r => r.id).sort()).toEqual(['greeting', 'meeting']);
+    });
+
+    it('should respect the configured threshold', () => {
+      expect(createSearchIndex(typoNotes, { maxEdits: 0 }).search(parseQuery('meetng'))).toEqual([]);
+      expect(createSearchIndex(typoNotes, { minFuzzyLength: 8 }).search(parseQuery('meetng'))).toEqual([]);
+      expect(createSearchIndex(typoNotes, { maxEdits: 1 }).search(parseQuery('kubrnets'))).toEqual([]);
+      expect(createSearchIndex(typoNotes).search(parseQuery('kubrnets'))).toHaveLength(1);
+    });
+  });
+
+  describe('suggest()', () => {
+    const index = createSearchIndex([
+      { id: 'a', title: 'Quarterly budget', content: 'Kubernetes cluster', tags: ['work'], updatedAt: '2026-01-01T00:00:00.000Z' }
+    ]);
+
+    it('should correct words that match nothing', () => {
+      expect(index.suggest('bdgte')).toBe('budget');
+      expect(index.suggest('title:qaurtrly "kubrenetis clustr"')).toBe('title:quarterly "kubernetes cluster"');
+    });
+
+    it('should leave filters and matching words alone', () => {
+      expect(index.suggest('tag:wrk budget')).toBeNull();
+      expect(index.suggest('budg OR clus')).toBeNull();
+    });
+
+    it('should return null when nothing is close enough', () => {
+      expect(index.suggest('zebra')).toBeNull();
+      expect(index.suggest('')).toBeNull();
+    });
+  });
+
+  describe('editDistance()', () => {
+    it('should count insertions, deletions, substitutions and swaps', () => {
+      expect(editDistance('meeting', 'meetng')).toBe(1);
+      expect(editDistance('meeting', 'meteing')).toBe(1);
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+      expect(editDistance('', 'abc')).toBe(3);
+    });
+
+    it('should stop at the limit', () => {
+      expect(editDistance('kitten', 'sitting', 1)).toBe(2);
+      expect(editDistance('a', 'abcdef', 2)).toBe(3);
+    });
+  });
+
+  describe('tokenize()', () => {
+    it('should split on punctuation and fold text', () => {
+      expect(tokenize('Hello, Wörld! snake_case 42')).toEqual(['hello', 'world', 'snake', 'case', '42']);
+      expect(tokenize(null)).toEqual([]);
+    });
+  });
+
+  describe('index maintenance', () => {
+    const note = { id: 'n1', title: 'Alpha', content: 'first draft', tags: [], updatedAt: '2026-01-01T00:00:00.000Z' };
+
+    it('should add, update and remove notes', () => {
+      const index = createSearchIndex();
+      index.add(note);
+      expect(index.search(parseQuery('draft')).map(r => r.id)).toEqual(['n1']);
+
+      index.add({ ...note, content: 'final version' });
+      expect(index.search(parseQuery('draft'))).toEqual([]);
+      expect(index.search(parseQuery('final'))).toHaveLength(1);
+
+      index.remove('n1');
+      expect(index.size).toBe(0);
+      expect(index.search(parseQuery('final'))).toEqual([]);
+    });
+
+    it('should only re-index changed notes on sync', () => {
+      const index = createSearchIndex([note]);
+      const other = { ...note, id: 'n2', title: 'Beta' };
+
+      index.sync([note, other]);
+      expect(index.size).toBe(2);
+
+      index.sync([other]);
+      expect(index.size).toBe(1);
+      expect(index.search(parseQuery('alpha'))).toEqual([]);
+    });
+  });
+
+  describe('ranking', () => {
+    const now = new Date('2026-03-15T12:00:00.000Z').getTime();
+    const old = '2025-01-01T00:00:00.000Z';
+
+    it('should boost title hits over body hits', () => {
+      const index = createSearchIndex([
+        { id: 'body', title: 'Misc', content: 'about the budget', tags: [], updatedAt: old },
+        { id: 'title', title: 'Budget', content: 'numbers', tags: [], updatedAt: old }
+      ]);
+      expect(index.search(parseQuery('budget'), { now }).map(r => r.id)).toEqual(['title', 'body']);
+    });
+
+    it('should rank whole words above prefixes', () => {
+      const index = createSearchIndex([
+        { id: 'prefix', title: 'Planning', content: '', tags: [], updatedAt: old },
+        { id: 'word', title: 'Plan', content: '', tags: [], updatedAt: old }
+      ]);
+      expect(index.search(parseQuery('plan'), { now }).map(r => r.id)).toEqual(['word', 'prefix']);
+    });
+
+    it('should give recent notes a small boost', () => {
+      const index = createSearchIndex([
+        { id: 'old', title: 'Budget', content: '', tags: [], updatedAt: old },
+        { id: 'new', title: 'Budget', content: '', tags: [], updatedAt: '2026-03-15T00:00:00.000Z' }
+      ]);
+      const [first, second] = index.search(parseQuery('budget'), { now });
+      expect(first.id).toBe('new');
+      expect(first.score / second.score).toBeLessThan(1.25);
+    });
+
+    it('should order by most recent update without search words', () => {
+      const index = createSearchIndex([
+        { id: 'old', title: 'A', content: '', tags: ['x'], updatedAt: old },
+        { id: 'new', title: 'B', content: '', tags: ['x'], updatedAt: '2026-03-01T00:00:00.000Z' }
+      ]);
+      expect(index.search(parseQuery('tag:x'), { now }).map(r => r.id)).toEqual(['new', 'old']);
+    });
+  });
+
+  describe('getQueryTerms()', () => {
+    it('should collect positive words and phrase words', () => {
+      const tree = parseQuery('Café "next quarter" -draft title:plan tag:work');
+      expect(getQueryTerms(tree)).toEqual(['cafe', 'next', 'quarter', 'plan']);
+      expect(getQueryTerms(null)).toEqual([]);
+    });
+  });
+
+  describe('findMatchRanges()', () => {
+    it('should find whole words and word prefixes', () => {
+      expect(findMatchRanges('Budget and budgeting, not rebudget', ['budget'])).toEqual([[0, 6], [11, 17]]);
+    });
+
+    it('should map folded matches back to the original text', () => {
+      const text = 'Un café crème';
+      const [[start, end]] = findMatchRanges(text, ['creme']);
+      expect(text.slice(start, end)).toBe('crème');
+    });
+
+    it('should prefer the longest matching term', () => {
+      expect(findMatchRanges('planning', ['plan', 'planning'])).toEqual([[0, 8]]);
+    });
+
+    it('should return no ranges without terms', () => {
+      expect(findMatchRanges('text', [])).toEqual([]);
+      expect(findMatchRanges('', ['a'])).toEqual([]);
+    });
+  });
+});
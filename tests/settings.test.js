@@ -0,0 +1,40 @@
+/**
+ * Unit tests for settings.js
+ * Tests loading and saving of user settings
+ */
+
+import { describe, it, expect } from 'vitest';
+import { loadSettings, saveSettings } from '../src/settings.js';
+
+describe('Settings Module', () => {
+  const SETTINGS_KEY = 'pure-note-taking-app-settings';
+
+  it('should load empty settings when nothing is saved', () => {
+    expect(loadSettings()).toEqual({});
+  });
+
+  it('should save settings and merge later changes', () => {
+    expect(saveSettings({ listView: { sort: 'title' } })).toBe(true);
+    expect(saveSettings({ other: 1 })).toBe(true);
+    expect(loadSettings()).toEqual({ listView: { sort: 'title' }, other: 1 });
+  });
+
+  it('should keep settings apart from the notes', () => {
+    saveSettings({ listView: { sort: 'title' } });
+    expect(Object.keys(localStorage.data)).toEqual([SETTINGS_KEY]);
+  });
+
+  it('should ignore unreadable settings', () => {
+    localStorage.data[SETTINGS_KEY] = '{not json';
+    expect(loadSettings()).toEqual({});
+    localStorage.data[SETTINGS_KEY] = '[1, 2]';
+    expect(loadSettings()).toEqual({});
+  });
+
+  it('should report a failed save', () => {
+    localStorage.setItem.mockImplementationOnce(() => {
+      throw new Error('QuotaExceededError');
+    });
+    expect(saveSettings({ listView: {} })).toBe(false);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for sorting.js
+ * Tests list view validation, sort modes and date grouping
+ */
+
+import { describe, it, expect } from 'vitest';
+import { normalizeListView, compareNotes, sortNotes, groupNotes, DEFAULT_LIST_VIEW } from '../src/sorting.js';
+
+describe('Sorting Module', () => {
+  const note = (id, title, content, createdAt, updatedAt) => ({ id, title, content, tags: [], createdAt, updatedAt });
+
+  const notes = [
+    note('a', 'banana', 'medium text', '2026-01-03T00:00:00.000Z', '2026-01-04T00:00:00.000Z'),
+    note('b', 'Apple', 'a much longer piece of text', '2026-01-01T00:00:00.000Z', '2026-01-06T00:00:00.000Z'),
+    note('c', 'note 10', '', '2026-01-02T00:00:00.000Z', '2026-01-05T00:00:00.000Z'),
+    note('d', 'note 9', 'short', '2026-01-04T00:00:00.000Z', '2026-01-01T00:00:00.000Z')
+  ];
+
+  const ids = list => list.map(n => n.id);
+
+  describe('normalizeListView()', () => {
+    it('should fill in missing values from the default view', () => {
+      expect(normalizeListView(undefined)).toEqual(DEFAULT_LIST_VIEW);
+      expect(normalizeListView({ sort: 'title' })).toEqual({ sort: 'title', direction: 'desc', group: 'none' });
+    });
+
+    it('should replace unknown values', () => {
+      expect(normalizeListView({ sort: 'color', direction: 'up', group: 'tag' })).toEqual(DEFAULT_LIST_VIEW);
+    });
+  });
+
+  describe('sortNotes()', () => {
+    it('should sort by last update, newest first, by default', () => {
+      expect(ids(sortNotes(notes))).toEqual(['b', 'c', 'a', 'd']);
+    });
+
+    it('should sort by creation date in either direction', () => {
+      expect(ids(sortNotes(notes, { sort: 'created', direction: 'desc' }))).toEqual(['d', 'a', 'c', 'b']);
+      expect(ids(sortNotes(notes, { sort: 'created', direction: 'asc' }))).toEqual(['b', 'c', 'a', 'd']);
+    });
+
+    it('should sort titles ignoring case and with numbers in numeric order', () => {
+      expect(ids(sortNotes(notes, { sort: 'title', direction: 'asc' }))).toEqual(['b', 'a', 'd', 'c']);
+    });
+
+    it('should sort by content length', () => {
+      expect(ids(sortNotes(notes, { sort: 'length', direction: 'desc' }))).toEqual(['b', 'a', 'd', 'c']);
+    });
+
+    it('should break ties by last update and not mutate its input', () => {
+      const copy = [...notes];
+      const tied = notes.map(n => ({ ...n, title: 'Same' }));
+      expect(ids(sortNotes(tied, { sort: 'title', direction: 'asc' }))).toEqual(['b', 'c', 'a', 'd']);
+      expect(notes).toEqual(copy);
+    });
+
+    it('should treat missing dates as oldest', () => {
+      const compare = compareNotes({ sort: 'updated', direction: 'desc' });
+      expect(compare(notes[0], { ...notes[1], updatedAt: undefined })).toBeLessThan(0);
+    });
+  });
+
+  describe('groupNotes()', () => {
+    // Local times, so the groups do not depend on the test machine's time zone
+    const now = new Date(2026, 2, 10, 12, 0);
+    const at = (day, hour = 9) => new Date(2026, 2, day, hour).toISOString();
+    const dated = [
+      note('today', 'T', '', at(1), at(10, 8)),
+      note('yesterday', 'Y', '', at(2), at(9, 23)),
+      note('week', 'W', '', at(3), at(4)),
+      note('older', 'O', '', at(10, 10), at(3, 23))
+    ];
+
+    it('should return one unlabelled group when not grouping', () => {
+      expect(groupNotes(dated, { group: 'none' }, now)).toEqual([{ label: null, notes: dated }]);
+    });
+
+    it('should group by last update into Today, Yesterday, This week and Older', () => {
+      const groups = groupNotes(dated, { group: 'date' }, now);
+      expect(groups.map(g => [g.label, ids(g.notes)])).toEqual([
+        ['Today', ['today']],
+        ['Yesterday', ['yesterday']],
+        ['This week', ['week']],
+        ['Older', ['older']]
+      ]);
+    });
+
+    it('should group by creation date when sorting by it, following the direction', () => {
+      const groups = groupNotes(dated, { sort: 'created', direction: 'asc', group: 'date' }, now);
+      expect(groups.map(g => [g.label, ids(g.notes)])).toEqual([
+        ['Older', ['today', 'yesterday', 'week']],
+        ['Today', ['older']]
+      ]);
+    });
+
+    it('should keep the given order within each group and skip empty groups', () => {
+      const sorted = sortNotes([dated[1], { ...dated[1], id: 'y2', title: 'A' }], { sort: 'title', direction: 'asc' });
+      const groups = groupNotes(sorted, { sort: 'title', direction: 'asc', group: 'date' }, now);
+      expect(groups.map(g => [g.label, ids(g.notes)])).toEqual([['Yesterday', ['y2', 'yesterday']]]);
+    });
+  });
+});
@@ -3,8 +3,37 @@
  * Tests localStorage persistence layer
  */
 
-import { describe, it, expect, beforeEach } from 'vitest'
-import { loadNotes, saveNotes, exportNotes, importNotes, clearNotes } from '../src/store.js'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { IDBFactory } from './fakeIndexedDB.js'
+import { createIndexedDBAdapter } from '../src/adapters.js'
+import {
+  initStorage,
+  setStorageAdapter,
+  migrateData,
+  SCHEMA_VERSION,
+  loadData,
+  loadNotes,
+  saveNotes,
+  exportNotes,
+  importNotes,
+  previewImport,
+  planImport,
+  clearNotes,
+  watchNotes,
+  getEncryptionState,
+  unlockNotes,
+  lockNotes,
+  enableEncryption,
+  changePassphrase,
+  disableEncryption,
+  isEncryptedBackup,
+  decryptBackup,
+  getSaveError,
+  getStorageUsage,
+  moveToIndexedDB,
+  sealDraft,
+  openDraft
+} from '../src/store.js'
 import { json } from 'stream/consumers';
 
 describe('Store Module', () => {
@@ -15,186 +44,850 @@ describe('Store Module', () => {
       title: 'First Note',
       content: 'This is my first note',
       createdAt: '2025-08-18T10:00:00.000Z',
-      updatedAt: '2025-08-18T10:00:00.000Z'
+      updatedAt: '2025-08-18T10:00:00.000Z',
+      tags: []
     },
     {
       id: 'note-2',
       title: 'Second Note',
       content: 'This is my second note',
       createdAt: '2025-08-18T11:00:00.000Z',
-      updatedAt: '2025-08-18T11:00:00.000Z'
+      updatedAt: '2025-08-18T11:00:00.000Z',
+      tags: []
     }
   ];
 
-  beforeEach(() => {
-    // localStorage is already cleared in setup.js
+  beforeEach(async () => {
+    // localStorage is already cleared in setup.js; start each test on it
+    await initStorage({ indexedDB: null });
+  });
+
+  describe('initStorage()', () => {
+    it('should fall back to localStorage without IndexedDB', async () => {
+      const backend = await initStorage({ indexedDB: null });
+      expect(backend).toBe('localStorage');
+    });
+
+    it('should use IndexedDB when available', async () => {
+      const backend = await initStorage({ indexedDB: new IDBFactory() });
+      expect(backend).toBe('indexedDB');
+
+      await saveNotes(sampleNotes);
+      expect(localStorage.setItem).not.toHaveBeenCalled();
+      expect(await loadNotes()).toEqual([...sampleNotes].reverse());
+    });
+
+    it('should migrate localStorage notes into IndexedDB once', async () => {
+      localStorage.setItem('pure-note-taking-app-data', JSON.stringify(sampleNotes));
+      const indexedDB = new IDBFactory();
+
+      await initStorage({ indexedDB });
+      expect(await loadNotes()).toHaveLength(2);
+      expect(localStorage.getItem('pure-note-taking-app-data')).toBeNull();
+
+      // A second start finds nothing left to migrate
+      await initStorage({ indexedDB });
+      expect(await loadNotes()).toHaveLength(2);
+    });
+
+    it('should keep the newer copy when a note exists in both backends', async () => {
+      const indexedDB = new IDBFactory();
+      await initStorage({ indexedDB });
+      await saveNotes(sampleNotes);
+
+      const newer = { ...sampleNotes[0], content: 'Edited while on fallback', updatedAt: '2025-08-19T10:00:00.000Z' };
+      localStorage.setItem('pure-note-taking-app-data', JSON.stringify([newer]));
+
+      await initStorage({ indexedDB });
+      const loaded = await loadNotes();
+      expect(loaded).toHaveLength(2);
+      expect(loaded).toContainEqual(newer);
+    });
+
+    it('should fall back to localStorage when IndexedDB fails to open', async () => {
+      const brokenFactory = {
+        open() {
+          throw new Error('IndexedDB disabled');
+        }
+      };
+      const backend = await initStorage({ indexedDB: brokenFactory });
+      expect(backend).toBe('localStorage');
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('setStorageAdapter()', () => {
+    it('should route storage operations through the given adapter', async () => {
+      const adapter = {
+        name: 'memory',
+        data: [],
+        async load() { return this.data; },
+        async save(data) { this.data = data; },
+        async clear() { this.data = []; },
+        watch() { return () => {}; }
+      };
+      setStorageAdapter(adapter);
+
+      expect(await saveNotes(sampleNotes)).toBe(true);
+      expect(adapter.data.notes).toEqual(sampleNotes);
+      expect(await loadNotes()).toEqual(sampleNotes);
+      expect(localStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should report adapter failures as false', async () => {
+      setStorageAdapter({
+        name: 'broken',
+        async load() { throw new Error('Read failed'); },
+        async save() { throw new Error('Write failed'); },
+        async clear() { throw new Error('Clear failed'); },
+        watch() { return () => {}; }
+      });
+
+      expect(await loadNotes()).toEqual([]);
+      expect(await saveNotes(sampleNotes)).toBe(false);
+      expect(await clearNotes()).toBe(false);
+    });
+  });
+
+  describe('migrateData()', () => {
+    it('should upgrade a legacy bare array to the current envelope', () => {
+      const result = migrateData(sampleNotes);
+      expect(result).toEqual({ version: SCHEMA_VERSION, notes: sampleNotes, notebooks: [], meta: {} });
+    });
+
+    it('should leave current envelopes unchanged', () => {
+      const envelope = { version: SCHEMA_VERSION, notes: sampleNotes, notebooks: [], meta: { exportedAt: 'x' } };
+      expect(migrateData(envelope)).toEqual(envelope);
+    });
+
+    it('should fill in missing timestamps when upgrading from v0', () => {
+      const result = migrateData([
+        { id: 'a', title: 'No dates', content: '' },
+        { id: 'b', title: 'Only updated', content: '', updatedAt: '2025-08-18T10:00:00.000Z' }
+      ]);
+
+      expect(typeof result.notes[0].createdAt).toBe('string');
+      expect(result.notes[0].updatedAt).toBe(result.notes[0].createdAt);
+      expect(result.notes[1].createdAt).toBe('2025-08-18T10:00:00.000Z');
+    });
+
+    it('should seed tags from hashtags when upgrading from v1', () => {
+      const result = migrateData({
+        version: 1,
+        notes: [
+          { id: 'a', title: 'Tagged', content: 'Plan #Work and #q3', createdAt: 'x', updatedAt: 'x' },
+          { id: 'b', title: 'Kept', content: '#ignored', tags: ['Home'], createdAt: 'x', updatedAt: 'x' }
+        ]
+      });
+
+      expect(result.notes[0].tags).toEqual(['work', 'q3']);
+      expect(result.notes[1].tags).toEqual(['home']);
+    });
+
+    it('should not mutate its input', () => {
+      const legacy = [{ id: 'a', title: 'No dates', content: '' }];
+      migrateData(legacy);
+      expect(legacy[0]).toEqual({ id: 'a', title: 'No dates', content: '' });
+    });
+
+    it('should add empty meta to envelopes without it', () => {
+      const result = migrateData({ version: SCHEMA_VERSION, notes: [] });
+      expect(result.meta).toEqual({});
+    });
+
+    it('should add an empty notebook list when upgrading from v2', () => {
+      const result = migrateData({ version: 2, notes: sampleNotes, meta: {} });
+      expect(result.notebooks).toEqual([]);
+      expect(result.notes).toEqual(sampleNotes);
+    });
+
+    it('should reject data from a newer schema version', () => {
+      expect(() => migrateData({ version: SCHEMA_VERSION + 1, notes: [] })).toThrow(/newer|only knows/);
+    });
+
+    it('should reject unrecognized data', () => {
+      expect(() => migrateData({ not: 'array' })).toThrow();
+      expect(() => migrateData(null)).toThrow();
+      expect(() => migrateData({ version: '1', notes: [] })).toThrow();
+    });
   });
 
   describe('loadNotes()', () => {
-    it('should return empty array when no data exists', () => {
-      const result = loadNotes();
+    it('should return empty array when no data exists', async () => {
+      const result = await loadNotes();
       expect(result).toEqual([]);
       expect(Array.isArray(result)).toBe(true);
     });
 
-    it('should return stored notes when data exists', () => {
+    it('should return stored notes when data exists', async () => {
       localStorage.setItem('pure-note-taking-app-data', JSON.stringify(sampleNotes));
-      const result = loadNotes();
+      const result = await loadNotes();
       expect(result).toEqual(sampleNotes);
     });
 
-    it('should handle corrupted localStorage data gracefully', () => {
+    it('should handle corrupted localStorage data gracefully', async () => {
       localStorage.setItem('pure-note-taking-app-data', 'invalid json');
-      const result = loadNotes();
+      const result = await loadNotes();
       expect(result).toEqual([]);
       expect(console.warn).toHaveBeenCalled();
     });
 
-    it('should handle non-array data gracefully', () => {
+    it('should upgrade legacy arrays and save them back as envelopes', async () => {
+      localStorage.setItem('pure-note-taking-app-data', JSON.stringify(sampleNotes));
+      const loaded = await loadNotes();
+      await saveNotes(loaded);
+
+      const stored = JSON.parse(localStorage.getItem('pure-note-taking-app-data'));
+      expect(stored.version).toBe(SCHEMA_VERSION);
+      expect(stored.notes).toEqual(sampleNotes);
+    });
+
+    it('should keep envelope meta across a load and save', async () => {
+      const envelope = { version: SCHEMA_VERSION, notes: sampleNotes, meta: { owner: 'me' } };
+      localStorage.setItem('pure-note-taking-app-data', JSON.stringify(envelope));
+
+      await saveNotes(await loadNotes());
+
+      const stored = JSON.parse(localStorage.getItem('pure-note-taking-app-data'));
+      expect(stored.meta).toEqual({ owner: 'me' });
+    });
+
+    it('should handle non-array data gracefully', async () => {
       localStorage.setItem('pure-note-taking-app-data', '{"not": "array"}');
-      const result = loadNotes();
+      const result = await loadNotes();
       expect(result).toEqual([]);
     });
+
+    it('should date trashed notes with an unreadable deletedAt by their last change', async () => {
+      const broken = { ...sampleNotes[0], deletedAt: 'not a date' };
+      localStorage.setItem('pure-note-taking-app-data', JSON.stringify({ version: SCHEMA_VERSION, notes: [broken], notebooks: [], meta: {} }));
+
+      const [loaded] = await loadNotes();
+      expect(loaded.deletedAt).toBe(sampleNotes[0].updatedAt);
+    });
   });
 
   describe('saveNotes()', () => {
-    it('should save valid notes array successfully', () => {
-      const result = saveNotes(sampleNotes);
+    it('should save valid notes array successfully', async () => {
+      const result = await saveNotes(sampleNotes);
       expect(result).toBe(true);
       expect(localStorage.setItem).toHaveBeenCalledWith(
         'pure-note-taking-app-data',
-        JSON.stringify(sampleNotes)
+        JSON.stringify({ version: SCHEMA_VERSION, notes: sampleNotes, notebooks: [], meta: {} })
       );
     });
 
-    it('should reject non-array input', () => {
-      const result = saveNotes('not an array');
+    it('should reject non-array input', async () => {
+      const result = await saveNotes('not an array');
       expect(result).toBe(false);
       expect(console.warn).toHaveBeenCalled();
     });
 
-    it('should reject undefined input', () => {
-      const result = saveNotes(undefined);
+    it('should reject undefined input', async () => {
+      const result = await saveNotes(undefined);
       expect(result).toBe(false);
       expect(console.warn).toHaveBeenCalled();
     });
+
+    it('should report a full storage as a quota error', async () => {
+      localStorage.setItem.mockImplementationOnce(() => {
+        throw Object.assign(new Error('The quota has been exceeded'), { name: 'QuotaExceededError' });
+      });
+
+      expect(await saveNotes(sampleNotes)).toBe(false);
+      expect(getSaveError()).toBe('quota');
+
+      // The next successful save clears the error
+      expect(await saveNotes(sampleNotes)).toBe(true);
+      expect(getSaveError()).toBeNull();
+    });
+
+    it('should report other write errors as failures', async () => {
+      localStorage.setItem.mockImplementationOnce(() => {
+        throw new Error('Storage disabled');
+      });
+
+      expect(await saveNotes(sampleNotes)).toBe(false);
+      expect(getSaveError()).toBe('failed');
+    });
+  });
+
+  describe('getStorageUsage()', () => {
+    it('should measure localStorage against its fixed quota', async () => {
+      const usage = await getStorageUsage();
+      expect(usage.backend).toBe('localStorage');
+      expect(usage.quota).toBe(5 * 1024 * 1024);
+      expect(typeof usage.used).toBe('number');
+    });
+
+    it('should ask the browser for an estimate with IndexedDB', async () => {
+      await initStorage({ indexedDB: new IDBFactory() });
+      vi.stubGlobal('navigator', { storage: { estimate: async () => ({ usage: 2048, quota: 4096 }) } });
+
+      expect(await getStorageUsage()).toEqual({ backend: 'indexedDB', used: 2048, quota: 4096 });
+      vi.unstubAllGlobals();
+    });
+
+    it('should return null when the browser cannot estimate', async () => {
+      await initStorage({ indexedDB: new IDBFactory() });
+      vi.stubGlobal('navigator', {});
+
+      expect(await getStorageUsage()).toBeNull();
+      vi.unstubAllGlobals();
+    });
+  });
+
+  describe('moveToIndexedDB()', () => {
+    it('should move notes from localStorage into IndexedDB', async () => {
+      await saveNotes(sampleNotes);
+      const indexedDB = new IDBFactory();
+
+      expect(await moveToIndexedDB({ indexedDB })).toBe(true);
+      expect(localStorage.getItem('pure-note-taking-app-data')).toBeNull();
+      expect(await loadNotes()).toHaveLength(2);
+
+      // Later saves go to IndexedDB
+      localStorage.setItem.mockClear();
+      await saveNotes(sampleNotes);
+      expect(localStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should keep watching for changes from other tabs on the new backend', async () => {
+      await saveNotes(sampleNotes);
+      const indexedDB = new IDBFactory();
+      const callback = vi.fn();
+      const unwatch = watchNotes(callback);
+      await moveToIndexedDB({ indexedDB });
+
+      // localStorage events no longer concern this tab
+      window.dispatchEvent(new StorageEvent('storage', { key: 'pure-note-taking-app-data', newValue: '[]' }));
+      expect(callback).not.toHaveBeenCalled();
+
+      const changed = new Promise(resolve => callback.mockImplementation(resolve));
+      const otherTab = createIndexedDBAdapter({ indexedDB });
+      await otherTab.save({ version: SCHEMA_VERSION, notes: [sampleNotes[0]], notebooks: [], meta: {} });
+      await changed;
+      expect(callback).toHaveBeenCalledWith([sampleNotes[0]], []);
+
+      unwatch();
+    });
+
+    it('should refuse without IndexedDB or when already using it', async () => {
+      expect(await moveToIndexedDB({ indexedDB: null })).toBe(false);
+
+      await initStorage({ indexedDB: new IDBFactory() });
+      expect(await moveToIndexedDB({ indexedDB: new IDBFactory() })).toBe(false);
+    });
   });
 
   describe('exportNotes()', () => {
-    it('should export notes as formatted JSON string', () => {
-      saveNotes(sampleNotes);
-      const result = exportNotes();
+    it('should export notes as formatted JSON string', async () => {
+      await saveNotes(sampleNotes);
+      const result = await exportNotes();
       expect(typeof result).toBe('string');
       const parsed = JSON.parse(result);
-      expect(parsed).toEqual(sampleNotes);
+      expect(parsed.version).toBe(SCHEMA_VERSION);
+      expect(parsed.notes).toEqual(sampleNotes);
+      expect(typeof parsed.meta.exportedAt).toBe('string');
     });
 
-    it('should export empty array when no notes exist', () => {
-      const result = exportNotes();
-      expect(result).toBe('[]');
+    it('should export notebooks with the notes', async () => {
+      const notebooks = [{ id: 'nb-1', name: 'Work', parentId: null, createdAt: 'x', updatedAt: 'x' }];
+      await saveNotes([{ ...sampleNotes[0], notebookId: 'nb-1' }], notebooks);
+
+      const parsed = JSON.parse(await exportNotes());
+      expect(parsed.notebooks).toEqual(notebooks);
+      expect(parsed.notes[0].notebookId).toBe('nb-1');
+    });
+
+    it('should export the given data instead of the stored notes', async () => {
+      await saveNotes(sampleNotes);
+      const unsaved = [{ ...sampleNotes[0], content: 'Not saved yet' }];
+
+      const parsed = JSON.parse(await exportNotes({ data: { notes: unsaved, notebooks: [] } }));
+      expect(parsed.notes).toEqual(unsaved);
     });
 
-    it('should handle export errors gracefully', () => {
+    it('should export empty notes array when no notes exist', async () => {
+      const result = await exportNotes();
+      expect(JSON.parse(result).notes).toEqual([]);
+    });
+
+    it('should handle export errors gracefully', async () => {
       // Mock JSON.stringify to throw error
       const originalStringify = JSON.stringify;
       JSON.stringify = () => { throw new Error('Export error'); };
 
-      const result = exportNotes();
-      expect(result).toBe('[]');
-      expect(console.error).toHaveBeenCalled();
+      const result = await exportNotes();
 
       // Restore original
       JSON.stringify = originalStringify;
+
+      expect(JSON.parse(result)).toEqual({ version: SCHEMA_VERSION, notes: [], notebooks: [], meta: {} });
+      expect(console.error).toHaveBeenCalled();
     });
   });
 
   describe('importNotes()', () => {
-    it('should import valid JSON notes successfully', () => {
+    it('should import valid JSON notes successfully', async () => {
       const importData = JSON.stringify(sampleNotes);
-      const result = importNotes(importData);
+      const result = await importNotes(importData);
       expect(result).toBe(true);
 
-      const loaded = loadNotes();
+      const loaded = await loadNotes();
       expect(loaded).toEqual(sampleNotes);
     });
 
-    it('should reject invalid JSON', () => {
-      const result = importNotes('invalid json');
+    it('should import and upgrade versioned envelopes', async () => {
+      const envelope = { version: 0, notes: [{ id: 'a', title: 'Old backup', content: '' }] };
+      const result = await importNotes(JSON.stringify(envelope));
+      expect(result).toBe(true);
+
+      const loaded = await loadNotes();
+      expect(loaded[0].title).toBe('Old backup');
+      expect(typeof loaded[0].createdAt).toBe('string');
+    });
+
+    it('should reject backups from a newer schema version', async () => {
+      const envelope = { version: SCHEMA_VERSION + 1, notes: sampleNotes, meta: {} };
+      const result = await importNotes(JSON.stringify(envelope));
+      expect(result).toBe(false);
+      expect(console.warn).toHaveBeenCalled();
+    });
+
+    it('should merge imported notes with stored notes', async () => {
+      await saveNotes(sampleNotes);
+      const incoming = [
+        { ...sampleNotes[0], content: 'Newer copy', updatedAt: '2025-08-19T10:00:00.000Z' },
+        { id: 'note-3', title: 'Third', content: '', createdAt: '2025-08-18T12:00:00.000Z', updatedAt: '2025-08-18T12:00:00.000Z' }
+      ];
+
+      const result = await importNotes(JSON.stringify(incoming), { mode: 'merge' });
+      expect(result).toBe(true);
+
+      const loaded = await loadNotes();
+      expect(loaded.map(note => note.id)).toEqual(['note-3', 'note-1', 'note-2']);
+      expect(loaded[1].content).toBe('Newer copy');
+    });
+
+    it('should reject notes whose fields could break the page', async () => {
+      const valid = { ...sampleNotes[0], tags: ['work'] };
+      const backup = note => JSON.stringify({ version: SCHEMA_VERSION, notes: [note], notebooks: [], meta: {} });
+
+      expect(await importNotes(backup(valid))).toBe(true);
+      for (const note of [
+        { ...valid, id: 'x"><img src=x onerror=alert(1)>' },
+        { ...valid, updatedAt: '"><script>' },
+        { ...valid, createdAt: 'yesterday' },
+        { ...valid, tags: 'work' },
+        { ...valid, tags: [1] },
+        { ...valid, pinned: 'yes' },
+        { ...valid, pinOrder: '1' },
+        { ...valid, notebookId: 'a b' },
+        { ...valid, deletedAt: '"><img src=x>' }
+      ]) {
+        expect(await importNotes(backup(note))).toBe(false);
+      }
+      expect(await loadNotes()).toEqual([valid]);
+    });
+
+    it('should merge into the given notes instead of the stored ones', async () => {
+      await saveNotes([sampleNotes[1]]);
+      const unsaved = { ...sampleNotes[0], content: 'Not saved yet' };
+      const incoming = [{ id: 'note-3', title: 'Third', content: '', createdAt: '2025-08-18T12:00:00.000Z', updatedAt: '2025-08-18T12:00:00.000Z' }];
+      const data = { notes: [unsaved, sampleNotes[1]], notebooks: [] };
+
+      const plan = await previewImport(JSON.stringify(incoming), { mode: 'merge', data });
+      expect(plan.added).toHaveLength(1);
+      expect(plan.skipped).toHaveLength(0);
+
+      expect(await importNotes(JSON.stringify(incoming), { mode: 'merge', data })).toBe(true);
+      const loaded = await loadNotes();
+      expect(loaded.map(note => note.id).sort()).toEqual(['note-1', 'note-2', 'note-3']);
+      expect(loaded.find(note => note.id === 'note-1').content).toBe('Not saved yet');
+    });
+
+    it('should import notebooks, replacing or merging them like notes', async () => {
+      const work = { id: 'nb-1', name: 'Work', parentId: null, createdAt: 'x', updatedAt: '2025-08-18T10:00:00.000Z' };
+      const home = { id: 'nb-2', name: 'Home', parentId: null, createdAt: 'x', updatedAt: '2025-08-18T10:00:00.000Z' };
+      await saveNotes(sampleNotes, [work]);
+
+      const backup = { version: SCHEMA_VERSION, notes: sampleNotes, notebooks: [home, { ...work, name: 'Old name', updatedAt: '2025-08-17T10:00:00.000Z' }] };
+      expect(await importNotes(JSON.stringify(backup), { mode: 'merge' })).toBe(true);
+      expect((await loadData()).notebooks).toEqual([work, home]);
+
+      expect(await importNotes(JSON.stringify({ ...backup, notebooks: [home] }))).toBe(true);
+      expect((await loadData()).notebooks).toEqual([home]);
+    });
+
+    it('should validate notebook structure', async () => {
+      const backup = { version: SCHEMA_VERSION, notes: sampleNotes, notebooks: [{ id: 'nb-1' }] };
+      expect(await importNotes(JSON.stringify(backup))).toBe(false);
+      expect(console.warn).toHaveBeenCalled();
+
+      const notebook = { id: 'nb-1', name: 'Work', parentId: null };
+      for (const notebooks of [
+        [{ ...notebook, id: 'a" onmouseover="alert(1)' }],
+        [{ ...notebook, parentId: '"><img src=x>' }]
+      ]) {
+        expect(await importNotes(JSON.stringify({ ...backup, notebooks }))).toBe(false);
+      }
+      expect(await importNotes(JSON.stringify({ ...backup, notebooks: [notebook] }))).toBe(true);
+    });
+
+    it('should reject unknown import modes', async () => {
+      const result = await importNotes(JSON.stringify(sampleNotes), { mode: 'append' });
+      expect(result).toBe(false);
+      expect(console.warn).toHaveBeenCalled();
+    });
+
+    it('should reject invalid JSON', async () => {
+      const result = await importNotes('invalid json');
       expect(result).toBe(false);
       expect(console.error).toHaveBeenCalled();
     });
 
-    it('should reject non-string input', () => {
-      const result = importNotes(123);
+    it('should reject non-string input', async () => {
+      const result = await importNotes(123);
       expect(result).toBe(false);
       expect(console.warn).toHaveBeenCalled();
     });
 
-    it('should reject non-array JSON', () => {
-      const result = importNotes('{"not": "array"}');
+    it('should reject non-array JSON', async () => {
+      const result = await importNotes('{"not": "array"}');
       expect(result).toBe(false);
       expect(console.warn).toHaveBeenCalled();
     });
 
-    it('should validate note structure', () => {
+    it('should validate note structure', async () => {
       const invalidNotes = '[{"missing": "required fields"}]';
-      const result = importNotes(invalidNotes);
+      const result = await importNotes(invalidNotes);
       expect(result).toBe(false);
       expect(console.warn).toHaveBeenCalled();
     });
 
-    it('should accept valid note structure', () => {
+    it('should accept valid note structure', async () => {
       const validNotes = [{
         id: 'test-1',
         title: 'Test Note',
         content: 'Test content'
       }];
-      const result = importNotes(JSON.stringify(validNotes));
+      const result = await importNotes(JSON.stringify(validNotes));
       expect(result).toBe(true);
     });
+
+    it('should accept locked notes and reject malformed locks', async () => {
+      const lock = {
+        encryption: { kdf: 'PBKDF2', hash: 'SHA-256', iterations: 1000, salt: 'c2FsdA==' },
+        iv: 'aXY=',
+        data: 'ZGF0YQ=='
+      };
+      const locked = { ...sampleNotes[0], content: '', lock };
+
+      expect(await importNotes(JSON.stringify([locked]))).toBe(true);
+      expect((await loadNotes())[0].lock).toEqual(lock);
+
+      const malformed = { ...locked, lock: { ...lock, data: 42 } };
+      expect(await importNotes(JSON.stringify([malformed]))).toBe(false);
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('planImport()', () => {
+    const newer = { ...sampleNotes[0], content: 'Newer copy', updatedAt: '2025-08-19T10:00:00.000Z' };
+    const older = { ...sampleNotes[1], content: 'Older copy', updatedAt: '2025-08-17T10:00:00.000Z' };
+    const extra = {
+      id: 'note-3',
+      title: 'Third Note',
+      content: 'Imported',
+      createdAt: '2025-08-18T12:00:00.000Z',
+      updatedAt: '2025-08-18T12:00:00.000Z'
+    };
+
+    it('should keep the newest copy of each note when merging', () => {
+      const plan = planImport(sampleNotes, [newer, older, extra], 'merge');
+
+      expect(plan.added).toEqual([extra]);
+      expect(plan.updated).toEqual([newer]);
+      expect(plan.skipped).toEqual([older]);
+      expect(plan.removed).toEqual([]);
+      expect(plan.notes).toEqual([extra, newer, sampleNotes[1]]);
+    });
+
+    it('should keep existing notes missing from a merged import', () => {
+      const plan = planImport(sampleNotes, [extra], 'merge');
+      expect(plan.notes).toEqual([extra, ...sampleNotes]);
+    });
+
+    it('should swap in the imported notes when replacing', () => {
+      const plan = planImport(sampleNotes, [older, extra], 'replace');
+
+      expect(plan.notes).toEqual([older, extra]);
+      expect(plan.added).toEqual([extra]);
+      expect(plan.updated).toEqual([older]);
+      expect(plan.removed).toEqual([sampleNotes[0]]);
+    });
+
+    it('should skip identical notes when replacing', () => {
+      const plan = planImport(sampleNotes, sampleNotes, 'replace');
+      expect(plan.skipped).toEqual(sampleNotes);
+      expect(plan.updated).toEqual([]);
+    });
+  });
+
+  describe('previewImport()', () => {
+    it('should summarize a merge without writing to storage', async () => {
+      await saveNotes(sampleNotes);
+      localStorage.setItem.mockClear();
+
+      const incoming = [{ ...sampleNotes[0], updatedAt: '2025-08-19T10:00:00.000Z' }];
+      const plan = await previewImport(JSON.stringify(incoming), { mode: 'merge' });
+
+      expect(plan.updated).toHaveLength(1);
+      expect(plan.added).toHaveLength(0);
+      expect(plan.notebooksAdded).toHaveLength(0);
+      expect(localStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should return null for data that cannot be imported', async () => {
+      expect(await previewImport('{"not": "array"}')).toBeNull();
+      expect(await previewImport('invalid json')).toBeNull();
+    });
   });
 
   describe('clearNotes()', () => {
-    it('should clear all notes from storage', () => {
-      saveNotes(sampleNotes);
-      const result = clearNotes();
+    it('should clear all notes from storage', async () => {
+      await saveNotes(sampleNotes);
+      const result = await clearNotes();
       expect(result).toBe(true);
       expect(localStorage.removeItem).toHaveBeenCalledWith('pure-note-taking-app-data');
     });
 
-    it('should handle clear errors gracefully', () => {
+    it('should handle clear errors gracefully', async () => {
       // Mock removeItem to throw error
       localStorage.removeItem.mockImplementationOnce(() => {
         throw new Error('Clear error');
       });
 
-      const result = clearNotes();
+      const result = await clearNotes();
       expect(result).toBe(false);
       expect(console.error).toHaveBeenCalled();
     });
   });
 
+  describe('watchNotes()', () => {
+    const dispatchStorage = (key, newValue) => {
+      window.dispatchEvent(new StorageEvent('storage', { key, newValue }));
+    };
+
+    it('should call back with notes written by another tab', () => {
+      const callback = vi.fn();
+      const unwatch = watchNotes(callback);
+
+      dispatchStorage('pure-note-taking-app-data', JSON.stringify(sampleNotes));
+      expect(callback).toHaveBeenCalledWith(sampleNotes, []);
+
+      unwatch();
+    });
+
+    it('should ignore changes to other keys', () => {
+      const callback = vi.fn();
+      const unwatch = watchNotes(callback);
+
+      dispatchStorage('some-other-key', '[]');
+      expect(callback).not.toHaveBeenCalled();
+
+      unwatch();
+    });
+
+    it('should report an empty list when another tab clears storage', () => {
+      const callback = vi.fn();
+      const unwatch = watchNotes(callback);
+
+      dispatchStorage(null, null);
+      expect(callback).toHaveBeenCalledWith([], []);
+
+      unwatch();
+    });
+
+    it('should ignore unreadable data', () => {
+      const callback = vi.fn();
+      const unwatch = watchNotes(callback);
+
+      dispatchStorage('pure-note-taking-app-data', 'invalid json');
+      expect(callback).not.toHaveBeenCalled();
+      expect(console.warn).toHaveBeenCalled();
+
+      unwatch();
+    });
+
+    it('should stop calling back after unsubscribing', () => {
+      const callback = vi.fn();
+      const unwatch = watchNotes(callback);
+      unwatch();
+
+      dispatchStorage('pure-note-taking-app-data', JSON.stringify(sampleNotes));
+      expect(callback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Encryption', () => {
+    // Few PBKDF2 iterations keep the tests fast
+    const iterations = 1000;
+    const stored = () => localStorage.getItem('pure-note-taking-app-data');
+
+    beforeEach(async () => {
+      await saveNotes(sampleNotes);
+    });
+
+    it('should store encrypted notes once encryption is on', async () => {
+      expect(getEncryptionState()).toBe('off');
+      expect(await enableEncryption('correct horse', { iterations })).toBe(true);
+
+      expect(getEncryptionState()).toBe('unlocked');
+      expect(stored()).not.toContain('First Note');
+      expect(JSON.parse(stored()).meta.encryption).toMatchObject({ kdf: 'PBKDF2', iterations });
+      expect((await loadData()).notes).toEqual(sampleNotes);
+    });
+
+    it('should seal drafts with the key of unlocked notes only', async () => {
+      expect(await sealDraft({ title: 'Draft' })).toBeNull();
+
+      await enableEncryption('correct horse', { iterations });
+      const sealed = await sealDraft({ title: 'Draft' });
+      expect(JSON.stringify(sealed)).not.toContain('Draft');
+      expect(await openDraft(sealed)).toEqual({ title: 'Draft' });
+
+      lockNotes();
+      expect(await openDraft(sealed)).toBeNull();
+    });
+
+    it('should not open drafts sealed under another passphrase', async () => {
+      await enableEncryption('correct horse', { iterations });
+      const sealed = await sealDraft({ title: 'Draft' });
+
+      await changePassphrase('correct horse', 'battery staple', { iterations });
+      expect(await openDraft(sealed)).toBeNull();
+    });
+
+    it('should refuse to load or save while locked', async () => {
+      await enableEncryption('correct horse', { iterations });
+      lockNotes();
+      const before = stored();
+
+      expect(getEncryptionState()).toBe('locked');
+      expect(await loadData()).toEqual({ notes: [], notebooks: [], locked: true });
+      expect(await saveNotes([])).toBe(false);
+      expect(stored()).toBe(before);
+    });
+
+    it('should not keep the notebooks of a save that finishes after locking', async () => {
+      await enableEncryption('correct horse', { iterations });
+      const saving = saveNotes(sampleNotes, [{ id: 'nb-1', name: 'Secret project', parentId: null }]);
+      lockNotes();
+
+      expect(await saving).toBe(true);
+      expect(stored()).not.toContain('Secret project');
+      expect(await exportNotes({ data: { notes: [] } })).not.toContain('Secret project');
+    });
+
+    it('should start locked when encrypted notes are loaded', async () => {
+      await enableEncryption('correct horse', { iterations });
+      await initStorage({ indexedDB: null });
+
+      expect((await loadData()).locked).toBe(true);
+      expect(getEncryptionState()).toBe('locked');
+    });
+
+    it('should unlock only with the right passphrase', async () => {
+      await enableEncryption('correct horse', { iterations });
+      lockNotes();
+
+      expect(await unlockNotes('wrong horse')).toBe(false);
+      expect(getEncryptionState()).toBe('locked');
+      expect(await unlockNotes('correct horse')).toBe(true);
+      expect((await loadData()).notes).toEqual(sampleNotes);
+    });
+
+    it('should keep saving encrypted after unlocking', async () => {
+      await enableEncryption('correct horse', { iterations });
+      const edited = [{ ...sampleNotes[0], title: 'Edited Note' }, sampleNotes[1]];
+
+      expect(await saveNotes(edited)).toBe(true);
+      expect(stored()).not.toContain('Edited Note');
+      expect((await loadData()).notes).toEqual(edited);
+    });
+
+    it('should change the passphrase only when the current one is right', async () => {
+      await enableEncryption('correct horse', { iterations });
+
+      expect(await changePassphrase('wrong horse', 'battery staple', { iterations })).toBe(false);
+      expect(await changePassphrase('correct horse', 'battery staple', { iterations })).toBe(true);
+      lockNotes();
+      expect(await unlockNotes('correct horse')).toBe(false);
+      expect(await unlockNotes('battery staple')).toBe(true);
+    });
+
+    it('should store notes in the clear again when encryption is turned off', async () => {
+      await enableEncryption('correct horse', { iterations });
+
+      expect(await disableEncryption('wrong horse')).toBe(false);
+      expect(await disableEncryption('correct horse')).toBe(true);
+      expect(getEncryptionState()).toBe('off');
+      expect(JSON.parse(stored()).notes).toEqual(sampleNotes);
+    });
+
+    it('should export a backup encrypted with its own passphrase', async () => {
+      const backup = await exportNotes({ passphrase: 'backup pass', iterations });
+
+      expect(backup).not.toContain('First Note');
+      expect(isEncryptedBackup(backup)).toBe(true);
+      expect(isEncryptedBackup(await exportNotes())).toBe(false);
+      expect(isEncryptedBackup('invalid json')).toBe(false);
+      expect(await decryptBackup(backup, 'wrong pass')).toBeNull();
+
+      const decrypted = await decryptBackup(backup, 'backup pass');
+      expect(JSON.parse(decrypted).notes).toEqual(sampleNotes);
+      expect(await importNotes(decrypted)).toBe(true);
+    });
+
+    it('should lock when another tab encrypts with a key this tab lacks', async () => {
+      await enableEncryption('correct horse', { iterations });
+      const encrypted = stored();
+      await initStorage({ indexedDB: null });
+      await saveNotes(sampleNotes);
+
+      const callback = vi.fn();
+      const unwatch = watchNotes(callback);
+      window.dispatchEvent(new StorageEvent('storage', { key: 'pure-note-taking-app-data', newValue: encrypted }));
+
+      await vi.waitFor(() => expect(callback).toHaveBeenCalledWith([], [], { locked: true }));
+      expect(getEncryptionState()).toBe('locked');
+      unwatch();
+    });
+  });
+
   describe('Integration tests', () => {
-    it('should handle complete save-load cycle', () => {
+    it('should handle complete save-load cycle', async () => {
       // Save notes
-      const saveResult = saveNotes(sampleNotes);
+      const saveResult = await saveNotes(sampleNotes);
       expect(saveResult).toBe(true);
 
       // Load notes
-      const loadedNotes = loadNotes();
+      const loadedNotes = await loadNotes();
       expect(loadedNotes).toEqual(sampleNotes);
 
       // Export notes
-      const exported = exportNotes();
+      const exported = await exportNotes();
       const parsedExport = JSON.parse(exported);
-      expect(parsedExport).toEqual(sampleNotes);
+      expect(parsedExport.notes).toEqual(sampleNotes);
 
       // Clear notes
-      const clearResult = clearNotes();
+      const clearResult = await clearNotes();
       expect(clearResult).toBe(true);
 
       // Verify cleared
-      const afterClear = loadNotes();
+      const afterClear = await loadNotes();
       expect(afterClear).toEqual([]);
     });
   });
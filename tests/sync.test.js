@@ -0,0 +1,131 @@
+/**
+ * Unit tests for sync.js
+ * Tests the three-way merge used for cross-tab sync
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mergeNotes } from '../src/sync.js';
+
+describe('Sync Module', () => {
+  const note = (id, updatedAt, content = `Content of ${id}`) => ({
+    id,
+    title: `Title ${id}`,
+    content,
+    createdAt: '2025-08-18T10:00:00.000Z',
+    updatedAt
+  });
+
+  const base = [
+    note('a', '2025-08-18T10:00:00.000Z'),
+    note('b', '2025-08-18T10:00:00.000Z')
+  ];
+
+  describe('mergeNotes()', () => {
+    it('should return the remote notes when nothing changed locally', () => {
+      const remote = [...base, note('c', '2025-08-18T12:00:00.000Z')];
+      const result = mergeNotes(base, remote, base);
+
+      expect(result.notes).toEqual(remote);
+      expect(result.added).toEqual(['c']);
+      expect(result.unsynced).toEqual([]);
+      expect(result.conflicts).toEqual([]);
+    });
+
+    it('should take a remote edit of a note unchanged locally', () => {
+      const edited = note('a', '2025-08-18T12:00:00.000Z', 'Edited elsewhere');
+      const result = mergeNotes(base, [edited, base[1]], base);
+
+      expect(result.notes).toContainEqual(edited);
+      expect(result.updated).toEqual(['a']);
+    });
+
+    it('should take a note moved to the trash in another tab', () => {
+      const trashed = { ...base[0], deletedAt: '2025-08-18T12:00:00.000Z' };
+      const result = mergeNotes(base, [trashed, base[1]], base);
+
+      expect(result.notes).toContainEqual(trashed);
+      expect(result.updated).toEqual(['a']);
+    });
+
+    it('should take a note pinned in another tab', () => {
+      const pinned = { ...base[1], pinned: true, pinOrder: 0 };
+      const result = mergeNotes(base, [base[0], pinned], base);
+
+      expect(result.notes).toContainEqual(pinned);
+      expect(result.updated).toEqual(['b']);
+    });
+
+    it('should take a note locked or sealed again in another tab', () => {
+      const locked = { ...base[1], content: '', lock: { iv: 'aXY=', data: 'b25l' } };
+      const resealed = { ...locked, lock: { iv: 'aXY=', data: 'dHdv' } };
+
+      expect(mergeNotes(base, [base[0], locked], base).updated).toEqual(['b']);
+      expect(mergeNotes([base[0], locked], [base[0], resealed], [base[0], locked]).notes)
+        .toContainEqual(resealed);
+    });
+
+    it('should take a note moved to another notebook in another tab', () => {
+      const moved = { ...base[1], notebookId: 'nb-1' };
+      const result = mergeNotes(base, [base[0], moved], base);
+
+      expect(result.notes).toContainEqual(moved);
+      expect(result.updated).toEqual(['b']);
+    });
+
+    it('should keep a local edit when the remote copy is unchanged', () => {
+      const edited = note('b', '2025-08-18T12:00:00.000Z', 'Edited here');
+      const result = mergeNotes([base[0], edited], base, base);
+
+      expect(result.notes).toContainEqual(edited);
+      expect(result.unsynced).toEqual(['b']);
+      expect(result.updated).toEqual([]);
+    });
+
+    it('should drop notes deleted in another tab', () => {
+      const result = mergeNotes(base, [base[0]], base);
+
+      expect(result.notes).toEqual([base[0]]);
+      expect(result.removed).toEqual(['b']);
+    });
+
+    it('should not resurrect notes deleted locally', () => {
+      const result = mergeNotes([base[0]], base, base);
+
+      expect(result.notes).toEqual([base[0]]);
+      expect(result.added).toEqual([]);
+    });
+
+    it('should keep notes created locally that storage has not seen', () => {
+      const fresh = note('new', '2025-08-18T12:00:00.000Z');
+      const result = mergeNotes([fresh, ...base], base, base);
+
+      expect(result.notes).toContainEqual(fresh);
+      expect(result.unsynced).toEqual(['new']);
+    });
+
+    it('should keep the newest version and report a conflict when both sides edited', () => {
+      const mine = note('a', '2025-08-18T11:00:00.000Z', 'Mine');
+      const theirs = note('a', '2025-08-18T12:00:00.000Z', 'Theirs');
+      const result = mergeNotes([mine, base[1]], [theirs, base[1]], base);
+
+      expect(result.notes).toContainEqual(theirs);
+      expect(result.conflicts).toEqual(['a']);
+      expect(result.updated).toEqual(['a']);
+    });
+
+    it('should keep a remote edit of a note deleted locally as a conflict', () => {
+      const theirs = note('b', '2025-08-18T12:00:00.000Z', 'Theirs');
+      const result = mergeNotes([base[0]], [base[0], theirs], base);
+
+      expect(result.notes).toContainEqual(theirs);
+      expect(result.conflicts).toEqual(['b']);
+    });
+
+    it('should handle a missing base by treating every note as new', () => {
+      const result = mergeNotes([], base);
+
+      expect(result.notes).toEqual(base);
+      expect(result.added).toEqual(['a', 'b']);
+    });
+  });
+});
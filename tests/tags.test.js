@@ -0,0 +1,108 @@
+/**
+ * Unit tests for tags.js
+ * Tests tag parsing, hashtag extraction and tag counts
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeTag,
+  uniqueTags,
+  parseTagInput,
+  extractHashtags,
+  collectTags,
+  countTags,
+  filterByTag
+} from '../src/tags.js';
+import { parseQuery } from '../src/query.js';
+
+describe('Tags Module', () => {
+  describe('normalizeTag()', () => {
+    it('should lowercase and strip the leading #', () => {
+      expect(normalizeTag('#Work')).toBe('work');
+      expect(normalizeTag('  Q3 Plans ')).toBe('q3-plans');
+    });
+
+    it('should return empty string for invalid input', () => {
+      expect(normalizeTag('#')).toBe('');
+      expect(normalizeTag(null)).toBe('');
+    });
+  });
+
+  describe('uniqueTags()', () => {
+    it('should drop duplicates and empty tags, keeping order', () => {
+      expect(uniqueTags(['b', '#A', 'a', '', 'B'])).toEqual(['b', 'a']);
+      expect(uniqueTags(undefined)).toEqual([]);
+    });
+  });
+
+  describe('parseTagInput()', () => {
+    it('should split on commas and whitespace', () => {
+      expect(parseTagInput('work, #meeting  personal,,')).toEqual(['work', 'meeting', 'personal']);
+      expect(parseTagInput('')).toEqual([]);
+    });
+  });
+
+  describe('extractHashtags()', () => {
+    it('should find hashtags in text', () => {
+      expect(extractHashtags('Call Bob #work\n#Urgent follow-up (#q3)')).toEqual(['work', 'urgent', 'q3']);
+    });
+
+    it('should support non-ASCII letters', () => {
+      expect(extractHashtags('Rezept #küche')).toEqual(['küche']);
+    });
+
+    it('should ignore headings, numbers, URL fragments and code', () => {
+      const content = [
+        '# Heading',
+        'Issue #42 and https://example.com/page#section',
+        '`#notatag` inline',
+        '```',
+        '#fenced',
+        '```'
+      ].join('\n');
+      expect(extractHashtags(content)).toEqual([]);
+    });
+
+    it('should return empty array for empty input', () => {
+      expect(extractHashtags(null)).toEqual([]);
+    });
+  });
+
+  describe('collectTags()', () => {
+    it('should combine input tags with content hashtags', () => {
+      expect(collectTags(['work'], 'Notes #idea #work')).toEqual(['work', 'idea']);
+    });
+  });
+
+  describe('countTags()', () => {
+    it('should count notes per tag, most used first', () => {
+      const notes = [
+        { tags: ['work', 'q3'] },
+        { tags: ['work'] },
+        { tags: ['home'] },
+        {}
+      ];
+      expect(countTags(notes)).toEqual([
+        { tag: 'work', count: 2 },
+        { tag: 'home', count: 1 },
+        { tag: 'q3', count: 1 }
+      ]);
+    });
+  });
+
+  describe('filterByTag()', () => {
+    it('should keep the notes carrying the tag', () => {
+      const notes = [{ id: 'a', tags: ['work'] }, { id: 'b', tags: ['home'] }, { id: 'c' }];
+      expect(filterByTag(notes, 'work').map(note => note.id)).toEqual(['a']);
+    });
+
+    it('should handle tags that are not valid query syntax', () => {
+      const notes = [{ id: 'a', tags: ['a)b'] }, { id: 'b', tags: ['c"d'] }, { id: 'c', tags: ['(x'] }];
+      expect(() => parseQuery('tag:a)b')).toThrow();
+
+      expect(filterByTag(notes, 'a)b').map(note => note.id)).toEqual(['a']);
+      expect(filterByTag(notes, 'c"d').map(note => note.id)).toEqual(['b']);
+      expect(filterByTag(notes, '(x').map(note => note.id)).toEqual(['c']);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit tests for templates.js
+ * Tests flagging templates, listing them and filling in placeholders
+ */
+
+import { describe, it, expect } from 'vitest';
+import { setTemplate, getTemplates, expandPlaceholders, applyTemplate } from '../src/templates.js';
+
+describe('Templates Module', () => {
+  const note = (id, title, extra = {}) =>
+    ({ id, title, content: '', tags: [], updatedAt: '2026-01-01T00:00:00.000Z', ...extra });
+
+  // Monday 19 January 2026, 09:05 local time
+  const now = new Date(2026, 0, 19, 9, 5);
+
+  describe('setTemplate()', () => {
+    it('should flag a note without touching updatedAt', () => {
+      const notes = [note('a', 'A'), note('b', 'B')];
+      const result = setTemplate(notes, 'a', true);
+
+      expect(result[0]).toEqual({ ...notes[0], template: true });
+      expect(result[1]).toBe(notes[1]);
+    });
+
+    it('should keep the same note object when the flag does not change', () => {
+      const notes = [note('a', 'A')];
+      expect(setTemplate(notes, 'a', false)[0]).toBe(notes[0]);
+    });
+  });
+
+  describe('getTemplates()', () => {
+    it('should list templates outside the trash and not locked, by title', () => {
+      const notes = [
+        note('a', 'Weekly review', { template: true }),
+        note('b', 'Meeting', { template: true }),
+        note('c', 'Plain note'),
+        note('d', 'Old template', { template: true, deletedAt: '2026-01-02T00:00:00.000Z' }),
+        note('e', 'Locked template', { template: true, lock: { iv: 'aXY=', data: 'ZGF0YQ==' } })
+      ];
+      expect(getTemplates(notes).map(template => template.id)).toEqual(['b', 'a']);
+      expect(getTemplates(undefined)).toEqual([]);
+    });
+  });
+
+  describe('expandPlaceholders()', () => {
+    it('should fill in the date, time and weekday', () => {
+      expect(expandPlaceholders('{{weekday}} {{date}} at {{time}}', now))
+        .toEqual({ text: 'Monday 2026-01-19 at 09:05', cursor: null });
+    });
+
+    it('should ignore case and spaces inside the braces', () => {
+      expect(expandPlaceholders('{{ DATE }} {{Weekday}}', now).text).toBe('2026-01-19 Monday');
+    });
+
+    it('should remove cursor markers and place the caret at the first', () => {
+      expect(expandPlaceholders('Notes: {{cursor}}\nEnd{{cursor}}', now))
+        .toEqual({ text: 'Notes: \nEnd', cursor: 7 });
+    });
+
+    it('should leave unknown placeholders as written', () => {
+      expect(expandPlaceholders('{{author}} on {{date}}', now).text).toBe('{{author}} on 2026-01-19');
+      expect(expandPlaceholders(undefined, now)).toEqual({ text: '', cursor: null });
+    });
+  });
+
+  describe('applyTemplate()', () => {
+    it('should copy the template with placeholders filled in', () => {
+      const template = note('t', 'Standup {{date}}', {
+        content: '## {{weekday}}\n\n{{cursor}}',
+        tags: ['work'],
+        template: true
+      });
+      const draft = applyTemplate(template, now);
+
+      expect(draft).toEqual({
+        title: 'Standup 2026-01-19',
+        content: '## Monday\n\n',
+        tags: ['work'],
+        caret: { field: 'body', offset: 11 }
+      });
+      expect(draft.tags).not.toBe(template.tags);
+    });
+
+    it('should fall back to a cursor in the title, then to no caret', () => {
+      expect(applyTemplate(note('t', 'Idea: {{cursor}}'), now).caret).toEqual({ field: 'title', offset: 6 });
+      expect(applyTemplate(note('t', 'Plain'), now).caret).toBeNull();
+    });
+  });
+});
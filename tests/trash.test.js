@@ -0,0 +1,74 @@
+/**
+ * Unit tests for trash.js
+ * Tests soft deletion, restoring and purging of trashed notes
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  isTrashed,
+  trashNote,
+  restoreNote,
+  getTrashedNotes,
+  purgeTrash
+} from '../src/trash.js';
+
+describe('Trash Module', () => {
+  const now = new Date('2026-03-31T12:00:00.000Z');
+  const daysAgo = days => new Date(now.getTime() - days * 86400000).toISOString();
+
+  const note = (id, deletedAt) => ({
+    id,
+    title: `Title ${id}`,
+    content: '',
+    tags: [],
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    ...(deletedAt !== undefined && { deletedAt })
+  });
+
+  describe('trashNote() and restoreNote()', () => {
+    it('should set and clear deletedAt without touching the note', () => {
+      const original = note('a');
+      const trashed = trashNote(original, now);
+
+      expect(trashed.deletedAt).toBe(now.toISOString());
+      expect(trashed.updatedAt).toBe(original.updatedAt);
+      expect(isTrashed(trashed)).toBe(true);
+      expect(original.deletedAt).toBeUndefined();
+
+      const restored = restoreNote(trashed);
+      expect(restored.deletedAt).toBeNull();
+      expect(isTrashed(restored)).toBe(false);
+    });
+
+    it('should treat notes without deletedAt as live', () => {
+      expect(isTrashed(note('a'))).toBe(false);
+      expect(isTrashed(note('a', null))).toBe(false);
+      expect(isTrashed(null)).toBe(false);
+    });
+  });
+
+  describe('getTrashedNotes()', () => {
+    it('should list trashed notes, most recently deleted first', () => {
+      const notes = [note('a', daysAgo(5)), note('b'), note('c', daysAgo(1))];
+      expect(getTrashedNotes(notes).map(n => n.id)).toEqual(['c', 'a']);
+      expect(getTrashedNotes(null)).toEqual([]);
+    });
+  });
+
+  describe('purgeTrash()', () => {
+    it('should drop notes trashed longer ago than the retention period', () => {
+      const notes = [note('old', daysAgo(31)), note('live'), note('recent', daysAgo(29)), note('edge', daysAgo(30))];
+      const result = purgeTrash(notes, { retentionDays: 30, now: now.getTime() });
+
+      expect(result.notes.map(n => n.id)).toEqual(['live', 'recent']);
+      expect(result.purged).toEqual(['old', 'edge']);
+    });
+
+    it('should respect the configured retention period', () => {
+      const notes = [note('a', daysAgo(3))];
+      expect(purgeTrash(notes, { retentionDays: 2, now: now.getTime() }).purged).toEqual(['a']);
+      expect(purgeTrash(notes, { retentionDays: 7, now: now.getTime() }).purged).toEqual([]);
+    });
+  });
+});
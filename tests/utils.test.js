@@ -4,7 +4,7 @@
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { debounce, sanitizeHTML } from '../src/utils.js';
+import { debounce, sanitizeHTML, sanitizeRichHTML, formatISODate } from '../src/utils.js';
 
 describe('Utils Functions', () => {
 	describe('debounce', () => {
@@ -145,6 +145,81 @@ describe('Utils Functions', () => {
 	});
 });
 
+describe('formatISODate', () => {
+	it('should format dates as local YYYY-MM-DD', () => {
+		expect(formatISODate(new Date(2026, 0, 5, 23, 30))).toBe('2026-01-05');
+		expect(formatISODate(new Date(2025, 11, 31))).toBe('2025-12-31');
+	});
+
+	it('should accept timestamps and date strings', () => {
+		const date = new Date(2026, 6, 14);
+		expect(formatISODate(date.getTime())).toBe('2026-07-14');
+		expect(formatISODate(date.toISOString())).toBe('2026-07-14');
+	});
+
+	it('should return empty string for invalid dates', () => {
+		expect(formatISODate('not a date')).toBe('');
+	});
+});
+
+describe('sanitizeRichHTML', () => {
+	it('should keep allowed formatting elements', () => {
+		const html = '<h2>Title</h2><p><strong>bold</strong> and <em>italic</em></p><ul><li>item</li></ul>';
+		expect(sanitizeRichHTML(html)).toBe(html);
+	});
+
+	it('should keep wiki links to other notes', () => {
+		expect(sanitizeRichHTML('<a href="#" class="wiki-link" data-note-link="Plan">Plan</a><a class="evil">x</a>'))
+			.toBe('<a href="#" class="wiki-link" data-note-link="Plan" target="_blank" rel="noopener noreferrer">Plan</a><a>x</a>');
+	});
+
+	it('should remove scripts and embeds with their content', () => {
+		const result = sanitizeRichHTML('<p>ok</p><script>alert(1)</script><iframe src="x"></iframe>');
+		expect(result).toBe('<p>ok</p>');
+	});
+
+	it('should unwrap unknown elements but keep their text', () => {
+		expect(sanitizeRichHTML('<div><span>text</span></div>')).toBe('text');
+	});
+
+	it('should strip event handlers and other attributes', () => {
+		const result = sanitizeRichHTML('<p onclick="evil()" style="color:red">hi</p><img src="https://x.test/a.png" onerror="evil()">');
+		expect(result).toBe('<p>hi</p><img src="https://x.test/a.png">');
+	});
+
+	it('should drop javascript: and data: URLs from links and images', () => {
+		const result = sanitizeRichHTML(
+			'<a href="javascript:alert(1)">a</a><a href=" JaVa\tScRiPt:alert(1)">b</a>' +
+			'<img src="data:text/html,evil"><img src="javascript:alert(1)">'
+		);
+		expect(result).not.toMatch(/javascript|data:/i);
+		expect(result).toContain('>a</a>');
+	});
+
+	it('should keep safe links and open them in a new tab', () => {
+		const container = document.createElement('div');
+		container.innerHTML = sanitizeRichHTML('<a href="https://example.com" title="Ex">x</a><a href="#top">y</a>');
+		const [external, local] = container.querySelectorAll('a');
+
+		expect(external.getAttribute('href')).toBe('https://example.com');
+		expect(external.getAttribute('title')).toBe('Ex');
+		expect(external.getAttribute('rel')).toBe('noopener noreferrer');
+		expect(external.getAttribute('target')).toBe('_blank');
+		expect(local.getAttribute('href')).toBe('#top');
+	});
+
+	it('should only keep known class names', () => {
+		const result = sanitizeRichHTML('<code class="language-js">x</code><td class="hidden">y</td>');
+		expect(result).toContain('<code class="language-js">');
+		expect(result).not.toContain('hidden');
+	});
+
+	it('should return empty string for invalid input', () => {
+		expect(sanitizeRichHTML(null)).toBe('');
+		expect(sanitizeRichHTML(42)).toBe('');
+	});
+});
+
 // Performance tests for debounce
 describe('Performance Tests', () => {
 	beforeEach(() => {
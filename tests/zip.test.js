@@ -0,0 +1,76 @@
+/**
+ * Unit tests for zip.js
+ * Tests the uncompressed ZIP writer used for Markdown exports
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createZip, crc32 } from '../src/zip.js';
+
+describe('Zip Module', () => {
+  const encode = text => new TextEncoder().encode(text);
+
+  // Read back the entries of a stored (uncompressed) archive
+  const readEntries = (zip) => {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const decoder = new TextDecoder();
+    const entries = [];
+    let offset = 0;
+
+    while (view.getUint32(offset, true) === 0x04034b50) {
+      const size = view.getUint32(offset + 18, true);
+      const nameLength = view.getUint16(offset + 26, true);
+      const nameStart = offset + 30;
+      const dataStart = nameStart + nameLength;
+      entries.push({
+        name: decoder.decode(zip.subarray(nameStart, dataStart)),
+        content: decoder.decode(zip.subarray(dataStart, dataStart + size)),
+        crc: view.getUint32(offset + 14, true)
+      });
+      offset = dataStart + size;
+    }
+    return entries;
+  };
+
+  describe('crc32()', () => {
+    it('should match known checksums', () => {
+      expect(crc32(encode(''))).toBe(0);
+      expect(crc32(encode('hello'))).toBe(0x3610a686);
+      expect(crc32(encode('The quick brown fox jumps over the lazy dog'))).toBe(0x414fa339);
+    });
+  });
+
+  describe('createZip()', () => {
+    it('should store every file with its name and content', () => {
+      const zip = createZip([
+        { name: 'first.md', content: '# First' },
+        { name: 'second.md', content: 'Ünïcödé content' }
+      ]);
+
+      const entries = readEntries(zip);
+      expect(entries.map(entry => entry.name)).toEqual(['first.md', 'second.md']);
+      expect(entries[1].content).toBe('Ünïcödé content');
+      expect(entries[0].crc).toBe(crc32(encode('# First')));
+    });
+
+    it('should end with a central directory record counting the entries', () => {
+      const zip = createZip([
+        { name: 'a.md', content: 'a' },
+        { name: 'b.md', content: 'b' }
+      ]);
+      const view = new DataView(zip.buffer);
+      const endOffset = zip.length - 22;
+
+      expect(view.getUint32(endOffset, true)).toBe(0x06054b50);
+      expect(view.getUint16(endOffset + 10, true)).toBe(2);
+
+      const centralOffset = view.getUint32(endOffset + 16, true);
+      expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+    });
+
+    it('should create a valid empty archive', () => {
+      const zip = createZip([]);
+      expect(zip.length).toBe(22);
+      expect(new DataView(zip.buffer).getUint32(0, true)).toBe(0x06054b50);
+    });
+  });
+});